@@ -21,6 +21,18 @@ using JSON3
 # Initialize agent
 agent = JuliaOS.create_agent(AI_ANALYZER_CONFIG)
 
+# Parsed JSON as Dicts with String keys and Vectors, rather than JSON3's
+# Symbol-keyed objects
+to_plain(value::AbstractDict) = Dict{String, Any}(string(k) => to_plain(v) for (k, v) in value)
+to_plain(value::AbstractVector) = Any[to_plain(v) for v in value]
+to_plain(value) = value
+
+# JSON output requested from the LLM and the prompts around it, shared with
+# backend/src/services/analysisSchema.js; `reasoning_steps` items match
+# AIReasoningStep in the frontend types.
+ANALYSIS_SPEC = to_plain(JSON3.read(read(joinpath(@__DIR__, "..", "shared", "analysis-schema.json"), String)))
+ANALYSIS_SCHEMA = ANALYSIS_SPEC["schema"]
+
 """
 Analyze collection data using LLM integration
 """
@@ -31,28 +43,37 @@ function analyze_collection(data::Dict)
         # Prepare analysis prompt
         prompt = create_analysis_prompt(data)
         
-        # Try OpenRouter
-        analysis_result = nothing
-        detailed_errors = []
-        
         # Try OpenRouter
         @info "Attempting analysis with OpenRouter"
-        success, result = agent.useLLM("openrouter", "deepseek/deepseek-r1-0528:free", prompt)
-        if success
-            @info "Analysis successful with OpenRouter"
-            analysis_result = result
-        else
-            @warn "OpenRouter failed: $result"
-            push!(detailed_errors, "Provider 'openrouter': $result")
-        end
-        
-        # If all LLMs fail, return detailed errors
-        if isnothing(analysis_result)
+        provider, model = "openrouter", "deepseek/deepseek-r1-0528:free"
+        success, result = agent.useLLM(provider, model, prompt)
+        if !success
             @error "All AI providers failed"
-            error_message = "All AI providers failed. Details: [ " * join(detailed_errors, ", ") * " ]"
-            return Dict("success" => false, "error" => error_message)
+            return Dict("success" => false, "error" => "All AI providers failed. Details: [ Provider '$provider': $result ]")
+        end
+
+        # Validate the JSON answer, asking once for a repair when it does not match the schema
+        analysis, errors = parse_analysis(result)
+        status = "schema_valid"
+        if isnothing(analysis)
+            @warn "LLM analysis failed schema validation, requesting a repair" errors
+            success, repaired = agent.useLLM(provider, model, create_repair_prompt(prompt, result, errors))
+            if success
+                analysis, errors = parse_analysis(repaired)
+                status = "repaired"
+            end
+        end
+
+        if isnothing(analysis)
+            @warn "No valid LLM analysis, using rule-based analysis" errors
+            analysis_result = rule_based_analysis(data)
         else
-            analysis_result = process_llm_response(analysis_result, data)
+            analysis_result = process_llm_response(analysis)
+            # The answer as validated, checked again by the backend
+            analysis_result["llm_analysis"] = analysis
+            analysis_result["analysis_status"] = status
+            analysis_result["llm_provider"] = provider
+            analysis_result["llm_model"] = model
         end
         
         @info "AI analysis completed"
@@ -83,154 +104,167 @@ function create_analysis_prompt(data::Dict)
     - Social Sentiment Score: $sentiment_score (0-1 scale)
     - Twitter Mentions (24h): $twitter_mentions
 
-    Please provide a comprehensive analysis covering:
+    Provide:
+    - market_outlook: short-term price direction and the key market factors behind it (50-100 words)
+    - sentiment_analysis: social media sentiment and community engagement (30-50 words)
+    - market_sentiment: your overall call
+    - risk_factors: 3-5 major risks that could impact price negatively
+    - bullish_factors: 3-5 positive indicators supporting price growth
+    - reasoning_steps: 3-5 factors you weighed, each with its impact on price and your confidence in it
+    - confidence_score: your confidence in the analysis (1-100)
+    - data_quality: your assessment of the data provided (1-100)
 
-    1. MARKET OUTLOOK (50-100 words)
-    - Short-term price direction and reasoning
-    - Key market factors influencing the collection
+    Be objective and mention both positive and negative aspects.
 
-    2. SENTIMENT ANALYSIS (30-50 words)
-    - Social media sentiment interpretation
-    - Community engagement level
+    $(replace(ANALYSIS_SPEC["prompts"]["format"], "{schema}" => JSON3.write(ANALYSIS_SCHEMA)))
+    """
+    
+    return prompt
+end
+
+"""
+Follow-up prompt asking the LLM to fix an answer that failed validation
+"""
+function create_repair_prompt(prompt::String, response::AbstractString, errors::Vector{String})
+    problems = join(["- " * e for e in errors], "\n")
+    previous = first(response, 4000)
 
-    3. RISK FACTORS (list 3-5 factors)
-    - Major risks that could impact price negatively
+    instructions = replace(ANALYSIS_SPEC["prompts"]["repair"], "{problems}" => problems)
 
-    4. BULLISH FACTORS (list 3-5 factors)
-    - Positive indicators supporting price growth
+    return """
+    $prompt
 
-    5. CONFIDENCE ASSESSMENT
-    - Your confidence level in the analysis (1-100)
-    - Data quality assessment (1-100)
+    Previous answer:
+    $previous
 
-    Format your response as a structured analysis focusing on actionable insights.
-    Be objective and mention both positive and negative aspects.
+    $instructions
     """
-    
-    return prompt
 end
 
 """
-Process LLM response and extract structured data
+Parse and validate an LLM answer. Tolerates a Markdown code fence,
+`<think>` block or other text around the JSON object. Returns
+`(analysis, errors)`, with `analysis` nothing unless `errors` is empty.
 """
-function process_llm_response(llm_response::String, data::Dict)
-    try
-        # Parse LLM response to extract structured insights
-        analysis = Dict(
-            "market_outlook" => extract_section(llm_response, "MARKET OUTLOOK"),
-            "sentiment_analysis" => extract_section(llm_response, "SENTIMENT ANALYSIS"),
-            "risk_factors" => extract_list_section(llm_response, "RISK FACTORS"),
-            "bullish_factors" => extract_list_section(llm_response, "BULLISH FACTORS"),
-            "confidence_score" => extract_confidence(llm_response),
-            "data_quality" => extract_data_quality(llm_response),
-            "reasoning_steps" => generate_reasoning_steps(llm_response, data),
-            "market_sentiment" => determine_market_sentiment(llm_response),
-            "ai_reasoning" => llm_response
-        )
-        
-        return analysis
-        
+function parse_analysis(response::AbstractString)
+    text = replace(response, r"<think>[\s\S]*?</think>"i => "")
+    text = replace(text, r"```(?:json)?"i => "")
+    start, stop = findfirst('{', text), findlast('}', text)
+    if isnothing(start) || isnothing(stop) || stop <= start
+        return (nothing, ["no JSON object found"])
+    end
+
+    value = try
+        to_plain(JSON3.read(text[start:stop]))
     catch e
-        @warn "Failed to process LLM response: $e"
-        return Dict("success" => false, "error" => string(e))
+        return (nothing, ["invalid JSON: $(sprint(showerror, e))"])
     end
+
+    errors = validate_analysis(value)
+    return (isempty(errors) ? value : nothing, errors)
 end
 
+json_type(value) = value isa AbstractString ? "string" :
+    value isa Bool ? "boolean" :
+    value isa Real ? "number" :
+    value isa AbstractVector ? "array" :
+    value isa AbstractDict ? "object" :
+    isnothing(value) ? "null" : string(typeof(value))
+
+matches_type(value, type) = type == "integer" ?
+    (value isa Real && !(value isa Bool) && isfinite(value) && isinteger(value)) :
+    json_type(value) == type
+
 """
-Extract specific section from LLM response
+Check `value` against a JSON Schema. Port of `validate` in shared/schema.js,
+with the same keywords and messages, so both sides report an answer's
+problems alike. Returns a list of problems, empty when the value is valid.
 """
-function extract_section(response::String, section_name::String)
-    try
-        lines = split(response, '\n')
-        in_section = false
-        section_text = ""
-        
-        for line in lines
-            if contains(uppercase(line), uppercase(section_name))
-                in_section = true
-                continue
-            elseif in_section && startswith(line, r"^\d+\.|[A-Z]+ [A-Z]+")
-                break
-            elseif in_section
-                section_text *= line * " "
-            end
+function validate_schema(schema::AbstractDict, value, path::String="")
+    at(message) = "$(isempty(path) ? "value" : path): $message"
+
+    if haskey(schema, "type")
+        types = schema["type"] isa AbstractVector ? schema["type"] : [schema["type"]]
+        if !any(type -> matches_type(value, type), types)
+            return [at("must be " * join([(occursin(r"^[aeiou]", type) ? "an " : "a ") * type for type in types], " or "))]
         end
-        
-        return strip(section_text)
-    catch e
-        return "Analysis section unavailable"
     end
-end
 
-"""
-Extract list items from LLM response
-"""
-function extract_list_section(response::String, section_name::String)
-    try
-        lines = split(response, '\n')
-        in_section = false
-        items = String[]
-        
-        for line in lines
-            if contains(uppercase(line), uppercase(section_name))
-                in_section = true
-                continue
-            elseif in_section && startswith(line, r"^\d+\.|[A-Z]+ [A-Z]+")
-                break
-            elseif in_section && (startswith(line, "-") || startswith(line, "•"))
-                push!(items, strip(line[2:end]))
+    if haskey(schema, "enum") && !any(option -> isequal(option, value), schema["enum"])
+        return [at("must be one of " * join(JSON3.write.(schema["enum"]), ", "))]
+    end
+
+    errors = String[]
+
+    if value isa AbstractString
+        min_length, max_length = get(schema, "minLength", nothing), get(schema, "maxLength", nothing)
+        if !isnothing(min_length) && length(value) < min_length
+            push!(errors, at(min_length == 1 ? "must not be empty" : "must be at least $min_length characters"))
+        end
+        if !isnothing(max_length) && length(value) > max_length
+            push!(errors, at("must be at most $max_length characters"))
+        end
+        if haskey(schema, "pattern") && !occursin(Regex(schema["pattern"]), value)
+            push!(errors, at("has an invalid format"))
+        end
+    elseif value isa Real && !(value isa Bool)
+        low, high = get(schema, "minimum", nothing), get(schema, "maximum", nothing)
+        !isnothing(low) && value < low && push!(errors, at("must be at least $low"))
+        !isnothing(high) && value > high && push!(errors, at("must be at most $high"))
+    elseif value isa AbstractVector
+        min_items, max_items = get(schema, "minItems", nothing), get(schema, "maxItems", nothing)
+        if !isnothing(min_items) && length(value) < min_items
+            push!(errors, at("must have at least $min_items item$(min_items == 1 ? "" : "s")"))
+        end
+        if !isnothing(max_items) && length(value) > max_items
+            push!(errors, at("must have at most $max_items items"))
+        end
+        if haskey(schema, "items")
+            for (i, item) in enumerate(value)
+                append!(errors, validate_schema(schema["items"], item, "$path[$(i - 1)]"))
             end
         end
-        
-        return isempty(items) ? ["Market volatility", "Low liquidity", "Regulatory uncertainty"] : items
-    catch e
-        return ["Analysis unavailable"]
-    end
-end
+    elseif value isa AbstractDict && (haskey(schema, "properties") || haskey(schema, "required"))
+        properties = get(schema, "properties", Dict{String, Any}())
+        child(key) = isempty(path) ? key : "$path.$key"
 
-"""
-Extract confidence score from LLM response
-"""
-function extract_confidence(response::String)
-    try
-        confidence_match = match(r"confidence.*?(\d{1,3})", lowercase(response))
-        return confidence_match !== nothing ? parse(Int, confidence_match.captures[1]) : 70
-    catch e
-        return 70
+        for key in get(schema, "required", [])
+            haskey(value, key) || push!(errors, "$(child(key)): missing")
+        end
+        for (key, property) in properties
+            haskey(value, key) && append!(errors, validate_schema(property, value[key], child(key)))
+        end
+        if get(schema, "additionalProperties", true) === false
+            for key in keys(value)
+                haskey(properties, key) || push!(errors, "$(child(key)): is not allowed")
+            end
+        end
     end
+
+    return errors
 end
 
 """
-Extract data quality score
+Check a parsed answer against ANALYSIS_SCHEMA. Returns a list of
+problems, empty when the answer is valid.
 """
-function extract_data_quality(response::String)
-    try
-        quality_match = match(r"quality.*?(\d{1,3})", lowercase(response))
-        return quality_match !== nothing ? parse(Int, quality_match.captures[1]) : 75
-    catch e
-        return 75
-    end
-end
+validate_analysis(value) = validate_schema(ANALYSIS_SCHEMA, value)
 
 """
-Determine overall market sentiment
+Turn a schema-valid answer into the analysis used by the price predictor
 """
-function determine_market_sentiment(response::String)
-    response_lower = lowercase(response)
-    
-    bullish_indicators = ["bullish", "positive", "growth", "increasing", "strong", "optimistic"]
-    bearish_indicators = ["bearish", "negative", "decline", "decreasing", "weak", "pessimistic"]
-    
-    bullish_count = sum([contains(response_lower, indicator) for indicator in bullish_indicators])
-    bearish_count = sum([contains(response_lower, indicator) for indicator in bearish_indicators])
-    
-    if bullish_count > bearish_count
-        return "bullish"
-    elseif bearish_count > bullish_count
-        return "bearish"
-    else
-        return "neutral"
-    end
+function process_llm_response(analysis::Dict)
+    return Dict(
+        "market_outlook" => analysis["market_outlook"],
+        "sentiment_analysis" => analysis["sentiment_analysis"],
+        "risk_factors" => analysis["risk_factors"],
+        "bullish_factors" => analysis["bullish_factors"],
+        "confidence_score" => Int(analysis["confidence_score"]),
+        "data_quality" => Int(analysis["data_quality"]),
+        "reasoning_steps" => analysis["reasoning_steps"],
+        "market_sentiment" => analysis["market_sentiment"],
+        "ai_reasoning" => analysis["market_outlook"] * "\n\n" * analysis["sentiment_analysis"]
+    )
 end
 
 """
@@ -329,7 +363,8 @@ function rule_based_analysis(data::Dict)
         "data_quality" => 70,
         "reasoning_steps" => generate_reasoning_steps("", data),
         "market_sentiment" => sentiment_score > 0.6 ? "bullish" : sentiment_score < 0.4 ? "bearish" : "neutral",
-        "ai_reasoning" => "Analysis generated using rule-based fallback due to LLM unavailability."
+        "ai_reasoning" => "Analysis generated using rule-based fallback because no LLM returned a valid analysis.",
+        "analysis_status" => "rule_based"
     )
 end
 
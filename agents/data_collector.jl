@@ -9,6 +9,7 @@ include("src/JuliaOS.jl")
 using .JuliaOS
 using HTTP
 using JSON3
+using Random
 
 # Agent configuration
  DATA_COLLECTOR_CONFIG = Dict(
@@ -25,16 +26,36 @@ using JSON3
 # Initialize agent
 agent = JuliaOS.create_agent(DATA_COLLECTOR_CONFIG)
 
+# Provider endpoints per chain. `alchemy` is the Alchemy network subdomain
+# (nothing when Alchemy does not serve the chain's NFT/RPC APIs) and `opensea`
+# the chain identifier used in OpenSea v2 URLs.
+const CHAIN_ENDPOINTS = Dict(
+    "ethereum" => Dict("alchemy" => "eth-mainnet", "opensea" => "ethereum"),
+    "polygon" => Dict("alchemy" => "polygon-mainnet", "opensea" => "matic"),
+    "base" => Dict("alchemy" => "base-mainnet", "opensea" => "base"),
+    "arbitrum" => Dict("alchemy" => "arb-mainnet", "opensea" => "arbitrum"),
+    "solana" => Dict("alchemy" => nothing, "opensea" => "solana")
+)
+
+"""
+Look up the provider endpoints for a chain
+"""
+function chain_endpoints(chain::String)
+    haskey(CHAIN_ENDPOINTS, chain) || error("Unsupported chain: $chain")
+    return CHAIN_ENDPOINTS[chain]
+end
+
 """
 Collect comprehensive data for an NFT collection
 """
-function collect_collection_data(collection_address::String)
+function collect_collection_data(collection_address::String; chain::String = "ethereum")
     try
-        @info "Starting data collection for $collection_address"
+        @info "Starting data collection for $collection_address on $chain"
         
         # Initialize data structure
         data = Dict(
             "collection_address" => collection_address,
+            "chain" => chain,
             "timestamp" => now(),
             "sources" => Dict(),
             "metadata" => Dict(),
@@ -43,15 +64,16 @@ function collect_collection_data(collection_address::String)
         )
         
         # Collect from multiple sources with fallbacks
-        data["sources"]["opensea"] = collect_opensea_data(collection_address)
-        data["sources"]["alchemy"] = collect_alchemy_data(collection_address)
-        data["sources"]["onchain"] = collect_onchain_data(collection_address)
+        data["sources"]["opensea"] = collect_opensea_data(collection_address; chain = chain)
+        data["sources"]["alchemy"] = collect_alchemy_data(collection_address; chain = chain)
+        data["sources"]["onchain"] = collect_onchain_data(collection_address; chain = chain)
         data["sources"]["social"] = collect_social_data(collection_address)
         
         # Aggregate and clean data
         data["metadata"] = aggregate_metadata(data["sources"])
         data["market_data"] = aggregate_market_data(data["sources"])
         data["social_data"] = aggregate_social_data(data["sources"])
+        data["provenance"] = source_provenance(data)
         
         @info "Data collection completed successfully"
         return Dict("success" => true, "data" => data)
@@ -65,7 +87,7 @@ end
 """
 Collect data from OpenSea API (v2)
 """
-function collect_opensea_data(collection_address::String)
+function collect_opensea_data(collection_address::String; chain::String = "ethereum")
     try
         # Special case for CryptoPunks, which has a different API structure
         if collection_address == "0xb47e3cd837dDF8e4c57F05d70Ab865de6e193BBB"
@@ -83,7 +105,8 @@ function collect_opensea_data(collection_address::String)
         
         # --- Step 1: Get the collection slug from the contract address ---
         # The v2 API uses a 'slug' to identify collections, not the contract address.
-        slug_url = "https://api.opensea.io/api/v2/chain/ethereum/contract/$(collection_address)/nfts"
+        opensea_chain = chain_endpoints(chain)["opensea"]
+        slug_url = "https://api.opensea.io/api/v2/chain/$(opensea_chain)/contract/$(collection_address)/nfts"
         slug_response = HTTP.get(slug_url, headers=headers)
         
         collection_slug = ""
@@ -132,10 +155,15 @@ end
 """
 Collect data from Alchemy NFT API (free tier)
 """
-function collect_alchemy_data(collection_address::String)
+function collect_alchemy_data(collection_address::String; chain::String = "ethereum")
     try
+        network = chain_endpoints(chain)["alchemy"]
+        if isnothing(network)
+            return Dict("error" => "Alchemy NFT API does not support $chain")
+        end
+
         api_key = get(ENV, "ALCHEMY_API_KEY", "")
-        base_url = "https://eth-mainnet.g.alchemy.com/nft/v2/$api_key"
+        base_url = "https://$(network).g.alchemy.com/nft/v2/$api_key"
         
         alchemy_data = Dict("source" => "alchemy")
 
@@ -184,12 +212,17 @@ function collect_alchemy_data(collection_address::String)
 end
 
 """
-Collect onchain data using ETH RPC
+Collect onchain data using the chain's EVM RPC
 """
-function collect_onchain_data(collection_address::String)
+function collect_onchain_data(collection_address::String; chain::String = "ethereum")
     try
-        # Use Alchemy or Infura for ETH RPC calls
-        rpc_url = "https://eth-mainnet.g.alchemy.com/v2/$(get(ENV, "ALCHEMY_API_KEY", ""))"
+        network = chain_endpoints(chain)["alchemy"]
+        if isnothing(network)
+            return Dict("error" => "Onchain data is only collected for EVM chains")
+        end
+
+        # Use Alchemy or Infura for EVM RPC calls
+        rpc_url = "https://$(network).g.alchemy.com/v2/$(get(ENV, "ALCHEMY_API_KEY", ""))"
         
         # Get contract balance and transaction count
         balance_payload = Dict(
@@ -228,14 +261,19 @@ Collect social sentiment data
 """
 function collect_social_data(collection_address::String)
     try
-        # For demo purposes, return mock social data
-        # In production, would integrate with Twitter API, Discord, etc.
+        # No social data provider is integrated yet (Twitter API, Discord, etc.).
+        # Demo mode returns fixtures seeded by the collection address.
+        if !demo_mode()
+            return Dict("error" => "No social data source configured", "source" => "none")
+        end
+
+        rng = MersenneTwister(sum(Int, codeunits(lowercase(collection_address))))
         return Dict(
-            "twitter_mentions" => rand(100:1000),
-            "sentiment_score" => rand(0.0:0.01:1.0),
-            "social_volume_24h" => rand(50:500),
-            "influencer_mentions" => rand(0:10),
-            "source" => "social_mock"
+            "twitter_mentions" => rand(rng, 100:1000),
+            "sentiment_score" => rand(rng, 0.0:0.01:1.0),
+            "social_volume_24h" => rand(rng, 50:500),
+            "influencer_mentions" => rand(rng, 0:10),
+            "source" => "social_demo"
         )
         
     catch e
@@ -244,6 +282,31 @@ function collect_social_data(collection_address::String)
     end
 end
 
+"""
+Whether DEMO_MODE is enabled (seeded fixtures instead of unavailable sources)
+"""
+demo_mode() = lowercase(get(ENV, "DEMO_MODE", "false")) in ("1", "true")
+
+"""
+Report which parts of the collected data are real or synthetic
+"""
+function source_provenance(data::Dict)
+    sources = data["sources"]
+    provenance = Dict{String, String}()
+
+    if any(s -> haskey(sources, s) && !haskey(sources[s], "error"), ["alchemy", "opensea"])
+        provenance["metadata"] = "real"
+    end
+    if !isnothing(get(data["market_data"], "floor_price", nothing))
+        provenance["market_data"] = "real"
+    end
+    if get(get(sources, "social", Dict()), "source", "") == "social_demo"
+        provenance["social_data"] = "synthetic"
+    end
+
+    return provenance
+end
+
 """
 Aggregate metadata from multiple sources
 """
@@ -299,7 +362,7 @@ Aggregate social data from multiple sources
 function aggregate_social_data(sources::Dict)
     social_data = Dict()
     
-    if haskey(sources, "social")
+    if haskey(sources, "social") && !haskey(sources["social"], "error")
         social = sources["social"]
         social_data["twitter_mentions"] = get(social, "twitter_mentions", 0)
         social_data["sentiment_score"] = get(social, "sentiment_score", 0.5)
@@ -27,17 +27,23 @@ coordinator = JuliaOS.create_agent(SWARM_COORDINATOR_CONFIG)
 
 """
 Execute complete NFT price prediction pipeline
+
+`chain` selects the network the collection lives on (see `CHAIN_ENDPOINTS`).
+`on_stage(stage, summary)` is called after each stage finishes so callers
+(the backend worker) can report progress while the pipeline runs.
 """
-function execute_prediction_pipeline(collection_address::String)
+function execute_prediction_pipeline(collection_address::String; chain::String = "ethereum", on_stage::Function = (stage, summary) -> nothing)
     pipeline_start = now()
     
+
     try
-        @info "Starting prediction pipeline for $collection_address"
+        @info "Starting prediction pipeline for $collection_address on $chain"
         
         # Initialize result structure
         result = Dict(
             "success" => false,
             "collection_address" => collection_address,
+            "chain" => chain,
             "timestamp" => pipeline_start,
             "processing_stages" => Dict(),
             "errors" => String[],
@@ -46,8 +52,9 @@ function execute_prediction_pipeline(collection_address::String)
         
         # Stage 1: Data Collection
         @info "Stage 1: Executing data collection"
-        data_result = execute_with_retry(() -> collect_collection_data(collection_address), 3)
+        data_result = execute_with_retry(() -> collect_collection_data(collection_address; chain = chain), 3)
         result["processing_stages"]["data_collection"] = data_result
+        notify_stage(on_stage, "data_collection", data_result)
         
         if !data_result["success"]
             push!(result["errors"], "Data collection failed: $(data_result["error"])")
@@ -60,6 +67,7 @@ function execute_prediction_pipeline(collection_address::String)
         @info "Stage 2: Executing AI analysis"
         analysis_result = execute_with_retry(() -> analyze_collection(collection_data), 2)
         result["processing_stages"]["ai_analysis"] = analysis_result
+        notify_stage(on_stage, "ai_analysis", analysis_result)
         
         if !analysis_result["success"]
             push!(result["errors"], "AI analysis failed: $(analysis_result["error"])")
@@ -74,6 +82,7 @@ function execute_prediction_pipeline(collection_address::String)
             () -> predict_prices(collection_data["market_data"], ai_analysis), 2
         )
         result["processing_stages"]["price_prediction"] = prediction_result
+        notify_stage(on_stage, "price_prediction", prediction_result)
         
         if !prediction_result["success"]
             push!(result["errors"], "Price prediction failed: $(prediction_result["error"])")
@@ -83,6 +92,7 @@ function execute_prediction_pipeline(collection_address::String)
         # Stage 4: Risk Assessment
         @info "Stage 4: Executing risk assessment"
         risk_factors = assess_risks(collection_data["market_data"], ai_analysis)
+        notify_stage(on_stage, "risk_assessment", Dict("success" => true, "risk_factors" => risk_factors))
         
         # Compile final result
         result["success"] = true
@@ -92,6 +102,11 @@ function execute_prediction_pipeline(collection_address::String)
             prediction_result,
             risk_factors
         )
+        analysis_provenance = get(ai_analysis, "analysis_status", "rule_based") == "rule_based" ? "rule_based" : "real"
+        result["data_provenance"] = merge(
+            get(collection_data, "provenance", Dict()),
+            Dict("analysis" => analysis_provenance, "prediction" => "real")
+        )
         
         processing_time = (now() - pipeline_start).value / 1000  # Convert to seconds
         result["processing_time"] = processing_time
@@ -107,6 +122,39 @@ function execute_prediction_pipeline(collection_address::String)
     end
 end
 
+"""
+Report a finished stage with a compact summary of its partial results
+"""
+function notify_stage(on_stage::Function, stage::String, stage_result::Dict)
+    try
+        summary = Dict{String, Any}("success" => get(stage_result, "success", false))
+        if haskey(stage_result, "error")
+            summary["error"] = string(stage_result["error"])
+        end
+
+        if stage == "data_collection" && summary["success"]
+            data = stage_result["data"]
+            summary["metadata"] = get(data, "metadata", Dict())
+            summary["market_data"] = get(data, "market_data", Dict())
+        elseif stage == "ai_analysis" && summary["success"]
+            analysis = stage_result["analysis"]
+            summary["market_sentiment"] = get(analysis, "market_sentiment", "neutral")
+            summary["confidence_score"] = get(analysis, "confidence_score", 0)
+            summary["reasoning_steps"] = get(analysis, "reasoning_steps", [])
+            summary["analysis_status"] = get(analysis, "analysis_status", "rule_based")
+        elseif stage == "price_prediction" && summary["success"]
+            summary["predictions"] = get(stage_result, "predictions", Dict())
+            summary["overall_confidence"] = get(stage_result, "overall_confidence", 0)
+        elseif stage == "risk_assessment"
+            summary["risk_factors"] = get(stage_result, "risk_factors", [])
+        end
+
+        on_stage(stage, summary)
+    catch e
+        @warn "Stage notification failed for $stage: $e"
+    end
+end
+
 """
 Execute function with retry logic
 """
@@ -136,6 +184,7 @@ function compile_final_result(collection_data::Dict, ai_analysis::Dict, predicti
     collection_info = Dict(
         "name" => get(metadata, "name", "Unknown Collection"),
         "address" => get(collection_data, "collection_address", ""),
+        "chain" => get(collection_data, "chain", "ethereum"),
         "description" => get(metadata, "description", ""),
         "image" => get(metadata, "image", ""),
         "floor_price" => get(market_data, "floor_price", 0),
@@ -152,7 +201,15 @@ function compile_final_result(collection_data::Dict, ai_analysis::Dict, predicti
         "risk_factors" => risk_factors,
         "market_sentiment" => get(ai_analysis, "market_sentiment", "neutral"),
         "confidence_score" => get(prediction_result, "overall_confidence", 50),
-        "data_quality" => get(ai_analysis, "data_quality", 70)
+        "data_quality" => get(ai_analysis, "data_quality", 70),
+        "analysis_status" => get(ai_analysis, "analysis_status", "rule_based"),
+        # Validated again by the backend, which strips it from the result
+        "llm_analysis" => get(ai_analysis, "llm_analysis", nothing),
+        "model" => Dict(
+            "engine" => "julia",
+            "llm_provider" => get(ai_analysis, "llm_provider", nothing),
+            "llm_model" => get(ai_analysis, "llm_model", nothing)
+        )
     )
 end
 
@@ -191,28 +248,35 @@ function get_agent_health()
 end
 
 """
-Search NFT collections (mock implementation)
+Search NFT collections on a chain
+
+Matches against a static catalog of well-known collections (names and
+contract addresses only; market data comes from the prediction pipeline).
 """
-function search_collections(query::String)
-    # Mock collection database
+function search_collections(query::String; chain::String = "ethereum")
+    # Static collection catalog
     collections = [
-        Dict("name" => "Bored Ape Yacht Club", "address" => "0xBC4CA0EdA7647A8aB7C2061c2E118A18a936f13D", "floor_price" => 12.5),
-        Dict("name" => "CryptoPunks", "address" => "0xb47e3cd837dDF8e4c57F05d70Ab865de6e193BBB", "floor_price" => 45.2),
-        Dict("name" => "Mutant Ape Yacht Club", "address" => "0x60E4d786628Fea6478F785A6d7e704777c86a7c6", "floor_price" => 3.8),
-        Dict("name" => "Azuki", "address" => "0xED5AF388653567Af2F388E6224dC7C4b3241C544", "floor_price" => 8.9),
-        Dict("name" => "CloneX", "address" => "0x49cF6f5d44E70224e2E23fDcdd2C053F30aDA28B", "floor_price" => 2.1),
-        Dict("name" => "Doodles", "address" => "0x8a90CAb2b38dba80c64b7734e58Ee1dB38B8992e", "floor_price" => 1.8),
-        Dict("name" => "World of Women", "address" => "0xe785E82358879F061BC3dcAC6f0444462D4b5330", "floor_price" => 0.9)
+        Dict("name" => "Bored Ape Yacht Club", "address" => "0xBC4CA0EdA7647A8aB7C2061c2E118A18a936f13D"),
+        Dict("name" => "CryptoPunks", "address" => "0xb47e3cd837dDF8e4c57F05d70Ab865de6e193BBB"),
+        Dict("name" => "Mutant Ape Yacht Club", "address" => "0x60E4d786628Fea6478F785A6d7e704777c86a7c6"),
+        Dict("name" => "Azuki", "address" => "0xED5AF388653567Af2F388E6224dC7C4b3241C544"),
+        Dict("name" => "CloneX", "address" => "0x49cF6f5d44E70224e2E23fDcdd2C053F30aDA28B"),
+        Dict("name" => "Doodles", "address" => "0x8a90CAb2b38dba80c64b7734e58Ee1dB38B8992e"),
+        Dict("name" => "World of Women", "address" => "0xe785E82358879F061BC3dcAC6f0444462D4b5330"),
+        Dict("name" => "Aavegotchi", "address" => "0x86935F11C86623deC8a25696E1C19a8659CbF95d", "chain" => "polygon"),
+        Dict("name" => "Mad Lads", "address" => "J1S9H3QjnRtBbbuD4HjPV6RpRhwuk4zKbxsnCHuTgh9w", "chain" => "solana")
     ]
     
     query_lower = lowercase(query)
     results = filter(c -> 
-        contains(lowercase(c["name"]), query_lower) || 
-        contains(lowercase(c["address"]), query_lower), 
+        get(c, "chain", "ethereum") == chain && (
+            contains(lowercase(c["name"]), query_lower) || 
+            contains(lowercase(c["address"]), query_lower)
+        ), 
         collections
     )
     
-    return results
+    return [merge(c, Dict("chain" => chain)) for c in results]
 end
 
 # Export main functions for backend integration
@@ -0,0 +1,162 @@
+"""
+JuliaOS Worker
+
+Fixed entrypoint for running the agents. Request parameters are only ever
+passed as JSON data, never interpolated into Julia code.
+
+Long-lived worker process driven by the Node backend's JuliaWorkerPool.
+The swarm coordinator is loaded once at startup; afterwards the worker
+serves line-delimited JSON requests read from stdin and writes exactly one
+JSON line per message to the protocol channel.
+
+Request:  {"id": "...", "method": "predict", "params": {...}, "request_id": "..."}
+Progress: {"id": "...", "type": "stage", "stage": "ai_analysis", "data": {...}}
+Response: {"id": "...", "type": "result", "result": ...}
+          {"id": "...", "type": "error", "error": "..."}
+
+The protocol channel is the file descriptor named by JULIA_PROTOCOL_FD (the
+backend passes 3), or the original stdout when it is not set. Nothing else
+is written to it: stdout is redirected to stderr, so output printed by the
+agents or by packages can never be mistaken for a protocol message.
+
+One-shot mode handles a single request, taken from the argument after
+`--once` or read from stdin, then exits (status 1 when it failed):
+
+    julia --project=. worker.jl --once '{"method": "search", "params": {"query": "azuki"}}'
+
+Logs are written to stderr as one JSON object per line
+({"time", "level", "msg", "module", ...}). While a request is handled its
+`request_id` is added to every line, so agent logs can be correlated with
+the API request that triggered them.
+"""
+
+using JSON3
+using Logging
+using Dates
+
+# Open the protocol channel before redirecting stdout: a duplicate of the real
+# stdout keeps pointing at it once file descriptor 1 is sent to stderr
+const PROTOCOL_OUT = haskey(ENV, "JULIA_PROTOCOL_FD") ?
+    Base.fdio(parse(Int, ENV["JULIA_PROTOCOL_FD"])) :
+    Base.fdio(ccall(:dup, Cint, (Cint,), 1), true)
+redirect_stdout(stderr)
+
+const LOG_LEVELS = Dict("debug" => Logging.Debug, "info" => Logging.Info, "warn" => Logging.Warn, "error" => Logging.Error)
+
+"""
+Logger writing one JSON object per line, tagged with the current request ID
+"""
+struct JSONLogger <: AbstractLogger
+    io::IO
+    min_level::LogLevel
+    request_id::Union{String, Nothing}
+end
+
+JSONLogger(request_id = nothing) = JSONLogger(stderr, get(LOG_LEVELS, lowercase(get(ENV, "LOG_LEVEL", "info")), Logging.Info), request_id)
+
+Logging.min_enabled_level(logger::JSONLogger) = logger.min_level
+Logging.shouldlog(logger::JSONLogger, level, _module, group, id) = true
+Logging.catch_exceptions(logger::JSONLogger) = true
+
+function Logging.handle_message(logger::JSONLogger, level, message, _module, group, id, file, line; kwargs...)
+    entry = Dict{String, Any}(
+        "time" => string(now(UTC)) * "Z",
+        "level" => level >= Logging.Error ? "error" : level >= Logging.Warn ? "warn" : level >= Logging.Info ? "info" : "debug",
+        "msg" => string(message),
+        "module" => string(_module)
+    )
+    if !isnothing(logger.request_id)
+        entry["request_id"] = logger.request_id
+    end
+    for (key, value) in kwargs
+        entry[string(key)] = value isa Exception ? sprint(showerror, value) : string(value)
+    end
+
+    println(logger.io, JSON3.write(entry))
+    flush(logger.io)
+end
+
+global_logger(JSONLogger())
+
+include("swarm_coordinator.jl")
+
+"""
+Write a single protocol message to the Node side
+"""
+function write_message(message::Dict)
+    println(PROTOCOL_OUT, JSON3.write(message))
+    flush(PROTOCOL_OUT)
+end
+
+"""
+Methods the worker exposes to the backend
+"""
+const WORKER_METHODS = Dict{String, Function}(
+    "predict" => (id, params) -> execute_prediction_pipeline(
+        String(params["collection_address"]);
+        chain = String(get(params, "chain", "ethereum")),
+        on_stage = (stage, summary) -> write_message(Dict("id" => id, "type" => "stage", "stage" => stage, "data" => summary))
+    ),
+    "search" => (id, params) -> search_collections(String(params["query"]); chain = String(get(params, "chain", "ethereum"))),
+    "health" => (id, params) -> get_agent_health(),
+    "ping" => (id, params) -> "pong"
+)
+
+"""
+Handle one request line and write its response. Returns whether the
+request succeeded.
+"""
+function handle_request(line::AbstractString)
+    id = nothing
+    request_id = nothing
+    try
+        request = JSON3.read(line, Dict{String, Any})
+        id = get(request, "id", nothing)
+        method = get(request, "method", "")
+        params = something(get(request, "params", nothing), Dict{String, Any}())
+        if !isnothing(get(request, "request_id", nothing))
+            request_id = string(request["request_id"])
+        end
+
+        handler = get(WORKER_METHODS, method, nothing)
+        if isnothing(handler)
+            error("Unknown worker method: $method")
+        end
+
+        result = with_logger(() -> handler(id, params), JSONLogger(request_id))
+        write_message(Dict("id" => id, "type" => "result", "result" => result))
+        return true
+    catch e
+        with_logger(() -> (@error "Worker request failed: $e"), JSONLogger(request_id))
+        write_message(Dict("id" => id, "type" => "error", "error" => sprint(showerror, e)))
+        return false
+    end
+end
+
+"""
+Serve requests until stdin is closed
+"""
+function run_worker()
+    write_message(Dict("type" => "ready", "pid" => getpid()))
+
+    while !eof(stdin)
+        line = readline(stdin)
+        isempty(strip(line)) && continue
+        handle_request(line)
+    end
+end
+
+"""
+Handle the single request given after `--once`, or read from stdin
+"""
+function run_once()
+    index = findfirst(==("--once"), ARGS)
+    line = index < length(ARGS) ? ARGS[index + 1] : read(stdin, String)
+    exit(handle_request(line) ? 0 : 1)
+end
+
+if "--once" in ARGS
+    run_once()
+else
+    run_worker()
+end
@@ -1,17 +1,33 @@
+// Load environment variables before any service reads them at import time
+import 'dotenv/config';
 import express from 'express';
 import cors from 'cors';
 import helmet from 'helmet';
-import morgan from 'morgan';
-import dotenv from 'dotenv';
 import { fileURLToPath } from 'url';
 import { dirname, join } from 'path';
 
 // Import routes
 import predictRoutes from './routes/predict.js';
+import adminRoutes from './routes/admin.js';
+import collectionRoutes from './routes/collections.js';
+import accuracyRoutes from './routes/accuracy.js';
+import watchlistRoutes from './routes/watchlists.js';
+import webhookRoutes from './routes/webhooks.js';
+import probeRoutes from './routes/probes.js';
 import { corsMiddleware } from './middleware/cors.js';
-
-// Load environment variables
-dotenv.config();
+import { assignRequestId, bindRequestContext } from './middleware/requestId.js';
+import { recordHttpMetrics } from './middleware/metrics.js';
+import { authenticateApiKey } from './middleware/apiKeyAuth.js';
+import { errorHandler, sendError } from './middleware/errors.js';
+import { ApiError } from './services/apiErrors.js';
+import { juliaService } from './services/juliaService.js';
+import { predictionHistoryService } from './services/predictionHistoryService.js';
+import { watchlistService } from './services/watchlistService.js';
+import { webhookService } from './services/webhookService.js';
+import { readinessService } from './services/readinessService.js';
+import { storage } from './storage/index.js';
+import { logger } from './logging/index.js';
+import { registry } from './metrics/index.js';
 
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = dirname(__filename);
@@ -35,12 +51,14 @@ app.use(helmet({
 // CORS middleware
 app.use(corsMiddleware);
 
-// Logging middleware
-app.use(morgan('combined'));
+// Request ID, request logging and metrics middleware
+app.use(assignRequestId);
+app.use(recordHttpMetrics);
 
 // Body parsing middleware
 app.use(express.json({ limit: '10mb' }));
 app.use(express.urlencoded({ extended: true, limit: '10mb' }));
+app.use(bindRequestContext);
 
 // Health check endpoint
 app.get('/health', (req, res) => {
@@ -53,51 +71,76 @@ app.get('/health', (req, res) => {
   });
 });
 
+// Liveness and readiness probes
+app.use(probeRoutes);
+
+// Prometheus metrics
+app.get('/metrics', async (req, res) => {
+  try {
+    res.set('Content-Type', registry.contentType);
+    res.end(await registry.metrics());
+  } catch (error) {
+    logger.error('Metrics endpoint error', { error });
+    res.status(500).end();
+  }
+});
+
 // API routes
+app.use('/api', authenticateApiKey);
+app.use('/api/admin', adminRoutes);
 app.use('/api', predictRoutes);
+app.use('/api', collectionRoutes);
+app.use('/api', accuracyRoutes);
+app.use('/api', watchlistRoutes);
+app.use('/api', webhookRoutes);
 
 // 404 handler
 app.use('*', (req, res) => {
-  res.status(404).json({
-    success: false,
-    message: 'Endpoint not found',
-    timestamp: new Date().toISOString()
-  });
+  sendError(res, new ApiError('NOT_FOUND', { message: 'Endpoint not found' }));
 });
 
 // Global error handler
-app.use((error, req, res, next) => {
-  console.error('Global error handler:', error);
-  
-  res.status(error.status || 500).json({
-    success: false,
-    message: error.message || 'Internal server error',
-    timestamp: new Date().toISOString(),
-    ...(process.env.NODE_ENV === 'development' && { stack: error.stack })
-  });
-});
+app.use(errorHandler);
 
 // Graceful shutdown
 process.on('SIGTERM', () => {
-  console.log('SIGTERM received, shutting down gracefully');
+  logger.info('SIGTERM received, shutting down gracefully');
+  juliaService.shutdown();
+  predictionHistoryService.stopEvaluator();
+  watchlistService.stopScheduler();
+  webhookService.stopDispatcher();
+  readinessService.stop();
+  storage.close();
   server.close(() => {
-    console.log('Process terminated');
+    logger.info('Process terminated');
   });
 });
 
 process.on('SIGINT', () => {
-  console.log('SIGINT received, shutting down gracefully');
+  logger.info('SIGINT received, shutting down gracefully');
+  juliaService.shutdown();
+  predictionHistoryService.stopEvaluator();
+  watchlistService.stopScheduler();
+  webhookService.stopDispatcher();
+  readinessService.stop();
+  storage.close();
   server.close(() => {
-    console.log('Process terminated');
+    logger.info('Process terminated');
   });
 });
 
 // Start server
 const server = app.listen(PORT, () => {
-  console.log(`🚀 JuliaOS NFT Predictor Backend running on port ${PORT}`);
-  console.log(`📊 Environment: ${process.env.NODE_ENV || 'development'}`);
-  console.log(`🔗 Health check: http://localhost:${PORT}/health`);
-  console.log(`🧠 AI Provider: ${process.env.DEFAULT_LLM_PROVIDER || 'openrouter'}`);
+  logger.info('JuliaOS NFT Predictor Backend started', {
+    port: Number(PORT),
+    environment: process.env.NODE_ENV || 'development',
+    health_check: `http://localhost:${PORT}/health`,
+    ai_provider: process.env.DEFAULT_LLM_PROVIDER || 'openrouter'
+  });
+  predictionHistoryService.startEvaluator();
+  watchlistService.startScheduler();
+  webhookService.startDispatcher();
+  readinessService.start();
 });
 
 export default app;
\ No newline at end of file
@@ -0,0 +1,78 @@
+/**
+ * Supported chains and the provider endpoints used for each.
+ *
+ * `alchemy` is the Alchemy network subdomain (null when Alchemy's NFT API
+ * does not cover the chain), `opensea` the chain identifier used in
+ * OpenSea v2 URLs and `moralis` the Moralis EVM API chain (null when the
+ * chain is not served by it). The Alchemy NFT API base URL can be
+ * overridden per chain with ALCHEMY_NFT_URL_<CHAIN> (e.g.
+ * ALCHEMY_NFT_URL_POLYGON).
+ */
+export const CHAINS = {
+  ethereum: {
+    id: 'ethereum',
+    name: 'Ethereum',
+    type: 'evm',
+    currency: 'ETH',
+    alchemy: 'eth-mainnet',
+    opensea: 'ethereum',
+    moralis: 'eth'
+  },
+  polygon: {
+    id: 'polygon',
+    name: 'Polygon',
+    type: 'evm',
+    currency: 'POL',
+    alchemy: 'polygon-mainnet',
+    opensea: 'matic',
+    moralis: 'polygon'
+  },
+  base: {
+    id: 'base',
+    name: 'Base',
+    type: 'evm',
+    currency: 'ETH',
+    alchemy: 'base-mainnet',
+    opensea: 'base',
+    moralis: 'base'
+  },
+  arbitrum: {
+    id: 'arbitrum',
+    name: 'Arbitrum',
+    type: 'evm',
+    currency: 'ETH',
+    alchemy: 'arb-mainnet',
+    opensea: 'arbitrum',
+    moralis: 'arbitrum'
+  },
+  solana: {
+    id: 'solana',
+    name: 'Solana',
+    type: 'solana',
+    currency: 'SOL',
+    alchemy: null,
+    opensea: 'solana',
+    moralis: null
+  }
+};
+
+export const DEFAULT_CHAIN = 'ethereum';
+
+export const SUPPORTED_CHAINS = Object.keys(CHAINS);
+
+/**
+ * Look up a chain by id, or null when it is not supported
+ */
+export function getChain(chainId = DEFAULT_CHAIN) {
+  return CHAINS[String(chainId).toLowerCase()] || null;
+}
+
+/**
+ * Alchemy NFT API base URL for a chain (without the API key)
+ */
+export function getAlchemyNftUrl(chain) {
+  const override = process.env[`ALCHEMY_NFT_URL_${chain.id.toUpperCase()}`];
+  if (override) return override;
+  return chain.alchemy ? `https://${chain.alchemy}.g.alchemy.com/nft/v2` : null;
+}
+
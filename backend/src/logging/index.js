@@ -0,0 +1,125 @@
+import { AsyncLocalStorage } from 'async_hooks';
+import { randomBytes } from 'crypto';
+
+const LEVELS = { debug: 10, info: 20, warn: 30, error: 40 };
+
+const context = new AsyncLocalStorage();
+
+/**
+ * Run `fn` with a logging context (request ID, current span) that every log
+ * line written inside it, including from awaited calls, picks up
+ */
+export function runWithContext(values, fn) {
+  return context.run({ ...context.getStore(), ...values }, fn);
+}
+
+/**
+ * Correlation ID of the request being handled, if any
+ */
+export function getRequestId() {
+  return context.getStore()?.requestId ?? null;
+}
+
+const serialize = (value) => {
+  if (!(value instanceof Error)) return value;
+  return {
+    name: value.name,
+    message: value.message,
+    ...(value.code && { code: value.code }),
+    ...(value.status && { status: value.status }),
+    stack: value.stack
+  };
+};
+
+/**
+ * Structured logger writing one JSON object per line.
+ *
+ * Lines below LOG_LEVEL (debug, info, warn, error; default info) are
+ * dropped. The request ID and span of the current context are added
+ * automatically.
+ */
+export class Logger {
+  constructor(bindings = {}, level = process.env.LOG_LEVEL) {
+    this.bindings = bindings;
+    this.level = LEVELS[level] ? level : 'info';
+  }
+
+  /**
+   * Logger that adds `bindings` to every line
+   */
+  child(bindings) {
+    return new Logger({ ...this.bindings, ...bindings }, this.level);
+  }
+
+  isEnabled(level) {
+    return LEVELS[level] >= LEVELS[this.level];
+  }
+
+  debug(message, fields) {
+    this.write('debug', message, fields);
+  }
+
+  info(message, fields) {
+    this.write('info', message, fields);
+  }
+
+  warn(message, fields) {
+    this.write('warn', message, fields);
+  }
+
+  error(message, fields) {
+    this.write('error', message, fields);
+  }
+
+  write(level, message, fields = {}) {
+    if (!this.isEnabled(level)) return;
+
+    const store = context.getStore();
+    const entry = {
+      time: new Date().toISOString(),
+      level,
+      msg: message,
+      ...(store?.requestId && { request_id: store.requestId }),
+      ...(store?.spanId && { span_id: store.spanId }),
+      ...this.bindings
+    };
+    for (const [key, value] of Object.entries(fields)) {
+      if (value !== undefined) entry[key] = serialize(value);
+    }
+
+    const stream = LEVELS[level] >= LEVELS.warn ? process.stderr : process.stdout;
+    stream.write(JSON.stringify(entry) + '\n');
+  }
+}
+
+export const logger = new Logger();
+
+/**
+ * Time `fn` as a named span. One line is logged when it settles, with its
+ * duration and outcome; spans started inside it record it as their parent.
+ */
+export async function withSpan(name, attributes, fn) {
+  const parentSpanId = context.getStore()?.spanId;
+  const spanId = randomBytes(8).toString('hex');
+  const started = process.hrtime.bigint();
+  const elapsed = () => Number((process.hrtime.bigint() - started) / 1000n) / 1000;
+
+  return runWithContext({ spanId }, async () => {
+    try {
+      const result = await fn();
+      logger.info('span', { span: name, parent_span_id: parentSpanId, ...attributes, duration_ms: elapsed(), status: 'ok' });
+      return result;
+    } catch (error) {
+      logger.warn('span', {
+        span: name,
+        parent_span_id: parentSpanId,
+        ...attributes,
+        duration_ms: elapsed(),
+        status: 'error',
+        error: error.message,
+        ...(error.code && { error_code: error.code })
+      });
+      throw error;
+    }
+  });
+}
@@ -0,0 +1,202 @@
+import client from 'prom-client';
+import { apiKeyService } from '../services/apiKeyService.js';
+import { predictionCache } from '../services/predictionCache.js';
+import { providerScheduler } from '../services/providerScheduler.js';
+
+/**
+ * Prometheus registry served by `GET /metrics`.
+ *
+ * Counters that mirror state kept elsewhere (provider usage, cache stats)
+ * are filled in at scrape time by their `collect` hooks.
+ */
+export const registry = new client.Registry();
+
+client.collectDefaultMetrics({ register: registry });
+
+export const httpRequestsTotal = new client.Counter({
+  name: 'http_requests_total',
+  help: 'HTTP requests by route and status code',
+  labelNames: ['method', 'route', 'status'],
+  registers: [registry]
+});
+
+export const httpRequestDuration = new client.Histogram({
+  name: 'http_request_duration_seconds',
+  help: 'HTTP request latency by route',
+  labelNames: ['method', 'route', 'status'],
+  buckets: [0.005, 0.01, 0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10, 30, 60, 120],
+  registers: [registry]
+});
+
+export const predictionStageDuration = new client.Histogram({
+  name: 'prediction_stage_duration_seconds',
+  help: 'Time spent in each prediction pipeline stage',
+  labelNames: ['stage'],
+  buckets: [0.1, 0.5, 1, 2.5, 5, 10, 30, 60, 120],
+  registers: [registry]
+});
+
+export const predictionPipelineDuration = new client.Histogram({
+  name: 'prediction_pipeline_duration_seconds',
+  help: 'Total prediction pipeline duration by engine and outcome',
+  labelNames: ['engine', 'outcome'],
+  buckets: [0.5, 1, 2.5, 5, 10, 30, 60, 120, 180],
+  registers: [registry]
+});
+
+export const juliaWorkerSpawns = new client.Counter({
+  name: 'julia_worker_spawns_total',
+  help: 'Julia worker processes spawned, including restarts',
+  registers: [registry]
+});
+
+export const juliaWorkerFailures = new client.Counter({
+  name: 'julia_worker_failures_total',
+  help: 'Julia worker processes that exited unexpectedly or failed to start',
+  labelNames: ['reason'],
+  registers: [registry]
+});
+
+export const juliaJobsTotal = new client.Counter({
+  name: 'julia_jobs_total',
+  help: 'Jobs run on the Julia worker pool by method and result (ok or error code)',
+  labelNames: ['method', 'result'],
+  registers: [registry]
+});
+
+export const rateLimitRejections = new client.Counter({
+  name: 'rate_limit_rejections_total',
+  help: 'Requests rejected with 429 by limiter and client tier',
+  labelNames: ['limiter', 'tier'],
+  registers: [registry]
+});
+
+export const alertsFired = new client.Counter({
+  name: 'alerts_fired_total',
+  help: 'Watchlist alerts fired by rule type',
+  labelNames: ['rule'],
+  registers: [registry]
+});
+
+export const alertDeliveries = new client.Counter({
+  name: 'alert_deliveries_total',
+  help: 'Alert deliveries by notifier and result (ok or error)',
+  labelNames: ['notifier', 'result'],
+  registers: [registry]
+});
+
+export const webhookDeliveryAttempts = new client.Counter({
+  name: 'webhook_delivery_attempts_total',
+  help: 'Webhook delivery attempts by event type and result (delivered, retrying or failed)',
+  labelNames: ['event', 'result'],
+  registers: [registry]
+});
+
+/**
+ * Counter mirroring one field of ApiKeyService.usage (requests or errors).
+ * Usage resets monthly, which Prometheus treats as a counter reset.
+ */
+const providerUsageCounter = (name, help, field) => new client.Counter({
+  name,
+  help,
+  labelNames: ['category', 'provider'],
+  registers: [registry],
+  collect() {
+    this.reset();
+    for (const [key, usage] of apiKeyService.usage) {
+      const [category, provider] = key.split('.');
+      this.inc({ category, provider }, usage[field]);
+    }
+  }
+});
+
+providerUsageCounter('provider_requests_total', 'Requests made to external providers', 'requests');
+providerUsageCounter('provider_errors_total', 'Failed requests to external providers', 'errors');
+
+new client.Counter({
+  name: 'llm_tokens_total',
+  help: 'LLM tokens used per provider, by type (prompt or completion); reset monthly with the usage quotas',
+  labelNames: ['provider', 'type'],
+  registers: [registry],
+  collect() {
+    this.reset();
+    for (const [key, usage] of apiKeyService.usage) {
+      const [category, provider] = key.split('.');
+      if (category !== 'ai_llm') continue;
+      this.inc({ provider, type: 'prompt' }, usage.promptTokens || 0);
+      this.inc({ provider, type: 'completion' }, usage.completionTokens || 0);
+    }
+  }
+});
+
+const CIRCUIT_STATES = { closed: 0, half_open: 1, open: 2 };
+
+new client.Gauge({
+  name: 'provider_circuit_state',
+  help: 'Provider circuit breaker state (0 closed, 1 half-open, 2 open)',
+  labelNames: ['category', 'provider'],
+  registers: [registry],
+  collect() {
+    for (const [key, breaker] of apiKeyService.breakers) {
+      const [category, provider] = key.split('.');
+      this.set({ category, provider }, CIRCUIT_STATES[breaker.getState().state]);
+    }
+  }
+});
+
+new client.Gauge({
+  name: 'provider_queue_depth',
+  help: 'Provider calls waiting for a token or slot, by priority lane',
+  labelNames: ['provider', 'lane'],
+  registers: [registry],
+  collect() {
+    for (const [provider, status] of Object.entries(providerScheduler.getStatus())) {
+      for (const [lane, depth] of Object.entries(status.queued)) {
+        this.set({ provider, lane }, depth);
+      }
+    }
+  }
+});
+
+/**
+ * Counter mirroring one field of the provider scheduler stats
+ */
+const schedulerCounter = (name, help, field) => new client.Counter({
+  name,
+  help,
+  labelNames: ['provider'],
+  registers: [registry],
+  collect() {
+    this.reset();
+    for (const [provider, status] of Object.entries(providerScheduler.getStatus())) {
+      this.inc({ provider }, status[field]);
+    }
+  }
+});
+
+schedulerCounter('provider_throttled_total', 'Provider responses with status 429', 'throttled');
+schedulerCounter('provider_retries_total', 'Provider calls retried after a 429 or 5xx response', 'retries');
+schedulerCounter('provider_rejected_total', 'Provider calls rejected because their queue was full', 'rejected');
+
+new client.Counter({
+  name: 'prediction_cache_lookups_total',
+  help: 'Prediction cache lookups by result',
+  labelNames: ['result'],
+  registers: [registry],
+  collect() {
+    const { hits, stale_hits: staleHits, misses } = predictionCache.getStats();
+    this.reset();
+    this.inc({ result: 'hit' }, hits);
+    this.inc({ result: 'stale_hit' }, staleHits);
+    this.inc({ result: 'miss' }, misses);
+  }
+});
+
+new client.Gauge({
+  name: 'prediction_cache_hit_ratio',
+  help: 'Share of prediction cache lookups served from cache, fresh or stale',
+  registers: [registry],
+  collect() {
+    this.set(predictionCache.getStats().hit_ratio);
+  }
+});
@@ -0,0 +1,89 @@
+import { clientKeyService } from '../services/clientKeyService.js';
+import { ApiError } from '../services/apiErrors.js';
+import { sendError } from './errors.js';
+
+const isKeyRequired = () => ['1', 'true'].includes(String(process.env.REQUIRE_API_KEY).toLowerCase());
+
+const reject = (res, code, message) => sendError(res, new ApiError(code, { message }));
+
+/**
+ * Single-use token standing in for the key on `GET /predict/stream`, since
+ * EventSource cannot send headers. Other routes only take `X-API-Key`.
+ */
+const getStreamToken = (req) => (
+  req.method === 'GET' && req.path === '/predict/stream' ? req.query.stream_token : undefined
+);
+
+/**
+ * Authenticate the caller's API key (or stream token) and count the request
+ * against its quota.
+ *
+ * The key is attached as `req.apiKey`. Requests without a key are only
+ * rejected when REQUIRE_API_KEY is enabled; invalid or revoked keys are
+ * always rejected.
+ */
+export const authenticateApiKey = async (req, res, next) => {
+  const presentedKey = req.get('X-API-Key');
+  const streamToken = presentedKey ? undefined : getStreamToken(req);
+
+  if (!presentedKey && !streamToken) {
+    if (isKeyRequired()) {
+      return reject(res, 'API_KEY_REQUIRED', 'API key required');
+    }
+    return next();
+  }
+
+  try {
+    const apiKey = presentedKey
+      ? await clientKeyService.authenticate(presentedKey)
+      : await clientKeyService.redeemStreamToken(streamToken);
+    if (!apiKey) {
+      return reject(res, 'INVALID_API_KEY', presentedKey
+        ? 'Invalid or revoked API key'
+        : 'Invalid, used or expired stream token');
+    }
+
+    const { allowed, retryAfter } = await clientKeyService.recordUsage(apiKey.id);
+    if (!allowed) {
+      res.set('Retry-After', String(retryAfter));
+      return reject(res, 'QUOTA_EXCEEDED', 'API key quota exceeded');
+    }
+
+    req.apiKey = apiKey;
+    next();
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Require the caller's key to grant `scope`. Anonymous callers pass unless
+ * keys are required or the scope is `admin`.
+ */
+export const requireScope = (scope) => (req, res, next) => {
+  if (!req.apiKey) {
+    if (scope === 'admin' || isKeyRequired()) {
+      return reject(res, 'API_KEY_REQUIRED', 'API key required');
+    }
+    return next();
+  }
+
+  if (!clientKeyService.hasScope(req.apiKey, scope)) {
+    return reject(res, 'INSUFFICIENT_SCOPE', `API key lacks the '${scope}' scope`);
+  }
+
+  next();
+};
+
+/**
+ * Reject anonymous callers even when keys are optional, for resources that
+ * belong to the caller's key
+ */
+export const requireApiKey = (req, res, next) => {
+  if (!req.apiKey) {
+    return reject(res, 'API_KEY_REQUIRED', 'API key required');
+  }
+  next();
+};
+
+export default authenticateApiKey;
@@ -33,9 +33,19 @@ const corsOptions = {
     'Content-Type',
     'Accept',
     'Authorization',
-    'X-API-Key'
+    'X-API-Key',
+    'X-Request-Id'
+  ],
+  exposedHeaders: [
+    'X-Total-Count',
+    'X-Rate-Limit-Remaining',
+    'RateLimit-Policy',
+    'RateLimit-Limit',
+    'RateLimit-Remaining',
+    'RateLimit-Reset',
+    'Retry-After',
+    'X-Request-Id'
   ],
-  exposedHeaders: ['X-Total-Count', 'X-Rate-Limit-Remaining'],
   maxAge: 86400 // 24 hours
 };
 
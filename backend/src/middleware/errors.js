@@ -0,0 +1,34 @@
+import { toApiError, toErrorBody } from '../services/apiErrors.js';
+import { logger } from '../logging/index.js';
+
+const log = logger.child({ module: 'errors' });
+
+/**
+ * Send a failed response for `error` (see toApiError):
+ * `{ success: false, message, error: { code, message, details, retryable }, timestamp }`.
+ * The top-level `message` is kept for older clients.
+ */
+export function sendError(res, error, options) {
+  const apiError = toApiError(error, options);
+  const body = toErrorBody(apiError);
+
+  return res.status(apiError.status).json({
+    success: false,
+    message: body.message,
+    error: body,
+    timestamp: new Date().toISOString()
+  });
+}
+
+/**
+ * Express error handler for errors passed to `next()` or thrown by routes
+ */
+export const errorHandler = (error, req, res, next) => {
+  if (res.headersSent) return next(error);
+
+  const apiError = toApiError(error);
+  if (apiError.status >= 500) {
+    log.error('Unhandled request error', { request_id: req.id, error });
+  }
+  sendError(res, apiError);
+};
@@ -0,0 +1,23 @@
+import { httpRequestDuration, httpRequestsTotal } from '../metrics/index.js';
+
+/**
+ * Record request count and latency per route. Routes are labelled with
+ * their Express path pattern (e.g. `/api/predict/jobs/:id`) so label
+ * cardinality stays bounded; requests that never reach a route handler
+ * are labelled `unmatched`.
+ */
+export const recordHttpMetrics = (req, res, next) => {
+  const stopTimer = httpRequestDuration.startTimer();
+
+  res.on('close', () => {
+    const labels = {
+      method: req.method,
+      route: req.route ? `${req.baseUrl}${req.route.path}` : 'unmatched',
+      status: String(res.statusCode)
+    };
+    httpRequestsTotal.inc(labels);
+    stopTimer(labels);
+  });
+
+  next();
+};
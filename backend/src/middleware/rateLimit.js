@@ -0,0 +1,127 @@
+import { namespace } from '../storage/index.js';
+import { rateLimitRejections } from '../metrics/index.js';
+import { ApiError } from '../services/apiErrors.js';
+import { sendError } from './errors.js';
+
+// Token buckets per limiter and client, persisted so they survive restarts
+const bucketStore = namespace('ratelimit');
+
+const DEFAULT_WINDOW_MS = parseInt(process.env.RATE_LIMIT_WINDOW_MS || '900000'); // 15 minutes
+const DEFAULT_MAX_REQUESTS = parseInt(process.env.RATE_LIMIT_MAX_REQUESTS || '100');
+const API_KEY_MULTIPLIER = parseFloat(process.env.RATE_LIMIT_API_KEY_MULTIPLIER || '10');
+
+/**
+ * Resolve the caller's tier and bucket id. Callers authenticated with an API
+ * key (`req.apiKey`, see apiKeyAuth.js) get their own bucket regardless of IP
+ * address.
+ */
+export const identifyClient = (req) => {
+  if (req.apiKey) {
+    return { tier: 'api_key', id: `key:${req.apiKey.id}` };
+  }
+
+  return { tier: 'anonymous', id: `ip:${req.ip}` };
+};
+
+/**
+ * Refill a bucket for the time elapsed since it was last touched
+ */
+const refill = (bucket, policy, now) => {
+  if (!bucket) {
+    return { tokens: policy.maxRequests, updatedAt: now };
+  }
+
+  const rate = policy.maxRequests / policy.windowMs; // tokens per ms
+  const tokens = Math.min(policy.maxRequests, bucket.tokens + (now - bucket.updatedAt) * rate);
+  return { tokens, updatedAt: now };
+};
+
+/**
+ * Set the IETF `RateLimit-*` headers plus the legacy `X-Rate-Limit-Remaining`
+ */
+const setRateLimitHeaders = (res, policy, bucket) => {
+  const rate = policy.maxRequests / policy.windowMs;
+  const remaining = Math.floor(bucket.tokens);
+  const resetSeconds = Math.ceil((policy.maxRequests - bucket.tokens) / rate / 1000);
+
+  res.set('RateLimit-Policy', `${policy.maxRequests};w=${Math.ceil(policy.windowMs / 1000)}`);
+  res.set('RateLimit-Limit', String(policy.maxRequests));
+  res.set('RateLimit-Remaining', String(remaining));
+  res.set('RateLimit-Reset', String(resetSeconds));
+  res.set('X-Rate-Limit-Remaining', String(remaining));
+};
+
+/**
+ * Create a token-bucket rate limiting middleware.
+ *
+ * Each client starts with `maxRequests` tokens; every request spends one
+ * (or `cost(req)`, capped at `maxRequests`) and tokens refill continuously so
+ * a full bucket is restored after `windowMs`. Limiters with different names
+ * keep separate buckets, so routes can be limited independently, while
+ * limiters sharing a name share them. `tiers.api_key` overrides the quota for callers
+ * authenticated with an API key (defaults to `maxRequests` times
+ * RATE_LIMIT_API_KEY_MULTIPLIER).
+ */
+export function createRateLimiter({
+  name = 'api',
+  windowMs = DEFAULT_WINDOW_MS,
+  maxRequests = DEFAULT_MAX_REQUESTS,
+  tiers = {},
+  cost = () => 1
+} = {}) {
+  const policies = {
+    anonymous: { windowMs, maxRequests, ...tiers.anonymous },
+    api_key: { windowMs, maxRequests: Math.ceil(maxRequests * API_KEY_MULTIPLIER), ...tiers.api_key }
+  };
+
+  return async (req, res, next) => {
+    // In development, we can bypass the rate limiter for easier testing.
+    if (process.env.NODE_ENV === 'development') {
+      return next();
+    }
+
+    const client = identifyClient(req);
+    const policy = policies[client.tier];
+    const now = Date.now();
+    const tokens = Math.min(Math.max(1, cost(req)), policy.maxRequests);
+
+    try {
+      let limited = false;
+      const bucket = await bucketStore.update(`${name}:${client.id}`, (current) => {
+        const refilled = refill(current, policy, now);
+        if (refilled.tokens < tokens) {
+          limited = true;
+          return refilled;
+        }
+        return { ...refilled, tokens: refilled.tokens - tokens };
+      }, { ttlMs: policy.windowMs });
+
+      setRateLimitHeaders(res, policy, bucket);
+
+      if (limited) {
+        const rate = policy.maxRequests / policy.windowMs;
+        const retryAfter = Math.max(1, Math.ceil((tokens - bucket.tokens) / rate / 1000));
+
+        res.set('Retry-After', String(retryAfter));
+        rateLimitRejections.inc({ limiter: name, tier: client.tier });
+        return sendError(res, new ApiError('RATE_LIMITED', {
+          message: 'Too many requests. Please try again later.',
+          details: { retry_after: retryAfter }
+        }));
+      }
+
+      next();
+    } catch (error) {
+      next(error);
+    }
+  };
+}
+
+/**
+ * Count clients currently holding a rate limit bucket
+ */
+export async function getActiveClientCount() {
+  return (await bucketStore.entries()).length;
+}
+
+export default createRateLimiter;
@@ -0,0 +1,46 @@
+import { randomUUID } from 'crypto';
+import { logger, runWithContext } from '../logging/index.js';
+
+// Accept caller-supplied IDs only if they are safe to echo and log
+const VALID_REQUEST_ID = /^[\w.:-]{1,128}$/;
+
+// Stream tokens (and keys sent as ?api_key= by mistake) are redacted from logged URLs
+const redactUrl = (url) => url.replace(/([?&](?:api_key|stream_token)=)[^&]*/g, '$1[redacted]');
+
+/**
+ * Assign each request a correlation ID, taken from its `X-Request-Id`
+ * header or generated, echo it back and log the request once the response
+ * is done
+ */
+export const assignRequestId = (req, res, next) => {
+  const incoming = req.get('X-Request-Id');
+  req.id = incoming && VALID_REQUEST_ID.test(incoming) ? incoming : randomUUID();
+  res.set('X-Request-Id', req.id);
+
+  const started = process.hrtime.bigint();
+  res.on('close', () => {
+    const durationMs = Number((process.hrtime.bigint() - started) / 1000n) / 1000;
+    runWithContext({ requestId: req.id }, () => {
+      logger.info('request', {
+        method: req.method,
+        url: redactUrl(req.originalUrl || req.url),
+        status: res.statusCode,
+        duration_ms: durationMs,
+        ...(!res.writableFinished && { aborted: true }),
+        ip: req.ip,
+        user_agent: req.get('User-Agent')
+      });
+    });
+  });
+
+  next();
+};
+
+/**
+ * Make the request ID available to everything downstream (services, the
+ * Julia pool) through the logging context. Mounted after the body parsers,
+ * which do not preserve async context.
+ */
+export const bindRequestContext = (req, res, next) => {
+  runWithContext({ requestId: req.id }, next);
+};
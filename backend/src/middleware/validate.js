@@ -0,0 +1,36 @@
+import { API_ROUTES, CHAIN_IDS } from '../../../shared/api.js';
+import { validate } from '../../../shared/schema.js';
+import { ApiError } from '../services/apiErrors.js';
+import { sendError } from './errors.js';
+
+/**
+ * Validate a request's params, query string and body against the shared
+ * schema of `route` (a key of API_ROUTES, e.g. `POST /predict`) and reject
+ * it with VALIDATION_FAILED, or UNSUPPORTED_CHAIN for an unknown `chain`,
+ * listing every problem in `details.errors`.
+ */
+export const validateRequest = (route) => {
+  const schemas = API_ROUTES[route];
+  if (!schemas) {
+    throw new Error(`No schema for route ${route}`);
+  }
+
+  return (req, res, next) => {
+    const errors = ['params', 'query', 'body']
+      .filter(part => schemas[part])
+      .flatMap(part => validate(schemas[part], req[part] ?? {}));
+
+    if (errors.length === 0) return next();
+
+    if (errors.some(error => error.startsWith('chain:'))) {
+      return sendError(res, new ApiError('UNSUPPORTED_CHAIN', {
+        message: `Unsupported chain. Supported chains: ${CHAIN_IDS.join(', ')}`,
+        details: { errors }
+      }));
+    }
+    sendError(res, new ApiError('VALIDATION_FAILED', {
+      message: `Invalid request: ${errors.join('; ')}`,
+      details: { errors }
+    }));
+  };
+};
@@ -0,0 +1,39 @@
+import express from 'express';
+import { predictionHistoryService } from '../services/predictionHistoryService.js';
+import { requireScope } from '../middleware/apiKeyAuth.js';
+import { createRateLimiter } from '../middleware/rateLimit.js';
+import { validateRequest } from '../middleware/validate.js';
+import { sendError } from '../middleware/errors.js';
+import { PROVENANCE } from '../services/provenance.js';
+import { logger } from '../logging/index.js';
+
+const log = logger.child({ module: 'routes.accuracy' });
+
+const router = express.Router();
+
+const apiLimiter = createRateLimiter({ name: 'api' });
+
+/**
+ * GET /api/accuracy?collection=0x...&chain=ethereum&timeframe=24h&provider=openrouter
+ * Backtested accuracy of stored predictions against realized floor prices,
+ * overall and broken down by timeframe, LLM provider and collection
+ */
+router.get('/accuracy', requireScope('search'), apiLimiter, validateRequest('GET /accuracy'), async (req, res) => {
+  const { collection, chain, timeframe, provider } = req.query;
+
+  try {
+    const accuracy = await predictionHistoryService.getAccuracy({ collection, chain, timeframe, provider });
+
+    res.json({
+      success: true,
+      data: accuracy,
+      data_provenance: { prediction_history: PROVENANCE.REAL },
+      timestamp: new Date().toISOString()
+    });
+  } catch (error) {
+    log.error('Accuracy error', { error });
+    sendError(res, error, { fallbackMessage: 'Failed to compute prediction accuracy' });
+  }
+});
+
+export default router;
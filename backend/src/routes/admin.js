@@ -0,0 +1,102 @@
+import express from 'express';
+import { clientKeyService } from '../services/clientKeyService.js';
+import { requireScope } from '../middleware/apiKeyAuth.js';
+import { validateRequest } from '../middleware/validate.js';
+import { sendError } from '../middleware/errors.js';
+import { ApiError } from '../services/apiErrors.js';
+import { logger } from '../logging/index.js';
+
+const log = logger.child({ module: 'routes.admin' });
+
+const router = express.Router();
+
+router.use(requireScope('admin'));
+
+/**
+ * POST /api/admin/keys
+ * Issue a new API key. The full key is only returned in this response.
+ */
+router.post('/keys', validateRequest('POST /admin/keys'), async (req, res) => {
+  try {
+    const { name, scopes, quota } = req.body;
+    const { key, record } = await clientKeyService.createKey({ name, scopes, quota });
+
+    res.status(201).json({
+      success: true,
+      key,
+      data: record,
+      timestamp: new Date().toISOString()
+    });
+  } catch (error) {
+    log.error('Create API key error', { error });
+    sendError(res, error, { fallbackMessage: 'Failed to create API key' });
+  }
+});
+
+/**
+ * GET /api/admin/keys
+ * List issued keys with their scopes, quotas and usage
+ */
+router.get('/keys', async (req, res) => {
+  try {
+    const keys = await clientKeyService.listKeys();
+
+    res.json({
+      success: true,
+      data: keys,
+      total: keys.length,
+      timestamp: new Date().toISOString()
+    });
+  } catch (error) {
+    log.error('List API keys error', { error });
+    sendError(res, error, { fallbackMessage: 'Failed to list API keys' });
+  }
+});
+
+/**
+ * GET /api/admin/keys/:id
+ * Get a single key with its usage
+ */
+router.get('/keys/:id', validateRequest('GET /admin/keys/:id'), async (req, res) => {
+  try {
+    const key = await clientKeyService.getKey(req.params.id);
+
+    if (!key) {
+      return sendError(res, new ApiError('NOT_FOUND', { message: 'API key not found' }));
+    }
+
+    res.json({
+      success: true,
+      data: key,
+      timestamp: new Date().toISOString()
+    });
+  } catch (error) {
+    log.error('Get API key error', { error });
+    sendError(res, error, { fallbackMessage: 'Failed to get API key' });
+  }
+});
+
+/**
+ * DELETE /api/admin/keys/:id
+ * Revoke a key
+ */
+router.delete('/keys/:id', validateRequest('DELETE /admin/keys/:id'), async (req, res) => {
+  try {
+    const key = await clientKeyService.revokeKey(req.params.id);
+
+    if (!key) {
+      return sendError(res, new ApiError('NOT_FOUND', { message: 'API key not found' }));
+    }
+
+    res.json({
+      success: true,
+      data: key,
+      timestamp: new Date().toISOString()
+    });
+  } catch (error) {
+    log.error('Revoke API key error', { error });
+    sendError(res, error, { fallbackMessage: 'Failed to revoke API key' });
+  }
+});
+
+export default router;
@@ -0,0 +1,50 @@
+import express from 'express';
+import { nftService } from '../services/nftService.js';
+import { marketHistoryService } from '../services/marketHistoryService.js';
+import { requireScope } from '../middleware/apiKeyAuth.js';
+import { createRateLimiter } from '../middleware/rateLimit.js';
+import { validateRequest } from '../middleware/validate.js';
+import { sendError } from '../middleware/errors.js';
+import { ApiError } from '../services/apiErrors.js';
+import { DEFAULT_CHAIN, getChain } from '../config/chains.js';
+import { logger } from '../logging/index.js';
+
+const log = logger.child({ module: 'routes.collections' });
+
+const router = express.Router();
+
+const apiLimiter = createRateLimiter({ name: 'api' });
+
+/**
+ * GET /api/collections/:address/history?interval=1d&range=90d&chain=ethereum
+ * Floor price and volume series for the MarketData chart, with the latest
+ * cached 24h/7d/30d predictions appended as forward points
+ */
+router.get('/collections/:address/history', requireScope('search'), apiLimiter, validateRequest('GET /collections/:address/history'), async (req, res) => {
+  const chain = getChain(req.query.chain ?? DEFAULT_CHAIN);
+
+  if (!nftService.isValidAddress(req.params.address, chain.id)) {
+    return sendError(res, new ApiError('INVALID_ADDRESS', { message: `Invalid ${chain.name} address format` }));
+  }
+
+  try {
+    const address = nftService.normalizeAddress(req.params.address, chain.id);
+    const { data_provenance, ...history } = await marketHistoryService.getCollectionHistory(address, {
+      chain: chain.id,
+      interval: req.query.interval,
+      range: req.query.range
+    });
+
+    res.json({
+      success: true,
+      data: history,
+      data_provenance,
+      timestamp: new Date().toISOString()
+    });
+  } catch (error) {
+    log.error('Collection history error', { error });
+    sendError(res, error, { fallbackMessage: 'Failed to fetch collection history' });
+  }
+});
+
+export default router;
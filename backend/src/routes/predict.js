@@ -1,138 +1,540 @@
 import express from 'express';
+import multer from 'multer';
 import { juliaService } from '../services/juliaService.js';
 import { nftService } from '../services/nftService.js';
 import { apiKeyService } from '../services/apiKeyService.js';
+import { jobService } from '../services/jobService.js';
+import { comparisonService } from '../services/comparisonService.js';
+import { batchService, parseAddressCsv } from '../services/batchService.js';
+import { predictionCache, predictionKey } from '../services/predictionCache.js';
+import { clientKeyService } from '../services/clientKeyService.js';
+import { PROVENANCE, predictionProvenance } from '../services/provenance.js';
+import { DEFAULT_CHAIN, getChain } from '../config/chains.js';
+import { createRateLimiter, getActiveClientCount, identifyClient } from '../middleware/rateLimit.js';
+import { requireApiKey, requireScope } from '../middleware/apiKeyAuth.js';
+import { validateRequest } from '../middleware/validate.js';
+import { sendError } from '../middleware/errors.js';
+import { ApiError, pipelineError } from '../services/apiErrors.js';
+import { logger } from '../logging/index.js';
+
+const log = logger.child({ module: 'routes.predict' });
 
 const router = express.Router();
 
-// Rate limiting store (in production, use Redis)
-const rateLimitStore = new Map();
-
-// Simple rate limiting middleware
-const rateLimit = (req, res, next) => {
-  // In development, we can bypass the rate limiter for easier testing.
-  if (process.env.NODE_ENV === 'development') {
-    return next();
-  }
-
-  const clientId = req.ip;
-  const now = Date.now();
-  const windowMs = 15 * 60 * 1000; // 15 minutes
-  const maxRequests = 10;
+// Prediction runs are expensive, so they get a tighter quota than other endpoints
+const PREDICT_MAX_REQUESTS = parseInt(process.env.RATE_LIMIT_PREDICT_MAX_REQUESTS || '10');
+const predictLimiter = createRateLimiter({ name: 'predict', maxRequests: PREDICT_MAX_REQUESTS });
+// Comparisons draw from the same bucket, one token per collection
+const compareLimiter = createRateLimiter({
+  name: 'predict',
+  maxRequests: PREDICT_MAX_REQUESTS,
+  cost: (req) => (Array.isArray(req.body?.collection_addresses) ? req.body.collection_addresses.length : 1)
+});
+// Batches too, one token per collection (see readBatchEntries)
+const batchLimiter = createRateLimiter({
+  name: 'predict',
+  maxRequests: PREDICT_MAX_REQUESTS,
+  cost: (req) => req.batchEntries?.length ?? 1
+});
+const apiLimiter = createRateLimiter({ name: 'api' });
 
-  if (!rateLimitStore.has(clientId)) {
-    rateLimitStore.set(clientId, { count: 1, resetTime: now + windowMs });
-    return next();
-  }
+// CSV imports for batch predictions, as a text/csv body or a multipart `file` upload
+const BATCH_UPLOAD_LIMIT_BYTES = parseInt(process.env.BATCH_UPLOAD_LIMIT_BYTES || String(1024 * 1024));
+const csvBody = express.text({ type: 'text/csv', limit: BATCH_UPLOAD_LIMIT_BYTES });
+const csvUpload = multer({ storage: multer.memoryStorage(), limits: { fileSize: BATCH_UPLOAD_LIMIT_BYTES, files: 1 } }).single('file');
 
-  const clientData = rateLimitStore.get(clientId);
-  
-  if (now > clientData.resetTime) {
-    rateLimitStore.set(clientId, { count: 1, resetTime: now + windowMs });
-    return next();
-  }
+/**
+ * Resolve the `chain` parameter from the body or query string (defaults to
+ * Ethereum). Requests are validated first, so the chain is supported.
+ */
+const getChainParam = (req) => getChain(req.body?.chain ?? req.query.chain ?? DEFAULT_CHAIN);
 
-  if (clientData.count >= maxRequests) {
-    return res.status(429).json({
-      success: false,
-      message: 'Too many requests. Please try again later.',
-      retryAfter: Math.ceil((clientData.resetTime - now) / 1000)
-    });
+/**
+ * Check that a collection address is valid on a chain, returning an
+ * INVALID_ADDRESS error when it is not
+ */
+const getAddressError = (collectionAddress, chain) => {
+  if (!nftService.isValidAddress(collectionAddress, chain.id)) {
+    return new ApiError('INVALID_ADDRESS', { message: `Invalid ${chain.name} address format` });
   }
-
-  clientData.count++;
-  next();
+  return null;
 };
 
+/**
+ * Whether the caller asked to bypass the prediction cache (?fresh=1)
+ */
+const wantsFresh = (req) => ['1', 'true'].includes(String(req.query.fresh));
+
 /**
  * POST /api/predict
- * Main prediction endpoint
+ * Main prediction endpoint. Results are served from the prediction cache
+ * unless `?fresh=1` is passed.
  */
-router.post('/predict', rateLimit, async (req, res) => {
+router.post('/predict', requireScope('predict'), predictLimiter, validateRequest('POST /predict'), async (req, res) => {
   try {
     const { collection_address } = req.body;
+    const chain = getChainParam(req);
 
-    // Validate input
-    if (!collection_address) {
-      return res.status(400).json({
-        success: false,
-        message: 'Collection address is required'
-      });
+    const addressError = getAddressError(collection_address, chain);
+    if (addressError) {
+      return sendError(res, addressError);
     }
 
-    // Validate Ethereum address format
-    if (!nftService.isValidAddress(collection_address)) {
-      return res.status(400).json({
-        success: false,
-        message: 'Invalid Ethereum address format'
-      });
-    }
+    const address = nftService.normalizeAddress(collection_address, chain.id);
+    log.info('Starting prediction', { collection: address, chain: chain.id });
 
-    console.log(`Starting prediction for collection: ${collection_address}`);
-
-    // Execute prediction pipeline using Julia agents
+    // Execute prediction pipeline using Julia agents (or serve it from cache)
     const startTime = Date.now();
-    const result = await juliaService.executePredictionPipeline(collection_address);
+    const { result, cached, age, cache } = await predictionCache.getOrCompute(
+      predictionKey(chain.id, address),
+      ({ onStage, signal }) => juliaService.executePredictionPipeline(address, { chain: chain.id, onStage, signal }),
+      { fresh: wantsFresh(req) }
+    );
     const processingTime = (Date.now() - startTime) / 1000;
 
     if (!result.success) {
-      return res.status(500).json({
-        success: false,
-        message: 'Prediction pipeline failed',
-        errors: result.errors,
-        timestamp: new Date().toISOString()
-      });
+      return sendError(res, pipelineError(result));
     }
 
     // Format response
     const response = {
       success: true,
       data: result.data,
+      data_provenance: predictionProvenance(result, cached),
       timestamp: new Date().toISOString(),
-      processing_time: processingTime
+      processing_time: processingTime,
+      cached,
+      age,
+      ...(cache && { cache })
     };
 
-    console.log(`Prediction completed in ${processingTime}s`);
+    log.info('Prediction completed', { collection: address, processing_time: processingTime, cached, age });
     res.json(response);
 
   } catch (error) {
-    console.error('Prediction endpoint error:', error);
-    res.status(500).json({
-      success: false,
-      message: 'Internal server error during prediction',
-      timestamp: new Date().toISOString()
+    log.error('Prediction endpoint error', { error });
+    sendError(res, error, { fallbackMessage: 'Internal server error during prediction' });
+  }
+});
+
+/**
+ * POST /api/predict/stream-token
+ * Single-use, short-lived token for opening /predict/stream with
+ * `?stream_token=`, so the API key itself never goes into a URL
+ */
+router.post('/predict/stream-token', requireApiKey, requireScope('predict'), apiLimiter, async (req, res) => {
+  try {
+    const { token, expires_in } = await clientKeyService.createStreamToken(req.apiKey);
+    res.json({ success: true, token, expires_in });
+  } catch (error) {
+    log.error('Stream token endpoint error', { error });
+    sendError(res, error, { fallbackMessage: 'Failed to issue stream token' });
+  }
+});
+
+/**
+ * GET /api/predict/stream?collection_address=0x...&stream_token=...
+ * Server-Sent Events stream of pipeline stages. Sends a `job` event first,
+ * a `stage` event (with partial results and agent errors) each time the
+ * swarm coordinator finishes a stage, and finally a `result` event carrying
+ * the full PredictionResponse or an `error` event.
+ */
+router.get('/predict/stream', requireScope('predict'), predictLimiter, validateRequest('GET /predict/stream'), (req, res) => {
+  const { collection_address } = req.query;
+  const chain = getChainParam(req);
+
+  const addressError = getAddressError(collection_address, chain);
+  if (addressError) {
+    return sendError(res, addressError);
+  }
+
+  res.set({
+    'Content-Type': 'text/event-stream',
+    'Cache-Control': 'no-cache',
+    'Connection': 'keep-alive',
+    'X-Accel-Buffering': 'no'
+  });
+  res.flushHeaders();
+
+  const send = (event, data) => {
+    res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+  };
+
+  const address = nftService.normalizeAddress(collection_address, chain.id);
+  const job = jobService.createPredictionJob(address, { chain: chain.id, fresh: wantsFresh(req) });
+  log.info('Streaming prediction job', { job_id: job.id, collection: address });
+  send('job', jobService.serialize(job));
+
+  const heartbeat = setInterval(() => res.write(': keep-alive\n\n'), 15000);
+
+  const onUpdate = (updated, stageEvent) => {
+    if (updated.id !== job.id) return;
+
+    if (stageEvent) {
+      const { stage, summary } = stageEvent;
+      send('stage', {
+        job_id: job.id,
+        stage,
+        status: job.stages[stage].status,
+        next_stage: job.stage,
+        progress: jobService.serialize(job).progress,
+        data: summary,
+        errors: summary?.error ? [summary.error] : []
+      });
+      return;
+    }
+
+    if (updated.status === 'completed') {
+      send('result', updated.result);
+    } else if (updated.status === 'failed' || updated.status === 'cancelled') {
+      send('error', {
+        job_id: job.id,
+        status: updated.status,
+        message: updated.error.message,
+        errors: updated.error.details?.errors || [],
+        error: updated.error
+      });
+    } else {
+      return;
+    }
+
+    finish();
+    res.end();
+  };
+
+  // The job keeps running if the client goes away; it can still be polled
+  // through GET /api/predictions/:id until it expires.
+  const finish = () => {
+    clearInterval(heartbeat);
+    jobService.off('update', onUpdate);
+  };
+
+  jobService.on('update', onUpdate);
+  req.on('close', finish);
+});
+
+/**
+ * Move an uploaded CSV out of the request body into `req.csv`, leaving the
+ * body with the form fields (or empty) so it can be validated like JSON
+ */
+const readBatchCsv = (req, res, next) => {
+  if (req.is('multipart/form-data')) {
+    return csvUpload(req, res, (error) => {
+      if (error) {
+        return sendError(res, new ApiError('VALIDATION_FAILED', { message: `Invalid upload: ${error.message}` }));
+      }
+      if (!req.file) {
+        return sendError(res, new ApiError('VALIDATION_FAILED', { message: 'Invalid upload: attach the CSV as the `file` field' }));
+      }
+      req.csv = req.file.buffer.toString('utf8');
+      next();
+    });
+  }
+
+  csvBody(req, res, (error) => {
+    if (error) return next(error);
+    if (typeof req.body === 'string') {
+      req.csv = req.body;
+      req.body = {};
+    }
+    next();
+  });
+};
+
+/**
+ * Batch entries from an uploaded CSV or a JSON body, each with a label for
+ * error messages. Entries without a chain use the request's `chain`.
+ */
+const getBatchEntries = (req) => {
+  const chain = getChainParam(req).id;
+
+  if (req.csv !== undefined) {
+    return parseAddressCsv(req.csv).map(({ collection_address, chain: rowChain, row }) => ({
+      collection_address,
+      chain: rowChain ?? chain,
+      label: `row ${row}`
+    }));
+  }
+
+  return [
+    ...(req.body.collection_addresses || []).map((collection_address, index) => ({
+      collection_address,
+      chain,
+      label: `collection_addresses[${index}]`
+    })),
+    ...(req.body.collections || []).map((item, index) => ({
+      collection_address: item.collection_address,
+      chain: item.chain ?? chain,
+      label: `collections[${index}]`
+    }))
+  ];
+};
+
+/**
+ * Read the batch entries into `req.batchEntries` so the rate limiter can
+ * charge for them
+ */
+const readBatchEntries = (req, res, next) => {
+  req.batchEntries = getBatchEntries(req);
+  next();
+};
+
+/**
+ * POST /api/predict/batch
+ * Queue predictions for a list of collections, given as JSON
+ * (`collection_addresses`, or `collections` with per-item chains) or as a CSV
+ * (text/csv body or multipart `file` upload). Takes one rate limit token per
+ * collection; items run in the background at BATCH_CONCURRENCY. Poll the
+ * batch for per-item progress and download the results when it completes.
+ */
+router.post('/predict/batch', requireScope('predict'), readBatchCsv, validateRequest('POST /predict/batch'), readBatchEntries, batchLimiter, (req, res) => {
+  try {
+    const batch = batchService.createBatch(req.batchEntries, {
+      fresh: wantsFresh(req),
+      client: identifyClient(req).id
     });
+
+    res.status(202)
+      .location(`${req.baseUrl}/predict/batch/${batch.id}`)
+      .json({
+        success: true,
+        batch: batchService.serialize(batch),
+        timestamp: new Date().toISOString()
+      });
+  } catch (error) {
+    log.error('Create batch error', { error });
+    sendError(res, error, { fallbackMessage: 'Failed to create batch' });
   }
 });
 
 /**
- * GET /api/search
- * Search NFT collections
+ * GET /api/predict/batch/:id
+ * Batch status with the status, stage and progress of every item
+ */
+router.get('/predict/batch/:id', requireScope('predict'), validateRequest('GET /predict/batch/:id'), (req, res) => {
+  const batch = batchService.getBatch(req.params.id);
+
+  if (!batch) {
+    return sendError(res, new ApiError('NOT_FOUND', { message: 'The batch was not found or has expired' }));
+  }
+
+  res.json({
+    success: true,
+    batch: batchService.serialize(batch),
+    timestamp: new Date().toISOString()
+  });
+});
+
+/**
+ * GET /api/predict/batch/:id/results?format=csv
+ * Download every item with its result as NDJSON (default) or CSV. Items
+ * that have not finished yet are included with their current status.
+ */
+router.get('/predict/batch/:id/results', requireScope('predict'), validateRequest('GET /predict/batch/:id/results'), (req, res) => {
+  const batch = batchService.getBatch(req.params.id);
+
+  if (!batch) {
+    return sendError(res, new ApiError('NOT_FOUND', { message: 'The batch was not found or has expired' }));
+  }
+
+  const format = req.query.format || 'ndjson';
+  res.set({
+    'Content-Type': format === 'csv' ? 'text/csv; charset=utf-8' : 'application/x-ndjson',
+    'Content-Disposition': `attachment; filename="batch-${batch.id}.${format}"`
+  });
+  res.send(batchService.exportResults(batch, format));
+});
+
+/**
+ * DELETE /api/predict/batch/:id
+ * Cancel a batch: queued items are dropped and running ones cancelled
+ */
+router.delete('/predict/batch/:id', requireScope('predict'), validateRequest('DELETE /predict/batch/:id'), (req, res) => {
+  const batch = batchService.getBatch(req.params.id);
+
+  if (!batch) {
+    return sendError(res, new ApiError('NOT_FOUND', { message: 'The batch was not found or has expired' }));
+  }
+
+  if (batchService.isFinished(batch)) {
+    return sendError(res, new ApiError('JOB_FINISHED', {
+      message: `Batch already ${batch.status}`,
+      details: { batch: batchService.serialize(batch) }
+    }));
+  }
+
+  batchService.cancelBatch(batch.id);
+
+  res.json({
+    success: true,
+    batch: batchService.serialize(batch),
+    timestamp: new Date().toISOString()
+  });
+});
+
+/**
+ * POST /api/predictions
+ * Start an asynchronous prediction job and return its id
  */
-router.get('/search', async (req, res) => {
+router.post('/predictions', requireScope('predict'), predictLimiter, validateRequest('POST /predictions'), (req, res) => {
   try {
-    const { q: query } = req.query;
+    const { collection_address } = req.body;
+    const chain = getChainParam(req);
 
-    if (!query || query.length < 2) {
-      return res.status(400).json({
-        success: false,
-        message: 'Query must be at least 2 characters long'
+    const addressError = getAddressError(collection_address, chain);
+    if (addressError) {
+      return sendError(res, addressError);
+    }
+
+    const address = nftService.normalizeAddress(collection_address, chain.id);
+    const job = jobService.createPredictionJob(address, { chain: chain.id, fresh: wantsFresh(req) });
+    log.info('Prediction job created', { job_id: job.id, collection: address });
+
+    res.status(202)
+      .location(`${req.baseUrl}/predictions/${job.id}`)
+      .json({
+        success: true,
+        job: jobService.serialize(job),
+        timestamp: new Date().toISOString()
       });
+  } catch (error) {
+    log.error('Create prediction job error', { error });
+    sendError(res, error, { fallbackMessage: 'Failed to create prediction job' });
+  }
+});
+
+/**
+ * GET /api/predictions/:id
+ * Report job status, current pipeline stage and the final result
+ */
+router.get('/predictions/:id', requireScope('predict'), validateRequest('GET /predictions/:id'), (req, res) => {
+  const job = jobService.getJob(req.params.id);
+
+  if (!job) {
+    return sendError(res, new ApiError('JOB_NOT_FOUND'));
+  }
+
+  res.json({
+    success: true,
+    job: jobService.serialize(job),
+    timestamp: new Date().toISOString()
+  });
+});
+
+/**
+ * DELETE /api/predictions/:id
+ * Cancel a running prediction job
+ */
+router.delete('/predictions/:id', requireScope('predict'), validateRequest('DELETE /predictions/:id'), (req, res) => {
+  const job = jobService.getJob(req.params.id);
+
+  if (!job) {
+    return sendError(res, new ApiError('JOB_NOT_FOUND'));
+  }
+
+  if (jobService.isFinished(job)) {
+    return sendError(res, new ApiError('JOB_FINISHED', {
+      message: `Prediction job already ${job.status}`,
+      details: { job: jobService.serialize(job) }
+    }));
+  }
+
+  jobService.cancelJob(job.id);
+
+  res.json({
+    success: true,
+    job: jobService.serialize(job),
+    timestamp: new Date().toISOString()
+  });
+});
+
+/**
+ * POST /api/compare
+ * Predict 2-5 collections on one chain concurrently and return their
+ * predictions, sentiment, risk factors and floor/volume metrics side by side
+ * with relative-strength rankings. Collections that fail are reported with
+ * their error; the request only fails when none could be predicted.
+ */
+router.post('/compare', requireScope('predict'), compareLimiter, validateRequest('POST /compare'), async (req, res) => {
+  try {
+    const chain = getChainParam(req);
+    const invalid = [];
+    const duplicates = [];
+    const addresses = [];
+
+    req.body.collection_addresses.forEach((collectionAddress, index) => {
+      if (!nftService.isValidAddress(collectionAddress, chain.id)) {
+        invalid.push(`collection_addresses[${index}]: invalid ${chain.name} address format`);
+        return;
+      }
+      const address = nftService.normalizeAddress(collectionAddress, chain.id);
+      if (addresses.includes(address)) {
+        duplicates.push(`collection_addresses[${index}]: duplicate of an earlier collection`);
+        return;
+      }
+      addresses.push(address);
+    });
+
+    if (invalid.length > 0) {
+      return sendError(res, new ApiError('INVALID_ADDRESS', {
+        message: `Invalid ${chain.name} address format`,
+        details: { errors: invalid }
+      }));
+    }
+    if (duplicates.length > 0) {
+      return sendError(res, new ApiError('VALIDATION_FAILED', {
+        message: `Invalid request: ${duplicates.join('; ')}`,
+        details: { errors: duplicates }
+      }));
     }
 
-    console.log(`Searching collections for: ${query}`);
+    log.info('Starting comparison', { collections: addresses, chain: chain.id });
 
-    const results = await juliaService.searchCollections(query);
-    
-    res.json(results);
+    const startTime = Date.now();
+    const comparison = await comparisonService.compare(addresses, { chain: chain.id, fresh: wantsFresh(req) });
+    const processingTime = (Date.now() - startTime) / 1000;
 
+    log.info('Comparison completed', {
+      compared: comparison.compared,
+      failed: comparison.failed,
+      processing_time: processingTime
+    });
+
+    res.json({
+      success: true,
+      data: comparison,
+      timestamp: new Date().toISOString(),
+      processing_time: processingTime
+    });
   } catch (error) {
-    console.error('Search endpoint error:', error);
-    res.status(500).json({
-      success: false,
-      message: 'Search failed',
+    log.error('Comparison endpoint error', { error });
+    sendError(res, error, { fallbackMessage: 'Internal server error during comparison' });
+  }
+});
+
+/**
+ * GET /api/search
+ * Search NFT collections
+ */
+router.get('/search', requireScope('search'), apiLimiter, validateRequest('GET /search'), async (req, res) => {
+  try {
+    const { q: query } = req.query;
+    const chain = getChainParam(req);
+
+    log.info('Searching collections', { query, chain: chain.id });
+
+    const { results, provenance } = await juliaService.searchCollections(query, chain.id);
+
+    res.json({
+      success: true,
+      data: results,
+      data_provenance: { search: provenance },
       timestamp: new Date().toISOString()
     });
+
+  } catch (error) {
+    log.error('Search endpoint error', { error });
+    sendError(res, error, { fallbackMessage: 'Search failed' });
   }
 });
 
@@ -142,19 +544,20 @@ router.get('/search', async (req, res) => {
  */
 router.get('/health', async (req, res) => {
   try {
-    console.log('Checking agent health status');
+    log.debug('Checking agent health status');
 
-    const agentStatus = await juliaService.getAgentHealth();
-    
-    res.json(agentStatus);
+    const { agents, provenance } = await juliaService.getAgentHealth();
 
-  } catch (error) {
-    console.error('Health check error:', error);
-    res.status(500).json({
-      success: false,
-      message: 'Health check failed',
+    res.json({
+      success: true,
+      data: agents,
+      data_provenance: { agents: provenance },
       timestamp: new Date().toISOString()
     });
+
+  } catch (error) {
+    log.error('Health check error', { error });
+    sendError(res, error, { fallbackMessage: 'Health check failed' });
   }
 });
 
@@ -172,12 +575,8 @@ router.get('/status', async (req, res) => {
 
     res.json(status);
   } catch (error) {
-    console.error('Status endpoint error:', error);
-    res.status(500).json({
-      success: false,
-      message: 'Failed to get status',
-      timestamp: new Date().toISOString()
-    });
+    log.error('Status endpoint error', { error });
+    sendError(res, error, { fallbackMessage: 'Failed to get status' });
   }
 });
 
@@ -190,12 +589,8 @@ router.get('/providers', async (req, res) => {
     const providers = apiKeyService.getAvailableProviders();
     res.json(providers);
   } catch (error) {
-    console.error('Providers endpoint error:', error);
-    res.status(500).json({
-      success: false,
-      message: 'Failed to get providers',
-      timestamp: new Date().toISOString()
-    });
+    log.error('Providers endpoint error', { error });
+    sendError(res, error, { fallbackMessage: 'Failed to get providers' });
   }
 });
 
@@ -203,58 +598,52 @@ router.get('/providers', async (req, res) => {
  * GET /api/stats
  * Get API usage statistics
  */
-router.get('/stats', (req, res) => {
+router.get('/stats', async (req, res) => {
   try {
     const stats = {
       uptime: process.uptime(),
       memory: process.memoryUsage(),
-      active_connections: rateLimitStore.size,
+      active_connections: await getActiveClientCount(),
       environment: process.env.NODE_ENV || 'development',
-      julia_status: 'active',
-      ai_providers: ['openrouter', 'huggingface', 'groq'],
+      julia_status: juliaService.isJuliaAvailable ? 'active' : 'unavailable',
+      prediction_cache: predictionCache.getStats(),
+      ai_providers: apiKeyService.getLLMProviders().map(provider => provider.name),
       timestamp: new Date().toISOString()
     };
 
     res.json(stats);
 
   } catch (error) {
-    console.error('Stats endpoint error:', error);
-    res.status(500).json({
-      success: false,
-      message: 'Failed to fetch stats',
-      timestamp: new Date().toISOString()
-    });
+    log.error('Stats endpoint error', { error });
+    sendError(res, error, { fallbackMessage: 'Failed to fetch stats' });
   }
 });
 
 /**
- * GET /api/opensea-stats/:slug
- * Fetch OpenSea stats for a given collection slug (dynamic)
+ * GET /api/opensea-stats/:slug?chain=ethereum
+ * Fetch OpenSea stats for a given collection slug (dynamic). A contract
+ * address valid on `chain` may be passed instead of a slug.
  */
-router.get('/opensea-stats/:slug', async (req, res) => {
+router.get('/opensea-stats/:slug', requireScope('search'), apiLimiter, validateRequest('GET /opensea-stats/:slug'), async (req, res) => {
   const { slug } = req.params;
-  if (!slug) {
-    return res.status(400).json({
-      success: false,
-      message: 'Collection slug is required',
-      timestamp: new Date().toISOString()
-    });
-  }
+  const chain = getChainParam(req);
   try {
-    const stats = await nftService.fetchOpenSeaV2Stats(slug);
+    const stats = nftService.isValidAddress(slug, chain.id)
+      ? await nftService.fetchOpenSeaV2StatsByAddress(slug, chain.id)
+      : await nftService.fetchOpenSeaV2Stats(slug);
     res.json({
       success: true,
       slug,
+      chain: chain.id,
       stats,
+      data_provenance: { market_data: PROVENANCE.REAL },
       timestamp: new Date().toISOString()
     });
   } catch (error) {
-    console.error('OpenSea stats endpoint error:', error.message);
-    res.status(500).json({
-      success: false,
-      message: 'Failed to fetch OpenSea stats',
-      error: error.message,
-      timestamp: new Date().toISOString()
+    log.error('OpenSea stats endpoint error', { error: error.message });
+    sendError(res, error, {
+      fallbackCode: error.response ? 'UPSTREAM_ERROR' : 'INTERNAL_ERROR',
+      fallbackMessage: 'Failed to fetch OpenSea stats'
     });
   }
 });
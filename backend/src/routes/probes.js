@@ -0,0 +1,45 @@
+import express from 'express';
+import { readinessService } from '../services/readinessService.js';
+import { logger } from '../logging/index.js';
+
+const log = logger.child({ module: 'routes.probes' });
+
+const router = express.Router();
+
+/**
+ * GET /livez
+ * Liveness probe: the process is up and serving requests
+ */
+router.get('/livez', (req, res) => {
+  res.json({
+    status: 'alive',
+    uptime: process.uptime(),
+    timestamp: new Date().toISOString()
+  });
+});
+
+/**
+ * GET /readyz
+ * Readiness probe: 200 when every required dependency is up, 503 otherwise,
+ * with per-dependency detail either way
+ */
+router.get('/readyz', async (req, res) => {
+  try {
+    const { ready, dependencies } = await readinessService.getReadiness();
+
+    res.status(ready ? 200 : 503).json({
+      status: ready ? 'ready' : 'not_ready',
+      dependencies,
+      timestamp: new Date().toISOString()
+    });
+  } catch (error) {
+    log.error('Readiness check error', { error });
+    res.status(503).json({
+      status: 'not_ready',
+      message: 'Readiness check failed',
+      timestamp: new Date().toISOString()
+    });
+  }
+});
+
+export default router;
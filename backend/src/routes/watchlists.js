@@ -0,0 +1,165 @@
+import express from 'express';
+import { watchlistService } from '../services/watchlistService.js';
+import { alertFeed } from '../services/notifiers.js';
+import { requireApiKey, requireScope } from '../middleware/apiKeyAuth.js';
+import { createRateLimiter } from '../middleware/rateLimit.js';
+import { validateRequest } from '../middleware/validate.js';
+import { sendError } from '../middleware/errors.js';
+import { ApiError } from '../services/apiErrors.js';
+import { logger } from '../logging/index.js';
+
+const log = logger.child({ module: 'routes.watchlists' });
+
+const router = express.Router();
+
+const apiLimiter = createRateLimiter({ name: 'api' });
+
+/**
+ * Watchlists belong to the caller's API key
+ */
+const getOwner = (req) => req.apiKey.id;
+
+const notFound = () => new ApiError('NOT_FOUND', { message: 'Watchlist not found' });
+
+/**
+ * Respond with a single watchlist
+ */
+const sendWatchlist = (res, watchlist, status = 200) => res.status(status).json({
+  success: true,
+  data: watchlistService.serialize(watchlist),
+  timestamp: new Date().toISOString()
+});
+
+// Scheduled refreshes cost provider calls, so every watchlist needs an owner
+router.use(['/watchlists', '/alerts'], requireApiKey, requireScope('predict'), apiLimiter);
+
+/**
+ * GET /api/watchlists
+ * List the caller's watchlists with the latest snapshot of each collection
+ */
+router.get('/watchlists', async (req, res) => {
+  try {
+    const watchlists = await watchlistService.list(getOwner(req));
+
+    res.json({
+      success: true,
+      data: watchlists.map(watchlist => watchlistService.serialize(watchlist)),
+      total: watchlists.length,
+      timestamp: new Date().toISOString()
+    });
+  } catch (error) {
+    log.error('List watchlists error', { error });
+    sendError(res, error, { fallbackMessage: 'Failed to list watchlists' });
+  }
+});
+
+/**
+ * POST /api/watchlists
+ * Create a watchlist. Its collections are first predicted on the next
+ * scheduler tick.
+ */
+router.post('/watchlists', validateRequest('POST /watchlists'), async (req, res) => {
+  try {
+    const watchlist = await watchlistService.create(getOwner(req), req.body);
+    sendWatchlist(res, watchlist, 201);
+  } catch (error) {
+    log.error('Create watchlist error', { error });
+    sendError(res, error, { fallbackMessage: 'Failed to create watchlist' });
+  }
+});
+
+/**
+ * GET /api/watchlists/:id
+ */
+router.get('/watchlists/:id', validateRequest('GET /watchlists/:id'), async (req, res) => {
+  try {
+    const watchlist = await watchlistService.get(req.params.id, getOwner(req));
+    if (!watchlist) {
+      return sendError(res, notFound());
+    }
+    sendWatchlist(res, watchlist);
+  } catch (error) {
+    log.error('Get watchlist error', { error });
+    sendError(res, error, { fallbackMessage: 'Failed to get watchlist' });
+  }
+});
+
+/**
+ * PATCH /api/watchlists/:id
+ * Update the name, collections, refresh interval, alert rules or notifiers.
+ * Lists are replaced as a whole; rules keep their alert state when sent back
+ * with their `id`.
+ */
+router.patch('/watchlists/:id', validateRequest('PATCH /watchlists/:id'), async (req, res) => {
+  try {
+    const watchlist = await watchlistService.update(req.params.id, getOwner(req), req.body);
+    if (!watchlist) {
+      return sendError(res, notFound());
+    }
+    sendWatchlist(res, watchlist);
+  } catch (error) {
+    log.error('Update watchlist error', { error });
+    sendError(res, error, { fallbackMessage: 'Failed to update watchlist' });
+  }
+});
+
+/**
+ * DELETE /api/watchlists/:id
+ */
+router.delete('/watchlists/:id', validateRequest('DELETE /watchlists/:id'), async (req, res) => {
+  try {
+    const watchlist = await watchlistService.remove(req.params.id, getOwner(req));
+    if (!watchlist) {
+      return sendError(res, notFound());
+    }
+    sendWatchlist(res, watchlist);
+  } catch (error) {
+    log.error('Delete watchlist error', { error });
+    sendError(res, error, { fallbackMessage: 'Failed to delete watchlist' });
+  }
+});
+
+/**
+ * POST /api/watchlists/:id/run
+ * Refresh a watchlist now instead of waiting for its next scheduled run.
+ * The run continues in the background; poll the watchlist for its results.
+ */
+router.post('/watchlists/:id/run', validateRequest('POST /watchlists/:id/run'), async (req, res) => {
+  try {
+    const watchlist = await watchlistService.get(req.params.id, getOwner(req));
+    if (!watchlist) {
+      return sendError(res, notFound());
+    }
+
+    watchlistService.run(watchlist.id);
+    sendWatchlist(res, watchlist, 202);
+  } catch (error) {
+    log.error('Run watchlist error', { error });
+    sendError(res, error, { fallbackMessage: 'Failed to run watchlist' });
+  }
+});
+
+/**
+ * GET /api/alerts?watchlist_id=...&limit=50
+ * In-app feed of alerts fired for the caller's watchlists, newest first
+ */
+router.get('/alerts', validateRequest('GET /alerts'), async (req, res) => {
+  try {
+    const alerts = await alertFeed.list({
+      owner: getOwner(req),
+      watchlistId: req.query.watchlist_id,
+      limit: parseInt(req.query.limit || '50')
+    });
+
+    res.json({
+      success: true,
+      data: alerts,
+      timestamp: new Date().toISOString()
+    });
+  } catch (error) {
+    log.error('Alert feed error', { error });
+    sendError(res, error, { fallbackMessage: 'Failed to load alerts' });
+  }
+});
+
+export default router;
@@ -0,0 +1,204 @@
+import express from 'express';
+import { webhookService } from '../services/webhookService.js';
+import { requireApiKey, requireScope } from '../middleware/apiKeyAuth.js';
+import { createRateLimiter } from '../middleware/rateLimit.js';
+import { validateRequest } from '../middleware/validate.js';
+import { sendError } from '../middleware/errors.js';
+import { ApiError } from '../services/apiErrors.js';
+import { logger } from '../logging/index.js';
+
+const log = logger.child({ module: 'routes.webhooks' });
+
+const router = express.Router();
+
+const apiLimiter = createRateLimiter({ name: 'api' });
+
+/**
+ * Subscriptions belong to the caller's API key
+ */
+const getOwner = (req) => req.apiKey.id;
+
+const notFound = (what = 'Webhook subscription') => new ApiError('NOT_FOUND', { message: `${what} not found` });
+
+/**
+ * Respond with `{ success, data }`
+ */
+const sendData = (res, data, status = 200) => res.status(status).json({
+  success: true,
+  data,
+  timestamp: new Date().toISOString()
+});
+
+/**
+ * Load the caller's subscription `:id` into `req.webhook`
+ */
+const loadSubscription = async (req, res, next) => {
+  try {
+    req.webhook = await webhookService.get(req.params.id, getOwner(req));
+    if (!req.webhook) {
+      return sendError(res, notFound());
+    }
+    next();
+  } catch (error) {
+    log.error('Load webhook subscription error', { error });
+    sendError(res, error, { fallbackMessage: 'Failed to load webhook subscription' });
+  }
+};
+
+// Subscriptions and their delivery payloads are private to their owner, so
+// anonymous callers cannot use webhooks
+router.use('/webhooks', requireApiKey, requireScope('predict'), apiLimiter);
+
+/**
+ * GET /api/webhooks
+ * List the caller's webhook subscriptions
+ */
+router.get('/webhooks', async (req, res) => {
+  try {
+    const subscriptions = await webhookService.list(getOwner(req));
+    sendData(res, subscriptions.map(subscription => webhookService.serialize(subscription)));
+  } catch (error) {
+    log.error('List webhooks error', { error });
+    sendError(res, error, { fallbackMessage: 'Failed to list webhook subscriptions' });
+  }
+});
+
+/**
+ * POST /api/webhooks
+ * Subscribe a URL to events. The response carries the signing secret, which
+ * is not shown again.
+ */
+router.post('/webhooks', validateRequest('POST /webhooks'), async (req, res) => {
+  try {
+    const subscription = await webhookService.create(getOwner(req), req.body);
+    sendData(res, webhookService.serialize(subscription, { withSecret: true }), 201);
+  } catch (error) {
+    log.error('Create webhook error', { error });
+    sendError(res, error, { fallbackMessage: 'Failed to create webhook subscription' });
+  }
+});
+
+/**
+ * GET /api/webhooks/:id
+ */
+router.get('/webhooks/:id', validateRequest('GET /webhooks/:id'), loadSubscription, (req, res) => {
+  sendData(res, webhookService.serialize(req.webhook));
+});
+
+/**
+ * PATCH /api/webhooks/:id
+ * Change the URL, events, collection filter, description or pause it with
+ * `active: false`. Pending retries continue while paused.
+ */
+router.patch('/webhooks/:id', validateRequest('PATCH /webhooks/:id'), loadSubscription, async (req, res) => {
+  try {
+    const subscription = await webhookService.update(req.webhook.id, getOwner(req), req.body);
+    if (!subscription) {
+      return sendError(res, notFound());
+    }
+    sendData(res, webhookService.serialize(subscription));
+  } catch (error) {
+    log.error('Update webhook error', { error });
+    sendError(res, error, { fallbackMessage: 'Failed to update webhook subscription' });
+  }
+});
+
+/**
+ * DELETE /api/webhooks/:id
+ * Delete a subscription and its delivery log
+ */
+router.delete('/webhooks/:id', validateRequest('DELETE /webhooks/:id'), loadSubscription, async (req, res) => {
+  try {
+    const subscription = await webhookService.remove(req.webhook.id, getOwner(req));
+    if (!subscription) {
+      return sendError(res, notFound());
+    }
+    sendData(res, webhookService.serialize(subscription));
+  } catch (error) {
+    log.error('Delete webhook error', { error });
+    sendError(res, error, { fallbackMessage: 'Failed to delete webhook subscription' });
+  }
+});
+
+/**
+ * GET /api/webhooks/:id/deliveries?status=failed&limit=50
+ * Delivery log of a subscription, newest first, with every attempt
+ */
+router.get('/webhooks/:id/deliveries', validateRequest('GET /webhooks/:id/deliveries'), loadSubscription, async (req, res) => {
+  try {
+    const deliveries = await webhookService.listDeliveries(req.webhook.id, {
+      status: req.query.status,
+      limit: parseInt(req.query.limit || '50')
+    });
+    sendData(res, deliveries.map(delivery => webhookService.serializeDelivery(delivery)));
+  } catch (error) {
+    log.error('List webhook deliveries error', { error });
+    sendError(res, error, { fallbackMessage: 'Failed to list webhook deliveries' });
+  }
+});
+
+/**
+ * GET /api/webhooks/:id/deliveries/:deliveryId
+ * A single delivery including the payload it sends
+ */
+router.get('/webhooks/:id/deliveries/:deliveryId', validateRequest('GET /webhooks/:id/deliveries/:deliveryId'), loadSubscription, async (req, res) => {
+  try {
+    const delivery = await webhookService.getDelivery(req.webhook.id, req.params.deliveryId);
+    if (!delivery) {
+      return sendError(res, notFound('Webhook delivery'));
+    }
+    sendData(res, webhookService.serializeDelivery(delivery, { withPayload: true }));
+  } catch (error) {
+    log.error('Get webhook delivery error', { error });
+    sendError(res, error, { fallbackMessage: 'Failed to get webhook delivery' });
+  }
+});
+
+/**
+ * POST /api/webhooks/:id/deliveries/:deliveryId/replay
+ * Send a delivery's event again as a new delivery
+ */
+router.post('/webhooks/:id/deliveries/:deliveryId/replay', validateRequest('POST /webhooks/:id/deliveries/:deliveryId/replay'), loadSubscription, async (req, res) => {
+  try {
+    const delivery = await webhookService.getDelivery(req.webhook.id, req.params.deliveryId);
+    if (!delivery) {
+      return sendError(res, notFound('Webhook delivery'));
+    }
+    if (delivery.status === 'pending') {
+      return sendError(res, new ApiError('VALIDATION_FAILED', {
+        message: 'The delivery is still being attempted; replay it once it has failed or been delivered'
+      }));
+    }
+
+    const replayed = await webhookService.replay(delivery);
+    sendData(res, webhookService.serializeDelivery(replayed), 202);
+  } catch (error) {
+    log.error('Replay webhook delivery error', { error });
+    sendError(res, error, { fallbackMessage: 'Failed to replay webhook delivery' });
+  }
+});
+
+/**
+ * POST /api/webhooks/:id/replay
+ * Replay every failed delivery of a subscription that has not been replayed
+ * yet, optionally only those created `since` a time
+ */
+router.post('/webhooks/:id/replay', validateRequest('POST /webhooks/:id/replay'), loadSubscription, async (req, res) => {
+  try {
+    const since = req.body?.since;
+    if (since !== undefined && Number.isNaN(Date.parse(since))) {
+      return sendError(res, new ApiError('VALIDATION_FAILED', {
+        message: 'Invalid request: since: must be an ISO 8601 date',
+        details: { errors: ['since: must be an ISO 8601 date'] }
+      }));
+    }
+
+    const replayed = await webhookService.replayFailed(req.webhook.id, { since });
+    sendData(res, replayed.map(delivery => webhookService.serializeDelivery(delivery)), 202);
+  } catch (error) {
+    log.error('Replay webhook deliveries error', { error });
+    sendError(res, error, { fallbackMessage: 'Failed to replay webhook deliveries' });
+  }
+});
+
+export default router;
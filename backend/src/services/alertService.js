@@ -0,0 +1,184 @@
+import crypto from 'crypto';
+import { namespace } from '../storage/index.js';
+import { notifierRegistry } from './notifiers.js';
+import { getChain } from '../config/chains.js';
+import { alertsFired } from '../metrics/index.js';
+import { logger } from '../logging/index.js';
+
+const log = logger.child({ module: 'alertService' });
+
+const MINUTE_MS = 60 * 1000;
+const STATE_TTL_MS = 90 * 24 * 60 * MINUTE_MS;
+
+const signed = (value) => `${value > 0 ? '+' : ''}${value}%`;
+
+/**
+ * Alert rule types: whether a rule holds for a collection's latest snapshot
+ * (given the previous one, which may be null), the value it looked at, and
+ * the alert message
+ */
+const RULE_TYPES = {
+  floor_below: {
+    requires: 'threshold',
+    holds: (rule, snapshot) => snapshot.floor_price < rule.threshold,
+    value: (rule, snapshot) => snapshot.floor_price,
+    message: (rule, snapshot, currency) =>
+      `${snapshot.name} floor price ${snapshot.floor_price} ${currency} is below ${rule.threshold} ${currency}`
+  },
+  floor_above: {
+    requires: 'threshold',
+    holds: (rule, snapshot) => snapshot.floor_price > rule.threshold,
+    value: (rule, snapshot) => snapshot.floor_price,
+    message: (rule, snapshot, currency) =>
+      `${snapshot.name} floor price ${snapshot.floor_price} ${currency} is above ${rule.threshold} ${currency}`
+  },
+  predicted_change_above: {
+    requires: 'threshold',
+    holds: (rule, snapshot) => snapshot.predicted_change[rule.timeframe] > rule.threshold,
+    value: (rule, snapshot) => snapshot.predicted_change[rule.timeframe],
+    message: (rule, snapshot) =>
+      `${snapshot.name} predicted ${rule.timeframe} change ${signed(snapshot.predicted_change[rule.timeframe])} is above ${signed(rule.threshold)}`
+  },
+  predicted_change_below: {
+    requires: 'threshold',
+    holds: (rule, snapshot) => snapshot.predicted_change[rule.timeframe] < rule.threshold,
+    value: (rule, snapshot) => snapshot.predicted_change[rule.timeframe],
+    message: (rule, snapshot) =>
+      `${snapshot.name} predicted ${rule.timeframe} change ${signed(snapshot.predicted_change[rule.timeframe])} is below ${signed(rule.threshold)}`
+  },
+  // Only a change counts as a flip, so the first snapshot never fires
+  sentiment_flip: {
+    requires: 'sentiment',
+    holds: (rule, snapshot, previous) =>
+      Boolean(previous) && previous.market_sentiment !== rule.sentiment && snapshot.market_sentiment === rule.sentiment,
+    value: (rule, snapshot) => snapshot.market_sentiment,
+    message: (rule, snapshot, currency, previous) =>
+      `${snapshot.name} market sentiment flipped from ${previous.market_sentiment} to ${snapshot.market_sentiment}`
+  }
+};
+
+/**
+ * Evaluates watchlist alert rules against each new prediction snapshot and
+ * delivers fired alerts through the watchlist's notifiers.
+ *
+ * Alerts are deduplicated: a rule fires once when its condition starts to
+ * hold for a collection and not again until the condition has cleared. On top
+ * of that, a rule does not fire for the same collection within its cooldown
+ * (`cooldown_minutes`, default ALERT_COOLDOWN_MINUTES) so a flapping
+ * condition cannot flood the notifiers. This per rule and collection state
+ * lives in the `alert_state` storage namespace.
+ */
+class AlertService {
+  constructor() {
+    this.state = namespace('alert_state');
+    this.defaultCooldownMinutes = parseInt(process.env.ALERT_COOLDOWN_MINUTES || '60');
+  }
+
+  /**
+   * Check rules from a request and fill in defaults. Returns the rules and a
+   * list of problems.
+   */
+  normalizeRules(rules, previous = []) {
+    const errors = [];
+    const normalized = rules.map((rule, index) => {
+      const type = RULE_TYPES[rule.type];
+      if (rule[type.requires] === undefined) {
+        errors.push(`rules[${index}]: ${rule.type} rules need a ${type.requires}`);
+      }
+      // Keep the id (and with it the dedup state) of rules that are resubmitted
+      const id = previous.some(existing => existing.id === rule.id) ? rule.id : crypto.randomBytes(4).toString('hex');
+
+      return {
+        id,
+        type: rule.type,
+        ...(type.requires === 'threshold' && { threshold: rule.threshold }),
+        ...(rule.type.startsWith('predicted_change') && { timeframe: rule.timeframe || '24h' }),
+        ...(type.requires === 'sentiment' && { sentiment: rule.sentiment }),
+        collection_address: rule.collection_address ?? null,
+        cooldown_minutes: rule.cooldown_minutes ?? null
+      };
+    });
+    return { rules: normalized, errors };
+  }
+
+  /**
+   * Evaluate every rule of a watchlist that applies to one collection's new
+   * snapshot and deliver the alerts that fire along with `prediction` (the
+   * PredictionResponse behind the snapshot). Returns the fired alerts.
+   */
+  async evaluate(watchlist, entry, snapshot, previous, prediction) {
+    const fired = [];
+    const rules = watchlist.rules.filter(rule => (
+      !rule.collection_address || rule.collection_address.toLowerCase() === entry.collection_address.toLowerCase()
+    ));
+
+    for (const rule of rules) {
+      const type = RULE_TYPES[rule.type];
+      const holds = type.holds(rule, snapshot, previous);
+      const alert = await this.transition(watchlist, rule, entry, holds, () => ({
+        id: crypto.randomUUID(),
+        watchlist_id: watchlist.id,
+        watchlist_name: watchlist.name,
+        rule,
+        collection_address: entry.collection_address,
+        chain: entry.chain,
+        collection_name: snapshot.name,
+        message: type.message(rule, snapshot, getChain(entry.chain).currency, previous),
+        value: type.value(rule, snapshot),
+        fired_at: new Date().toISOString()
+      }));
+
+      if (alert) {
+        alertsFired.inc({ rule: rule.type });
+        log.info('Alert fired', { watchlist_id: watchlist.id, rule_id: rule.id, collection: entry.collection_address, message: alert.message });
+        const deliveries = await notifierRegistry.deliver(alert, watchlist, prediction);
+        fired.push({ ...alert, deliveries });
+      }
+    }
+
+    return fired;
+  }
+
+  /**
+   * Record whether a rule holds for a collection and return the alert built
+   * by `createAlert` when it should fire: the condition just started to hold
+   * and the rule's cooldown has passed
+   */
+  async transition(watchlist, rule, entry, holds, createAlert) {
+    const key = `${watchlist.id}:${rule.id}:${entry.chain}:${entry.collection_address}`;
+    const cooldownMs = (rule.cooldown_minutes ?? this.defaultCooldownMinutes) * MINUTE_MS;
+    const now = Date.now();
+    let alert = null;
+
+    await this.state.update(key, (current) => {
+      const state = current || { active: false, last_fired_at: null, suppressed: 0 };
+      if (!holds) {
+        return { ...state, active: false };
+      }
+      if (state.active) {
+        return state;
+      }
+      // Suppressed alerts still mark the condition as active, so they are not
+      // sent late once the cooldown ends
+      if (state.last_fired_at && now - Date.parse(state.last_fired_at) < cooldownMs) {
+        return { ...state, active: true, suppressed: state.suppressed + 1 };
+      }
+      alert = createAlert();
+      return { ...state, active: true, last_fired_at: alert.fired_at };
+    }, { ttlMs: STATE_TTL_MS });
+
+    return alert;
+  }
+
+  /**
+   * Forget the dedup state of a watchlist's rules
+   */
+  async clearState(watchlistId) {
+    const entries = await this.state.entries();
+    await Promise.all(entries
+      .filter(([key]) => key.startsWith(`${watchlistId}:`))
+      .map(([key]) => this.state.delete(key)));
+  }
+}
+
+export const alertService = new AlertService();
@@ -0,0 +1,71 @@
+import fs from 'fs';
+import { validate } from '../../../shared/schema.js';
+
+// Schema and prompts shared with agents/ai_analyzer.jl
+const ANALYSIS_SPEC = JSON.parse(fs.readFileSync(new URL('../../../shared/analysis-schema.json', import.meta.url), 'utf8'));
+
+/**
+ * JSON output requested from LLMs for the AI-analysis stage
+ * (shared/analysis-schema.json); `reasoning_steps` items match
+ * AIReasoningStep in src/types/index.ts.
+ */
+export const ANALYSIS_SCHEMA = ANALYSIS_SPEC.schema;
+
+/**
+ * How the analysis of a prediction was obtained:
+ * - `schema_valid`: the LLM's first answer matched ANALYSIS_SCHEMA
+ * - `repaired`: it matched after a repair prompt
+ * - `rule_based`: no valid LLM answer, computed from market data
+ */
+export const ANALYSIS_STATUS = {
+  VALID: 'schema_valid',
+  REPAIRED: 'repaired',
+  RULE_BASED: 'rule_based'
+};
+
+/**
+ * Check a parsed value against ANALYSIS_SCHEMA. Returns a list of
+ * problems, empty when the value is valid.
+ */
+export const validateAnalysis = (value) => validate(ANALYSIS_SCHEMA, value);
+
+/**
+ * Parse and validate an LLM answer. Tolerates a Markdown code fence,
+ * `<think>` block or other text around the JSON object. Returns `{ analysis, errors }`, with
+ * `analysis` null unless `errors` is empty.
+ */
+export function parseAnalysis(text) {
+  const unfenced = String(text)
+    .replace(/<think>[\s\S]*?<\/think>/gi, '') // Reasoning models may echo their thoughts
+    .replace(/```(?:json)?/gi, '');
+  const start = unfenced.indexOf('{');
+  const end = unfenced.lastIndexOf('}');
+  if (start < 0 || end <= start) {
+    return { analysis: null, errors: ['no JSON object found'] };
+  }
+
+  let value;
+  try {
+    value = JSON.parse(unfenced.slice(start, end + 1));
+  } catch (error) {
+    return { analysis: null, errors: [`invalid JSON: ${error.message}`] };
+  }
+
+  const errors = validateAnalysis(value);
+  return { analysis: errors.length === 0 ? value : null, errors };
+}
+
+/**
+ * Instructions appended to the analysis prompt
+ */
+export const analysisFormatInstructions = () => (
+  ANALYSIS_SPEC.prompts.format.replace('{schema}', () => JSON.stringify(ANALYSIS_SCHEMA, null, 2))
+);
+
+/**
+ * Follow-up prompt asking the LLM to fix an answer that failed validation.
+ * Sent after the original prompt and the rejected answer.
+ */
+export const analysisRepairPrompt = (errors) => (
+  ANALYSIS_SPEC.prompts.repair.replace('{problems}', () => errors.map(error => `- ${error}`).join('\n'))
+);
@@ -0,0 +1,61 @@
+import { ERROR_CATALOG, errorBody, getErrorInfo } from '../../../shared/errors.js';
+
+/**
+ * Error with a code from the shared error catalog (shared/errors.js). The
+ * HTTP status and whether it is retryable come from the catalog.
+ */
+export class ApiError extends Error {
+  constructor(code, { message, details = null } = {}) {
+    super(message || getErrorInfo(code).message);
+    this.name = 'ApiError';
+    this.code = code;
+    this.status = getErrorInfo(code).status;
+    this.details = details;
+  }
+}
+
+/**
+ * Convert any error to an ApiError. Errors raised by services keep their
+ * catalog code when they have one; other errors carrying a 4xx status are
+ * treated as validation failures with their own message, and anything else
+ * becomes `fallbackCode` (INTERNAL_ERROR by default) without leaking its
+ * message.
+ */
+export function toApiError(error, { fallbackCode = 'INTERNAL_ERROR', fallbackMessage } = {}) {
+  if (error instanceof ApiError) return error;
+
+  if (error?.type === 'entity.parse.failed') {
+    return new ApiError('VALIDATION_FAILED', { message: 'Request body is not valid JSON' });
+  }
+  if (error?.code === 'DATA_UNAVAILABLE') {
+    return new ApiError('DATA_UNAVAILABLE', { message: error.message, details: error.source ? { source: error.source } : null });
+  }
+  if (error?.code === 'CANCELLED') return new ApiError('CANCELLED');
+  if (error?.code === 'POOL_STOPPED' || error?.code === 'QUEUE_FULL') return new ApiError('SERVICE_UNAVAILABLE');
+  if (error?.code in ERROR_CATALOG) return new ApiError(error.code, { message: error.message, details: error.details });
+  if (error?.status >= 400 && error.status < 500) {
+    return new ApiError('VALIDATION_FAILED', { message: error.message });
+  }
+
+  return new ApiError(fallbackCode, { message: fallbackMessage });
+}
+
+/**
+ * ApiError for a failed prediction pipeline result (`{ success: false,
+ * code, errors }`). The per-stage errors are passed on as details.
+ */
+export function pipelineError(result) {
+  const errors = result.errors || (result.error ? [result.error] : []);
+  const code = ['DATA_UNAVAILABLE', 'CANCELLED', 'AGENT_OUTPUT_INVALID'].includes(result.code)
+    ? result.code
+    : 'PIPELINE_FAILED';
+  return new ApiError(code, { details: { errors } });
+}
+
+/**
+ * The `error` object of a response or job for `error` (see toApiError)
+ */
+export const toErrorBody = (error, options) => {
+  const apiError = toApiError(error, options);
+  return errorBody(apiError.code, { message: apiError.message, details: apiError.details });
+};
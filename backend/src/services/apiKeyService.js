@@ -1,4 +1,9 @@
-import axios from 'axios';
+import { namespace } from '../storage/index.js';
+import { logger } from '../logging/index.js';
+import { CircuitBreaker } from './circuitBreaker.js';
+import { providerScheduler } from './providerScheduler.js';
+
+const log = logger.child({ module: 'apiKeyService' });
 
 class ApiKeyService {
   constructor() {
@@ -21,7 +26,7 @@ class ApiKeyService {
         moralis: {
           name: 'Moralis',
           key: process.env.MORALIS_API_KEY,
-          baseUrl: 'https://deep-index.moralis.io/api/v2',
+          baseUrl: 'https://deep-index.moralis.io/api/v2.2',
           rateLimit: { requests: 40000, period: 'month' },
           available: !!process.env.MORALIS_API_KEY
         }
@@ -54,6 +59,13 @@ class ApiKeyService {
           baseUrl: 'https://api.together.xyz/v1',
           available: !!process.env.TOGETHER_API_KEY,
           cost: 'free_tier'
+        },
+        ollama: {
+          name: 'Ollama',
+          key: process.env.OLLAMA_API_KEY, // Only for OpenAI-compatible servers that require one
+          baseUrl: `${(process.env.OLLAMA_URL || '').replace(/\/$/, '')}/v1`,
+          available: !!process.env.OLLAMA_URL,
+          cost: 'free'
         }
       },
       blockchain: {
@@ -95,7 +107,10 @@ class ApiKeyService {
     };
 
     this.usage = new Map(); // Track API usage
+    this.usageStore = namespace('provider_usage'); // Persisted copy of this.usage
+    this.breakers = new Map(); // Circuit breaker per provider, kept per process
     this.initializeUsageTracking();
+    this.ready = this.loadUsage();
   }
 
   /**
@@ -107,13 +122,74 @@ class ApiKeyService {
         this.usage.set(`${category}.${provider}`, {
           requests: 0,
           errors: 0,
+          promptTokens: 0,
+          completionTokens: 0,
           lastUsed: null,
           resetTime: this.getNextResetTime()
         });
+        this.breakers.set(`${category}.${provider}`, new CircuitBreaker({
+          failureThreshold: parseInt(process.env.CIRCUIT_BREAKER_FAILURE_THRESHOLD || '5'),
+          cooldownMs: parseInt(process.env.CIRCUIT_BREAKER_COOLDOWN_MS || '60000')
+        }));
       }
     }
   }
 
+  /**
+   * Restore usage counters saved by previous runs (or other processes)
+   */
+  async loadUsage() {
+    try {
+      for (const [key, saved] of await this.usageStore.entries()) {
+        if (this.usage.has(key)) {
+          this.usage.set(key, this.deserializeUsage(saved));
+        }
+      }
+    } catch (error) {
+      log.warn('Failed to load provider usage', { error: error.message });
+    }
+  }
+
+  /**
+   * Persist a usage record, applying `change` to the stored copy so that
+   * counts from other processes sharing the store are not overwritten
+   */
+  persistUsage(key, change) {
+    return this.usageStore.update(key, (saved) => {
+      const usage = saved
+        ? this.deserializeUsage(saved)
+        : { requests: 0, errors: 0, promptTokens: 0, completionTokens: 0, lastUsed: null, resetTime: this.getNextResetTime() };
+      change(usage);
+      return this.serializeUsage(usage);
+    }).then((saved) => {
+      this.usage.set(key, this.deserializeUsage(saved));
+    }).catch((error) => {
+      log.warn('Failed to persist provider usage', { key, error: error.message });
+    });
+  }
+
+  serializeUsage(usage) {
+    return {
+      requests: usage.requests,
+      errors: usage.errors,
+      promptTokens: usage.promptTokens,
+      completionTokens: usage.completionTokens,
+      lastUsed: usage.lastUsed ? new Date(usage.lastUsed).toISOString() : null,
+      resetTime: new Date(usage.resetTime).toISOString()
+    };
+  }
+
+  deserializeUsage(saved) {
+    return {
+      requests: saved.requests || 0,
+      errors: saved.errors || 0,
+      promptTokens: saved.promptTokens || 0,
+      completionTokens: saved.completionTokens || 0,
+      lastUsed: saved.lastUsed ? new Date(saved.lastUsed) : null,
+      resetTime: new Date(saved.resetTime)
+    };
+  }
+
   /**
    * Get next reset time (monthly)
    */
@@ -124,9 +200,12 @@ class ApiKeyService {
   }
 
   /**
-   * Get best available provider for a category
+   * Get best available provider for a category: configured, not in
+   * `exclude`, circuit not open and within its rate limit. Providers are
+   * ranked least-used first, or restricted to and ranked by `order` when
+   * given.
    */
-  getBestProvider(category) {
+  getBestProvider(category, { exclude = [], order = null } = {}) {
     const categoryProviders = this.providers[category];
     if (!categoryProviders) {
       throw new Error(`Unknown provider category: ${category}`);
@@ -134,8 +213,16 @@ class ApiKeyService {
 
     // Filter available providers
     const availableProviders = Object.entries(categoryProviders)
-      .filter(([_, config]) => config.available)
+      .filter(([name, config]) => (
+        config.available &&
+        !exclude.includes(name) &&
+        (!order || order.includes(name)) &&
+        this.breakers.get(`${category}.${name}`).isAvailable() &&
+        this.isWithinRateLimit(category, name)
+      ))
       .sort((a, b) => {
+        if (order) return order.indexOf(a[0]) - order.indexOf(b[0]);
+
         // Prioritize by usage (least used first)
         const usageA = this.usage.get(`${category}.${a[0]}`);
         const usageB = this.usage.get(`${category}.${b[0]}`);
@@ -153,19 +240,115 @@ class ApiKeyService {
   }
 
   /**
-   * Record API usage
+   * Call providers of a category in `getBestProvider` order until one
+   * succeeds. `call(provider)` may return null to skip a provider that
+   * cannot serve the request (nothing is recorded for it). With
+   * `isComplete`, a successful but partial result moves on to the next
+   * provider; the last result is returned when none completes it.
+   * Every outcome is recorded with `recordUsage`. `order` is passed to
+   * getBestProvider. Failover stops once `signal` is aborted (the call is
+   * not counted as a failure) or when a call throws an error with
+   * `failover: false`.
+   */
+  async callWithFailover(category, call, { isComplete = () => true, order = null, signal } = {}) {
+    const tried = [];
+    const errors = [];
+    let partial = null;
+
+    for (;;) {
+      let provider;
+      try {
+        provider = this.getBestProvider(category, { exclude: tried, order });
+      } catch (error) {
+        break;
+      }
+      tried.push(provider.name);
+
+      // Another caller may have taken the half-open trial in the meantime
+      if (!this.breakers.get(`${category}.${provider.name}`).allowRequest()) continue;
+
+      let result;
+      try {
+        result = await call(provider);
+      } catch (error) {
+        if (signal?.aborted) {
+          this.breakers.get(`${category}.${provider.name}`).releaseTrial();
+          throw error;
+        }
+        this.recordUsage(category, provider.name, false);
+        errors.push(`${provider.config.name}: ${error.message}`);
+        if (error.failover === false) throw error;
+        continue;
+      }
+
+      if (result == null) {
+        this.breakers.get(`${category}.${provider.name}`).releaseTrial();
+        continue;
+      }
+      this.recordUsage(category, provider.name, true);
+      if (isComplete(result)) {
+        return { result, provider: provider.name, errors };
+      }
+      partial = { result, provider: provider.name, errors };
+    }
+
+    if (partial) return partial;
+
+    const error = new Error(`No ${category} provider succeeded (${errors.join('; ') || 'none available'})`);
+    error.errors = errors;
+    throw error;
+  }
+
+  /**
+   * Record API usage and feed the provider's circuit breaker
    */
   recordUsage(category, provider, success = true) {
     const key = `${category}.${provider}`;
     const usage = this.usage.get(key);
-    
-    if (usage) {
-      usage.requests++;
-      usage.lastUsed = new Date();
-      if (!success) {
-        usage.errors++;
+    const breaker = this.breakers.get(key);
+
+    if (breaker) {
+      const previous = breaker.state;
+      if (success) {
+        breaker.recordSuccess();
+      } else {
+        breaker.recordFailure();
+      }
+      if (previous !== 'open' && breaker.state === 'open') {
+        log.warn('Provider circuit opened', { provider: key, consecutive_failures: breaker.failures, cooldown_ms: breaker.cooldownMs });
+      } else if (previous !== 'closed' && breaker.state === 'closed') {
+        log.info('Provider circuit closed', { provider: key });
       }
     }
+
+    if (usage) {
+      const record = (u) => {
+        u.requests++;
+        u.lastUsed = new Date();
+        if (!success) {
+          u.errors++;
+        }
+      };
+      record(usage);
+      this.persistUsage(key, record);
+    }
+  }
+
+  /**
+   * Add the token counts of an LLM completion (`{ prompt_tokens,
+   * completion_tokens }`) to a provider's usage
+   */
+  recordTokens(category, provider, tokens) {
+    const key = `${category}.${provider}`;
+    const usage = this.usage.get(key);
+    if (!usage || !tokens) return;
+
+    const record = (u) => {
+      u.promptTokens = (u.promptTokens || 0) + (tokens.prompt_tokens || 0);
+      u.completionTokens = (u.completionTokens || 0) + (tokens.completion_tokens || 0);
+    };
+    record(usage);
+    this.persistUsage(key, record);
   }
 
   /**
@@ -182,9 +365,17 @@ class ApiKeyService {
 
     // Check if we need to reset usage
     if (new Date() > usage.resetTime) {
-      usage.requests = 0;
-      usage.errors = 0;
-      usage.resetTime = this.getNextResetTime();
+      const reset = (u) => {
+        if (new Date() > u.resetTime) {
+          u.requests = 0;
+          u.errors = 0;
+          u.promptTokens = 0;
+          u.completionTokens = 0;
+          u.resetTime = this.getNextResetTime();
+        }
+      };
+      reset(usage);
+      this.persistUsage(key, reset);
     }
 
     return usage.requests < config.rateLimit.requests;
@@ -206,9 +397,14 @@ class ApiKeyService {
           usage: usage ? {
             requests: usage.requests,
             errors: usage.errors,
+            ...(category === 'ai_llm' && {
+              tokens: { prompt: usage.promptTokens, completion: usage.completionTokens }
+            }),
             lastUsed: usage.lastUsed,
             withinRateLimit: this.isWithinRateLimit(category, name)
-          } : null
+          } : null,
+          circuit: this.breakers.get(`${category}.${name}`).getState(),
+          throttling: providerScheduler.getStatus()[name] ?? null
         };
       }
     }
@@ -267,20 +463,13 @@ class ApiKeyService {
    * Test LLM provider
    */
   async testLLMProvider(provider, config) {
-    if (provider === 'openrouter') {
-      try {
-        const response = await axios.get(`${config.baseUrl}/`, { timeout: 5000 });
-        return { success: true, models: response.data.models?.length || 0 };
-      } catch (error) {
-        return { success: false, error: 'OpenRouter not responding' };
-      }
-    }
+    const headers = config.key ? { 'Authorization': `Bearer ${config.key}` } : {};
 
-    // Test other LLM providers with a simple request
-    const headers = { 'Authorization': `Bearer ${config.key}` };
+    // Every provider but Hugging Face serves an OpenAI-compatible model list
+    const testUrl = provider === 'huggingface' ? config.baseUrl : `${config.baseUrl}/models`;
     try {
-      const response = await axios.get(config.baseUrl, { headers, timeout: 5000 });
-      return { success: true };
+      const response = await providerScheduler.get(provider, testUrl, { headers, timeout: 5000 });
+      return { success: true, ...(Array.isArray(response.data?.data) && { models: response.data.data.length }) };
     } catch (error) {
       return { success: false, error: error.response?.status || error.message };
     }
@@ -301,7 +490,7 @@ class ApiKeyService {
         ? `${config.baseUrl}/collections?limit=1`
         : `${config.baseUrl}/${config.key}/getContractMetadata?contractAddress=0xBC4CA0EdA7647A8aB7C2061c2E118A18a936f13D`;
       
-      const response = await axios.get(testUrl, { headers, timeout: 5000 });
+      const response = await providerScheduler.get(provider, testUrl, { headers, timeout: 5000 });
       return { success: true, status: response.status };
     } catch (error) {
       return { success: false, error: error.response?.status || error.message };
@@ -317,7 +506,7 @@ class ApiKeyService {
         ? `${config.baseUrl}?module=proxy&action=eth_blockNumber&apikey=${config.key}`
         : `${config.baseUrl}/${config.key || config.projectId}`;
       
-      const response = await axios.post(testUrl, {
+      const response = await providerScheduler.post(provider, testUrl, {
         jsonrpc: '2.0',
         method: 'eth_blockNumber',
         params: [],
@@ -344,7 +533,7 @@ class ApiKeyService {
         ? `${config.baseUrl}/ping`
         : `${config.baseUrl}/cryptocurrency/listings/latest?limit=1`;
       
-      const response = await axios.get(testUrl, { headers, timeout: 5000 });
+      const response = await providerScheduler.get(provider, testUrl, { headers, timeout: 5000 });
       return { success: true, status: response.status };
     } catch (error) {
       return { success: false, error: error.response?.status || error.message };
@@ -355,7 +544,7 @@ class ApiKeyService {
    * Get LLM providers in priority order
    */
   getLLMProviders() {
-    const providers = process.env.LLM_PROVIDERS?.split(',') || ['openrouter', 'huggingface', 'groq', 'together'];
+    const providers = process.env.LLM_PROVIDERS?.split(',') || ['openrouter', 'huggingface', 'groq', 'together', 'ollama'];
     return providers
       .map(name => ({
         name: name.trim(),
@@ -0,0 +1,447 @@
+import { randomUUID } from 'crypto';
+import { jobService } from './jobService.js';
+import { nftService } from './nftService.js';
+import { runInBackground } from './providerScheduler.js';
+import { ApiError, toErrorBody } from './apiErrors.js';
+import { parseCsv, toCsv } from './csv.js';
+import { DEFAULT_CHAIN, getChain } from '../config/chains.js';
+import { TIMEFRAMES } from '../../../shared/api.js';
+import { logger } from '../logging/index.js';
+
+const log = logger.child({ module: 'batchService' });
+
+const HOUR_MS = 60 * 60 * 1000;
+
+const TERMINAL_STATUSES = ['completed', 'failed', 'cancelled'];
+
+// Header names accepted for the address column of an imported CSV
+const ADDRESS_HEADERS = ['collection_address', 'address', 'contract_address', 'contract'];
+
+/**
+ * Columns of the CSV export, one row per item
+ */
+export const CSV_COLUMNS = [
+  'collection_address',
+  'chain',
+  'status',
+  'name',
+  'floor_price',
+  'volume_24h',
+  'market_sentiment',
+  'confidence_score',
+  ...TIMEFRAMES.flatMap(timeframe => [`direction_${timeframe}`, `change_${timeframe}`, `price_target_${timeframe}`]),
+  'risk_factors',
+  'cached',
+  'error_code',
+  'error_message'
+];
+
+/**
+ * Read `{ collection_address, chain, row }` entries from CSV text. A header
+ * row naming an address column (and optionally a `chain` column) is used when
+ * present; otherwise the first column holds the addresses.
+ */
+export const parseAddressCsv = (text) => {
+  const rows = parseCsv(text);
+  const header = (rows[0] || []).map(cell => cell.trim().toLowerCase());
+  const addressColumn = header.findIndex(cell => ADDRESS_HEADERS.includes(cell));
+  const chainColumn = addressColumn === -1 ? -1 : header.indexOf('chain');
+  const firstRow = addressColumn === -1 ? 0 : 1;
+
+  return rows
+    .map((cells, index) => ({
+      cells,
+      collection_address: (cells[Math.max(addressColumn, 0)] || '').trim(),
+      chain: chainColumn === -1 ? undefined : (cells[chainColumn] || '').trim().toLowerCase() || undefined,
+      row: index + 1
+    }))
+    // Skip the header, blank lines and `#` comment lines
+    .filter(entry => entry.row > firstRow && entry.collection_address && !entry.cells[0].trim().startsWith('#'))
+    .map(({ cells: _cells, ...entry }) => entry);
+};
+
+/**
+ * Flatten a batch item into a CSV export row
+ */
+const toCsvRow = (item) => {
+  const data = item.result?.data;
+  const row = {
+    collection_address: item.collection_address,
+    chain: item.chain,
+    status: item.status,
+    name: data?.collection.name,
+    floor_price: data?.collection.floor_price,
+    volume_24h: data?.collection.volume_24h,
+    market_sentiment: data?.market_sentiment,
+    confidence_score: data?.confidence_score,
+    risk_factors: data?.risk_factors.join('; '),
+    cached: item.result?.cached,
+    error_code: item.error?.code,
+    error_message: item.error?.message
+  };
+  for (const timeframe of TIMEFRAMES) {
+    const prediction = data?.predictions[timeframe];
+    row[`direction_${timeframe}`] = prediction?.direction;
+    row[`change_${timeframe}`] = prediction?.percentage_change;
+    row[`price_target_${timeframe}`] = prediction?.price_target;
+  }
+  return row;
+};
+
+/**
+ * Batch prediction jobs for lists of collections.
+ *
+ * Items of every batch wait in one queue and run as regular prediction jobs
+ * (see jobService), at most BATCH_CONCURRENCY at a time across all batches,
+ * in the background provider lane so interactive requests go first. Clients
+ * take turns: the next item comes from the client with the fewest items
+ * running, so one large batch does not hold up everyone else's. A client can
+ * have at most BATCH_MAX_QUEUED_PER_CLIENT items pending and the queue at
+ * most BATCH_MAX_QUEUED. Each item reports its job id, pipeline stage and
+ * progress; results are kept on the batch, in memory, for BATCH_TTL_MS after
+ * it finishes.
+ */
+class BatchService {
+  constructor() {
+    this.batches = new Map();
+    this.queue = [];
+    this.active = 0;
+    this.activeByClient = new Map();
+    // Sequence number of the last item started per client, for taking turns
+    this.lastStarted = new Map();
+    this.started = 0;
+    this.concurrency = parseInt(process.env.BATCH_CONCURRENCY || process.env.JULIA_POOL_SIZE || '2');
+    this.maxItems = parseInt(process.env.BATCH_MAX_ITEMS || '500');
+    this.maxQueued = parseInt(process.env.BATCH_MAX_QUEUED || '2000');
+    this.maxQueuedPerClient = parseInt(process.env.BATCH_MAX_QUEUED_PER_CLIENT || '500');
+    this.ttlMs = parseInt(process.env.BATCH_TTL_MS || String(24 * HOUR_MS));
+
+    // Periodically drop finished batches so the map does not grow forever
+    this.cleanupTimer = setInterval(() => this.cleanup(), 60000);
+    this.cleanupTimer.unref();
+  }
+
+  /**
+   * Validate `{ collection_address, chain, label }` entries (`label` names
+   * the entry in error messages) and queue them as a batch for `client` (the
+   * rate limiter's client id). Invalid addresses reject the whole batch;
+   * repeated collections are only predicted once.
+   */
+  createBatch(entries, { fresh = false, client = null } = {}) {
+    const errors = [];
+    const items = [];
+    let invalidAddress = false;
+    let duplicates = 0;
+
+    if (entries.length === 0) {
+      throw new ApiError('VALIDATION_FAILED', { message: 'The batch has no collection addresses' });
+    }
+
+    entries.forEach(({ collection_address: address, chain: chainId, label }) => {
+      const chain = getChain(chainId ?? DEFAULT_CHAIN);
+      if (!chain) {
+        errors.push(`${label}: unsupported chain '${chainId}'`);
+        return;
+      }
+      if (!nftService.isValidAddress(address, chain.id)) {
+        errors.push(`${label}: invalid ${chain.name} address format`);
+        invalidAddress = true;
+        return;
+      }
+
+      const normalized = nftService.normalizeAddress(address, chain.id);
+      if (items.some(item => item.collection_address === normalized && item.chain === chain.id)) {
+        duplicates++;
+        return;
+      }
+      items.push({
+        index: items.length,
+        collection_address: normalized,
+        chain: chain.id,
+        status: 'queued',
+        job_id: null,
+        result: null,
+        error: null,
+        started_at: null,
+        finished_at: null
+      });
+    });
+
+    if (errors.length > 0) {
+      throw new ApiError(invalidAddress ? 'INVALID_ADDRESS' : 'UNSUPPORTED_CHAIN', {
+        message: `Invalid batch: ${errors.slice(0, 10).join('; ')}${errors.length > 10 ? `; and ${errors.length - 10} more` : ''}`,
+        details: { errors }
+      });
+    }
+    if (items.length > this.maxItems) {
+      throw new ApiError('VALIDATION_FAILED', {
+        message: `A batch can have at most ${this.maxItems} collections, got ${items.length}`
+      });
+    }
+
+    const clientPending = this.pendingCount(client);
+    if (clientPending + items.length > this.maxQueuedPerClient) {
+      throw new ApiError('RATE_LIMITED', {
+        message: `Too many pending batch predictions: ${clientPending} of at most ${this.maxQueuedPerClient} are still pending, this batch adds ${items.length}`
+      });
+    }
+    const pending = this.pendingCount();
+    if (pending + items.length > this.maxQueued) {
+      throw new ApiError('SERVICE_UNAVAILABLE', {
+        message: `The batch queue is full (${pending} of ${this.maxQueued} predictions pending), try again later`
+      });
+    }
+
+    const now = new Date().toISOString();
+    const batch = {
+      id: randomUUID(),
+      type: 'batch',
+      status: 'queued',
+      params: { fresh },
+      client,
+      items,
+      duplicates,
+      created_at: now,
+      updated_at: now,
+      finished_at: null
+    };
+
+    this.batches.set(batch.id, batch);
+    this.queue.push(...items.map(item => ({ batch, item })));
+    log.info('Batch created', { batch_id: batch.id, items: items.length, duplicates, queued: this.queue.length });
+    this.drain();
+
+    return batch;
+  }
+
+  /**
+   * Number of items not yet finished, of one client's batches or of all
+   */
+  pendingCount(client) {
+    let count = 0;
+    for (const batch of this.batches.values()) {
+      if (client !== undefined && batch.client !== client) continue;
+      count += batch.items.filter(item => !TERMINAL_STATUSES.includes(item.status)).length;
+    }
+    return count;
+  }
+
+  /**
+   * Take the next item to run off the queue: the oldest one of the client
+   * with the fewest items running, or of those the one served longest ago
+   */
+  nextQueued() {
+    this.queue = this.queue.filter(({ item }) => item.status === 'queued');
+
+    let next = -1;
+    let best = null;
+    this.queue.forEach(({ batch }, index) => {
+      const running = this.activeByClient.get(batch.client) || 0;
+      const lastStarted = this.lastStarted.get(batch.client) ?? -1;
+      if (!best || running < best.running || (running === best.running && lastStarted < best.lastStarted)) {
+        next = index;
+        best = { running, lastStarted };
+      }
+    });
+    if (next === -1) return null;
+
+    const [entry] = this.queue.splice(next, 1);
+    this.lastStarted.set(entry.batch.client, this.started++);
+    return entry;
+  }
+
+  /**
+   * Start queued items while there is capacity
+   */
+  drain() {
+    while (this.active < this.concurrency) {
+      const next = this.nextQueued();
+      if (!next) return;
+
+      const { batch, item } = next;
+      this.active++;
+      this.activeByClient.set(batch.client, (this.activeByClient.get(batch.client) || 0) + 1);
+      this.runItem(batch, item)
+        .catch(error => {
+          log.error('Batch item failed', { batch_id: batch.id, collection: item.collection_address, error });
+          this.finishItem(batch, item, { status: 'failed', error: toErrorBody(error, { fallbackCode: 'PIPELINE_FAILED' }) });
+        })
+        .finally(() => {
+          this.active--;
+          const running = this.activeByClient.get(batch.client) - 1;
+          if (running > 0) {
+            this.activeByClient.set(batch.client, running);
+          } else {
+            this.activeByClient.delete(batch.client);
+          }
+          this.drain();
+        });
+    }
+  }
+
+  /**
+   * Predict one item as a prediction job and wait for the job to finish
+   */
+  async runItem(batch, item) {
+    const job = runInBackground(() => jobService.createPredictionJob(item.collection_address, {
+      chain: item.chain,
+      fresh: batch.params.fresh
+    }));
+
+    item.job_id = job.id;
+    item.status = 'running';
+    item.started_at = new Date().toISOString();
+    this.touch(batch, { status: 'running' });
+
+    const finished = jobService.isFinished(job) ? job : await new Promise(resolve => {
+      const onUpdate = (updated) => {
+        if (updated.id !== job.id || !jobService.isFinished(updated)) return;
+        jobService.off('update', onUpdate);
+        resolve(updated);
+      };
+      jobService.on('update', onUpdate);
+    });
+
+    this.finishItem(batch, item, { status: finished.status, result: finished.result, error: finished.error });
+  }
+
+  /**
+   * Record an item's outcome and finish the batch once every item has
+   */
+  finishItem(batch, item, { status, result = null, error = null }) {
+    if (TERMINAL_STATUSES.includes(item.status)) return;
+
+    Object.assign(item, { status, result, error, finished_at: new Date().toISOString() });
+    if (batch.items.every(each => TERMINAL_STATUSES.includes(each.status)) && batch.status !== 'cancelled') {
+      this.touch(batch, { status: 'completed' });
+      log.info('Batch completed', { batch_id: batch.id, ...this.counts(batch) });
+    } else {
+      this.touch(batch);
+    }
+  }
+
+  /**
+   * Cancel a batch: queued items are dropped and running ones cancelled
+   */
+  cancelBatch(id) {
+    const batch = this.batches.get(id);
+    if (!batch) return null;
+
+    if (!this.isFinished(batch)) {
+      this.touch(batch, { status: 'cancelled' });
+      for (const item of batch.items) {
+        if (item.status === 'running') {
+          jobService.cancelJob(item.job_id);
+        } else if (item.status === 'queued') {
+          Object.assign(item, { status: 'cancelled', error: toErrorBody(new ApiError('CANCELLED')), finished_at: batch.updated_at });
+        }
+      }
+      log.info('Batch cancelled', { batch_id: id, ...this.counts(batch) });
+    }
+
+    return batch;
+  }
+
+  /**
+   * Apply changes to a batch and stamp it
+   */
+  touch(batch, changes = {}) {
+    Object.assign(batch, changes, { updated_at: new Date().toISOString() });
+    if (this.isFinished(batch) && !batch.finished_at) {
+      batch.finished_at = batch.updated_at;
+    }
+  }
+
+  /**
+   * Whether a batch has completed or been cancelled
+   */
+  isFinished(batch) {
+    return ['completed', 'cancelled'].includes(batch.status);
+  }
+
+  /**
+   * Get a batch by id
+   */
+  getBatch(id) {
+    return this.batches.get(id) || null;
+  }
+
+  /**
+   * Number of items in each status
+   */
+  counts(batch) {
+    const counts = { total: batch.items.length, queued: 0, running: 0, completed: 0, failed: 0, cancelled: 0 };
+    for (const item of batch.items) counts[item.status]++;
+    return counts;
+  }
+
+  /**
+   * Public representation of a batch with the progress of each item. Results
+   * are left out; they are downloaded through exportResults().
+   */
+  serialize(batch) {
+    const items = batch.items.map(item => {
+      const job = item.status === 'running' ? jobService.getJob(item.job_id) : null;
+      const progress = TERMINAL_STATUSES.includes(item.status) ? 1 : job ? jobService.serialize(job).progress : 0;
+      return {
+        index: item.index,
+        collection_address: item.collection_address,
+        chain: item.chain,
+        status: item.status,
+        job_id: item.job_id,
+        stage: job?.stage ?? null,
+        progress,
+        name: item.result?.data.collection.name ?? null,
+        error: item.error,
+        started_at: item.started_at,
+        finished_at: item.finished_at
+      };
+    });
+
+    return {
+      id: batch.id,
+      type: batch.type,
+      status: batch.status,
+      progress: items.length > 0 ? items.reduce((sum, item) => sum + item.progress, 0) / items.length : 1,
+      counts: this.counts(batch),
+      duplicates: batch.duplicates,
+      items,
+      created_at: batch.created_at,
+      updated_at: batch.updated_at,
+      finished_at: batch.finished_at
+    };
+  }
+
+  /**
+   * Every item of a batch with its full result, as NDJSON (one
+   * `{ collection_address, chain, status, result, error }` line per item)
+   * or CSV (see CSV_COLUMNS)
+   */
+  exportResults(batch, format) {
+    if (format === 'csv') {
+      return toCsv(CSV_COLUMNS, batch.items.map(toCsvRow));
+    }
+    return batch.items
+      .map(({ collection_address, chain, status, result, error }) => JSON.stringify({ collection_address, chain, status, result, error }))
+      .join('\n') + '\n';
+  }
+
+  /**
+   * Remove finished batches older than the TTL
+   */
+  cleanup() {
+    const cutoff = Date.now() - this.ttlMs;
+    for (const [id, batch] of this.batches) {
+      if (batch.finished_at && new Date(batch.finished_at).getTime() < cutoff) {
+        this.batches.delete(id);
+      }
+    }
+
+    const queuedClients = new Set(this.queue.map(({ batch }) => batch.client));
+    for (const client of this.lastStarted.keys()) {
+      if (!queuedClients.has(client)) this.lastStarted.delete(client);
+    }
+  }
+}
+
+export const batchService = new BatchService();
@@ -0,0 +1,88 @@
+/**
+ * Circuit breaker for one external provider.
+ *
+ * `closed`: calls go through. After `failureThreshold` consecutive failures
+ * the breaker opens and calls are refused for `cooldownMs`. It then turns
+ * `half_open` and lets a single trial call through: success closes it, a
+ * failure opens it for another cooldown.
+ */
+export class CircuitBreaker {
+  constructor({ failureThreshold, cooldownMs }) {
+    this.failureThreshold = failureThreshold;
+    this.cooldownMs = cooldownMs;
+    this.state = 'closed';
+    this.failures = 0;
+    this.openedAt = null;
+    this.trialInFlight = false;
+  }
+
+  /**
+   * Whether a call may be made now. In the half-open state only the first
+   * caller gets through until its outcome is recorded.
+   */
+  allowRequest(now = Date.now()) {
+    if (this.state === 'open' && now - this.openedAt >= this.cooldownMs) {
+      this.state = 'half_open';
+      this.trialInFlight = false;
+    }
+
+    if (this.state === 'closed') return true;
+    if (this.state === 'half_open' && !this.trialInFlight) {
+      this.trialInFlight = true;
+      return true;
+    }
+    return false;
+  }
+
+  /**
+   * Whether a call would be allowed, without claiming the half-open trial
+   */
+  isAvailable(now = Date.now()) {
+    if (this.state === 'open') return now - this.openedAt >= this.cooldownMs;
+    return this.state === 'closed' || !this.trialInFlight;
+  }
+
+  /**
+   * A call succeeded: close the breaker
+   */
+  recordSuccess() {
+    this.state = 'closed';
+    this.failures = 0;
+    this.openedAt = null;
+    this.trialInFlight = false;
+  }
+
+  /**
+   * A call failed: open the breaker once the threshold is reached, or
+   * straight away when the half-open trial failed
+   */
+  recordFailure(now = Date.now()) {
+    this.failures++;
+    this.trialInFlight = false;
+
+    if (this.state === 'half_open' || this.failures >= this.failureThreshold) {
+      this.state = 'open';
+      this.openedAt = now;
+    }
+  }
+
+  /**
+   * Give up a half-open trial without an outcome (the call was not made)
+   */
+  releaseTrial() {
+    this.trialInFlight = false;
+  }
+
+  /**
+   * Breaker state for status reports
+   */
+  getState(now = Date.now()) {
+    const state = this.state === 'open' && now - this.openedAt >= this.cooldownMs ? 'half_open' : this.state;
+    return {
+      state,
+      consecutive_failures: this.failures,
+      opened_at: this.openedAt ? new Date(this.openedAt).toISOString() : null,
+      retry_at: this.state === 'open' ? new Date(this.openedAt + this.cooldownMs).toISOString() : null
+    };
+  }
+}
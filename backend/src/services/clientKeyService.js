@@ -0,0 +1,269 @@
+import crypto from 'crypto';
+import { namespace } from '../storage/index.js';
+import { logger } from '../logging/index.js';
+
+const log = logger.child({ module: 'clientKeyService' });
+
+export const API_KEY_SCOPES = ['predict', 'search', 'admin'];
+
+const KEY_PREFIX = 'nftp';
+const STREAM_TOKEN_PREFIX = 'nfts';
+const DEFAULT_QUOTA_PERIOD_MS = 24 * 60 * 60 * 1000; // 1 day
+
+const hashSecret = (secret) => crypto.createHash('sha256').update(secret).digest();
+
+/**
+ * Registry of API keys issued to clients of this backend.
+ *
+ * Keys look like `nftp_<id>_<secret>`. Only a SHA-256 hash of the secret is
+ * stored; the full key is returned once, when it is created.
+ *
+ * Stream tokens (`nfts_<secret>`) stand in for a key where it cannot be sent
+ * in a header, e.g. EventSource. They are single-use, expire after
+ * STREAM_TOKEN_TTL_MS and are stored by hash in `stream_tokens`.
+ */
+class ClientKeyService {
+  constructor() {
+    this.keys = namespace('client_keys');
+    this.streamTokens = namespace('stream_tokens');
+    this.streamTokenTtlMs = parseInt(process.env.STREAM_TOKEN_TTL_MS || '60000');
+  }
+
+  /**
+   * Issue a new key. `quota` optionally limits the number of requests per
+   * period: `{ requests, period_ms }`.
+   */
+  async createKey({ name, scopes = ['predict', 'search'], quota = null }) {
+    if (!name || typeof name !== 'string') {
+      throw this.validationError('Key name is required');
+    }
+    if (!Array.isArray(scopes) || scopes.length === 0) {
+      throw this.validationError('At least one scope is required');
+    }
+
+    const unknownScopes = scopes.filter(scope => !API_KEY_SCOPES.includes(scope));
+    if (unknownScopes.length > 0) {
+      throw this.validationError(`Unknown scopes: ${unknownScopes.join(', ')}`);
+    }
+
+    const id = crypto.randomBytes(6).toString('hex');
+    const secret = crypto.randomBytes(24).toString('base64url');
+    const record = {
+      id,
+      name,
+      scopes: [...new Set(scopes)],
+      quota: this.normalizeQuota(quota),
+      secret_hash: hashSecret(secret).toString('hex'),
+      created_at: new Date().toISOString(),
+      revoked_at: null,
+      usage: {
+        requests: 0,
+        rejected: 0,
+        last_used_at: null,
+        period_requests: 0,
+        period_started_at: null
+      }
+    };
+
+    await this.keys.set(id, record);
+    log.info('API key created', { key_id: id, name, scopes: record.scopes });
+
+    return {
+      key: `${KEY_PREFIX}_${id}_${secret}`,
+      record: this.serialize(record)
+    };
+  }
+
+  /**
+   * List all keys, including revoked ones
+   */
+  async listKeys() {
+    const entries = await this.keys.entries();
+    return entries
+      .map(([, record]) => this.serialize(record))
+      .sort((a, b) => a.created_at.localeCompare(b.created_at));
+  }
+
+  /**
+   * Get a single key by id
+   */
+  async getKey(id) {
+    const record = await this.keys.get(id);
+    return record ? this.serialize(record) : null;
+  }
+
+  /**
+   * Revoke a key. Revoked keys are kept for their usage history.
+   */
+  async revokeKey(id) {
+    if (!(await this.keys.get(id))) {
+      return null;
+    }
+
+    const record = await this.keys.update(id, (current) => (
+      current.revoked_at ? current : { ...current, revoked_at: new Date().toISOString() }
+    ));
+
+    log.info('API key revoked', { key_id: id });
+    return this.serialize(record);
+  }
+
+  /**
+   * Resolve a presented key to its record, or null when it is unknown or revoked.
+   * The ADMIN_API_KEY setting acts as a bootstrap key with every scope.
+   */
+  async authenticate(presentedKey) {
+    if (!presentedKey) return null;
+
+    const adminKey = process.env.ADMIN_API_KEY;
+    if (adminKey && this.safeEqual(hashSecret(presentedKey), hashSecret(adminKey))) {
+      return this.bootstrapKey();
+    }
+
+    const match = /^([a-z]+)_([0-9a-f]{12})_([\w-]+)$/.exec(presentedKey);
+    if (!match || match[1] !== KEY_PREFIX) return null;
+
+    const [, , id, secret] = match;
+    const record = await this.keys.get(id);
+    if (!record || record.revoked_at) return null;
+
+    if (!this.safeEqual(hashSecret(secret), Buffer.from(record.secret_hash, 'hex'))) {
+      return null;
+    }
+
+    return this.serialize(record);
+  }
+
+  /**
+   * Issue a stream token for an authenticated key. Returns
+   * `{ token, expires_in }` with the lifetime in seconds.
+   */
+  async createStreamToken(apiKey) {
+    const secret = crypto.randomBytes(24).toString('base64url');
+    await this.streamTokens.set(hashSecret(secret).toString('hex'), {
+      key_id: apiKey.id,
+      expires_at: new Date(Date.now() + this.streamTokenTtlMs).toISOString()
+    }, { ttlMs: this.streamTokenTtlMs });
+
+    return {
+      token: `${STREAM_TOKEN_PREFIX}_${secret}`,
+      expires_in: Math.ceil(this.streamTokenTtlMs / 1000)
+    };
+  }
+
+  /**
+   * Resolve a stream token to its key and use it up. Returns null when the
+   * token is unknown, used or expired, or its key has been revoked since.
+   */
+  async redeemStreamToken(presentedToken) {
+    const match = /^([a-z]+)_([\w-]+)$/.exec(presentedToken || '');
+    if (!match || match[1] !== STREAM_TOKEN_PREFIX) return null;
+
+    const id = hashSecret(match[2]).toString('hex');
+    let token = null;
+    await this.streamTokens.update(id, (current) => {
+      token = current;
+      return current && { ...current, used: true };
+    }, { ttlMs: this.streamTokenTtlMs });
+    await this.streamTokens.delete(id);
+
+    if (!token || token.used || Date.parse(token.expires_at) <= Date.now()) return null;
+
+    if (token.key_id === 'bootstrap') {
+      return process.env.ADMIN_API_KEY ? this.bootstrapKey() : null;
+    }
+    const record = await this.keys.get(token.key_id);
+    return record && !record.revoked_at ? this.serialize(record) : null;
+  }
+
+  /**
+   * Count a request against a key and its quota.
+   * Returns `{ allowed, retryAfter }`; rejected requests are counted separately.
+   */
+  async recordUsage(id) {
+    if (id === 'bootstrap') {
+      return { allowed: true };
+    }
+
+    const now = Date.now();
+    let allowed = true;
+    let retryAfter = 0;
+
+    await this.keys.update(id, (current) => {
+      if (!current) return null;
+
+      const usage = { ...current.usage };
+      const quota = current.quota;
+
+      if (quota) {
+        const periodStart = usage.period_started_at ? Date.parse(usage.period_started_at) : 0;
+        if (now - periodStart >= quota.period_ms) {
+          usage.period_requests = 0;
+          usage.period_started_at = new Date(now).toISOString();
+        }
+
+        if (usage.period_requests >= quota.requests) {
+          allowed = false;
+          retryAfter = Math.ceil((Date.parse(usage.period_started_at) + quota.period_ms - now) / 1000);
+          return { ...current, usage: { ...usage, rejected: usage.rejected + 1 } };
+        }
+      }
+
+      usage.requests++;
+      usage.period_requests++;
+      usage.last_used_at = new Date(now).toISOString();
+      return { ...current, usage };
+    });
+
+    return { allowed, retryAfter };
+  }
+
+  /**
+   * Whether a key grants a scope; admin keys grant every scope
+   */
+  hasScope(key, scope) {
+    return key.scopes.includes(scope) || key.scopes.includes('admin');
+  }
+
+  normalizeQuota(quota) {
+    if (!quota) return null;
+
+    const requests = parseInt(quota.requests);
+    const periodMs = parseInt(quota.period_ms ?? DEFAULT_QUOTA_PERIOD_MS);
+    if (!(requests > 0) || !(periodMs > 0)) {
+      throw this.validationError('Quota requires positive requests and period_ms');
+    }
+
+    return { requests, period_ms: periodMs };
+  }
+
+  safeEqual(a, b) {
+    return a.length === b.length && crypto.timingSafeEqual(a, b);
+  }
+
+  validationError(message) {
+    const error = new Error(message);
+    error.status = 400;
+    return error;
+  }
+
+  /**
+   * The ADMIN_API_KEY bootstrap key, which has every scope
+   */
+  bootstrapKey() {
+    return { id: 'bootstrap', name: 'ADMIN_API_KEY', scopes: [...API_KEY_SCOPES], quota: null };
+  }
+
+  /**
+   * Public view of a key record (never includes the secret hash)
+   */
+  serialize(record) {
+    const { secret_hash: _secretHash, ...rest } = record;
+    return {
+      ...rest,
+      revoked: Boolean(record.revoked_at)
+    };
+  }
+}
+
+export const clientKeyService = new ClientKeyService();
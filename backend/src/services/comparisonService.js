@@ -0,0 +1,199 @@
+import { juliaService } from './juliaService.js';
+import { predictionCache, predictionKey } from './predictionCache.js';
+import { predictionProvenance } from './provenance.js';
+import { ApiError, pipelineError, toErrorBody } from './apiErrors.js';
+import { TIMEFRAMES } from '../../../shared/api.js';
+import { logger } from '../logging/index.js';
+
+const log = logger.child({ module: 'comparisonService' });
+
+const SENTIMENT_SCORES = { bullish: 1, neutral: 0.5, bearish: 0 };
+
+/**
+ * Weights of the relative-strength score. Each component is scaled to 0-1
+ * across the compared collections, so the score only ranks collections
+ * within one comparison.
+ */
+const STRENGTH_WEIGHTS = {
+  momentum: 0.4,
+  sentiment: 0.15,
+  confidence: 0.15,
+  liquidity: 0.15,
+  risk: 0.15
+};
+
+/**
+ * Metrics collections are ranked by; `higher` says whether a higher value
+ * ranks first
+ */
+const RANKING_METRICS = {
+  strength: { value: entry => entry.strength?.score, higher: true },
+  change_24h: { value: entry => entry.predictions?.['24h'].percentage_change, higher: true },
+  change_7d: { value: entry => entry.predictions?.['7d'].percentage_change, higher: true },
+  change_30d: { value: entry => entry.predictions?.['30d'].percentage_change, higher: true },
+  confidence: { value: entry => entry.confidence_score, higher: true },
+  floor_price: { value: entry => entry.collection?.floor_price, higher: true },
+  volume_24h: { value: entry => entry.collection?.volume_24h, higher: true },
+  risk_factors: { value: entry => entry.risk_factors.length, higher: false }
+};
+
+const round = (value, digits = 2) => Number(value.toFixed(digits));
+
+/**
+ * Scale `values` to 0-1 (0.5 for all of them when they are equal)
+ */
+const normalize = (values) => {
+  const min = Math.min(...values);
+  const max = Math.max(...values);
+  return values.map(value => (max === min ? 0.5 : (value - min) / (max - min)));
+};
+
+/**
+ * Side-by-side comparison of 2-5 collections on one chain.
+ *
+ * Every collection goes through the prediction cache like a single
+ * /api/predict call, and the pipelines run concurrently: provider calls are
+ * throttled by the shared provider scheduler and Julia runs by the worker
+ * pool. A collection whose pipeline fails is reported with its error and left
+ * out of the rankings.
+ */
+class ComparisonService {
+  /**
+   * Predict every collection and return
+   * `{ chain, collections, rankings, compared, failed }`.
+   * Throws when no collection could be predicted.
+   */
+  async compare(addresses, { chain, fresh = false } = {}) {
+    const collections = await Promise.all(addresses.map(address => this.predict(address, { chain, fresh })));
+    const completed = collections.filter(entry => entry.status === 'completed');
+
+    if (completed.length === 0) {
+      const first = collections[0].error;
+      throw new ApiError(first.code, {
+        message: `No collection could be predicted: ${first.message}`,
+        details: { errors: collections.map(entry => `${entry.collection_address}: ${entry.error.message}`) }
+      });
+    }
+
+    this.scoreStrength(completed);
+
+    return {
+      chain,
+      collections,
+      rankings: this.rank(completed),
+      compared: completed.length,
+      failed: collections.length - completed.length
+    };
+  }
+
+  /**
+   * Run (or serve from cache) the prediction of one collection and reduce it
+   * to the fields that are compared
+   */
+  async predict(address, { chain, fresh }) {
+    const base = { collection_address: address, chain };
+
+    try {
+      const { result, cached, age } = await predictionCache.getOrCompute(
+        predictionKey(chain, address),
+        ({ onStage, signal }) => juliaService.executePredictionPipeline(address, { chain, onStage, signal }),
+        { fresh }
+      );
+
+      if (!result.success) {
+        return { ...base, ...this.failed(toErrorBody(pipelineError(result))) };
+      }
+
+      const { collection, predictions, market_sentiment, confidence_score, risk_factors, data_quality } = result.data;
+      return {
+        ...base,
+        status: 'completed',
+        collection: {
+          name: collection.name,
+          image: collection.image ?? null,
+          floor_price: collection.floor_price,
+          volume_24h: collection.volume_24h ?? null,
+          market_cap: collection.market_cap ?? null,
+          total_supply: collection.total_supply ?? null
+        },
+        predictions: Object.fromEntries(TIMEFRAMES.map(timeframe => [timeframe, predictions[timeframe]])),
+        market_sentiment,
+        confidence_score,
+        data_quality,
+        risk_factors,
+        strength: null,
+        data_provenance: predictionProvenance(result, cached),
+        cached,
+        age,
+        error: null
+      };
+    } catch (error) {
+      log.warn('Comparison prediction failed', { collection: address, chain, error: error.message });
+      return { ...base, ...this.failed(toErrorBody(error, { fallbackCode: 'PIPELINE_FAILED' })) };
+    }
+  }
+
+  /**
+   * Fields of a collection whose prediction failed
+   */
+  failed(error) {
+    return {
+      status: 'failed',
+      collection: null,
+      predictions: null,
+      market_sentiment: null,
+      confidence_score: null,
+      data_quality: null,
+      risk_factors: [],
+      strength: null,
+      data_provenance: null,
+      cached: false,
+      age: 0,
+      error
+    };
+  }
+
+  /**
+   * Attach a 0-100 relative-strength score and its components to each entry
+   */
+  scoreStrength(entries) {
+    const raw = {
+      // Confidence-weighted expected change, averaged over the timeframes
+      momentum: entries.map(entry => TIMEFRAMES.reduce(
+        (sum, timeframe) => sum + entry.predictions[timeframe].percentage_change * entry.predictions[timeframe].confidence / 100,
+        0
+      ) / TIMEFRAMES.length),
+      sentiment: entries.map(entry => SENTIMENT_SCORES[entry.market_sentiment] ?? 0.5),
+      confidence: entries.map(entry => entry.confidence_score),
+      liquidity: entries.map(entry => entry.collection.volume_24h ?? 0),
+      // Fewer risk factors is stronger
+      risk: entries.map(entry => -entry.risk_factors.length)
+    };
+    const scaled = Object.fromEntries(Object.entries(raw).map(([name, values]) => [name, normalize(values)]));
+
+    entries.forEach((entry, index) => {
+      const components = Object.fromEntries(
+        Object.keys(STRENGTH_WEIGHTS).map(name => [name, round(scaled[name][index])])
+      );
+      const score = Object.entries(STRENGTH_WEIGHTS)
+        .reduce((sum, [name, weight]) => sum + weight * scaled[name][index], 0);
+      entry.strength = { score: round(score * 100, 1), components };
+    });
+  }
+
+  /**
+   * Order the entries by each ranking metric, best first. Entries without a
+   * value for a metric (e.g. no volume data) are left out of that ranking.
+   */
+  rank(entries) {
+    return Object.fromEntries(Object.entries(RANKING_METRICS).map(([metric, { value, higher }]) => {
+      const ranked = entries
+        .filter(entry => typeof value(entry) === 'number')
+        .sort((a, b) => (higher ? value(b) - value(a) : value(a) - value(b)))
+        .map((entry, index) => ({ rank: index + 1, collection_address: entry.collection_address, value: value(entry) }));
+      return [metric, ranked];
+    }));
+  }
+}
+
+export const comparisonService = new ComparisonService();
@@ -0,0 +1,70 @@
+/**
+ * Minimal RFC 4180 CSV reading and writing for bulk imports and exports
+ */
+
+/**
+ * Split CSV text into rows of fields. Handles quoted fields with embedded
+ * commas, newlines and doubled quotes, and CRLF or LF line endings.
+ */
+export const parseCsv = (text) => {
+  const rows = [];
+  let row = [];
+  let field = '';
+  let quoted = false;
+
+  for (let i = 0; i < text.length; i++) {
+    const char = text[i];
+
+    if (quoted) {
+      if (char === '"' && text[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (char === '"') {
+        quoted = false;
+      } else {
+        field += char;
+      }
+    } else if (char === '"') {
+      quoted = true;
+    } else if (char === ',') {
+      row.push(field);
+      field = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && text[i + 1] === '\n') i++;
+      row.push(field);
+      rows.push(row);
+      row = [];
+      field = '';
+    } else {
+      field += char;
+    }
+  }
+
+  if (field !== '' || row.length > 0) {
+    row.push(field);
+    rows.push(row);
+  }
+  return rows;
+};
+
+/**
+ * Quote a value for CSV. Text starting with a formula character is prefixed
+ * with a quote so spreadsheets do not evaluate it.
+ */
+const formatField = (value) => {
+  if (value === null || value === undefined) return '';
+
+  let text = String(value);
+  if (typeof value === 'string' && /^[=+\-@\t\r]/.test(text)) {
+    text = `'${text}`;
+  }
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+/**
+ * Format rows of objects as CSV with a header line, taking `columns` (keys)
+ * from each row
+ */
+export const toCsv = (columns, rows) => [columns, ...rows.map(row => columns.map(column => row[column]))]
+  .map(fields => fields.map(formatField).join(','))
+  .join('\r\n') + '\r\n';
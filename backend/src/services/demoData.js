@@ -0,0 +1,219 @@
+import crypto from 'crypto';
+import { DEFAULT_CHAIN } from '../config/chains.js';
+import { PROVENANCE } from './provenance.js';
+
+const DEMO_COLLECTIONS = [
+  {
+    name: 'Bored Ape Yacht Club',
+    symbol: 'BAYC',
+    address: '0xBC4CA0EdA7647A8aB7C2061c2E118A18a936f13D',
+    image: 'https://images.unsplash.com/photo-1578662996442-48f60103fc96?w=100'
+  },
+  {
+    name: 'CryptoPunks',
+    symbol: 'PUNK',
+    address: '0xb47e3cd837dDF8e4c57F05d70Ab865de6e193BBB',
+    image: 'https://images.unsplash.com/photo-1620321023374-d1a68fbc720d?w=100'
+  },
+  {
+    name: 'Mutant Ape Yacht Club',
+    symbol: 'MAYC',
+    address: '0x60E4d786628Fea6478F785A6d7e704777c86a7c6',
+    image: 'https://images.unsplash.com/photo-1618005182384-a83a8bd57fbe?w=100'
+  },
+  {
+    name: 'Azuki',
+    symbol: 'AZUKI',
+    address: '0xED5AF388653567Af2F388E6224dC7C4b3241C544',
+    image: 'https://images.unsplash.com/photo-1635372722656-389f87a941b7?w=100'
+  },
+  {
+    name: 'CloneX',
+    symbol: 'CloneX',
+    address: '0x49cF6f5d44E70224e2E23fDcdd2C053F30aDA28B',
+    image: 'https://images.unsplash.com/photo-1639762681485-074b7f938ba0?w=100'
+  },
+  {
+    name: 'Aavegotchi',
+    symbol: 'GOTCHI',
+    address: '0x86935F11C86623deC8a25696E1C19a8659CbF95d',
+    image: 'https://images.unsplash.com/photo-1620321023374-d1a68fbc720d?w=100',
+    chain: 'polygon'
+  },
+  {
+    name: 'Mad Lads',
+    symbol: 'MAD',
+    address: 'J1S9H3QjnRtBbbuD4HjPV6RpRhwuk4zKbxsnCHuTgh9w',
+    image: 'https://images.unsplash.com/photo-1618005182384-a83a8bd57fbe?w=100',
+    chain: 'solana'
+  }
+];
+
+const AGENTS = ['Data Collector', 'AI Analyzer', 'Price Predictor', 'Swarm Coordinator'];
+
+const SYNTHETIC_PREDICTION = {
+  metadata: PROVENANCE.SYNTHETIC,
+  market_data: PROVENANCE.SYNTHETIC,
+  analysis: PROVENANCE.SYNTHETIC,
+  prediction: PROVENANCE.SYNTHETIC
+};
+
+/**
+ * Deterministic random number generator (mulberry32) seeded from a string
+ */
+const seededRandom = (seed) => {
+  let state = crypto.createHash('sha256').update(String(seed).toLowerCase()).digest().readUInt32LE(0);
+  return () => {
+    state = (state + 0x6D2B79F5) | 0;
+    let t = Math.imul(state ^ (state >>> 15), 1 | state);
+    t = (t + Math.imul(t ^ (t >>> 7), 61 | t)) ^ t;
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+};
+
+const pick = (random, options) => options[Math.floor(random() * options.length)];
+const round = (value, digits = 2) => Number(value.toFixed(digits));
+
+/**
+ * Seeded fixtures served in DEMO_MODE in place of unavailable sources.
+ * The same address always produces the same data.
+ */
+class DemoData {
+  findCollection(address) {
+    return DEMO_COLLECTIONS.find(c => c.address.toLowerCase() === String(address).toLowerCase());
+  }
+
+  /**
+   * Floor price of a collection, stable per address
+   */
+  floorPrice(address) {
+    return round(0.5 + seededRandom(`${address}:floor`)() * 49.5);
+  }
+
+  /**
+   * Collection metadata in the shape of nftService.getCollectionMetadata
+   */
+  metadata(address) {
+    const known = this.findCollection(address);
+    const name = known?.name || `Demo Collection ${String(address).slice(0, 8)}`;
+
+    return {
+      name,
+      symbol: known?.symbol || 'DEMO',
+      description: `${name} is a collection of unique NFTs with strong community and utility.`,
+      image: known?.image || DEMO_COLLECTIONS[0].image,
+      total_supply: 10000,
+      contract_type: 'ERC721'
+    };
+  }
+
+  /**
+   * Full pipeline result in the shape of the Julia output
+   */
+  prediction(address, chain = DEFAULT_CHAIN) {
+    const random = seededRandom(`${chain}:${address}:prediction`);
+    const metadata = this.metadata(address);
+    const floorPrice = this.floorPrice(address);
+
+    const timeframe = (spread, minConfidence) => {
+      const change = round((random() - 0.4) * spread, 1);
+      return {
+        direction: change > 1 ? 'up' : change < -1 ? 'down' : 'stable',
+        percentage_change: change,
+        confidence: Math.round(minConfidence + random() * 20),
+        price_target: round(floorPrice * (1 + change / 100))
+      };
+    };
+
+    return {
+      success: true,
+      data: {
+        collection: {
+          name: metadata.name,
+          address,
+          chain,
+          description: metadata.description,
+          image: metadata.image,
+          floor_price: floorPrice,
+          market_cap: Math.round(floorPrice * metadata.total_supply),
+          volume_24h: round(floorPrice * (5 + random() * 20), 1),
+          total_supply: metadata.total_supply
+        },
+        predictions: {
+          '24h': timeframe(10, 70),
+          '7d': timeframe(15, 60),
+          '30d': timeframe(25, 45)
+        },
+        ai_reasoning: 'Demo mode: this analysis is a seeded fixture, not the output of a live model. It combines typical market, sentiment and onchain signals so the interface can be explored without API keys.',
+        reasoning_steps: [
+          { factor: 'Social Media Sentiment', impact: pick(random, ['positive', 'neutral']), confidence: Math.round(70 + random() * 20), explanation: 'Demo fixture: community engagement trends.' },
+          { factor: 'Whale Activity', impact: pick(random, ['positive', 'negative']), confidence: Math.round(65 + random() * 20), explanation: 'Demo fixture: large wallet accumulation and distribution.' },
+          { factor: 'Market Conditions', impact: pick(random, ['neutral', 'negative']), confidence: Math.round(60 + random() * 20), explanation: 'Demo fixture: overall NFT market volume.' }
+        ],
+        risk_factors: [
+          'High market volatility affecting all NFT collections',
+          'Potential decrease in overall market liquidity',
+          'Regulatory uncertainty in digital assets space'
+        ],
+        market_sentiment: pick(random, ['bullish', 'neutral', 'bearish']),
+        confidence_score: Math.round(60 + random() * 25),
+        data_quality: Math.round(70 + random() * 20),
+        model: { engine: 'demo', llm_provider: null, llm_model: null }
+      },
+      data_provenance: { ...SYNTHETIC_PREDICTION },
+      processing_time: 0,
+      timestamp: new Date().toISOString()
+    };
+  }
+
+  /**
+   * Search the demo catalog by name or address
+   */
+  searchResults(query, chain = DEFAULT_CHAIN) {
+    const queryLower = query.toLowerCase();
+    return DEMO_COLLECTIONS
+      .filter(c => (c.chain || DEFAULT_CHAIN) === chain && (
+        c.name.toLowerCase().includes(queryLower) ||
+        c.address.toLowerCase().includes(queryLower)
+      ))
+      .map(({ name, address, image }) => ({ name, address, image, chain, floor_price: this.floorPrice(address) }));
+  }
+
+  /**
+   * Agent status list in the shape of the Julia health check
+   */
+  agentHealth() {
+    return AGENTS.map(name => ({
+      name,
+      status: 'active',
+      last_update: new Date().toISOString(),
+      performance_score: Math.round(85 + seededRandom(name)() * 12)
+    }));
+  }
+
+  /**
+   * Floor price / volume series in the shape of marketHistoryService.fetchSeries.
+   * The walk runs backwards from the fixture floor price so the latest
+   * point matches the demo prediction.
+   */
+  marketSeries(address, buckets) {
+    const random = seededRandom(`${address}:history`);
+    let price = this.floorPrice(address);
+    const prices = [];
+
+    for (let i = 0; i < buckets.length; i++) {
+      prices.unshift(round(price, 4));
+      price = Math.max(price * (1 + (random() - 0.5) * 0.06), 0.01);
+    }
+
+    return {
+      labels: buckets.map(bucket => new Date(bucket.end).toISOString()),
+      prices,
+      volumes: prices.map(value => round(value * (2 + random() * 8), 4)),
+      source: 'demo',
+      truncated: false
+    };
+  }
+}
+
+export const demoData = new DemoData();
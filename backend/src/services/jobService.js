@@ -0,0 +1,197 @@
+import { EventEmitter } from 'events';
+import { randomUUID } from 'crypto';
+import { juliaService } from './juliaService.js';
+import { predictionCache, predictionKey } from './predictionCache.js';
+import { predictionProvenance } from './provenance.js';
+import { ApiError, pipelineError, toErrorBody } from './apiErrors.js';
+import { DEFAULT_CHAIN } from '../config/chains.js';
+import { PIPELINE_STAGES } from '../../../shared/api.js';
+import { logger } from '../logging/index.js';
+
+const log = logger.child({ module: 'jobService' });
+
+const TERMINAL_STATUSES = ['completed', 'failed', 'cancelled'];
+
+class JobService extends EventEmitter {
+  constructor() {
+    super();
+    this.setMaxListeners(0); // One listener per open SSE stream
+    this.jobs = new Map();
+    this.jobTtlMs = parseInt(process.env.JOB_TTL_MS || '3600000'); // Keep finished jobs for 1 hour
+
+    // Periodically drop finished jobs so the map does not grow forever
+    this.cleanupTimer = setInterval(() => this.cleanup(), 60000);
+    this.cleanupTimer.unref();
+  }
+
+  /**
+   * Create a prediction job and start running it in the background.
+   * Pass `fresh` to bypass the prediction cache.
+   */
+  createPredictionJob(collectionAddress, { chain = DEFAULT_CHAIN, fresh = false } = {}) {
+    const now = new Date().toISOString();
+    const job = {
+      id: randomUUID(),
+      type: 'prediction',
+      status: 'queued',
+      stage: null,
+      stages: Object.fromEntries(PIPELINE_STAGES.map(stage => [stage, { status: 'pending' }])),
+      params: { collection_address: collectionAddress, chain, fresh },
+      result: null,
+      error: null,
+      created_at: now,
+      updated_at: now,
+      finished_at: null,
+      controller: new AbortController()
+    };
+
+    this.jobs.set(job.id, job);
+    this.runPredictionJob(job);
+
+    return job;
+  }
+
+  /**
+   * Execute the pipeline for a job and track its progress
+   */
+  async runPredictionJob(job) {
+    this.update(job, { status: 'running', stage: PIPELINE_STAGES[0] });
+    const startTime = Date.now();
+
+    try {
+      const { collection_address: address, chain } = job.params;
+      const { result, cached, age, cache } = await predictionCache.getOrCompute(
+        predictionKey(chain, address),
+        ({ onStage, signal }) => juliaService.executePredictionPipeline(address, { chain, onStage, signal }),
+        {
+          fresh: job.params.fresh,
+          signal: job.controller.signal,
+          onStage: (stage, summary) => this.recordStage(job, stage, summary)
+        }
+      );
+
+      if (job.controller.signal.aborted) return;
+
+      if (!result.success) {
+        this.update(job, { status: 'failed', error: toErrorBody(pipelineError(result)) });
+        return;
+      }
+
+      this.update(job, {
+        status: 'completed',
+        stage: null,
+        result: {
+          success: true,
+          data: result.data,
+          data_provenance: predictionProvenance(result, cached),
+          timestamp: new Date().toISOString(),
+          processing_time: (Date.now() - startTime) / 1000,
+          cached,
+          age,
+          ...(cache && { cache })
+        }
+      });
+    } catch (error) {
+      if (job.controller.signal.aborted) return;
+
+      log.error('Prediction job failed', { job_id: job.id, error });
+      this.update(job, {
+        status: 'failed',
+        error: toErrorBody(error, { fallbackCode: 'PIPELINE_FAILED' })
+      });
+    }
+  }
+
+  /**
+   * Record a finished pipeline stage and move on to the next one
+   */
+  recordStage(job, stage, summary) {
+    if (!job.stages[stage] || this.isFinished(job)) return;
+
+    job.stages[stage] = {
+      status: summary?.success === false ? 'failed' : 'completed',
+      completed_at: new Date().toISOString(),
+      ...(summary?.error && { error: summary.error })
+    };
+
+    const next = PIPELINE_STAGES[PIPELINE_STAGES.indexOf(stage) + 1] || null;
+    this.update(job, { stage: summary?.success === false ? stage : next }, { stage, summary });
+  }
+
+  /**
+   * Cancel a job that has not finished yet
+   */
+  cancelJob(id) {
+    const job = this.jobs.get(id);
+    if (!job) return null;
+
+    if (!this.isFinished(job)) {
+      job.controller.abort();
+      this.update(job, { status: 'cancelled', error: toErrorBody(new ApiError('CANCELLED')) });
+    }
+
+    return job;
+  }
+
+  /**
+   * Whether a job has reached a terminal status
+   */
+  isFinished(job) {
+    return TERMINAL_STATUSES.includes(job.status);
+  }
+
+  /**
+   * Get a job by id
+   */
+  getJob(id) {
+    return this.jobs.get(id) || null;
+  }
+
+  /**
+   * Apply changes to a job and notify listeners
+   */
+  update(job, changes, stageEvent = null) {
+    Object.assign(job, changes, { updated_at: new Date().toISOString() });
+    if (this.isFinished(job) && !job.finished_at) {
+      job.finished_at = job.updated_at;
+    }
+    this.emit('update', job, stageEvent);
+  }
+
+  /**
+   * Public representation of a job
+   */
+  serialize(job) {
+    const completedStages = Object.values(job.stages).filter(s => s.status === 'completed').length;
+
+    return {
+      id: job.id,
+      type: job.type,
+      status: job.status,
+      stage: job.stage,
+      stages: job.stages,
+      progress: job.status === 'completed' ? 1 : completedStages / PIPELINE_STAGES.length,
+      collection_address: job.params.collection_address,
+      chain: job.params.chain,
+      result: job.result,
+      error: job.error,
+      created_at: job.created_at,
+      updated_at: job.updated_at,
+      finished_at: job.finished_at
+    };
+  }
+
+  /**
+   * Remove finished jobs older than the TTL
+   */
+  cleanup() {
+    const cutoff = Date.now() - this.jobTtlMs;
+    for (const [id, job] of this.jobs) {
+      if (job.finished_at && new Date(job.finished_at).getTime() < cutoff) {
+        this.jobs.delete(id);
+      }
+    }
+  }
+}
+
+export const jobService = new JobService();
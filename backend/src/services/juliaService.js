@@ -2,56 +2,132 @@ import { spawn } from 'child_process';
 import { join, dirname } from 'path';
 import { fileURLToPath } from 'url';
 import fs from 'fs';
+import { JuliaWorkerPool } from './juliaWorkerPool.js';
+import { nodePredictionEngine } from './nodePredictionEngine.js';
+import { demoData } from './demoData.js';
+import { DataUnavailableError, PROVENANCE, isDemoMode } from './provenance.js';
+import { ApiError } from './apiErrors.js';
+import { ANALYSIS_SCHEMA, ANALYSIS_STATUS } from './analysisSchema.js';
+import { AGENT_STATUS, PREDICTION_DATA, SEARCH_RESULT } from '../../../shared/api.js';
+import { validate } from '../../../shared/schema.js';
+import { DEFAULT_CHAIN } from '../config/chains.js';
+import { logger, withSpan } from '../logging/index.js';
+import {
+  juliaJobsTotal,
+  juliaWorkerFailures,
+  juliaWorkerSpawns,
+  predictionPipelineDuration,
+  predictionStageDuration
+} from '../metrics/index.js';
+
+const log = logger.child({ module: 'juliaService' });
 
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = dirname(__filename);
 
+/**
+ * Return agent output if it matches its shared schema (shared/api.js),
+ * otherwise throw an AGENT_OUTPUT_INVALID error listing the problems
+ */
+const checkAgentOutput = (schema, output, what) => {
+  const errors = validate(schema, output);
+  if (errors.length > 0) {
+    throw new ApiError('AGENT_OUTPUT_INVALID', {
+      message: `Malformed ${what} from the agents: ${errors.slice(0, 3).join('; ')}`,
+      details: { errors }
+    });
+  }
+  return output;
+};
+
+/**
+ * Remove the LLM answer the Julia analyzer passes along and, when the
+ * prediction claims to be based on it, check it against ANALYSIS_SCHEMA
+ * like the Node engine checks its own
+ */
+const checkJuliaAnalysis = (data) => {
+  const { llm_analysis: analysis, ...rest } = data;
+  if ([ANALYSIS_STATUS.VALID, ANALYSIS_STATUS.REPAIRED].includes(rest.analysis_status)) {
+    checkAgentOutput(ANALYSIS_SCHEMA, analysis ?? {}, 'LLM analysis');
+  }
+  return rest;
+};
+
 class JuliaService {
   constructor() {
     this.juliaExecutable = process.env.JULIA_EXECUTABLE || 'julia';
     this.agentsPath = process.env.JULIA_PROJECT_PATH || join(__dirname, '../../../agents');
-    this.coordinatorScript = join(this.agentsPath, 'swarm_coordinator.jl');
     this.isJuliaAvailable = false;
-    this.checkJuliaAvailability();
+    this.availability = { available: false, error: 'Not checked yet', checked_at: null };
+    this.pool = new JuliaWorkerPool({
+      executable: this.juliaExecutable,
+      projectPath: this.agentsPath,
+      script: join(this.agentsPath, 'worker.jl'),
+      size: parseInt(process.env.JULIA_POOL_SIZE || '2'),
+      jobTimeoutMs: parseInt(process.env.JULIA_JOB_TIMEOUT_MS || '180000'),
+      startupTimeoutMs: parseInt(process.env.JULIA_STARTUP_TIMEOUT_MS || '300000'),
+      maxQueue: parseInt(process.env.JULIA_POOL_MAX_QUEUE || '20')
+    });
+    this.pool.on('spawn', () => juliaWorkerSpawns.inc());
+    this.pool.on('exit', ({ signal, startup }) => {
+      juliaWorkerFailures.inc({ reason: startup ? 'startup' : signal ? 'killed' : 'exited' });
+    });
+    this.pool.on('settled', ({ method, error }) => {
+      juliaJobsTotal.inc({ method, result: error ? error.code || 'error' : 'ok' });
+    });
+    this.ready = this.checkJuliaAvailability();
   }
 
   /**
-   * Check if Julia is available and agents are properly configured
+   * Check if Julia is available and agents are properly configured.
+   * Safe to call repeatedly (readinessService re-checks on a schedule): the
+   * worker pool is started once Julia becomes available, predictions use the
+   * Node engine while it is not, and only changes of state are logged.
    */
   async checkJuliaAvailability() {
+    let error = null;
+    let version = null;
     try {
       // Check if Julia executable exists
-      const result = await this.executeCommand('julia', ['--version']);
-      
+      version = (await this.executeCommand(this.juliaExecutable, ['--version'], { timeout: 10000 })).trim();
+
       // Check if agents directory exists
       if (!fs.existsSync(this.agentsPath)) {
-        console.warn('Agents directory not found:', this.agentsPath);
-        return false;
-      }
-
-      // Check if Project.toml exists
-      const projectToml = join(this.agentsPath, 'Project.toml');
-      if (!fs.existsSync(projectToml)) {
-        console.warn('Project.toml not found in agents directory');
-        return false;
+        error = `Agents directory not found: ${this.agentsPath}`;
+      } else if (!fs.existsSync(join(this.agentsPath, 'Project.toml'))) {
+        error = 'Project.toml not found in agents directory';
       }
+    } catch (commandError) {
+      error = commandError.message;
+    }
 
-      this.isJuliaAvailable = true;
-      console.log('Julia environment verified successfully');
-      return true;
-    } catch (error) {
-      console.warn('Julia not available, using fallback mode:', error.message);
-      this.isJuliaAvailable = false;
-      return false;
+    const available = !error;
+    const changed = available !== this.isJuliaAvailable || this.availability.checked_at === null;
+    this.isJuliaAvailable = available;
+    this.availability = { available, version, error, checked_at: new Date().toISOString() };
+
+    if (available && changed) {
+      log.info('Julia environment verified successfully', { version });
+      // Warm up the worker pool so the first prediction does not pay for startup
+      this.pool.start();
+    } else if (!available && changed) {
+      log.warn('Julia not available, using fallback mode', { error });
     }
+
+    return available;
   }
 
   /**
-   * Execute a command and return the result
+   * Execute a command and return the result. The command is killed after
+   * `timeout` ms when one is given.
    */
-  executeCommand(command, args = []) {
+  executeCommand(command, args = [], { timeout } = {}) {
     return new Promise((resolve, reject) => {
       const process = spawn(command, args);
+      const timer = timeout && setTimeout(() => {
+        process.kill('SIGKILL');
+        reject(new Error(`Command timed out after ${timeout}ms: ${command}`));
+      }, timeout);
       let stdout = '';
       let stderr = '';
 
@@ -64,6 +140,7 @@ class JuliaService {
       });
 
       process.on('close', (code) => {
+        clearTimeout(timer);
         if (code === 0) {
           resolve(stdout);
         } else {
@@ -72,413 +149,179 @@ class JuliaService {
       });
 
       process.on('error', (error) => {
+        clearTimeout(timer);
         reject(error);
       });
     });
   }
 
   /**
-   * Execute the complete prediction pipeline using Julia agents
+   * Execute the complete prediction pipeline using Julia agents, or the
+   * Node engine when Julia is not available.
+   * `onStage(stage, summary)` is called as each pipeline stage finishes and
+   * `signal` can be aborted to cancel the run. In demo mode a failed run is
+   * replaced by a seeded fixture.
    */
-  async executePredictionPipeline(collectionAddress) {
+  async executePredictionPipeline(collectionAddress, { chain = DEFAULT_CHAIN, onStage, signal } = {}) {
+    const stopTimer = predictionPipelineDuration.startTimer();
+    // Each stage is timed from the end of the previous one
+    let stageStartedAt = Date.now();
+    const timedOnStage = (stage, summary) => {
+      const now = Date.now();
+      predictionStageDuration.observe({ stage }, (now - stageStartedAt) / 1000);
+      stageStartedAt = now;
+      onStage?.(stage, summary);
+    };
+
+    let result;
     try {
-      console.log(`Executing Julia prediction pipeline for ${collectionAddress}`);
-
-      if (this.isJuliaAvailable) {
-        // Execute actual Julia agents
-        return await this.executeJuliaAgents(collectionAddress);
-      } else {
-        // No mock data fallback
-        return {
-          success: false,
-          error: "Julia is not available and no mock data is allowed.",
-          errors: ["Julia is not available and no mock data is allowed."]
-        };
+      log.info('Executing prediction pipeline', { collection: collectionAddress, chain });
+
+      result = await withSpan('prediction.pipeline', { collection: collectionAddress, chain }, () => {
+        if (this.isJuliaAvailable) {
+          // Execute actual Julia agents
+          return this.executeJuliaAgents(collectionAddress, { chain, onStage: timedOnStage, signal });
+        }
+        return nodePredictionEngine.run(collectionAddress, { chain, onStage: timedOnStage, signal });
+      });
+
+      if (result.success) {
+        checkAgentOutput(PREDICTION_DATA, result.data, 'prediction');
       }
     } catch (error) {
-      console.error('Julia pipeline execution failed:', error);
-      return {
+      log.error('Prediction pipeline execution failed', { collection: collectionAddress, chain, error });
+      result = {
         success: false,
         error: error.message,
-        errors: [error.message]
+        errors: error.details?.errors || [error.message],
+        ...(error.code && { code: error.code })
       };
     }
+
+    stopTimer({
+      engine: result.data?.model?.engine || (this.isJuliaAvailable ? 'julia' : 'node'),
+      outcome: result.success ? 'success' : 'failure'
+    });
+
+    if (!result.success && isDemoMode() && !signal?.aborted) {
+      log.warn('Prediction pipeline failed, using demo data', { collection: collectionAddress, chain });
+      return demoData.prediction(collectionAddress, chain);
+    }
+
+    return result;
   }
 
   /**
    * Execute actual Julia agents
    */
-  async executeJuliaAgents(collectionAddress) {
+  async executeJuliaAgents(collectionAddress, { chain = DEFAULT_CHAIN, onStage, signal } = {}) {
     try {
       const startTime = Date.now();
-      
-      // Prepare Julia script execution
-      const juliaScript = `
-        using Pkg
-        Pkg.activate("${this.agentsPath}")
-        
-        include("${join(this.agentsPath, 'swarm_coordinator.jl')}")
-        
-        # Execute prediction pipeline
-        result = execute_prediction_pipeline("${collectionAddress}")
-        
-        # Output JSON result
-        using JSON3
-        println(JSON3.write(result))
-      `;
-
-      // Write temporary script file
-      const tempScript = join(this.agentsPath, 'temp_prediction.jl');
-      fs.writeFileSync(tempScript, juliaScript);
 
-      try {
-        // Execute Julia script
-        const output = await this.executeCommand(this.juliaExecutable, [
-          '--project=' + this.agentsPath,
-          tempScript
-        ]);
-
-        // Parse JSON output
-        const lines = output.trim().split('\n');
-        const jsonLine = lines[lines.length - 1]; // Last line should be JSON
-        const result = JSON.parse(jsonLine);
-
-        const processingTime = (Date.now() - startTime) / 1000;
-        result.processing_time = processingTime;
-
-        return result;
-      } finally {
-        // Clean up temporary file
-        if (fs.existsSync(tempScript)) {
-          fs.unlinkSync(tempScript);
-        }
-      }
-    } catch (error) {
-      console.error('Julia agent execution failed:', error);
-      // Fallback to mock data
-      return {
-        success: true,
-        data: await this.generateMockPrediction(collectionAddress),
-        processing_time: 2.5,
-        timestamp: new Date().toISOString(),
-        fallback: true
-      };
-    }
-  }
+      const result = await withSpan('julia.predict', { collection: collectionAddress, chain }, () => this.pool.run(
+        'predict',
+        { collection_address: collectionAddress, chain },
+        { onProgress: onStage, signal }
+      ));
 
-  /**
-   * Search collections using Julia agents
-   */
-  async searchCollections(query) {
-    try {
-      if (this.isJuliaAvailable) {
-        // Use Julia agents for search
-        return await this.executeJuliaSearch(query);
-      } else {
-        // Fallback to mock search
-        return this.getMockSearchResults(query);
+      const processingTime = (Date.now() - startTime) / 1000;
+      result.processing_time = processingTime;
+      if (result.data?.collection) {
+        result.data.collection.chain = chain;
+      }
+      if (result.success) {
+        result.data = checkJuliaAnalysis(result.data);
+        checkAgentOutput(PREDICTION_DATA, result.data, 'prediction');
       }
+
+      return result;
     } catch (error) {
-      console.error('Collection search failed:', error);
-      return this.getMockSearchResults(query);
+      if (error.code === 'CANCELLED') {
+        throw error;
+      }
+      log.error('Julia agent execution failed, falling back to the Node engine', { collection: collectionAddress, error });
+      return nodePredictionEngine.run(collectionAddress, { chain, onStage, signal });
     }
   }
 
   /**
-   * Execute Julia search
+   * Search collections using Julia agents.
+   * Returns `{ results, provenance }`; throws a DataUnavailableError when
+   * search is unavailable outside demo mode.
    */
-  async executeJuliaSearch(query) {
-    const juliaScript = `
-      using Pkg
-      Pkg.activate("${this.agentsPath}")
-      
-      include("${join(this.agentsPath, 'swarm_coordinator.jl')}")
-      
-      result = search_collections("${query}")
-      
-      using JSON3
-      println(JSON3.write(result))
-    `;
-
-    const tempScript = join(this.agentsPath, 'temp_search.jl');
-    fs.writeFileSync(tempScript, juliaScript);
+  async searchCollections(query, chain = DEFAULT_CHAIN) {
+    let failure = 'Julia is not available';
 
-    try {
-      const output = await this.executeCommand(this.juliaExecutable, [
-        '--project=' + this.agentsPath,
-        tempScript
-      ]);
-
-      const lines = output.trim().split('\n');
-      const jsonLine = lines[lines.length - 1];
-      return JSON.parse(jsonLine);
-    } finally {
-      if (fs.existsSync(tempScript)) {
-        fs.unlinkSync(tempScript);
+    if (this.isJuliaAvailable) {
+      try {
+        return { results: await this.executeJuliaSearch(query, chain), provenance: PROVENANCE.REAL };
+      } catch (error) {
+        log.error('Collection search failed', { error });
+        failure = error.message;
       }
     }
+
+    if (!isDemoMode()) {
+      throw new DataUnavailableError(`Collection search unavailable: ${failure}`, 'search');
+    }
+    return { results: demoData.searchResults(query, chain), provenance: PROVENANCE.SYNTHETIC };
   }
 
   /**
-   * Get mock search results
+   * Execute Julia search
    */
-  getMockSearchResults(query) {
-    const collections = [
-      { 
-        name: "Bored Ape Yacht Club", 
-        address: "0xBC4CA0EdA7647A8aB7C2061c2E118A18a936f13D", 
-        image: "https://images.unsplash.com/photo-1578662996442-48f60103fc96?w=100",
-        floor_price: 12.5 
-      },
-      { 
-        name: "CryptoPunks", 
-        address: "0xb47e3cd837dDF8e4c57F05d70Ab865de6e193BBB", 
-        image: "https://images.unsplash.com/photo-1620321023374-d1a68fbc720d?w=100",
-        floor_price: 45.2 
-      },
-      { 
-        name: "Mutant Ape Yacht Club", 
-        address: "0x60E4d786628Fea6478F785A6d7e704777c86a7c6", 
-        image: "https://images.unsplash.com/photo-1618005182384-a83a8bd57fbe?w=100",
-        floor_price: 3.8 
-      },
-      { 
-        name: "Azuki", 
-        address: "0xED5AF388653567Af2F388E6224dC7C4b3241C544", 
-        image: "https://images.unsplash.com/photo-1635372722656-389f87a941b7?w=100",
-        floor_price: 8.9 
-      },
-      { 
-        name: "CloneX", 
-        address: "0x49cF6f5d44E70224e2E23fDcdd2C053F30aDA28B", 
-        image: "https://images.unsplash.com/photo-1639762681485-074b7f938ba0?w=100",
-        floor_price: 2.1 
-      }
-    ];
-
-    const queryLower = query.toLowerCase();
-    return collections.filter(c => 
-      c.name.toLowerCase().includes(queryLower) ||
-      c.address.toLowerCase().includes(queryLower)
-    );
+  async executeJuliaSearch(query, chain = DEFAULT_CHAIN) {
+    const results = await withSpan('julia.search', { query, chain }, () => this.pool.run('search', { query, chain }));
+    return checkAgentOutput({ type: 'array', items: SEARCH_RESULT }, results, 'search results');
   }
 
   /**
-   * Get agent health status
+   * Get agent health status as `{ agents, provenance }`. Without Julia the
+   * agents are reported as inactive (or with seeded fixtures in demo mode).
    */
   async getAgentHealth() {
-    try {
-      if (this.isJuliaAvailable) {
-        return await this.getJuliaAgentHealth();
-      } else {
-        return this.getMockAgentHealth();
+    let status = 'inactive';
+
+    if (this.isJuliaAvailable) {
+      try {
+        return { agents: await this.getJuliaAgentHealth(), provenance: PROVENANCE.REAL };
+      } catch (error) {
+        log.error('Agent health check failed', { error });
+        status = 'error';
       }
-    } catch (error) {
-      console.error('Agent health check failed:', error);
-      return this.getMockAgentHealth();
     }
+
+    if (isDemoMode()) {
+      return { agents: demoData.agentHealth(), provenance: PROVENANCE.SYNTHETIC };
+    }
+    return { agents: this.getOfflineAgentHealth(status), provenance: PROVENANCE.REAL };
   }
 
   /**
    * Get Julia agent health
    */
   async getJuliaAgentHealth() {
-    const juliaScript = `
-      using Pkg
-      Pkg.activate("${this.agentsPath}")
-      
-      include("${join(this.agentsPath, 'swarm_coordinator.jl')}")
-      
-      result = get_agent_health()
-      
-      using JSON3
-      println(JSON3.write(result))
-    `;
-
-    const tempScript = join(this.agentsPath, 'temp_health.jl');
-    fs.writeFileSync(tempScript, juliaScript);
-
-    try {
-      const output = await this.executeCommand(this.juliaExecutable, [
-        '--project=' + this.agentsPath,
-        tempScript
-      ]);
-
-      const lines = output.trim().split('\n');
-      const jsonLine = lines[lines.length - 1];
-      return JSON.parse(jsonLine);
-    } finally {
-      if (fs.existsSync(tempScript)) {
-        fs.unlinkSync(tempScript);
-      }
-    }
+    const agents = await withSpan('julia.health', {}, () => this.pool.run('health'));
+    return checkAgentOutput({ type: 'array', items: AGENT_STATUS }, agents, 'health report');
   }
 
   /**
-   * Get mock agent health
+   * Agent list for when the Julia agents cannot report their own health
    */
-  getMockAgentHealth() {
-    return [
-      {
-        name: "Data Collector",
-        status: this.isJuliaAvailable ? "active" : "inactive",
-        last_update: new Date().toISOString(),
-        performance_score: this.isJuliaAvailable ? 95 : 0
-      },
-      {
-        name: "AI Analyzer",
-        status: this.isJuliaAvailable ? "active" : "inactive",
-        last_update: new Date().toISOString(),
-        performance_score: this.isJuliaAvailable ? 88 : 0
-      },
-      {
-        name: "Price Predictor",
-        status: this.isJuliaAvailable ? "active" : "inactive",
-        last_update: new Date().toISOString(),
-        performance_score: this.isJuliaAvailable ? 92 : 0
-      },
-      {
-        name: "Swarm Coordinator",
-        status: this.isJuliaAvailable ? "active" : "inactive",
-        last_update: new Date().toISOString(),
-        performance_score: this.isJuliaAvailable ? 97 : 0
-      }
-    ];
+  getOfflineAgentHealth(status) {
+    return ['Data Collector', 'AI Analyzer', 'Price Predictor', 'Swarm Coordinator'].map(name => ({
+      name,
+      status,
+      last_update: new Date().toISOString(),
+      performance_score: 0
+    }));
   }
 
   /**
-   * Generate mock prediction data for demo purposes
+   * Stop the Julia worker pool
    */
-  async generateMockPrediction(collectionAddress) {
-    // Simulate processing delay
-    await new Promise(resolve => setTimeout(resolve, 1000));
-
-    const collectionNames = {
-      "0xBC4CA0EdA7647A8aB7C2061c2E118A18a936f13D": "Bored Ape Yacht Club",
-      "0xb47e3cd837dDF8e4c57F05d70Ab865de6e193BBB": "CryptoPunks",
-      "0x60E4d786628Fea6478F785A6d7e704777c86a7c6": "Mutant Ape Yacht Club",
-      "0xED5AF388653567Af2F388E6224dC7C4b3241C544": "Azuki",
-      "0x49cF6f5d44E70224e2E23fDcdd2C053F30aDA28B": "CloneX"
-    };
-
-    const collectionName = collectionNames[collectionAddress] || "Unknown Collection";
-    const basePrice = 12.5 + (Math.random() - 0.5) * 5;
-
-    return {
-      collection: {
-        name: collectionName,
-        address: collectionAddress,
-        description: `${collectionName} is a collection of unique NFTs with strong community and utility.`,
-        image: "https://images.unsplash.com/photo-1578662996442-48f60103fc96?w=400",
-        floor_price: parseFloat(basePrice.toFixed(2)),
-        market_cap: Math.round(basePrice * 10000),
-        volume_24h: parseFloat((basePrice * 50 + Math.random() * 200).toFixed(1)),
-        total_supply: 10000
-      },
-      predictions: {
-        '24h': {
-          direction: Math.random() > 0.4 ? 'up' : Math.random() > 0.3 ? 'stable' : 'down',
-          percentage_change: parseFloat((Math.random() * 10 - 3).toFixed(1)),
-          confidence: Math.round(70 + Math.random() * 20),
-          price_target: parseFloat((basePrice * (1 + (Math.random() * 0.1 - 0.03))).toFixed(2))
-        },
-        '7d': {
-          direction: Math.random() > 0.5 ? 'stable' : Math.random() > 0.5 ? 'up' : 'down',
-          percentage_change: parseFloat((Math.random() * 15 - 5).toFixed(1)),
-          confidence: Math.round(60 + Math.random() * 25),
-          price_target: parseFloat((basePrice * (1 + (Math.random() * 0.15 - 0.05))).toFixed(2))
-        },
-        '30d': {
-          direction: Math.random() > 0.6 ? 'down' : Math.random() > 0.5 ? 'stable' : 'up',
-          percentage_change: parseFloat((Math.random() * 25 - 10).toFixed(1)),
-          confidence: Math.round(45 + Math.random() * 30),
-          price_target: parseFloat((basePrice * (1 + (Math.random() * 0.25 - 0.1))).toFixed(2))
-        }
-      },
-      ai_reasoning: "Based on comprehensive analysis of market data, social sentiment, and onchain metrics, the collection shows mixed signals. Short-term momentum is supported by increased social activity and recent sales volume, but longer-term trends suggest potential headwinds from broader market conditions and evolving collector preferences.",
-      reasoning_steps: [
-        {
-          factor: "Social Media Sentiment",
-          impact: Math.random() > 0.5 ? "positive" : "neutral",
-          confidence: Math.round(75 + Math.random() * 15),
-          explanation: "Twitter mentions increased 32% with predominantly positive sentiment from verified collectors and influencers."
-        },
-        {
-          factor: "Whale Activity",
-          impact: Math.random() > 0.6 ? "positive" : "negative",
-          confidence: Math.round(70 + Math.random() * 20),
-          explanation: "Large wallet addresses have been accumulating, with 3 transactions above 50 ETH in the past 48 hours."
-        },
-        {
-          factor: "Market Conditions",
-          impact: Math.random() > 0.7 ? "neutral" : "negative",
-          confidence: Math.round(65 + Math.random() * 20),
-          explanation: "Overall NFT market volume decreased 8% week-over-week, creating headwinds for most collections."
-        },
-        {
-          factor: "Technical Analysis",
-          impact: Math.random() > 0.5 ? "positive" : "neutral",
-          confidence: Math.round(60 + Math.random() * 25),
-          explanation: "Price action shows support at current levels with potential for upward breakout if volume increases."
-        }
-      ],
-      risk_factors: [
-        "High market volatility affecting all NFT collections",
-        "Potential decrease in overall market liquidity",
-        "Regulatory uncertainty in digital assets space",
-        "Competition from new collection launches",
-        "Macroeconomic headwinds affecting risk assets"
-      ],
-      market_sentiment: Math.random() > 0.6 ? "bullish" : Math.random() > 0.3 ? "neutral" : "bearish",
-      confidence_score: Math.round(65 + Math.random() * 25),
-      data_quality: Math.round(80 + Math.random() * 15)
-    };
-  }
-
-  /**
-   * Execute Julia script (for production use)
-   */
-  async executeJuliaScript(scriptPath, args = []) {
-    return new Promise((resolve, reject) => {
-      const juliaProcess = spawn(this.juliaExecutable, [scriptPath, ...args], {
-        cwd: this.agentsPath,
-        env: { ...process.env, JULIA_PROJECT: this.agentsPath }
-      });
-
-      let stdout = '';
-      let stderr = '';
-
-      juliaProcess.stdout.on('data', (data) => {
-        stdout += data.toString();
-      });
-
-      juliaProcess.stderr.on('data', (data) => {
-        stderr += data.toString();
-      });
-
-      juliaProcess.on('close', (code) => {
-        if (code === 0) {
-          try {
-            const result = JSON.parse(stdout);
-            resolve(result);
-          } catch (error) {
-            reject(new Error(`Failed to parse Julia output: ${error.message}`));
-          }
-        } else {
-          reject(new Error(`Julia process exited with code ${code}: ${stderr}`));
-        }
-      });
-
-      juliaProcess.on('error', (error) => {
-        reject(new Error(`Failed to start Julia process: ${error.message}`));
-      });
-
-      // Set timeout
-      setTimeout(() => {
-        juliaProcess.kill();
-        reject(new Error('Julia execution timeout'));
-      }, 30000); // 30 seconds timeout
-    });
+  shutdown() {
+    this.pool.stop();
   }
 
   /**
@@ -489,6 +332,7 @@ class JuliaService {
       julia_available: this.isJuliaAvailable,
       julia_executable: this.juliaExecutable,
       agents_path: this.agentsPath,
+      worker_pool: this.pool.getStatus(),
       environment: process.env.NODE_ENV,
       api_keys_configured: {
         opensea: !!process.env.OPENSEA_API_KEY,
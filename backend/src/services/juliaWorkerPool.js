@@ -0,0 +1,436 @@
+import { spawn } from 'child_process';
+import { EventEmitter } from 'events';
+import { randomUUID } from 'crypto';
+import { getRequestId, logger } from '../logging/index.js';
+
+const log = logger.child({ module: 'juliaWorkerPool' });
+
+/**
+ * Error raised by the worker pool (timeouts, crashes, full queue)
+ */
+export class JuliaPoolError extends Error {
+  constructor(message, code, status = 500) {
+    super(message);
+    this.name = 'JuliaPoolError';
+    this.code = code;
+    this.status = status;
+  }
+}
+
+const MAX_RESTART_DELAY_MS = 30000;
+
+// Time a stopping worker gets to exit after SIGTERM before it is killed
+const STOP_GRACE_MS = 5000;
+
+// File descriptor of the worker's protocol channel, see agents/worker.jl
+const PROTOCOL_FD = 3;
+
+/**
+ * Pool of long-lived Julia worker processes.
+ *
+ * Each worker runs agents/worker.jl, which loads the swarm coordinator once
+ * and then answers line-delimited JSON requests read from stdin on a
+ * separate protocol pipe (file descriptor 3); stdout and stderr only carry
+ * logs. Parameters travel as JSON data, never as Julia code. Jobs are
+ * dispatched to idle workers; when every worker is busy they wait in a
+ * bounded queue and new jobs are rejected once the queue is full.
+ *
+ * Events: `spawn` (worker id), `ready` (worker id), `exit` ({ worker, code,
+ * signal, startup }), `settled` ({ method, error }) and `log` (agent log
+ * entries).
+ */
+export class JuliaWorkerPool extends EventEmitter {
+  constructor(options) {
+    super();
+    this.executable = options.executable;
+    this.projectPath = options.projectPath;
+    this.script = options.script;
+    this.size = options.size;
+    this.jobTimeoutMs = options.jobTimeoutMs;
+    this.startupTimeoutMs = options.startupTimeoutMs;
+    this.maxQueue = options.maxQueue;
+
+    this.workers = [];
+    this.queue = [];
+    this.started = false;
+    this.stopping = false;
+  }
+
+  /**
+   * Spawn the configured number of workers
+   */
+  start() {
+    if (this.started) return;
+    this.started = true;
+    this.stopping = false;
+
+    for (let i = 0; i < this.size; i++) {
+      const worker = { id: i + 1, restarts: 0 };
+      this.workers.push(worker);
+      this.spawnWorker(worker);
+    }
+
+    log.info('Julia worker pool starting', { size: this.size });
+  }
+
+  /**
+   * Stop all workers and reject pending jobs
+   */
+  stop() {
+    this.stopping = true;
+    this.started = false;
+
+    for (const job of this.queue.splice(0)) {
+      this.settle(job, new JuliaPoolError('Julia worker pool stopped', 'POOL_STOPPED', 503));
+    }
+
+    for (const worker of this.workers) {
+      clearTimeout(worker.restartTimer);
+      if (worker.job) {
+        this.settle(worker.job, new JuliaPoolError('Julia worker pool stopped', 'POOL_STOPPED', 503));
+        worker.job = null;
+      }
+      if (worker.process) {
+        const child = worker.process;
+        child.stdin.end();
+        child.kill();
+        // Escalate if the worker ignores SIGTERM, e.g. while stuck in a job
+        setTimeout(() => {
+          if (child.exitCode === null && child.signalCode === null) child.kill('SIGKILL');
+        }, STOP_GRACE_MS).unref();
+      }
+    }
+
+    this.workers = [];
+  }
+
+  /**
+   * Run a method on the next free worker.
+   * `onProgress` receives stage messages; aborting `signal` cancels the job.
+   * `timeout` counts from now, so time spent queued (or re-queued after a
+   * worker died) is part of it. The caller's request ID is passed along so
+   * agent logs carry it.
+   */
+  run(method, params = {}, { timeout = this.jobTimeoutMs, onProgress, signal } = {}) {
+    if (signal?.aborted) {
+      return Promise.reject(new JuliaPoolError('Julia job cancelled', 'CANCELLED', 499));
+    }
+
+    if (!this.started) {
+      return Promise.reject(new JuliaPoolError('Julia worker pool is not running', 'POOL_STOPPED', 503));
+    }
+
+    if (this.queue.length >= this.maxQueue) {
+      return Promise.reject(new JuliaPoolError(
+        `Julia worker queue is full (${this.maxQueue} pending jobs)`,
+        'QUEUE_FULL',
+        503
+      ));
+    }
+
+    return new Promise((resolve, reject) => {
+      const job = {
+        id: randomUUID(),
+        method,
+        params,
+        timeout,
+        onProgress,
+        signal,
+        requestId: getRequestId(),
+        resolve,
+        reject,
+        enqueuedAt: Date.now()
+      };
+
+      if (signal) {
+        job.onAbort = () => this.cancel(job);
+        signal.addEventListener('abort', job.onAbort, { once: true });
+      }
+
+      job.timer = setTimeout(() => this.handleTimeout(job), timeout);
+      this.queue.push(job);
+      this.dispatch();
+    });
+  }
+
+  /**
+   * Cancel a job. Queued jobs are simply dropped; a running job takes its
+   * worker down with it, because Julia cannot abort a task in flight.
+   */
+  cancel(job) {
+    const error = new JuliaPoolError('Julia job cancelled', 'CANCELLED', 499);
+
+    const index = this.queue.indexOf(job);
+    if (index !== -1) {
+      this.queue.splice(index, 1);
+      this.settle(job, error);
+      return;
+    }
+
+    const worker = this.workers.find(w => w.job === job);
+    if (worker) {
+      worker.job = null;
+      this.settle(job, error);
+      worker.process.kill('SIGKILL');
+    }
+  }
+
+  /**
+   * Hand queued jobs to idle workers
+   */
+  dispatch() {
+    for (const worker of this.workers) {
+      if (this.queue.length === 0) return;
+      if (worker.state !== 'idle') continue;
+
+      const job = this.queue.shift();
+      worker.state = 'busy';
+      worker.job = job;
+
+      worker.process.stdin.write(JSON.stringify({
+        id: job.id,
+        method: job.method,
+        params: job.params,
+        request_id: job.requestId
+      }) + '\n');
+    }
+  }
+
+  /**
+   * Spawn (or respawn) the process behind a worker slot
+   */
+  spawnWorker(worker) {
+    worker.state = 'starting';
+    worker.job = null;
+    worker.buffer = '';
+
+    const child = spawn(this.executable, ['--project=' + this.projectPath, this.script], {
+      cwd: this.projectPath,
+      env: { ...process.env, JULIA_PROJECT: this.projectPath, JULIA_PROTOCOL_FD: String(PROTOCOL_FD) },
+      stdio: ['pipe', 'pipe', 'pipe', 'pipe']
+    });
+    worker.process = child;
+    this.emit('spawn', worker.id);
+
+    worker.startupTimer = setTimeout(() => {
+      log.error('Julia worker did not become ready', { worker: worker.id, timeout_ms: this.startupTimeoutMs });
+      child.kill('SIGKILL');
+    }, this.startupTimeoutMs);
+
+    child.stdio[PROTOCOL_FD].on('data', (chunk) => {
+      worker.buffer += chunk.toString();
+      let newline;
+      while ((newline = worker.buffer.indexOf('\n')) !== -1) {
+        const line = worker.buffer.slice(0, newline).trim();
+        worker.buffer = worker.buffer.slice(newline + 1);
+        if (line) this.handleLine(worker, child, line);
+      }
+    });
+
+    // Agent logs (@info/@warn) arrive on stderr, one JSON object per line;
+    // the worker redirects its stdout there too, but output written before
+    // that (e.g. by Julia itself) is logged as well
+    for (const stream of [child.stdout, child.stderr]) {
+      let buffer = '';
+      stream.on('data', (chunk) => {
+        buffer += chunk.toString();
+        let newline;
+        while ((newline = buffer.indexOf('\n')) !== -1) {
+          const line = buffer.slice(0, newline).trim();
+          buffer = buffer.slice(newline + 1);
+          if (line) this.handleLogLine(worker, line);
+        }
+      });
+    }
+
+    // Writing to a worker that died after `ready` fails with EPIPE; the
+    // job never reached it, so it goes back to the front of the queue and
+    // handleExit restarts the worker. Its deadline keeps running.
+    child.stdin.on('error', (error) => {
+      log.warn('Julia worker stdin failed', { worker: worker.id, error: error.message });
+      if (worker.process !== child) return;
+
+      const job = worker.job;
+      worker.job = null;
+      if (job) this.queue.unshift(job);
+      child.kill('SIGKILL');
+      this.dispatch();
+    });
+
+    child.on('error', (error) => {
+      log.error('Julia worker failed to start', { worker: worker.id, error: error.message });
+    });
+
+    child.on('close', (code, signal) => this.handleExit(worker, child, code, signal));
+  }
+
+  /**
+   * Handle one protocol line from a worker
+   */
+  handleLine(worker, child, line) {
+    let message;
+    try {
+      message = JSON.parse(line);
+    } catch (error) {
+      log.warn('Julia worker wrote a non-JSON protocol line', { worker: worker.id, line: line.slice(0, 200) });
+      return;
+    }
+
+    if (message.type === 'ready') {
+      clearTimeout(worker.startupTimer);
+      worker.state = 'idle';
+      worker.readyAt = Date.now();
+      log.info('Julia worker ready', { worker: worker.id, pid: child.pid });
+      this.emit('ready', worker.id);
+      this.dispatch();
+      return;
+    }
+
+    const job = worker.job;
+    if (!job || message.id !== job.id) {
+      return;
+    }
+
+    if (message.type === 'stage') {
+      try {
+        job.onProgress?.(message.stage, message.data);
+      } catch (error) {
+        log.warn('Julia progress handler failed', { error: error.message });
+      }
+      return;
+    }
+
+    if (!['result', 'error'].includes(message.type)) {
+      return;
+    }
+
+    worker.job = null;
+    worker.state = 'idle';
+    worker.restarts = 0;
+
+    if (message.type === 'error') {
+      this.settle(job, new JuliaPoolError(message.error || 'Julia worker error', 'WORKER_ERROR'));
+    } else {
+      this.settle(job, null, message.result);
+    }
+
+    this.dispatch();
+  }
+
+  /**
+   * Forward one agent log line to the logger. Lines that are not JSON (e.g.
+   * output from package loading) are logged as plain info messages.
+   */
+  handleLogLine(worker, line) {
+    let entry;
+    try {
+      entry = JSON.parse(line);
+    } catch (error) {
+      entry = null;
+    }
+    if (!entry || typeof entry !== 'object') {
+      entry = { level: 'info', msg: line };
+    }
+
+    const { level, msg, time, module: juliaModule, ...fields } = entry;
+    const method = ['debug', 'info', 'warn', 'error'].includes(level) ? level : 'info';
+    log[method](String(msg ?? ''), {
+      ...(worker.job?.requestId && { request_id: worker.job.requestId }),
+      ...fields,
+      source: 'julia',
+      worker: worker.id,
+      julia_module: juliaModule,
+      julia_time: time
+    });
+    this.emit('log', { worker: worker.id, ...entry });
+  }
+
+  /**
+   * A job ran past its deadline: fail it, and if it was running recycle its
+   * worker, since a Julia task cannot be interrupted from the outside.
+   */
+  handleTimeout(job) {
+    const error = new JuliaPoolError(
+      `Julia job '${job.method}' timed out after ${job.timeout}ms`,
+      'TIMEOUT',
+      504
+    );
+
+    const index = this.queue.indexOf(job);
+    if (index !== -1) {
+      this.queue.splice(index, 1);
+      this.settle(job, error);
+      return;
+    }
+
+    const worker = this.workers.find(w => w.job === job);
+    if (worker) {
+      worker.job = null;
+      this.settle(job, error);
+      worker.process.kill('SIGKILL');
+    }
+  }
+
+  /**
+   * Worker process exited: fail its job and schedule a restart
+   */
+  handleExit(worker, child, code, signal) {
+    if (worker.process !== child) return;
+
+    clearTimeout(worker.startupTimer);
+    const startup = worker.state === 'starting';
+    worker.state = 'dead';
+    worker.process = null;
+
+    if (worker.job) {
+      this.settle(worker.job, new JuliaPoolError(
+        `Julia worker crashed (code ${code}, signal ${signal})`,
+        'WORKER_CRASHED'
+      ));
+      worker.job = null;
+    }
+
+    if (this.stopping) return;
+
+    const delay = Math.min(1000 * 2 ** worker.restarts, MAX_RESTART_DELAY_MS);
+    worker.restarts++;
+    log.warn('Julia worker exited, restarting', { worker: worker.id, code, signal, restart_in_ms: delay });
+    this.emit('exit', { worker: worker.id, code, signal, startup });
+
+    worker.restartTimer = setTimeout(() => this.spawnWorker(worker), delay);
+  }
+
+  /**
+   * Resolve or reject a job exactly once and emit `settled`
+   */
+  settle(job, error, result) {
+    clearTimeout(job.timer);
+    if (job.onAbort) {
+      job.signal.removeEventListener('abort', job.onAbort);
+    }
+    this.emit('settled', { method: job.method, error });
+    if (error) {
+      job.reject(error);
+    } else {
+      job.resolve(result);
+    }
+  }
+
+  /**
+   * Get pool status
+   */
+  getStatus() {
+    return {
+      size: this.size,
+      running: this.started,
+      queued: this.queue.length,
+      max_queue: this.maxQueue,
+      workers: this.workers.map(worker => ({
+        id: worker.id,
+        state: worker.state,
+        pid: worker.process?.pid ?? null,
+        restarts: worker.restarts
+      }))
+    };
+  }
+}
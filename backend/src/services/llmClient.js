@@ -0,0 +1,256 @@
+import { apiKeyService } from './apiKeyService.js';
+import { providerScheduler } from './providerScheduler.js';
+import { logger, withSpan } from '../logging/index.js';
+
+const log = logger.child({ module: 'llmClient' });
+
+// Default model per provider; override with LLM_MODEL_<PROVIDER>
+const DEFAULT_MODELS = {
+  openrouter: 'deepseek/deepseek-r1-0528:free',
+  huggingface: 'mistralai/Mistral-7B-Instruct-v0.3',
+  groq: 'llama-3.1-8b-instant',
+  together: 'meta-llama/Llama-3.3-70B-Instruct-Turbo-Free',
+  ollama: 'llama3.1'
+};
+
+// OpenAI-compatible providers that only report token usage on streams when asked
+const STREAM_USAGE_OPTION = ['ollama'];
+
+export class LLMError extends Error {
+  constructor(message, code, status = 502) {
+    super(message);
+    this.name = 'LLMError';
+    this.code = code;
+    this.status = status;
+  }
+}
+
+/**
+ * Flatten chat messages into a single prompt for text-generation endpoints
+ */
+const toPrompt = (messages) => {
+  if (messages.length === 1 && messages[0].role === 'user') return messages[0].content;
+  return `${messages.map(message => `${message.role}: ${message.content}`).join('\n\n')}\n\nassistant:`;
+};
+
+/**
+ * Token usage in OpenAI form. Counts a provider did not report are
+ * estimated at four characters per token and flagged `estimated`.
+ */
+const toUsage = (reported, prompt, text) => {
+  const promptTokens = reported?.prompt_tokens ?? Math.ceil(prompt.length / 4);
+  const completionTokens = reported?.completion_tokens ?? Math.ceil(text.length / 4);
+  return {
+    prompt_tokens: promptTokens,
+    completion_tokens: completionTokens,
+    total_tokens: promptTokens + completionTokens,
+    ...((reported?.prompt_tokens == null || reported?.completion_tokens == null) && { estimated: true })
+  };
+};
+
+/**
+ * Call `onEvent(data)` with the parsed payload of each `data:` line of a
+ * server-sent event stream, until the stream ends or sends `[DONE]`
+ */
+const readEventStream = async (stream, onEvent) => {
+  stream.setEncoding('utf8');
+  let buffer = '';
+
+  for await (const chunk of stream) {
+    buffer += chunk;
+    let newline;
+    while ((newline = buffer.indexOf('\n')) >= 0) {
+      const line = buffer.slice(0, newline).trim();
+      buffer = buffer.slice(newline + 1);
+      if (!line.startsWith('data:')) continue; // Blank separators and comments
+
+      const data = line.slice(5).trim();
+      if (data === '[DONE]') return;
+      onEvent(JSON.parse(data));
+    }
+  }
+};
+
+/**
+ * Chat completions across the configured LLM providers.
+ *
+ * Providers are tried in LLM_PROVIDERS order (ApiKeyService.getLLMProviders),
+ * skipping those whose circuit is open or whose quota is spent, until one
+ * returns a non-empty completion. Each attempt is limited to LLM_TIMEOUT_MS,
+ * queueing included, and its token usage is added to the provider's usage.
+ * Hugging Face uses its text-generation API; the other providers, including
+ * a local Ollama (OLLAMA_URL), use OpenAI-compatible chat completions.
+ */
+class LLMClient {
+  constructor() {
+    this.timeoutMs = parseInt(process.env.LLM_TIMEOUT_MS || '60000');
+  }
+
+  /**
+   * Model used for a provider
+   */
+  getModel(provider) {
+    return process.env[`LLM_MODEL_${provider.toUpperCase()}`] || DEFAULT_MODELS[provider];
+  }
+
+  /**
+   * Complete a prompt (string) or chat (`[{ role, content }]`). Pass
+   * `onToken(text)` to stream: tokens are delivered as they arrive, and a
+   * provider that fails mid-stream is not failed over. Resolves to
+   * `{ text, provider, model, usage, finish_reason }`; rejects with an
+   * LLMError when no provider succeeds, or with the abort error once
+   * `signal` is aborted.
+   */
+  async complete(messages, { maxTokens, temperature, signal, timeoutMs = this.timeoutMs, onToken } = {}) {
+    const chat = typeof messages === 'string' ? [{ role: 'user', content: messages }] : messages;
+    const order = apiKeyService.getLLMProviders().map(provider => provider.name);
+    if (order.length === 0) {
+      throw new LLMError('No LLM provider configured', 'NO_PROVIDER', 503);
+    }
+
+    try {
+      const { result } = await apiKeyService.callWithFailover('ai_llm', provider => (
+        this.completeWith(provider, chat, { maxTokens, temperature, signal, timeoutMs, onToken })
+      ), { order, signal });
+      return result;
+    } catch (error) {
+      if (signal?.aborted || error instanceof LLMError) throw error;
+      throw new LLMError(error.message, error.failover === false ? 'STREAM_INTERRUPTED' : 'PROVIDERS_FAILED');
+    }
+  }
+
+  /**
+   * One completion attempt on one provider, traced as an `llm.complete` span
+   */
+  completeWith({ name, config }, messages, { timeoutMs, signal, onToken, ...options }) {
+    const model = this.getModel(name);
+
+    return withSpan('llm.complete', { provider: name, model, stream: !!onToken }, async () => {
+      const timeout = AbortSignal.timeout(timeoutMs);
+      let streamed = false;
+      const request = {
+        ...options,
+        signal: signal ? AbortSignal.any([signal, timeout]) : timeout,
+        onToken: onToken && ((text) => {
+          streamed = true;
+          onToken(text);
+        })
+      };
+
+      try {
+        const completion = name === 'huggingface'
+          ? await this.requestTextGeneration(name, config, model, messages, request)
+          : await this.requestChatCompletion(name, config, model, messages, request);
+        if (!completion.text) {
+          throw new LLMError('Empty completion', 'EMPTY_COMPLETION');
+        }
+
+        apiKeyService.recordTokens('ai_llm', name, completion.usage);
+        return { ...completion, provider: name, model };
+      } catch (error) {
+        const failure = timeout.aborted && !signal?.aborted
+          ? new LLMError(`Timed out after ${timeoutMs}ms`, 'TIMEOUT', 504)
+          : error;
+        if (streamed) failure.failover = false;
+        if (!signal?.aborted) {
+          log.warn('LLM provider failed', { provider: name, model, error: failure.message, streamed });
+        }
+        throw failure;
+      }
+    });
+  }
+
+  /**
+   * OpenAI-compatible `/chat/completions` (OpenRouter, Groq, Together, Ollama)
+   */
+  async requestChatCompletion(name, config, model, messages, { maxTokens, temperature, signal, onToken }) {
+    const url = `${config.baseUrl}/chat/completions`;
+    const headers = { 'Content-Type': 'application/json', ...(config.key && { Authorization: `Bearer ${config.key}` }) };
+    const body = {
+      model,
+      messages,
+      ...(maxTokens && { max_tokens: maxTokens }),
+      ...(temperature != null && { temperature })
+    };
+    const prompt = messages.map(message => message.content).join('\n');
+
+    if (!onToken) {
+      const response = await providerScheduler.post(name, url, body, { headers, signal });
+      const choice = response.data?.choices?.[0];
+      const text = choice?.message?.content || '';
+      return { text, usage: toUsage(response.data?.usage, prompt, text), finish_reason: choice?.finish_reason ?? null };
+    }
+
+    const response = await providerScheduler.post(name, url, {
+      ...body,
+      stream: true,
+      ...(STREAM_USAGE_OPTION.includes(name) && { stream_options: { include_usage: true } })
+    }, { headers, signal, responseType: 'stream' });
+
+    let text = '';
+    let reported = null;
+    let finishReason = null;
+    await readEventStream(response.data, (event) => {
+      if (event.error) throw new LLMError(event.error.message || 'Stream error', 'STREAM_ERROR');
+
+      const choice = event.choices?.[0];
+      const delta = choice?.delta?.content;
+      if (delta) {
+        text += delta;
+        onToken(delta);
+      }
+      finishReason = choice?.finish_reason ?? finishReason;
+      reported = event.usage ?? event.x_groq?.usage ?? reported;
+    });
+
+    return { text, usage: toUsage(reported, prompt, text), finish_reason: finishReason };
+  }
+
+  /**
+   * Hugging Face Inference API text generation
+   */
+  async requestTextGeneration(name, config, model, messages, { maxTokens = 800, temperature, signal, onToken }) {
+    const url = `${config.baseUrl}/models/${model}`;
+    const headers = { Authorization: `Bearer ${config.key}`, 'Content-Type': 'application/json' };
+    const prompt = toPrompt(messages);
+    const body = {
+      inputs: prompt,
+      parameters: {
+        max_new_tokens: maxTokens,
+        return_full_text: false,
+        details: true,
+        ...(temperature != null && { temperature })
+      }
+    };
+
+    if (!onToken) {
+      const response = await providerScheduler.post(name, url, body, { headers, signal });
+      const output = response.data?.[0];
+      const text = output?.generated_text || '';
+      const reported = { completion_tokens: output?.details?.generated_tokens };
+      return { text, usage: toUsage(reported, prompt, text), finish_reason: output?.details?.finish_reason ?? null };
+    }
+
+    const response = await providerScheduler.post(name, url, { ...body, stream: true }, { headers, signal, responseType: 'stream' });
+
+    let text = '';
+    let details = null;
+    await readEventStream(response.data, (event) => {
+      if (event.error) throw new LLMError(event.error, 'STREAM_ERROR');
+
+      if (event.token?.text && !event.token.special) {
+        text += event.token.text;
+        onToken(event.token.text);
+      }
+      details = event.details ?? details;
+    });
+
+    return {
+      text,
+      usage: toUsage({ completion_tokens: details?.generated_tokens }, prompt, text),
+      finish_reason: details?.finish_reason ?? null
+    };
+  }
+}
+
+export const llmClient = new LLMClient();
@@ -0,0 +1,208 @@
+import { nftService } from './nftService.js';
+import { predictionCache, predictionKey } from './predictionCache.js';
+import { demoData } from './demoData.js';
+import { DataUnavailableError, PROVENANCE, isDemoMode } from './provenance.js';
+import { DEFAULT_CHAIN, getChain } from '../config/chains.js';
+import { logger } from '../logging/index.js';
+
+const log = logger.child({ module: 'marketHistoryService' });
+
+const HOUR_MS = 60 * 60 * 1000;
+const DAY_MS = 24 * HOUR_MS;
+
+const DURATION_UNITS = { h: HOUR_MS, d: DAY_MS, w: 7 * DAY_MS };
+const MAX_RANGE_MS = 365 * DAY_MS;
+const MAX_POINTS = 1000;
+
+// Forward points added for each prediction timeframe
+const PREDICTION_HORIZONS = { '24h': DAY_MS, '7d': 7 * DAY_MS, '30d': 30 * DAY_MS };
+
+const badRequest = (message) => {
+  const error = new Error(message);
+  error.status = 400;
+  return error;
+};
+
+/**
+ * Parse a duration such as `1d`, `4h` or `2w` into milliseconds
+ */
+const parseDuration = (value, name) => {
+  const match = /^(\d+)([hdw])$/.exec(String(value));
+  if (!match || Number(match[1]) === 0) {
+    throw badRequest(`Invalid ${name} "${value}". Use a number followed by h, d or w (e.g. 1d)`);
+  }
+  return Number(match[1]) * DURATION_UNITS[match[2]];
+};
+
+/**
+ * Builds normalized floor price / volume series for the MarketData chart
+ */
+class MarketHistoryService {
+  constructor() {
+    this.cache = new Map();
+    this.ttlMs = parseInt(process.env.MARKET_HISTORY_TTL_MS || '300000'); // 5 minutes
+    this.maxPages = parseInt(process.env.MARKET_HISTORY_MAX_PAGES || '20');
+  }
+
+  /**
+   * Get the price history of a collection as MarketData, with the latest
+   * cached prediction appended as forward points. Throws a
+   * DataUnavailableError when no history can be fetched outside demo mode.
+   */
+  async getCollectionHistory(address, { chain = DEFAULT_CHAIN, interval = '1d', range = '90d' } = {}) {
+    const intervalMs = parseDuration(interval, 'interval');
+    const rangeMs = parseDuration(range, 'range');
+
+    if (rangeMs > MAX_RANGE_MS) {
+      throw badRequest('Range cannot exceed 365 days');
+    }
+    if (rangeMs < intervalMs || rangeMs / intervalMs > MAX_POINTS) {
+      throw badRequest(`Range must cover between 1 and ${MAX_POINTS} intervals`);
+    }
+
+    const { series: history, provenance } = await this.getSeries(address, chain, intervalMs, rangeMs);
+    const prediction = await predictionCache.peek(predictionKey(chain, address));
+
+    return {
+      address,
+      chain,
+      currency: getChain(chain).currency,
+      interval,
+      range,
+      ...this.withPredictions(history, prediction?.data?.predictions),
+      source: history.source,
+      truncated: history.truncated,
+      data_provenance: { market_history: provenance }
+    };
+  }
+
+  /**
+   * Get the bucketed series and its provenance, served from a short-lived
+   * cache. Demo fixtures are never cached.
+   */
+  async getSeries(address, chain, intervalMs, rangeMs) {
+    const key = `${chain}:${address}:${intervalMs}:${rangeMs}`;
+    const cached = this.cache.get(key);
+    if (cached && cached.expiresAt > Date.now()) {
+      return { series: cached.series, provenance: PROVENANCE.CACHED };
+    }
+
+    let series;
+    try {
+      series = await this.fetchSeries(address, chain, intervalMs, rangeMs);
+    } catch (error) {
+      if (!isDemoMode()) {
+        throw new DataUnavailableError(`Market history unavailable: ${error.message}`, 'market_history');
+      }
+      log.warn('Market history unavailable, using demo data', { collection: address, error: error.message });
+      const end = Date.now();
+      return {
+        series: demoData.marketSeries(address, this.createBuckets(end - rangeMs, end, intervalMs)),
+        provenance: PROVENANCE.SYNTHETIC
+      };
+    }
+
+    this.cache.set(key, { series, expiresAt: Date.now() + this.ttlMs });
+    return { series, provenance: PROVENANCE.REAL };
+  }
+
+  /**
+   * Fetch OpenSea sales and bucket them into floor price / volume points
+   */
+  async fetchSeries(address, chain, intervalMs, rangeMs) {
+    const slug = await nftService.fetchOpenSeaSlugByAddress(address, chain);
+    if (!slug) throw new Error('Collection slug not found for contract address');
+
+    const end = Date.now();
+    const start = end - rangeMs;
+    const { sales, truncated } = await nftService.fetchOpenSeaSaleEvents(slug, {
+      after: Math.floor(start / 1000),
+      maxPages: this.maxPages
+    });
+
+    const buckets = this.createBuckets(start, end, intervalMs);
+    for (const sale of sales) {
+      const bucket = buckets[Math.floor((sale.timestamp - start) / intervalMs)];
+      if (!bucket) continue;
+
+      bucket.floor = bucket.floor === null ? sale.price : Math.min(bucket.floor, sale.price);
+      bucket.volume += sale.price;
+    }
+
+    // Carry the last known floor across intervals without sales
+    let lastFloor = null;
+    for (const bucket of buckets) {
+      if (bucket.floor === null) {
+        bucket.floor = lastFloor;
+      }
+      lastFloor = bucket.floor;
+    }
+
+    const points = buckets.filter(bucket => bucket.floor !== null);
+    if (points.length === 0) {
+      throw new Error('No sales in the requested range');
+    }
+
+    return {
+      labels: points.map(bucket => new Date(bucket.end).toISOString()),
+      prices: points.map(bucket => Number(bucket.floor.toFixed(4))),
+      volumes: points.map(bucket => Number(bucket.volume.toFixed(4))),
+      source: 'opensea',
+      truncated
+    };
+  }
+
+  /**
+   * Split [start, end) into intervals; points are labelled with their close time
+   */
+  createBuckets(start, end, intervalMs) {
+    const buckets = [];
+    for (let time = start; time < end; time += intervalMs) {
+      buckets.push({ start: time, end: Math.min(time + intervalMs, end), floor: null, volume: 0 });
+    }
+    return buckets;
+  }
+
+  /**
+   * Append the 24h/7d/30d predictions as forward points. Prediction arrays
+   * are aligned with `labels`: null over the history except for the last
+   * point, which anchors the forecast line at the current floor.
+   */
+  withPredictions(history, predictions) {
+    const { labels, prices, volumes } = history;
+    if (!predictions || prices.length === 0) {
+      return { labels, prices, volumes };
+    }
+
+    const lastTime = Date.parse(labels[labels.length - 1]);
+    const anchor = prices[prices.length - 1];
+
+    const forecastLabels = [];
+    const forecastPrices = [...Array(prices.length - 1).fill(null), anchor];
+    const bands = [...Array(prices.length - 1).fill(null), [anchor, anchor]];
+
+    for (const [timeframe, horizonMs] of Object.entries(PREDICTION_HORIZONS)) {
+      const prediction = predictions[timeframe];
+      if (!prediction) continue;
+
+      const price = prediction.price_target ?? anchor * (1 + prediction.percentage_change / 100);
+      const spread = price * (1 - Math.min(Math.max(prediction.confidence, 0), 100) / 100);
+
+      forecastLabels.push(new Date(lastTime + horizonMs).toISOString());
+      forecastPrices.push(Number(price.toFixed(4)));
+      bands.push([Number(Math.max(price - spread, 0).toFixed(4)), Number((price + spread).toFixed(4))]);
+    }
+
+    return {
+      labels: [...labels, ...forecastLabels],
+      prices,
+      volumes,
+      predictions: {
+        prices: forecastPrices,
+        confidence_bands: bands
+      }
+    };
+  }
+}
+
+export const marketHistoryService = new MarketHistoryService();
@@ -1,19 +1,97 @@
-import axios from 'axios';
+import sha3 from 'js-sha3';
+import { DEFAULT_CHAIN, getChain, getAlchemyNftUrl } from '../config/chains.js';
+import { demoData } from './demoData.js';
+import { DataUnavailableError, PROVENANCE, isDemoMode } from './provenance.js';
+import { apiKeyService } from './apiKeyService.js';
+import { providerScheduler } from './providerScheduler.js';
+import { logger, withSpan } from '../logging/index.js';
+
+const log = logger.child({ module: 'nftService' });
+
+const BASE58_ALPHABET = '123456789ABCDEFGHJKLMNPQRSTUVWXYZabcdefghijkmnopqrstuvwxyz';
+
+/**
+ * Copy fields of `next` that `base` lacks (null or undefined) onto a copy of `base`
+ */
+const mergeDefined = (base, next) => {
+  const merged = { ...base };
+  for (const [key, value] of Object.entries(next)) {
+    if (merged[key] == null && value != null) merged[key] = value;
+  }
+  return merged;
+};
+
+/**
+ * Decode a base58 string to bytes, or null if it contains invalid characters
+ */
+const decodeBase58 = (value) => {
+  const bytes = [];
+  for (const char of value) {
+    let carry = BASE58_ALPHABET.indexOf(char);
+    if (carry < 0) return null;
+
+    for (let i = 0; i < bytes.length; i++) {
+      carry += bytes[i] * 58;
+      bytes[i] = carry & 0xff;
+      carry >>= 8;
+    }
+    while (carry > 0) {
+      bytes.push(carry & 0xff);
+      carry >>= 8;
+    }
+  }
+
+  // Leading '1's encode leading zero bytes
+  for (const char of value) {
+    if (char !== '1') break;
+    bytes.push(0);
+  }
+  return bytes.reverse();
+};
 
 class NFTService {
   constructor() {
     this.openSeaBaseUrl = 'https://api.opensea.io/api/v1';
-    this.alchemyBaseUrl = 'https://eth-mainnet.g.alchemy.com/nft/v2';
     this.coinGeckoBaseUrl = 'https://api.coingecko.com/api/v3';
   }
 
   /**
-   * Validate Ethereum address format
+   * Validate a collection address for the given chain. EVM chains use 0x hex
+   * addresses; Solana uses base58-encoded 32-byte public keys.
    */
-  isValidAddress(address) {
+  isValidAddress(address, chainId = DEFAULT_CHAIN) {
+    const chain = getChain(chainId);
+    if (!chain || typeof address !== 'string') return false;
+
+    if (chain.type === 'solana') {
+      if (!/^[1-9A-HJ-NP-Za-km-z]{32,44}$/.test(address)) return false;
+      return decodeBase58(address)?.length === 32;
+    }
     return /^0x[a-fA-F0-9]{40}$/.test(address);
   }
 
+  /**
+   * Normalize an address for use as a cache key and in responses:
+   * EIP-55 checksum on EVM chains, unchanged (case-sensitive) on Solana
+   */
+  normalizeAddress(address, chainId = DEFAULT_CHAIN) {
+    return getChain(chainId)?.type === 'evm' ? this.toChecksumAddress(address) : address;
+  }
+
+  /**
+   * Normalize an Ethereum address to its EIP-55 checksummed form
+   */
+  toChecksumAddress(address) {
+    const lower = address.toLowerCase().replace(/^0x/, '');
+    const hash = sha3.keccak256(lower);
+
+    let checksummed = '0x';
+    for (let i = 0; i < lower.length; i++) {
+      checksummed += parseInt(hash[i], 16) >= 8 ? lower[i].toUpperCase() : lower[i];
+    }
+    return checksummed;
+  }
+
   /**
    * Fetch collection data from OpenSea (now using v2 API for floor price and more)
    */
@@ -26,13 +104,14 @@ class NFTService {
         headers['X-API-KEY'] = process.env.OPENSEA_API_KEY;
       }
       // Use v2 endpoint for stats
-      const response = await axios.get(
+      const response = await withSpan('nft.opensea.stats', { slug: collectionSlug }, () => providerScheduler.get(
+        'opensea',
         `https://api.opensea.io/api/v2/collections/${collectionSlug}/stats`,
         { headers, timeout: 10000 }
-      );
+      ));
       return response.data;
     } catch (error) {
-      console.warn('OpenSea API error:', error.message);
+      log.warn('OpenSea API error', { error: error.message });
       throw error;
     }
   }
@@ -40,40 +119,81 @@ class NFTService {
   /**
    * Fetch collection data from Alchemy (free tier)
    */
-  async fetchAlchemyData(contractAddress) {
+  async fetchAlchemyData(contractAddress, chainId = DEFAULT_CHAIN) {
     try {
       if (!process.env.ALCHEMY_API_KEY) {
         throw new Error('Alchemy API key not configured');
       }
 
-      const url = `${this.alchemyBaseUrl}/${process.env.ALCHEMY_API_KEY}/getContractMetadata`;
+      const chain = getChain(chainId);
+      const baseUrl = getAlchemyNftUrl(chain);
+      if (!baseUrl) {
+        throw new Error(`Alchemy NFT API does not support ${chain.name}`);
+      }
+
+      const url = `${baseUrl}/${process.env.ALCHEMY_API_KEY}/getContractMetadata`;
       
-      const response = await axios.get(url, {
+      const response = await withSpan('nft.alchemy.metadata', { collection: contractAddress, chain: chain.id }, () => providerScheduler.get('alchemy', url, {
         params: { contractAddress },
         timeout: 10000
-      });
+      }));
 
       return response.data;
     } catch (error) {
-      console.warn('Alchemy API error:', error.message);
+      log.warn('Alchemy API error', { error: error.message });
       throw error;
     }
   }
 
   /**
-   * Fetch ETH price from CoinGecko (free tier)
+   * Fetch the ETH price in USD through the `market_data` provider chain
+   * (CoinGecko, then CoinMarketCap when configured)
    */
   async fetchEthPrice() {
     try {
-      const response = await axios.get(
+      const { result } = await apiKeyService.callWithFailover('market_data', ({ name, config }) => (
+        name === 'coinmarketcap' ? this.fetchCoinMarketCapEthPrice(config) : this.fetchCoinGeckoEthPrice()
+      ));
+      return result;
+    } catch (error) {
+      log.warn('ETH price unavailable', { error: error.message });
+      return 2000; // Fallback ETH price
+    }
+  }
+
+  /**
+   * Fetch ETH price from CoinGecko (free tier)
+   */
+  async fetchCoinGeckoEthPrice() {
+    try {
+      const response = await withSpan('nft.coingecko.price', {}, () => providerScheduler.get(
+        'coingecko',
         `${this.coinGeckoBaseUrl}/simple/price?ids=ethereum&vs_currencies=usd`,
         { timeout: 5000 }
-      );
+      ));
 
       return response.data.ethereum.usd;
     } catch (error) {
-      console.warn('CoinGecko API error:', error.message);
-      return 2000; // Fallback ETH price
+      log.warn('CoinGecko API error', { error: error.message });
+      throw error;
+    }
+  }
+
+  /**
+   * Fetch ETH price from CoinMarketCap
+   */
+  async fetchCoinMarketCapEthPrice(config) {
+    try {
+      const response = await withSpan('nft.coinmarketcap.price', {}, () => providerScheduler.get(
+        'coinmarketcap',
+        `${config.baseUrl}/cryptocurrency/quotes/latest`,
+        { headers: { 'X-CMC_PRO_API_KEY': config.key }, params: { symbol: 'ETH', convert: 'USD' }, timeout: 5000 }
+      ));
+
+      return response.data.data.ETH.quote.USD.price;
+    } catch (error) {
+      log.warn('CoinMarketCap API error', { error: error.message });
+      throw error;
     }
   }
 
@@ -88,7 +208,7 @@ class NFTService {
       throw new Error(`Missing required fields: ${missing.join(', ')}`);
     }
     
-    if (!this.isValidAddress(data.address)) {
+    if (!this.isValidAddress(data.address, data.chain)) {
       throw new Error('Invalid contract address format');
     }
     
@@ -100,69 +220,78 @@ class NFTService {
   }
 
   /**
-   * Rate limiting for API calls
+   * Get collection metadata (and market stats when a source has them)
+   * through the `nft_data` provider chain: providers are tried in
+   * `apiKeyService.getBestProvider` order, skipping those whose circuit is
+   * open, and later providers fill in fields earlier ones lacked until a
+   * floor price is known. Pass collectionSlug to save OpenSea a lookup.
+   * When every source fails, demo mode returns seeded fixtures; otherwise a
+   * DataUnavailableError is thrown. `provenance` tells the two apart.
    */
-  async withRateLimit(apiCall, provider = 'default') {
-    const rateLimits = {
-      opensea: { requests: 4, period: 1000 }, // 4 req/sec
-      alchemy: { requests: 5, period: 1000 }, // 5 req/sec
-      coingecko: { requests: 10, period: 60000 }, // 10 req/min
-      default: { requests: 1, period: 1000 }
-    };
-    
-    const limit = rateLimits[provider] || rateLimits.default;
-    
-    // Simple rate limiting implementation
-    // In production, use Redis or similar
-    await new Promise(resolve => setTimeout(resolve, limit.period / limit.requests));
-    
-    return apiCall();
-  }
-
-  /**
-   * Get collection metadata with fallbacks
-   * Now tries Alchemy first, then OpenSea v2 for floor price and stats if Alchemy fails or is missing floor price.
-   * Pass collectionSlug if you want OpenSea fallback.
-   */
-  async getCollectionMetadata(contractAddress, collectionSlug = null) {
-    const errors = [];
+  async getCollectionMetadata(contractAddress, collectionSlug = null, chainId = DEFAULT_CHAIN) {
     let meta = null;
-    // Try Alchemy first
+    let errors = [];
     try {
-      const alchemyData = await this.withRateLimit(
-        () => this.fetchAlchemyData(contractAddress),
-        'alchemy'
-      );
-      meta = this.normalizeAlchemyData(alchemyData);
+      const chain = await apiKeyService.callWithFailover('nft_data', async ({ name }) => {
+        const data = await this.fetchCollectionFromProvider(name, contractAddress, collectionSlug, chainId);
+        if (!data) return null;
+        meta = mergeDefined(meta, data);
+        meta.sources = [...(meta.sources || []), name];
+        return meta;
+      }, { isComplete: result => result.floor_price != null });
+      errors = chain.errors;
     } catch (error) {
-      errors.push(`Alchemy: ${error.message}`);
+      errors = error.errors || [error.message];
     }
-    // If no meta or missing floor price, try OpenSea v2 if slug is provided
-    if ((!meta || meta.floor_price == null) && collectionSlug) {
-      try {
-        const openSeaStats = await this.fetchOpenSeaData(collectionSlug);
-        // Merge OpenSea stats into meta
-        meta = {
-          ...(meta || {}),
-          floor_price: openSeaStats?.total?.floor_price ?? null,
-          market_cap: openSeaStats?.total?.market_cap ?? null,
-          volume_24h: openSeaStats?.intervals?.find(i => i.interval === 'one_day')?.volume ?? null,
-          num_owners: openSeaStats?.total?.num_owners ?? null,
-          // Add more fields as needed
-        };
-      } catch (error) {
-        errors.push(`OpenSea: ${error.message}`);
-      }
-    }
-    // Fallback to mock data for demo
-    if (!meta) {
-      console.warn('All metadata sources failed, using mock data');
-      meta = this.generateMockMetadata(contractAddress);
+
+    if (meta) {
+      meta.provenance = PROVENANCE.REAL;
+    } else if (isDemoMode()) {
+      log.warn('All metadata sources failed, using demo data', { collection: contractAddress });
+      meta = { ...demoData.metadata(contractAddress), provenance: PROVENANCE.SYNTHETIC };
+    } else {
+      throw new DataUnavailableError(`Collection metadata unavailable (${errors.join('; ') || 'no nft_data provider configured'})`, 'metadata');
     }
+    meta.chain = getChain(chainId)?.id ?? DEFAULT_CHAIN;
     meta.errors = errors;
     return meta;
   }
 
+  /**
+   * Collection data from one `nft_data` provider in the shape of
+   * getCollectionMetadata, or null when the provider does not serve the chain
+   */
+  async fetchCollectionFromProvider(provider, contractAddress, collectionSlug, chainId) {
+    const chain = getChain(chainId);
+
+    switch (provider) {
+      case 'alchemy': {
+        if (!getAlchemyNftUrl(chain)) return null;
+        const data = await this.fetchAlchemyData(contractAddress, chainId);
+        return this.normalizeAlchemyData(data);
+      }
+      case 'opensea': {
+        const contract = collectionSlug ? null : await this.fetchOpenSeaContract(contractAddress, chainId);
+        const slug = collectionSlug || contract?.collection;
+        if (!slug) throw new Error('Collection slug not found for contract address');
+        const stats = await this.fetchOpenSeaV2Stats(slug);
+        return {
+          name: contract?.name,
+          total_supply: contract?.total_supply,
+          contract_type: contract?.contract_standard?.toUpperCase(),
+          floor_price: stats.floor_price,
+          market_cap: stats.market_cap,
+          volume_24h: stats.volume_24h
+        };
+      }
+      case 'moralis':
+        if (!chain.moralis) return null;
+        return this.fetchMoralisData(contractAddress, chainId);
+      default:
+        return null;
+    }
+  }
+
   /**
    * Normalize Alchemy response
    */
@@ -173,41 +302,41 @@ class NFTService {
       description: data.contractMetadata?.description || '',
       image: data.contractMetadata?.image || '',
       total_supply: parseInt(data.contractMetadata?.totalSupply || '0'),
-      contract_type: data.contractMetadata?.tokenType || 'ERC721'
+      contract_type: data.contractMetadata?.tokenType || 'ERC721',
+      floor_price: data.contractMetadata?.openSea?.floorPrice ?? null
     };
   }
 
   /**
-   * Generate mock metadata for demo
+   * Fetch collection metadata and floor price from Moralis (EVM chains)
    */
-  generateMockMetadata(contractAddress) {
-    const mockCollections = {
-      '0xBC4CA0EdA7647A8aB7C2061c2E118A18a936f13D': {
-        name: 'Bored Ape Yacht Club',
-        symbol: 'BAYC',
-        description: 'A collection of 10,000 unique Bored Ape NFTs',
-        total_supply: 10000
-      },
-      '0xb47e3cd837dDF8e4c57F05d70Ab865de6e193BBB': {
-        name: 'CryptoPunks',
-        symbol: 'PUNK',
-        description: 'The original NFT collection of 10,000 unique punks',
-        total_supply: 10000
-      }
-    };
-    
-    const defaultMock = mockCollections[contractAddress] || {
-      name: 'Unknown Collection',
-      symbol: 'UNK',
-      description: 'NFT Collection',
-      total_supply: 0
-    };
-    
-    return {
-      ...defaultMock,
-      image: 'https://images.unsplash.com/photo-1578662996442-48f60103fc96?w=400',
-      contract_type: 'ERC721'
-    };
+  async fetchMoralisData(contractAddress, chainId = DEFAULT_CHAIN) {
+    const config = apiKeyService.providers.nft_data.moralis;
+    const chain = getChain(chainId).moralis;
+    const request = (path, span) => withSpan(span, { collection: contractAddress, chain: chainId }, () => providerScheduler.get(
+      'moralis',
+      `${config.baseUrl}/nft/${contractAddress}/${path}`,
+      { headers: { 'X-API-Key': config.key, 'Accept': 'application/json' }, params: { chain }, timeout: 10000 }
+    ));
+
+    try {
+      const metadata = (await request('metadata', 'nft.moralis.metadata')).data;
+      const floor = await request('floor-price', 'nft.moralis.floor_price')
+        .then(response => response.data)
+        .catch(() => null); // Not every collection has a floor price on Moralis
+
+      return {
+        name: metadata?.name || 'Unknown Collection',
+        symbol: metadata?.symbol || '',
+        description: '',
+        image: metadata?.collection_logo || '',
+        contract_type: metadata?.contract_type || 'ERC721',
+        floor_price: floor?.floor_price != null ? Number(floor.floor_price) : null
+      };
+    } catch (error) {
+      log.warn('Moralis API error', { error: error.message });
+      throw error;
+    }
   }
 
   /**
@@ -221,26 +350,31 @@ class NFTService {
       if (process.env.OPENSEA_API_KEY) {
         headers['X-API-KEY'] = process.env.OPENSEA_API_KEY;
       }
-      const response = await axios.get(
+      const response = await withSpan('nft.opensea.stats', { slug: collectionSlug }, () => providerScheduler.get(
+        'opensea',
         `https://api.opensea.io/api/v2/collections/${collectionSlug}/stats`,
         { headers, timeout: 10000 }
-      );
+      ));
+      // Floor and market cap live in the `total` block; `total.volume` is
+      // all-time, the 24h volume is the `one_day` interval
       const stats = response.data;
       return {
-        market_cap: stats?.total?.market_cap,
-        volume_24h: stats?.total?.volume,
-        floor_price: stats?.floor_price
+        floor_price: stats?.total?.floor_price ?? null,
+        market_cap: stats?.total?.market_cap ?? null,
+        volume_24h: stats?.intervals?.find(interval => interval.interval === 'one_day')?.volume ?? null,
+        num_owners: stats?.total?.num_owners ?? null
       };
     } catch (error) {
-      console.warn('OpenSea v2 API error:', error.message);
+      log.warn('OpenSea v2 API error', { error: error.message });
       throw error;
     }
   }
 
   /**
-   * Fetch OpenSea collection slug from contract address (v2 API)
+   * Fetch an OpenSea contract record (v2 API): name, collection slug,
+   * contract standard and total supply
    */
-  async fetchOpenSeaSlugByAddress(contractAddress) {
+  async fetchOpenSeaContract(contractAddress, chainId = DEFAULT_CHAIN) {
     try {
       const headers = {
         'Accept': 'application/json'
@@ -248,26 +382,83 @@ class NFTService {
       if (process.env.OPENSEA_API_KEY) {
         headers['X-API-KEY'] = process.env.OPENSEA_API_KEY;
       }
-      const response = await axios.get(
-        `https://api.opensea.io/api/v2/chain/ethereum/contract/${contractAddress}`,
+      const response = await withSpan('nft.opensea.contract', { collection: contractAddress, chain: chainId }, () => providerScheduler.get(
+        'opensea',
+        `https://api.opensea.io/api/v2/chain/${getChain(chainId).opensea}/contract/${contractAddress}`,
         { headers, timeout: 10000 }
-      );
-      // The slug is typically in response.data.collection.slug
-      return response.data?.collection?.slug;
+      ));
+      const contract = response.data || {};
+      // `collection` is the slug, or an object holding it in older responses
+      return { ...contract, collection: contract.collection?.slug ?? contract.collection ?? null };
     } catch (error) {
-      console.warn('OpenSea v2 contract lookup error:', error.message);
+      log.warn('OpenSea v2 contract lookup error', { error: error.message });
       throw error;
     }
   }
 
+  /**
+   * Fetch OpenSea collection slug from contract address (v2 API)
+   */
+  async fetchOpenSeaSlugByAddress(contractAddress, chainId = DEFAULT_CHAIN) {
+    return (await this.fetchOpenSeaContract(contractAddress, chainId)).collection;
+  }
+
   /**
    * Fetch OpenSea v2 stats by contract address (address -> slug -> stats)
    */
-  async fetchOpenSeaV2StatsByAddress(contractAddress) {
-    const slug = await this.fetchOpenSeaSlugByAddress(contractAddress);
+  async fetchOpenSeaV2StatsByAddress(contractAddress, chainId = DEFAULT_CHAIN) {
+    const slug = await this.fetchOpenSeaSlugByAddress(contractAddress, chainId);
     if (!slug) throw new Error('Collection slug not found for contract address');
     return this.fetchOpenSeaV2Stats(slug);
   }
+
+  /**
+   * Fetch sale events for a collection from OpenSea v2, newest first.
+   * Follows the `next` cursor until `after` (unix seconds) is reached or
+   * `maxPages` pages have been read. Returns `{ sales, truncated }` where
+   * each sale is `{ timestamp, price, symbol }`.
+   */
+  async fetchOpenSeaSaleEvents(collectionSlug, { after, maxPages = 20 } = {}) {
+    const headers = {
+      'Accept': 'application/json'
+    };
+    if (process.env.OPENSEA_API_KEY) {
+      headers['X-API-KEY'] = process.env.OPENSEA_API_KEY;
+    }
+
+    const sales = [];
+    let next = null;
+
+    for (let page = 0; page < maxPages; page++) {
+      const response = await withSpan('nft.opensea.events', { slug: collectionSlug, page }, () => providerScheduler.get(
+        'opensea',
+        `https://api.opensea.io/api/v2/events/collection/${collectionSlug}`,
+        {
+          headers,
+          params: { event_type: 'sale', after, limit: 50, ...(next && { next }) },
+          timeout: 10000
+        }
+      ));
+
+      for (const event of response.data?.asset_events || []) {
+        const payment = event.payment;
+        if (!payment?.quantity) continue;
+
+        sales.push({
+          timestamp: event.event_timestamp * 1000,
+          price: Number(payment.quantity) / 10 ** (payment.decimals ?? 18),
+          symbol: payment.symbol
+        });
+      }
+
+      next = response.data?.next;
+      if (!next) {
+        return { sales, truncated: false };
+      }
+    }
+
+    return { sales, truncated: true };
+  }
 }
 
 export const nftService = new NFTService();
\ No newline at end of file
@@ -0,0 +1,363 @@
+import { nftService } from './nftService.js';
+import { llmClient, LLMError } from './llmClient.js';
+import { ANALYSIS_STATUS, analysisFormatInstructions, analysisRepairPrompt, parseAnalysis } from './analysisSchema.js';
+import { JuliaPoolError } from './juliaWorkerPool.js';
+import { DataUnavailableError, PROVENANCE } from './provenance.js';
+import { DEFAULT_CHAIN, getChain } from '../config/chains.js';
+import { logger, withSpan } from '../logging/index.js';
+
+const log = logger.child({ module: 'nodePredictionEngine' });
+
+const TIMEFRAMES = ['24h', '7d', '30d'];
+
+// Sentiment-driven base change per timeframe (same table as price_predictor.jl)
+const BASE_CHANGES = {
+  bullish: { '24h': 3.0, '7d': 5.0, '30d': 8.0 },
+  bearish: { '24h': -2.5, '7d': -6.0, '30d': -12.0 },
+  neutral: { '24h': 0.0, '7d': -1.0, '30d': -2.0 }
+};
+
+const CONFIDENCE_PENALTIES = { '24h': 0, '7d': -10, '30d': -20 };
+
+
+const clamp = (value, min, max) => Math.max(min, Math.min(max, value));
+const round = (value, digits) => Number(value.toFixed(digits));
+
+/**
+ * Prediction pipeline implemented in Node, used when Julia is unavailable.
+ *
+ * Runs the same four stages as swarm_coordinator.jl and returns the same
+ * result shape, with `data.model.engine` set to "node". The quantitative
+ * model mirrors price_predictor.jl without its random noise term, so the
+ * same inputs and analysis always produce the same predictions.
+ */
+class NodePredictionEngine {
+  /**
+   * Run the pipeline for a collection. `onStage(stage, summary)` receives
+   * the same stage summaries as the Julia worker.
+   */
+  async run(collectionAddress, { chain = DEFAULT_CHAIN, onStage, signal } = {}) {
+    const startTime = Date.now();
+    const errors = [];
+
+    const fail = (stage, error) => {
+      onStage?.(stage, { success: false, error: error.message });
+      errors.push(`${stage}: ${error.message}`);
+      return { success: false, error: error.message, errors, ...(error.code && { code: error.code }) };
+    };
+
+    log.info('Executing Node prediction pipeline', { collection: collectionAddress, chain });
+
+    // Stage 1: Data collection
+    let collectionData;
+    try {
+      collectionData = await this.collectData(collectionAddress, chain);
+    } catch (error) {
+      return fail('data_collection', error);
+    }
+    onStage?.('data_collection', {
+      success: true,
+      metadata: collectionData.metadata,
+      market_data: collectionData.market_data
+    });
+    this.throwIfAborted(signal);
+
+    // Stage 2: AI analysis
+    const analysis = await this.analyze(collectionData, signal);
+    onStage?.('ai_analysis', {
+      success: true,
+      market_sentiment: analysis.market_sentiment,
+      confidence_score: analysis.confidence_score,
+      reasoning_steps: analysis.reasoning_steps,
+      analysis_status: analysis.analysis_status
+    });
+    this.throwIfAborted(signal);
+
+    // Stage 3: Price prediction
+    const { market_data: marketData } = collectionData;
+    const predictions = Object.fromEntries(
+      TIMEFRAMES.map(timeframe => [timeframe, this.predictTimeframe(marketData, analysis, timeframe)])
+    );
+    const overallConfidence = this.calculateOverallConfidence(marketData, analysis);
+    onStage?.('price_prediction', { success: true, predictions, overall_confidence: overallConfidence });
+
+    // Stage 4: Risk assessment
+    const riskFactors = this.assessRisks(marketData, analysis);
+    onStage?.('risk_assessment', { success: true, risk_factors: riskFactors });
+
+    const { metadata } = collectionData;
+    return {
+      success: true,
+      data: {
+        collection: {
+          name: metadata.name || 'Unknown Collection',
+          address: collectionAddress,
+          chain,
+          description: metadata.description || '',
+          image: metadata.image || '',
+          floor_price: marketData.floor_price,
+          market_cap: marketData.market_cap,
+          volume_24h: marketData.volume_24h,
+          total_supply: metadata.total_supply || 0
+        },
+        predictions,
+        ai_reasoning: analysis.ai_reasoning,
+        reasoning_steps: analysis.reasoning_steps,
+        risk_factors: riskFactors,
+        market_sentiment: analysis.market_sentiment,
+        confidence_score: overallConfidence,
+        data_quality: analysis.data_quality,
+        analysis_status: analysis.analysis_status,
+        model: {
+          engine: 'node',
+          llm_provider: analysis.llm_provider,
+          llm_model: analysis.llm_model
+        }
+      },
+      data_provenance: {
+        ...(metadata.provenance && { metadata: metadata.provenance }),
+        market_data: PROVENANCE.REAL,
+        analysis: analysis.analysis_status === ANALYSIS_STATUS.RULE_BASED ? PROVENANCE.RULE_BASED : PROVENANCE.REAL,
+        prediction: PROVENANCE.REAL
+      },
+      errors,
+      processing_time: (Date.now() - startTime) / 1000,
+      timestamp: new Date().toISOString()
+    };
+  }
+
+  throwIfAborted(signal) {
+    if (signal?.aborted) {
+      throw new JuliaPoolError('Prediction cancelled', 'CANCELLED', 499);
+    }
+  }
+
+  /**
+   * Collect metadata and market stats through the nft_data provider chain.
+   * Fails when no floor price is available, since every prediction is
+   * relative to it.
+   */
+  async collectData(collectionAddress, chain) {
+    let metadata;
+    try {
+      metadata = await nftService.getCollectionMetadata(collectionAddress, null, chain);
+    } catch (error) {
+      if (!(error instanceof DataUnavailableError)) throw error;
+      metadata = { errors: [error.message], provenance: null };
+    }
+
+    const floorPrice = Number(metadata.floor_price);
+    if (!(floorPrice > 0)) {
+      throw new DataUnavailableError(
+        `Floor price unavailable for ${collectionAddress} (${metadata.errors.join('; ') || 'no market data'})`,
+        'market_data'
+      );
+    }
+
+    return {
+      chain,
+      metadata,
+      market_data: {
+        floor_price: floorPrice,
+        market_cap: Number(metadata.market_cap ?? 0),
+        volume_24h: Number(metadata.volume_24h ?? 0)
+      }
+    };
+  }
+
+  /**
+   * Ask the LLM client for a JSON analysis matching ANALYSIS_SCHEMA. An
+   * answer that fails validation is sent back with a repair prompt, up to
+   * LLM_REPAIR_ATTEMPTS times; when no valid answer comes back, a
+   * rule-based analysis is used. `analysis_status` records which happened.
+   */
+  async analyze(collectionData, signal) {
+    const chat = [{ role: 'user', content: this.createAnalysisPrompt(collectionData) }];
+    const repairAttempts = parseInt(process.env.LLM_REPAIR_ATTEMPTS || '1');
+
+    try {
+      let completion = await llmClient.complete(chat, { signal });
+      let { analysis, errors } = parseAnalysis(completion.text);
+      let status = ANALYSIS_STATUS.VALID;
+
+      for (let attempt = 1; !analysis && attempt <= repairAttempts; attempt++) {
+        log.warn('LLM analysis failed schema validation, requesting a repair', { provider: completion.provider, attempt, errors });
+        chat.push({ role: 'assistant', content: completion.text }, { role: 'user', content: analysisRepairPrompt(errors) });
+        completion = await llmClient.complete(chat, { signal });
+        ({ analysis, errors } = parseAnalysis(completion.text));
+        status = ANALYSIS_STATUS.REPAIRED;
+      }
+
+      if (!analysis) {
+        throw new LLMError(`LLM analysis does not match the schema (${errors.join('; ')})`, 'INVALID_OUTPUT');
+      }
+      return {
+        risk_factors: analysis.risk_factors,
+        bullish_factors: analysis.bullish_factors,
+        confidence_score: analysis.confidence_score,
+        data_quality: analysis.data_quality,
+        reasoning_steps: analysis.reasoning_steps,
+        market_sentiment: analysis.market_sentiment,
+        ai_reasoning: `${analysis.market_outlook}\n\n${analysis.sentiment_analysis}`,
+        analysis_status: status,
+        llm_provider: completion.provider,
+        llm_model: completion.model
+      };
+    } catch (error) {
+      this.throwIfAborted(signal);
+      log.warn('No valid LLM analysis, using rule-based analysis', { error: error.message });
+      return this.ruleBasedAnalysis(collectionData);
+    }
+  }
+
+  createAnalysisPrompt({ metadata, market_data: marketData, chain }) {
+    const currency = getChain(chain)?.currency || 'ETH';
+
+    return `You are an expert NFT market analyst. Analyze the following data for the NFT collection "${metadata.name || 'Unknown Collection'}":
+
+MARKET DATA:
+- Floor Price: ${marketData.floor_price} ${currency}
+- 24h Volume: ${marketData.volume_24h} ${currency}
+- Market Cap: ${marketData.market_cap} ${currency}
+
+Provide:
+- market_outlook: short-term price direction and the key market factors behind it (50-100 words)
+- sentiment_analysis: community engagement level (30-50 words)
+- market_sentiment: your overall call
+- risk_factors: 3-5 major risks that could impact price negatively
+- bullish_factors: 3-5 positive indicators supporting price growth
+- reasoning_steps: 3-5 factors you weighed, each with its impact on price and your confidence in it
+- confidence_score: your confidence in the analysis (1-100)
+- data_quality: your assessment of the data provided (1-100)
+
+Be objective and mention both positive and negative aspects.
+
+${analysisFormatInstructions()}`;
+  }
+
+  generateReasoningSteps({ market_data: marketData }) {
+    const volume = marketData.volume_24h;
+    let volumeImpact = 'neutral';
+    if (volume > 100) volumeImpact = 'positive';
+    else if (volume < 10) volumeImpact = 'negative';
+
+    return [
+      {
+        factor: 'Trading Volume',
+        impact: volumeImpact,
+        confidence: 75,
+        explanation: '24-hour trading volume indicates market activity and liquidity'
+      },
+      {
+        factor: 'Market Conditions',
+        impact: 'neutral',
+        confidence: 65,
+        explanation: 'Overall NFT market conditions and macroeconomic factors'
+      }
+    ];
+  }
+
+  /**
+   * Analysis derived from market data alone, used when no LLM answers
+   */
+  ruleBasedAnalysis(collectionData) {
+    const volume = collectionData.market_data.volume_24h;
+
+    let outlook = 'Mixed market signals. Moderate outlook with balanced risk-reward profile.';
+    let sentiment = 'neutral';
+    if (volume > 100) {
+      outlook = 'Strong trading volume supports the current floor. Short-term outlook appears favorable.';
+      sentiment = 'bullish';
+    } else if (volume < 10) {
+      outlook = 'Low trading volume leaves the floor exposed to thin liquidity. Caution advised.';
+      sentiment = 'bearish';
+    }
+
+    return {
+      risk_factors: [],
+      bullish_factors: [],
+      confidence_score: 60,
+      data_quality: 70,
+      reasoning_steps: this.generateReasoningSteps(collectionData),
+      market_sentiment: sentiment,
+      ai_reasoning: `${outlook} Analysis generated from market data only because no LLM returned a valid analysis.`,
+      analysis_status: ANALYSIS_STATUS.RULE_BASED,
+      llm_provider: null,
+      llm_model: null
+    };
+  }
+
+  /**
+   * Predict one timeframe. Same factors as predict_timeframe in
+   * price_predictor.jl, without the random noise.
+   */
+  predictTimeframe(marketData, analysis, timeframe) {
+    const basePrice = marketData.floor_price;
+    const volume = marketData.volume_24h;
+    const sentimentScore = (analysis.reasoning_steps[0]?.confidence ?? 70) / 100;
+
+    const baseChange = (BASE_CHANGES[analysis.market_sentiment] || BASE_CHANGES.neutral)[timeframe];
+
+    let volumeFactor = 0.7;
+    if (volume > 500) volumeFactor = 1.3;
+    else if (volume > 100) volumeFactor = 1.1;
+    else if (volume > 50) volumeFactor = 1.0;
+    else if (volume > 10) volumeFactor = 0.9;
+
+    const multiplier = { '24h': 1.2, '7d': 1.0, '30d': 0.8 }[timeframe];
+    let sentimentFactor = 0.8;
+    if (sentimentScore > 0.8) sentimentFactor = 1.2;
+    else if (sentimentScore > 0.6) sentimentFactor = 1.1;
+    else if (sentimentScore > 0.4) sentimentFactor = 1.0;
+    else if (sentimentScore > 0.2) sentimentFactor = 0.9;
+
+    const percentageChange = clamp(baseChange * volumeFactor * sentimentFactor * multiplier, -30, 30);
+    const priceTarget = clamp(basePrice * (1 + percentageChange / 100), basePrice * 0.5, basePrice * 2);
+
+    let direction = 'stable';
+    if (percentageChange > 1) direction = 'up';
+    else if (percentageChange < -1) direction = 'down';
+
+    const volumeBonus = volume > 100 ? 5 : volume > 50 ? 0 : -5;
+    const confidence = clamp(analysis.confidence_score + CONFIDENCE_PENALTIES[timeframe] + volumeBonus, 30, 95);
+
+    return {
+      direction,
+      percentage_change: round(percentageChange, 1),
+      confidence: Math.round(confidence),
+      price_target: round(priceTarget, 2)
+    };
+  }
+
+  calculateOverallConfidence(marketData, analysis) {
+    const volume = marketData.volume_24h;
+
+    let volumeScore = 45;
+    if (volume > 200) volumeScore = 85;
+    else if (volume > 100) volumeScore = 75;
+    else if (volume > 50) volumeScore = 65;
+    else if (volume > 10) volumeScore = 55;
+
+    const overall = analysis.data_quality * 0.3 + analysis.confidence_score * 0.4 + volumeScore * 0.3;
+    return Math.round(clamp(overall, 40, 90));
+  }
+
+  assessRisks(marketData, analysis) {
+    const risks = [...analysis.risk_factors];
+
+    if (marketData.volume_24h < 50) {
+      risks.push('Low trading volume increases volatility risk');
+    }
+    if (marketData.market_cap < 1000) {
+      risks.push('Small market cap vulnerable to manipulation');
+    }
+    if (analysis.market_sentiment === 'bearish') {
+      risks.push('Negative market sentiment could accelerate decline');
+    }
+    risks.push('High market volatility', 'Macroeconomic uncertainty', 'Regulatory changes');
+
+    return [...new Set(risks)];
+  }
+}
+
+export const nodePredictionEngine = new NodePredictionEngine();
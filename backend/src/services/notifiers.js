@@ -0,0 +1,161 @@
+import nodemailer from 'nodemailer';
+import { namespace } from '../storage/index.js';
+import { webhookService } from './webhookService.js';
+import { alertDeliveries } from '../metrics/index.js';
+import { logger } from '../logging/index.js';
+
+const log = logger.child({ module: 'notifiers' });
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * In-app alert feed, kept in the `alert_feed` storage namespace for
+ * ALERT_FEED_RETENTION_DAYS
+ */
+class AlertFeed {
+  constructor() {
+    this.alerts = namespace('alert_feed');
+    this.retentionMs = parseInt(process.env.ALERT_FEED_RETENTION_DAYS || '30') * DAY_MS;
+  }
+
+  /**
+   * Store an alert fired for a watchlist of `owner`
+   */
+  async add(alert, owner = null) {
+    await this.alerts.set(alert.id, { ...alert, owner }, { ttlMs: this.retentionMs });
+  }
+
+  /**
+   * Alerts of watchlists owned by `owner`, newest first
+   */
+  async list({ owner = null, watchlistId, limit = 50 } = {}) {
+    return (await this.alerts.entries())
+      .map(([, alert]) => alert)
+      .filter(alert => alert.owner === owner && (!watchlistId || alert.watchlist_id === watchlistId))
+      .sort((a, b) => b.fired_at.localeCompare(a.fired_at))
+      .slice(0, limit)
+      .map(({ owner: _owner, ...alert }) => alert);
+  }
+}
+
+export const alertFeed = new AlertFeed();
+
+/**
+ * Lazily created SMTP transport from SMTP_URL, or SMTP_HOST, SMTP_PORT,
+ * SMTP_SECURE, SMTP_USER and SMTP_PASS. Null when SMTP is not configured.
+ */
+let smtpTransport;
+const getSmtpTransport = () => {
+  if (smtpTransport === undefined) {
+    const { SMTP_URL, SMTP_HOST, SMTP_PORT, SMTP_SECURE, SMTP_USER, SMTP_PASS } = process.env;
+    smtpTransport = SMTP_URL || SMTP_HOST
+      ? nodemailer.createTransport(SMTP_URL || {
+        host: SMTP_HOST,
+        port: parseInt(SMTP_PORT || '587'),
+        secure: ['1', 'true'].includes(String(SMTP_SECURE).toLowerCase()),
+        auth: SMTP_USER ? { user: SMTP_USER, pass: SMTP_PASS } : undefined
+      })
+      : null;
+  }
+  return smtpTransport;
+};
+
+/**
+ * Built-in notifiers. Each has `validate(config)`, returning a problem with
+ * the watchlist's notifier config or null, and `send(alert, config, watchlist,
+ * prediction)`, where `prediction` is the PredictionResponse behind the alert.
+ */
+const BUILT_IN_NOTIFIERS = {
+  feed: {
+    validate: () => null,
+    send: (alert, config, watchlist) => alertFeed.add(alert, watchlist.owner)
+  },
+
+  // Delivered as an `alert.fired` event to the watchlist owner's webhook
+  // subscriptions, so it is signed, checked and retried like other webhooks
+  webhook: {
+    validate: () => null,
+    send: async (alert, config, watchlist, prediction) => {
+      const deliveries = await webhookService.publish('alert.fired', prediction, {
+        owner: watchlist.owner,
+        chain: alert.chain,
+        address: alert.collection_address,
+        alert
+      });
+      if (deliveries.length === 0) {
+        throw new Error('No active webhook subscription for alert.fired matches this alert');
+      }
+    }
+  },
+
+  email: {
+    validate: (config) => {
+      if (!config.to) return 'email notifiers need a to address';
+      if (!getSmtpTransport()) return 'email notifications are not available: SMTP is not configured';
+      return null;
+    },
+    send: (alert, config) => getSmtpTransport().sendMail({
+      from: process.env.SMTP_FROM || 'NFT Predictor <alerts@localhost>',
+      to: config.to,
+      subject: `[NFT Predictor] ${alert.message}`,
+      text: [
+        alert.message,
+        '',
+        `Watchlist: ${alert.watchlist_name}`,
+        `Collection: ${alert.collection_name} (${alert.collection_address} on ${alert.chain})`,
+        `Fired at: ${alert.fired_at}`
+      ].join('\n')
+    })
+  }
+};
+
+/**
+ * Registry of alert notifiers by type. Other notifiers can be plugged in with
+ * `register(type, { validate, send })`.
+ */
+class NotifierRegistry {
+  constructor() {
+    this.notifiers = new Map(Object.entries(BUILT_IN_NOTIFIERS));
+  }
+
+  register(type, notifier) {
+    this.notifiers.set(type, notifier);
+  }
+
+  has(type) {
+    return this.notifiers.has(type);
+  }
+
+  /**
+   * Problems with a list of notifier configs (unknown types, missing fields)
+   */
+  validate(configs) {
+    return configs.flatMap((config, index) => {
+      const notifier = this.notifiers.get(config.type);
+      const problem = notifier ? notifier.validate(config) : `unknown notifier type '${config.type}'`;
+      return problem ? [`notifiers[${index}]: ${problem}`] : [];
+    });
+  }
+
+  /**
+   * Send an alert through every notifier of its watchlist. A failing notifier
+   * does not stop the others; returns `{ type, ok, error }` per notifier.
+   */
+  async deliver(alert, watchlist, prediction) {
+    return Promise.all(watchlist.notifiers.map(async (config) => {
+      const notifier = this.notifiers.get(config.type);
+      try {
+        if (!notifier) throw new Error(`Unknown notifier type '${config.type}'`);
+        await notifier.send(alert, config, watchlist, prediction);
+        alertDeliveries.inc({ notifier: config.type, result: 'ok' });
+        return { type: config.type, ok: true, error: null };
+      } catch (error) {
+        alertDeliveries.inc({ notifier: config.type, result: 'error' });
+        log.warn('Alert delivery failed', { alert_id: alert.id, notifier: config.type, error: error.message });
+        return { type: config.type, ok: false, error: error.message };
+      }
+    }));
+  }
+}
+
+export const notifierRegistry = new NotifierRegistry();
@@ -0,0 +1,94 @@
+import dns from 'dns';
+import net from 'net';
+
+/**
+ * Checks for requests to caller-supplied URLs (webhook subscriptions), so they
+ * cannot reach loopback, private, link-local or cloud metadata addresses on
+ * the server's network. WEBHOOK_ALLOW_PRIVATE_URLS lifts the checks, e.g. to
+ * test against a local receiver.
+ */
+
+const BLOCKED_SUBNETS = [
+  ['0.0.0.0', 8, 'ipv4'], // "This" network
+  ['10.0.0.0', 8, 'ipv4'], // Private
+  ['100.64.0.0', 10, 'ipv4'], // Carrier-grade NAT, also some cloud metadata services
+  ['127.0.0.0', 8, 'ipv4'], // Loopback
+  ['169.254.0.0', 16, 'ipv4'], // Link-local, including 169.254.169.254 metadata
+  ['172.16.0.0', 12, 'ipv4'], // Private
+  ['192.0.0.0', 24, 'ipv4'], // IETF protocol assignments
+  ['192.168.0.0', 16, 'ipv4'], // Private
+  ['198.18.0.0', 15, 'ipv4'], // Benchmarking
+  ['224.0.0.0', 4, 'ipv4'], // Multicast
+  ['240.0.0.0', 4, 'ipv4'], // Reserved and broadcast
+  ['::', 128, 'ipv6'], // Unspecified
+  ['::1', 128, 'ipv6'], // Loopback
+  ['64:ff9b::', 96, 'ipv6'], // NAT64
+  ['2002::', 16, 'ipv6'], // 6to4
+  ['fc00::', 7, 'ipv6'], // Unique local, including fd00:ec2::254 metadata
+  ['fe80::', 10, 'ipv6'], // Link-local
+  ['ff00::', 8, 'ipv6'] // Multicast
+];
+
+// IPv4-mapped IPv6 addresses (::ffff:127.0.0.1) are matched by the IPv4 rules
+const blockList = new net.BlockList();
+for (const [address, prefix, family] of BLOCKED_SUBNETS) {
+  blockList.addSubnet(address, prefix, family);
+}
+
+const allowPrivate = () => ['1', 'true'].includes(String(process.env.WEBHOOK_ALLOW_PRIVATE_URLS).toLowerCase());
+
+/**
+ * Whether an IP address is publicly routable
+ */
+export const isPublicAddress = (address) => {
+  const family = net.isIP(address);
+  return family !== 0 && !blockList.check(address, family === 4 ? 'ipv4' : 'ipv6');
+};
+
+/**
+ * Problem with sending requests to `url`, or null: it must be an http(s) URL
+ * whose host only resolves to public addresses
+ */
+export const checkPublicUrl = async (url) => {
+  let parsed;
+  try {
+    parsed = new URL(url);
+  } catch (error) {
+    return 'must be an absolute URL';
+  }
+  if (!['http:', 'https:'].includes(parsed.protocol)) {
+    return 'must be an http or https URL';
+  }
+  if (allowPrivate()) return null;
+
+  const hostname = parsed.hostname.replace(/^\[|\]$/g, '');
+  let addresses;
+  try {
+    addresses = net.isIP(hostname)
+      ? [hostname]
+      : (await dns.promises.lookup(hostname, { all: true, verbatim: true })).map(entry => entry.address);
+  } catch (error) {
+    return `host '${hostname}' could not be resolved`;
+  }
+
+  return addresses.every(isPublicAddress)
+    ? null
+    : 'must not point to a loopback, private, link-local or metadata address';
+};
+
+/**
+ * DNS lookup for axios' `lookup` option that refuses non-public addresses, so
+ * a host whose DNS changed after checkPublicUrl() cannot be reached either
+ */
+export const publicLookup = (hostname, options, callback) => {
+  dns.lookup(hostname, { ...options, all: true }, (error, addresses) => {
+    if (error) return callback(error);
+    if (!allowPrivate() && !addresses.every(entry => isPublicAddress(entry.address))) {
+      return callback(Object.assign(
+        new Error(`${hostname} resolves to a loopback, private, link-local or metadata address`),
+        { code: 'EADDRNOTPUBLIC' }
+      ));
+    }
+    callback(null, addresses);
+  });
+};
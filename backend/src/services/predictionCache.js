@@ -0,0 +1,359 @@
+import { EventEmitter } from 'events';
+import { JuliaPoolError } from './juliaWorkerPool.js';
+import { nftService } from './nftService.js';
+import { PROVENANCE } from './provenance.js';
+import { runInBackground } from './providerScheduler.js';
+import { logger } from '../logging/index.js';
+
+const log = logger.child({ module: 'predictionCache' });
+
+/**
+ * Field groups of a prediction and the parts of `data` they cover.
+ * Each group has its own TTL; an entry turns stale as soon as any of its
+ * groups expires. Expired metadata and market groups are refreshed on their
+ * own from the collection data providers; an expired analysis group reruns
+ * the whole pipeline.
+ */
+export const FIELD_GROUPS = {
+  metadata: ['collection.name', 'collection.description', 'collection.image', 'collection.total_supply'],
+  market: ['collection.floor_price', 'collection.market_cap', 'collection.volume_24h', 'predictions'],
+  analysis: ['ai_reasoning', 'reasoning_steps', 'risk_factors', 'market_sentiment', 'confidence_score', 'data_quality', 'analysis_status']
+};
+
+/**
+ * Cache key for a collection on a chain
+ */
+export const predictionKey = (chain, address) => `${chain}:${address}`;
+
+// Fields of `data.collection` in the metadata and market groups
+const COLLECTION_FIELDS = [...FIELD_GROUPS.metadata, ...FIELD_GROUPS.market]
+  .filter(field => field.startsWith('collection.'))
+  .map(field => field.slice('collection.'.length));
+
+const round = (value, digits = 2) => Number(value.toFixed(digits));
+
+/**
+ * Default in-memory cache store.
+ *
+ * Any object implementing the same async `get(key)`, `set(key, entry)`,
+ * `delete(key)` and `clear()` methods can be plugged in through
+ * `predictionCache.setStore(store)`.
+ */
+export class MemoryCacheStore {
+  constructor({ maxEntries = 500 } = {}) {
+    this.maxEntries = maxEntries;
+    this.entries = new Map();
+  }
+
+  async get(key) {
+    return this.entries.get(key) || null;
+  }
+
+  async set(key, entry) {
+    // Re-insert so the Map keeps keys in least-recently-written order
+    this.entries.delete(key);
+    this.entries.set(key, entry);
+
+    while (this.entries.size > this.maxEntries) {
+      this.entries.delete(this.entries.keys().next().value);
+    }
+  }
+
+  async delete(key) {
+    this.entries.delete(key);
+  }
+
+  async clear() {
+    this.entries.clear();
+  }
+}
+
+/**
+ * Prediction result cache with per-group TTLs, stale-while-revalidate and
+ * merging of concurrent identical requests.
+ *
+ * Emits `result` (key, result) for every fresh pipeline result it stores, and
+ * `completed` (key, result, processingTime) for every successful pipeline run,
+ * including demo fixtures, which are not stored.
+ */
+class PredictionCache extends EventEmitter {
+  constructor() {
+    super();
+    this.store = new MemoryCacheStore({
+      maxEntries: parseInt(process.env.PREDICTION_CACHE_MAX_ENTRIES || '500')
+    });
+    this.ttl = {
+      metadata: parseInt(process.env.PREDICTION_CACHE_TTL_METADATA_MS || '86400000'), // 24 hours
+      market: parseInt(process.env.PREDICTION_CACHE_TTL_MARKET_MS || '300000'), // 5 minutes
+      analysis: parseInt(process.env.PREDICTION_CACHE_TTL_ANALYSIS_MS || '1800000') // 30 minutes
+    };
+    // Past this age a cached entry is no longer served, even as stale
+    this.maxStaleMs = parseInt(process.env.PREDICTION_CACHE_MAX_STALE_MS || '86400000');
+
+    this.inflight = new Map();
+    this.refreshing = new Set();
+    this.stats = { hits: 0, stale_hits: 0, misses: 0, merged: 0 };
+  }
+
+  /**
+   * Replace the backing store
+   */
+  setStore(store) {
+    this.store = store;
+  }
+
+  /**
+   * Return a cached prediction or run `compute` to produce one.
+   *
+   * `compute({ onStage, signal })` must resolve to a pipeline result
+   * (`{ success, data, ... }`). Only successful results that are not demo
+   * fixtures are stored. Returns `{ result, cached, age, cache }`.
+   */
+  async getOrCompute(key, compute, { fresh = false, onStage, signal } = {}) {
+    if (!fresh) {
+      const entry = await this.store.get(key);
+      const state = entry && this.describe(entry);
+
+      if (state && state.age * 1000 <= this.maxStaleMs) {
+        if (state.stale) {
+          this.stats.stale_hits++;
+          if (state.groups.analysis.fresh) {
+            this.refreshMarket(key, entry);
+          } else {
+            this.revalidate(key, compute);
+          }
+        } else {
+          this.stats.hits++;
+        }
+
+        return {
+          result: entry.result,
+          cached: true,
+          age: state.age,
+          cache: { ...state, revalidating: this.inflight.has(key) || this.refreshing.has(key) }
+        };
+      }
+    }
+
+    this.stats.misses++;
+    const result = await this.join(key, compute, { onStage, signal });
+
+    return {
+      result,
+      cached: false,
+      age: 0,
+      cache: null
+    };
+  }
+
+  /**
+   * Refresh an entry in the background, reusing any run already in flight.
+   * Its provider calls queue behind interactive requests.
+   */
+  revalidate(key, compute) {
+    if (this.inflight.has(key)) return;
+
+    runInBackground(() => this.join(key, compute)).catch(error => {
+      log.warn('Background refresh failed', { key, error: error.message });
+    });
+  }
+
+  /**
+   * Refresh the metadata and market groups of an entry whose analysis is
+   * still fresh: collection stats are fetched again and price targets are
+   * re-anchored on the new floor, keeping the cached analysis and predicted
+   * changes. Runs in the background lane.
+   */
+  refreshMarket(key, entry) {
+    if (this.inflight.has(key) || this.refreshing.has(key)) return;
+
+    const [chain, address] = key.split(':');
+    this.refreshing.add(key);
+    runInBackground(() => nftService.getCollectionMetadata(address, null, chain))
+      .then(meta => this.applyMarket(key, entry, meta))
+      .catch(error => {
+        log.warn('Background market refresh failed', { key, error: error.message });
+      })
+      .finally(() => this.refreshing.delete(key));
+  }
+
+  /**
+   * Store fresh collection data on a cached entry
+   */
+  async applyMarket(key, entry, meta) {
+    // A full run may have replaced the entry meanwhile
+    const current = await this.store.get(key);
+    if (current?.storedAt !== entry.storedAt) return;
+
+    const { result } = entry;
+    // Do not swap real cached data for demo fixtures
+    if (meta.provenance === PROVENANCE.SYNTHETIC && result.data_provenance?.metadata !== PROVENANCE.SYNTHETIC) return;
+
+    const collection = { ...result.data.collection };
+    for (const field of COLLECTION_FIELDS) {
+      if (meta[field] != null) collection[field] = meta[field];
+    }
+    const predictions = Object.fromEntries(Object.entries(result.data.predictions).map(([timeframe, prediction]) => [
+      timeframe,
+      prediction.price_target == null
+        ? prediction
+        : { ...prediction, price_target: round(collection.floor_price * (1 + prediction.percentage_change / 100)) }
+    ]));
+
+    const now = Date.now();
+    await this.store.set(key, {
+      ...entry,
+      result: {
+        ...result,
+        data: { ...result.data, collection, predictions },
+        data_provenance: { ...result.data_provenance, metadata: meta.provenance, market_data: meta.provenance }
+      },
+      refreshedAt: { metadata: now, market: now }
+    });
+    log.debug('Refreshed cached market data', { key });
+  }
+
+  /**
+   * Attach a caller to the pipeline run for `key`, starting one if needed.
+   * Every caller receives stage updates; the run is only aborted once all
+   * callers that passed a signal have cancelled.
+   */
+  join(key, compute, { onStage, signal } = {}) {
+    let run = this.inflight.get(key);
+
+    if (run) {
+      this.stats.merged++;
+    } else {
+      run = this.startRun(key, compute);
+    }
+
+    return new Promise((resolve, reject) => {
+      const subscriber = { onStage };
+      run.subscribers.add(subscriber);
+
+      const detach = () => {
+        run.subscribers.delete(subscriber);
+        signal?.removeEventListener('abort', onAbort);
+      };
+
+      const onAbort = () => {
+        detach();
+        reject(new JuliaPoolError('Prediction cancelled', 'CANCELLED', 499));
+        if (run.subscribers.size === 0) {
+          run.controller.abort();
+        }
+      };
+
+      if (signal) {
+        if (signal.aborted) return onAbort();
+        signal.addEventListener('abort', onAbort, { once: true });
+      }
+
+      run.promise.then(
+        result => { detach(); resolve(result); },
+        error => { detach(); reject(error); }
+      );
+    });
+  }
+
+  /**
+   * Start a single pipeline run shared by every caller of `key`
+   */
+  startRun(key, compute) {
+    const run = {
+      subscribers: new Set(),
+      controller: new AbortController()
+    };
+    // Registered before compute starts, so callers arriving while it runs
+    // (even synchronously) join this run instead of starting another
+    this.inflight.set(key, run);
+
+    run.promise = (async () => {
+      const startTime = Date.now();
+      try {
+        const result = await compute({
+          signal: run.controller.signal,
+          onStage: (stage, summary) => {
+            for (const subscriber of run.subscribers) {
+              subscriber.onStage?.(stage, summary);
+            }
+          }
+        });
+
+        if (result?.success && result.data_provenance?.prediction !== PROVENANCE.SYNTHETIC) {
+          await this.store.set(key, { result, storedAt: Date.now() });
+          this.emit('result', key, result);
+        }
+        if (result?.success) {
+          this.emit('completed', key, result, (Date.now() - startTime) / 1000);
+        }
+
+        return result;
+      } finally {
+        if (this.inflight.get(key) === run) {
+          this.inflight.delete(key);
+        }
+      }
+    })();
+
+    return run;
+  }
+
+  /**
+   * Describe an entry's age and which field groups have expired. Groups
+   * refreshed on their own (see refreshMarket) age from that refresh.
+   */
+  describe(entry) {
+    const now = Date.now();
+    const ageMs = now - entry.storedAt;
+    const groups = {};
+
+    for (const [group, ttl] of Object.entries(this.ttl)) {
+      groups[group] = {
+        fields: FIELD_GROUPS[group],
+        ttl: ttl / 1000,
+        fresh: now - (entry.refreshedAt?.[group] ?? entry.storedAt) <= ttl
+      };
+    }
+
+    return {
+      age: Math.round(ageMs / 1000),
+      stored_at: new Date(entry.storedAt).toISOString(),
+      stale: Object.values(groups).some(group => !group.fresh),
+      groups
+    };
+  }
+
+  /**
+   * Return a cached result without counting a lookup or triggering a
+   * refresh; null when missing or older than the max stale age
+   */
+  async peek(key) {
+    const entry = await this.store.get(key);
+    if (!entry || Date.now() - entry.storedAt > this.maxStaleMs) return null;
+    return entry.result;
+  }
+
+  /**
+   * Drop a cached entry
+   */
+  async invalidate(key) {
+    await this.store.delete(key);
+  }
+
+  /**
+   * Get cache statistics
+   */
+  getStats() {
+    const lookups = this.stats.hits + this.stats.stale_hits + this.stats.misses;
+    return {
+      ...this.stats,
+      inflight: this.inflight.size,
+      hit_ratio: lookups ? (this.stats.hits + this.stats.stale_hits) / lookups : 0,
+      ttl: this.ttl,
+      max_stale_ms: this.maxStaleMs
+    };
+  }
+}
+
+export const predictionCache = new PredictionCache();
@@ -0,0 +1,305 @@
+import crypto from 'crypto';
+import cron from 'node-cron';
+import { namespace } from '../storage/index.js';
+import { nftService } from './nftService.js';
+import { predictionCache } from './predictionCache.js';
+import { runInBackground } from './providerScheduler.js';
+import { logger } from '../logging/index.js';
+
+const log = logger.child({ module: 'predictionHistoryService' });
+
+const HOUR_MS = 60 * 60 * 1000;
+const DAY_MS = 24 * HOUR_MS;
+
+export const TIMEFRAME_HORIZONS = { '24h': DAY_MS, '7d': 7 * DAY_MS, '30d': 30 * DAY_MS };
+
+const RECENT_EVALUATIONS_LIMIT = 20;
+
+const round = (value, digits = 2) => Number(value.toFixed(digits));
+
+/**
+ * Stores every fresh prediction and, once each timeframe has elapsed, scores
+ * it against the realized floor price.
+ *
+ * Records are kept in the `prediction_history` storage namespace for
+ * PREDICTION_HISTORY_RETENTION_DAYS. An evaluator runs on the
+ * ACCURACY_EVAL_CRON schedule in the background provider lane; timeframes it cannot score within
+ * ACCURACY_EVAL_MAX_LAG_MS of their due time are marked skipped so a late
+ * floor price is never attributed to the wrong horizon.
+ */
+class PredictionHistoryService {
+  constructor() {
+    this.records = namespace('prediction_history');
+    this.retentionMs = parseInt(process.env.PREDICTION_HISTORY_RETENTION_DAYS || '180') * DAY_MS;
+    this.cronExpression = process.env.ACCURACY_EVAL_CRON || '*/15 * * * *';
+    this.maxLagMs = parseInt(process.env.ACCURACY_EVAL_MAX_LAG_MS || String(12 * HOUR_MS));
+    this.stableThreshold = parseFloat(process.env.ACCURACY_STABLE_THRESHOLD_PCT || '2');
+    this.task = null;
+    this.evaluating = null;
+
+    predictionCache.on('result', (key, result) => {
+      this.record(key, result).catch(error => {
+        log.warn('Failed to record prediction history', { key, error: error.message });
+      });
+    });
+  }
+
+  /**
+   * Store a prediction pipeline result (`{ success, data, ... }`) under its
+   * `chain:address` cache key
+   */
+  async record(key, result) {
+    const { collection, predictions } = result.data || {};
+    if (!collection || !predictions || !(collection.floor_price > 0)) {
+      return null;
+    }
+
+    const [chain, address] = key.split(':');
+    const record = {
+      id: crypto.randomUUID(),
+      collection_address: address,
+      chain,
+      name: collection.name,
+      created_at: new Date().toISOString(),
+      model: {
+        engine: result.data.model?.engine || 'julia',
+        llm_provider: result.data.model?.llm_provider || 'unknown',
+        llm_model: result.data.model?.llm_model || null
+      },
+      inputs: {
+        floor_price: collection.floor_price,
+        market_cap: collection.market_cap,
+        volume_24h: collection.volume_24h,
+        total_supply: collection.total_supply,
+        market_sentiment: result.data.market_sentiment,
+        confidence_score: result.data.confidence_score,
+        data_quality: result.data.data_quality
+      },
+      predictions,
+      evaluations: {}
+    };
+
+    await this.records.set(record.id, record, { ttlMs: this.retentionMs });
+    return record;
+  }
+
+  /**
+   * Start the scheduled evaluator
+   */
+  startEvaluator() {
+    if (this.task) return;
+
+    if (!cron.validate(this.cronExpression)) {
+      log.warn('Invalid ACCURACY_EVAL_CRON, accuracy evaluation disabled', { cron: this.cronExpression });
+      return;
+    }
+
+    this.task = cron.schedule(this.cronExpression, () => {
+      runInBackground(() => this.evaluateDue()).catch(error => {
+        log.error('Accuracy evaluation failed', { error });
+      });
+    });
+    log.info('Accuracy evaluator scheduled', { cron: this.cronExpression });
+  }
+
+  /**
+   * Stop the scheduled evaluator
+   */
+  stopEvaluator() {
+    this.task?.stop();
+    this.task = null;
+  }
+
+  /**
+   * Score every timeframe whose horizon has passed. Runs do not overlap;
+   * a call while one is in progress returns that run.
+   */
+  evaluateDue() {
+    if (!this.evaluating) {
+      this.evaluating = this.runEvaluation().finally(() => {
+        this.evaluating = null;
+      });
+    }
+    return this.evaluating;
+  }
+
+  async runEvaluation() {
+    const now = Date.now();
+    const floors = new Map();
+    let evaluated = 0;
+    let skipped = 0;
+
+    for (const [id, record] of await this.records.entries()) {
+      const created = Date.parse(record.created_at);
+      const due = this.getDueTimeframes(record, now);
+      if (due.length === 0) continue;
+
+      const evaluations = {};
+      for (const timeframe of due) {
+        const dueAt = created + TIMEFRAME_HORIZONS[timeframe];
+
+        if (now - dueAt > this.maxLagMs) {
+          evaluations[timeframe] = { status: 'skipped', reason: 'evaluation window missed', evaluated_at: new Date(now).toISOString() };
+          skipped++;
+          continue;
+        }
+
+        const actualFloor = await this.getActualFloor(record, floors);
+        if (actualFloor === null) continue; // Retry on the next run
+
+        evaluations[timeframe] = this.score(record, timeframe, actualFloor, now);
+        evaluated++;
+      }
+
+      if (Object.keys(evaluations).length === 0) continue;
+
+      await this.records.update(id, (current) => (
+        current && { ...current, evaluations: { ...current.evaluations, ...evaluations } }
+      ), { ttlMs: Math.max(this.retentionMs - (now - created), 1) });
+    }
+
+    if (evaluated || skipped) {
+      log.info('Accuracy evaluation finished', { evaluated, skipped });
+    }
+    return { evaluated, skipped };
+  }
+
+  /**
+   * Timeframes of a record that have elapsed but are not yet evaluated
+   */
+  getDueTimeframes(record, now) {
+    const created = Date.parse(record.created_at);
+    return Object.keys(TIMEFRAME_HORIZONS).filter(timeframe => (
+      record.predictions[timeframe] &&
+      !record.evaluations[timeframe] &&
+      created + TIMEFRAME_HORIZONS[timeframe] <= now
+    ));
+  }
+
+  /**
+   * Current floor price of a record's collection, fetched once per run.
+   * Returns null when it is unavailable.
+   */
+  async getActualFloor(record, floors) {
+    const key = `${record.chain}:${record.collection_address}`;
+    if (!floors.has(key)) {
+      floors.set(key, nftService.fetchOpenSeaV2StatsByAddress(record.collection_address, record.chain)
+        .then(stats => (stats?.floor_price > 0 ? stats.floor_price : null))
+        .catch(error => {
+          log.warn('Floor price unavailable', { key, error: error.message });
+          return null;
+        }));
+    }
+    return floors.get(key);
+  }
+
+  /**
+   * Compare one timeframe's prediction with the realized floor price
+   */
+  score(record, timeframe, actualFloor, now) {
+    const prediction = record.predictions[timeframe];
+    const baseFloor = record.inputs.floor_price;
+    const predictedFloor = prediction.price_target ?? baseFloor * (1 + (prediction.percentage_change || 0) / 100);
+    const actualChange = (actualFloor - baseFloor) / baseFloor * 100;
+
+    let actualDirection = 'stable';
+    if (actualChange > this.stableThreshold) actualDirection = 'up';
+    else if (actualChange < -this.stableThreshold) actualDirection = 'down';
+
+    return {
+      status: 'evaluated',
+      evaluated_at: new Date(now).toISOString(),
+      predicted_floor: round(predictedFloor, 4),
+      actual_floor: round(actualFloor, 4),
+      error: round(predictedFloor - actualFloor, 4),
+      abs_pct_error: round(Math.abs(predictedFloor - actualFloor) / actualFloor * 100),
+      predicted_direction: prediction.direction,
+      actual_direction: actualDirection,
+      actual_change_pct: round(actualChange),
+      direction_correct: prediction.direction === actualDirection
+    };
+  }
+
+  /**
+   * Aggregate accuracy, optionally filtered by collection, chain, timeframe
+   * or LLM provider
+   */
+  async getAccuracy({ collection, chain, timeframe, provider } = {}) {
+    const timeframes = timeframe ? [timeframe] : Object.keys(TIMEFRAME_HORIZONS);
+    const now = Date.now();
+    const samples = [];
+    let pending = 0;
+
+    for (const [, record] of await this.records.entries()) {
+      if (collection && record.collection_address.toLowerCase() !== collection.toLowerCase()) continue;
+      if (chain && record.chain !== chain) continue;
+      if (provider && record.model.llm_provider !== provider) continue;
+
+      for (const tf of timeframes) {
+        if (!record.predictions[tf]) continue;
+
+        const evaluation = record.evaluations[tf];
+        if (evaluation?.status === 'evaluated') {
+          samples.push({ record, timeframe: tf, evaluation });
+        } else if (!evaluation) {
+          pending++;
+        }
+      }
+    }
+
+    samples.sort((a, b) => b.evaluation.evaluated_at.localeCompare(a.evaluation.evaluated_at));
+
+    return {
+      overall: this.summarize(samples),
+      by_timeframe: this.groupStats(samples, sample => sample.timeframe),
+      by_provider: this.groupStats(samples, sample => sample.record.model.llm_provider),
+      by_collection: this.groupStats(samples, sample => `${sample.record.chain}:${sample.record.collection_address}`, sample => ({
+        name: sample.record.name,
+        chain: sample.record.chain,
+        address: sample.record.collection_address
+      })),
+      pending,
+      recent: samples.slice(0, RECENT_EVALUATIONS_LIMIT).map(({ record, timeframe: tf, evaluation }) => ({
+        prediction_id: record.id,
+        collection_address: record.collection_address,
+        chain: record.chain,
+        name: record.name,
+        llm_provider: record.model.llm_provider,
+        timeframe: tf,
+        predicted_at: record.created_at,
+        ...evaluation
+      })),
+      generated_at: new Date(now).toISOString()
+    };
+  }
+
+  groupStats(samples, keyOf, describe = () => ({})) {
+    const groups = new Map();
+    for (const sample of samples) {
+      const key = keyOf(sample);
+      if (!groups.has(key)) groups.set(key, { ...describe(sample), samples: [] });
+      groups.get(key).samples.push(sample);
+    }
+
+    return Object.fromEntries([...groups].map(([key, { samples: group, ...info }]) => (
+      [key, { ...info, ...this.summarize(group) }]
+    )));
+  }
+
+  summarize(samples) {
+    if (samples.length === 0) {
+      return { evaluated: 0, direction_accuracy: null, mean_abs_pct_error: null };
+    }
+
+    const correct = samples.filter(sample => sample.evaluation.direction_correct).length;
+    const totalError = samples.reduce((sum, sample) => sum + sample.evaluation.abs_pct_error, 0);
+
+    return {
+      evaluated: samples.length,
+      direction_accuracy: round(correct / samples.length * 100, 1),
+      mean_abs_pct_error: round(totalError / samples.length)
+    };
+  }
+}
+
+export const predictionHistoryService = new PredictionHistoryService();
@@ -0,0 +1,51 @@
+/**
+ * Where a piece of response data came from:
+ * - `real`: fetched from a live source for this request
+ * - `cached`: real data served from a cache
+ * - `synthetic`: a seeded demo fixture (DEMO_MODE only)
+ * - `rule_based`: an analysis computed from market data by fixed rules
+ *   because no model returned a valid one
+ */
+export const PROVENANCE = {
+  REAL: 'real',
+  CACHED: 'cached',
+  SYNTHETIC: 'synthetic',
+  RULE_BASED: 'rule_based'
+};
+
+/**
+ * Whether DEMO_MODE is enabled. In demo mode unavailable sources are replaced
+ * by seeded fixtures; otherwise they fail with a DataUnavailableError.
+ */
+export const isDemoMode = () => ['1', 'true'].includes(String(process.env.DEMO_MODE).toLowerCase());
+
+/**
+ * Raised when a data source fails and demo fixtures are not allowed
+ */
+export class DataUnavailableError extends Error {
+  constructor(message, source, status = 503) {
+    super(message);
+    this.name = 'DataUnavailableError';
+    this.code = 'DATA_UNAVAILABLE';
+    this.source = source;
+    this.status = status;
+  }
+}
+
+/**
+ * Provenance of a cache hit: real sources become `cached`, synthetic and
+ * rule-based ones keep their value
+ */
+export const asCached = (provenance = {}) => Object.fromEntries(
+  Object.entries(provenance).map(([source, origin]) => [
+    source,
+    origin === PROVENANCE.REAL ? PROVENANCE.CACHED : origin
+  ])
+);
+
+/**
+ * Provenance of a prediction pipeline result, as served (fresh or from cache)
+ */
+export const predictionProvenance = (result, cached) => (
+  cached ? asCached(result.data_provenance) : (result.data_provenance || {})
+);
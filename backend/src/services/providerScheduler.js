@@ -0,0 +1,251 @@
+import axios from 'axios';
+import { AsyncLocalStorage, AsyncResource } from 'async_hooks';
+import { ApiError } from './apiErrors.js';
+import { logger } from '../logging/index.js';
+
+const log = logger.child({ module: 'providerScheduler' });
+
+export const PRIORITIES = ['interactive', 'background'];
+
+// Token bucket size and refill period, and max calls in flight, per provider
+const DEFAULT_LIMITS = {
+  opensea: { requests: 4, periodMs: 1000, concurrency: 4 },
+  alchemy: { requests: 5, periodMs: 1000, concurrency: 5 },
+  moralis: { requests: 5, periodMs: 1000, concurrency: 5 },
+  coingecko: { requests: 10, periodMs: 60000, concurrency: 2 },
+  coinmarketcap: { requests: 30, periodMs: 60000, concurrency: 2 },
+  // LLM providers, at their free-tier request rates; Ollama runs locally
+  openrouter: { requests: 20, periodMs: 60000, concurrency: 4 },
+  huggingface: { requests: 30, periodMs: 60000, concurrency: 2 },
+  groq: { requests: 30, periodMs: 60000, concurrency: 4 },
+  together: { requests: 60, periodMs: 60000, concurrency: 4 },
+  ollama: { requests: 10, periodMs: 1000, concurrency: 2 },
+  default: { requests: 1, periodMs: 1000, concurrency: 2 }
+};
+
+// Lane of the code currently running, see runInBackground
+const lane = new AsyncLocalStorage();
+
+/**
+ * Run `fn` so that provider calls made inside it, including from awaited
+ * calls, queue in the background lane behind interactive requests
+ */
+export function runInBackground(fn) {
+  return lane.run('background', fn);
+}
+
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+/**
+ * Parse a Retry-After header (seconds or an HTTP date) into milliseconds
+ */
+export const parseRetryAfter = (value, now = Date.now()) => {
+  if (value == null || value === '') return null;
+
+  const seconds = Number(value);
+  if (Number.isFinite(seconds)) return Math.max(0, seconds * 1000);
+
+  const date = Date.parse(value);
+  return Number.isNaN(date) ? null : Math.max(0, date - now);
+};
+
+/**
+ * Client-side throttling shared by every outgoing provider call.
+ *
+ * Each provider has a token bucket (`requests` per `periodMs`, bursting up to
+ * `requests`) and a max number of calls in flight; calls beyond either wait
+ * in a queue where the interactive lane always goes before the background
+ * lane. Each lane holds at most PROVIDER_MAX_QUEUE calls per provider, more
+ * are rejected with RATE_LIMITED; calls whose signal aborts leave the queue.
+ * Limits default per provider and can be overridden with
+ * PROVIDER_RATE_<NAME>=requests/periodMs and PROVIDER_CONCURRENCY_<NAME>.
+ */
+class ProviderScheduler {
+  constructor() {
+    this.maxRetries = parseInt(process.env.PROVIDER_MAX_RETRIES || '3');
+    this.backoffBaseMs = parseInt(process.env.PROVIDER_BACKOFF_BASE_MS || '500');
+    this.backoffMaxMs = parseInt(process.env.PROVIDER_BACKOFF_MAX_MS || '30000');
+    this.maxRetryAfterMs = parseInt(process.env.PROVIDER_MAX_RETRY_AFTER_MS || '60000');
+    this.maxQueue = parseInt(process.env.PROVIDER_MAX_QUEUE || '100');
+    this.providers = new Map();
+  }
+
+  /**
+   * Limits for a provider: defaults with environment overrides applied
+   */
+  getLimits(provider) {
+    const defaults = DEFAULT_LIMITS[provider] || DEFAULT_LIMITS.default;
+    const name = provider.toUpperCase();
+    const [requests, periodMs] = (process.env[`PROVIDER_RATE_${name}`] || '').split('/').map(Number);
+    const concurrency = parseInt(process.env[`PROVIDER_CONCURRENCY_${name}`]);
+
+    return {
+      requests: requests > 0 ? requests : defaults.requests,
+      periodMs: periodMs > 0 ? periodMs : defaults.periodMs,
+      concurrency: concurrency > 0 ? concurrency : defaults.concurrency
+    };
+  }
+
+  getState(provider) {
+    if (!this.providers.has(provider)) {
+      const limits = this.getLimits(provider);
+      this.providers.set(provider, {
+        limits,
+        tokens: limits.requests,
+        updatedAt: Date.now(),
+        active: 0,
+        pausedUntil: 0,
+        queues: Object.fromEntries(PRIORITIES.map(priority => [priority, []])),
+        timer: null,
+        stats: { requests: 0, retries: 0, throttled: 0, rejected: 0 }
+      });
+    }
+    return this.providers.get(provider);
+  }
+
+  /**
+   * Run `task` once `provider` has a token and a free slot. `priority`
+   * defaults to the lane of the caller (interactive unless inside
+   * runInBackground). Aborting `signal` drops the task if it is still
+   * queued, rejecting with the signal's reason.
+   */
+  schedule(provider, task, { priority = lane.getStore() || 'interactive', signal } = {}) {
+    const state = this.getState(provider);
+    const lanePriority = state.queues[priority] ? priority : 'interactive';
+    const queue = state.queues[lanePriority];
+
+    if (signal?.aborted) {
+      return Promise.reject(signal.reason);
+    }
+    if (queue.length >= this.maxQueue) {
+      state.stats.rejected++;
+      return Promise.reject(new ApiError('RATE_LIMITED', {
+        message: `Too many calls to ${provider} are waiting (${this.maxQueue} in the ${lanePriority} lane)`
+      }));
+    }
+
+    return new Promise((resolve, reject) => {
+      // Run in the caller's context so spans and logs keep its request ID
+      const entry = { task: AsyncResource.bind(task), resolve, reject, signal };
+      if (signal) {
+        entry.onAbort = () => {
+          const index = queue.indexOf(entry);
+          if (index === -1) return;
+          queue.splice(index, 1);
+          reject(signal.reason);
+        };
+        signal.addEventListener('abort', entry.onAbort, { once: true });
+      }
+      queue.push(entry);
+      this.drain(state);
+    });
+  }
+
+  /**
+   * Start queued tasks while tokens and slots allow, or wait for the next token
+   */
+  drain(state) {
+    while (state.active < state.limits.concurrency) {
+      const queue = PRIORITIES.map(priority => state.queues[priority]).find(q => q.length > 0);
+      if (!queue) return;
+
+      const now = Date.now();
+      const rate = state.limits.requests / state.limits.periodMs; // tokens per ms
+      state.tokens = Math.min(state.limits.requests, state.tokens + (now - state.updatedAt) * rate);
+      state.updatedAt = now;
+
+      const waitMs = Math.max(state.pausedUntil - now, state.tokens >= 1 ? 0 : (1 - state.tokens) / rate);
+      if (waitMs > 0) {
+        if (!state.timer) {
+          state.timer = setTimeout(() => {
+            state.timer = null;
+            this.drain(state);
+          }, Math.ceil(waitMs));
+        }
+        return;
+      }
+
+      const { task, resolve, reject, signal, onAbort } = queue.shift();
+      signal?.removeEventListener('abort', onAbort);
+      state.tokens -= 1;
+      state.active++;
+      state.stats.requests++;
+
+      Promise.resolve()
+        .then(task)
+        .then(resolve, reject)
+        .finally(() => {
+          state.active--;
+          this.drain(state);
+        });
+    }
+  }
+
+  /**
+   * Make an axios request to `provider` through its queue. 429 and 5xx
+   * responses are retried up to PROVIDER_MAX_RETRIES times with
+   * exponential backoff and full jitter, waiting at least as long as
+   * Retry-After asks; a 429 also holds back every other queued call to the
+   * provider. A Retry-After beyond PROVIDER_MAX_RETRY_AFTER_MS fails
+   * straight away so callers can fail over instead.
+   */
+  async request(provider, config, options = {}) {
+    const state = this.getState(provider);
+
+    for (let attempt = 0; ; attempt++) {
+      try {
+        return await this.schedule(provider, () => axios.request(config), { signal: config.signal, ...options });
+      } catch (error) {
+        const status = error.response?.status;
+        if (status !== 429 && !(status >= 500)) throw error;
+
+        if (status === 429) state.stats.throttled++;
+        const retryAfterMs = parseRetryAfter(error.response.headers?.['retry-after']);
+        if (attempt >= this.maxRetries || retryAfterMs > this.maxRetryAfterMs) throw error;
+
+        const backoffMs = Math.random() * Math.min(this.backoffMaxMs, this.backoffBaseMs * 2 ** attempt);
+        const delayMs = Math.max(retryAfterMs ?? 0, backoffMs);
+        if (status === 429) {
+          state.pausedUntil = Math.max(state.pausedUntil, Date.now() + delayMs);
+        }
+
+        state.stats.retries++;
+        log.warn('Provider request retried', { provider, status, attempt: attempt + 1, delay_ms: Math.round(delayMs) });
+        await sleep(delayMs);
+      }
+    }
+  }
+
+  /**
+   * GET `url` from `provider`, see request()
+   */
+  get(provider, url, config = {}, options) {
+    return this.request(provider, { ...config, method: 'get', url }, options);
+  }
+
+  /**
+   * POST `data` to `url` on `provider`, see request()
+   */
+  post(provider, url, data, config = {}, options) {
+    return this.request(provider, { ...config, method: 'post', url, data }, options);
+  }
+
+  /**
+   * Queue and throttling state per provider that has been called
+   */
+  getStatus() {
+    const status = {};
+    for (const [provider, state] of this.providers) {
+      status[provider] = {
+        limits: state.limits,
+        active: state.active,
+        queued: Object.fromEntries(PRIORITIES.map(priority => [priority, state.queues[priority].length])),
+        paused_until: state.pausedUntil > Date.now() ? new Date(state.pausedUntil).toISOString() : null,
+        ...state.stats
+      };
+    }
+    return status;
+  }
+}
+
+export const providerScheduler = new ProviderScheduler();
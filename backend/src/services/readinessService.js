@@ -0,0 +1,202 @@
+import { juliaService } from './juliaService.js';
+import { apiKeyService } from './apiKeyService.js';
+import { runInBackground } from './providerScheduler.js';
+import { isDemoMode } from './provenance.js';
+import { namespace } from '../storage/index.js';
+import { logger } from '../logging/index.js';
+
+const log = logger.child({ module: 'readinessService' });
+
+const PROVIDER_CATEGORIES = ['nft_data', 'ai_llm', 'blockchain', 'market_data'];
+
+/**
+ * Dependency checks behind `GET /readyz`.
+ *
+ * The Julia environment is re-checked every READINESS_CHECK_INTERVAL_MS and
+ * configured providers are probed with ApiKeyService.testProvider, each
+ * result being reused for READINESS_PROVIDER_TTL_MS so probes never hit
+ * provider quotas on every request. Dependencies listed in
+ * READINESS_REQUIRED (default: storage and nft_data, or only storage in
+ * demo mode) must be up for the service to report ready; the others are
+ * reported for information.
+ */
+class ReadinessService {
+  constructor() {
+    this.intervalMs = parseInt(process.env.READINESS_CHECK_INTERVAL_MS || '30000');
+    this.providerTtlMs = parseInt(process.env.READINESS_PROVIDER_TTL_MS || '300000');
+    this.required = (process.env.READINESS_REQUIRED || (isDemoMode() ? 'storage' : 'storage,nft_data'))
+      .split(',')
+      .map(name => name.trim())
+      .filter(Boolean);
+    this.probeStore = namespace('readiness');
+    this.providerResults = new Map();
+    this.timer = null;
+    this.refreshing = null;
+  }
+
+  /**
+   * Start the scheduled dependency checks
+   */
+  start() {
+    if (this.timer) return;
+
+    this.refresh();
+    this.timer = setInterval(() => this.refresh(), this.intervalMs);
+    this.timer.unref();
+  }
+
+  /**
+   * Stop the scheduled dependency checks
+   */
+  stop() {
+    clearInterval(this.timer);
+    this.timer = null;
+  }
+
+  /**
+   * Re-check Julia and every provider whose cached result has expired.
+   * Provider probes queue behind interactive requests. Runs do not
+   * overlap; a call while one is in progress returns that run.
+   */
+  refresh() {
+    if (!this.refreshing) {
+      this.refreshing = Promise.all([
+        juliaService.checkJuliaAvailability(),
+        runInBackground(() => this.checkProviders())
+      ]).catch(error => {
+        log.error('Readiness check failed', { error });
+      }).finally(() => {
+        this.refreshing = null;
+      });
+    }
+    return this.refreshing;
+  }
+
+  /**
+   * Probe configured providers whose last result is older than the TTL
+   */
+  async checkProviders() {
+    const now = Date.now();
+    const probes = [];
+
+    for (const category of PROVIDER_CATEGORIES) {
+      for (const [name, config] of Object.entries(apiKeyService.providers[category])) {
+        const key = `${category}.${name}`;
+        const cached = this.providerResults.get(key);
+        if (!config.available || (cached && now - cached.checkedAt < this.providerTtlMs)) continue;
+
+        probes.push(this.probeProvider(category, name).then(result => {
+          const previous = this.providerResults.get(key);
+          if (previous && previous.up !== result.up) {
+            log[result.up ? 'info' : 'warn']('Provider reachability changed', { provider: key, up: result.up, error: result.error });
+          }
+          this.providerResults.set(key, result);
+        }));
+      }
+    }
+
+    await Promise.all(probes);
+  }
+
+  async probeProvider(category, name) {
+    const started = Date.now();
+    const result = await apiKeyService.testProvider(category, name);
+    return {
+      up: !!result.success,
+      error: result.success ? null : String(result.error),
+      latencyMs: Date.now() - started,
+      checkedAt: Date.now()
+    };
+  }
+
+  /**
+   * Write and read back a probe key
+   */
+  async checkStorage() {
+    const value = Date.now();
+    try {
+      await this.probeStore.set('probe', value, { ttlMs: 60000 });
+      const stored = await this.probeStore.get('probe');
+      return stored === value
+        ? { status: 'up' }
+        : { status: 'down', error: 'Probe value was not read back' };
+    } catch (error) {
+      return { status: 'down', error: error.message };
+    }
+  }
+
+  /**
+   * Status of one provider from its last probe
+   */
+  getProviderStatus(key, config) {
+    if (!config.available) return { status: 'unconfigured' };
+
+    const result = this.providerResults.get(key);
+    if (!result) return { status: 'unknown' };
+
+    return {
+      status: result.up ? 'up' : 'down',
+      latency_ms: result.latencyMs,
+      checked_at: new Date(result.checkedAt).toISOString(),
+      ...(result.error && { error: result.error })
+    };
+  }
+
+  /**
+   * Status of one provider category: up when any configured provider in it
+   * answered its last probe
+   */
+  getCategoryStatus(category) {
+    const providers = {};
+    for (const [name, config] of Object.entries(apiKeyService.providers[category])) {
+      providers[name] = this.getProviderStatus(`${category}.${name}`, config);
+    }
+
+    const statuses = Object.values(providers).map(provider => provider.status);
+    let status = 'down';
+    if (statuses.includes('up')) status = 'up';
+    else if (statuses.every(s => s === 'unconfigured')) status = 'unconfigured';
+    else if (statuses.includes('unknown')) status = 'unknown';
+
+    return { status, providers };
+  }
+
+  /**
+   * Readiness report: `{ ready, dependencies }`. Waits for the first round
+   * of checks when none has completed yet.
+   */
+  async getReadiness() {
+    if (juliaService.availability.checked_at === null) {
+      await juliaService.ready;
+    }
+    if (this.providerResults.size === 0 && this.refreshing) {
+      await this.refreshing;
+    }
+
+    const julia = juliaService.availability;
+    const pool = juliaService.pool.getStatus();
+    const dependencies = {
+      storage: await this.checkStorage(),
+      julia: {
+        status: julia.available ? 'up' : 'down',
+        checked_at: julia.checked_at,
+        ...(julia.version && { version: julia.version }),
+        ...(julia.error && { error: julia.error }),
+        workers: {
+          ready: pool.workers.filter(worker => ['idle', 'busy'].includes(worker.state)).length,
+          size: pool.size
+        }
+      },
+      ...Object.fromEntries(PROVIDER_CATEGORIES.map(category => [category, this.getCategoryStatus(category)]))
+    };
+
+    for (const [name, dependency] of Object.entries(dependencies)) {
+      dependency.required = this.required.includes(name);
+    }
+
+    const ready = Object.values(dependencies).every(dependency => !dependency.required || dependency.status === 'up');
+    return { ready, dependencies };
+  }
+}
+
+export const readinessService = new ReadinessService();
@@ -0,0 +1,363 @@
+import crypto from 'crypto';
+import cron from 'node-cron';
+import { namespace } from '../storage/index.js';
+import { nftService } from './nftService.js';
+import { juliaService } from './juliaService.js';
+import { predictionCache, predictionKey } from './predictionCache.js';
+import { runInBackground } from './providerScheduler.js';
+import { predictionProvenance } from './provenance.js';
+import { alertService } from './alertService.js';
+import { notifierRegistry } from './notifiers.js';
+import { ApiError, pipelineError, toErrorBody } from './apiErrors.js';
+import { DEFAULT_CHAIN, getChain } from '../config/chains.js';
+import { logger } from '../logging/index.js';
+
+const log = logger.child({ module: 'watchlistService' });
+
+const MINUTE_MS = 60 * 1000;
+
+/**
+ * The parts of a prediction alert rules look at
+ */
+const toSnapshot = (data) => ({
+  name: data.collection.name,
+  floor_price: data.collection.floor_price,
+  volume_24h: data.collection.volume_24h ?? null,
+  predicted_change: Object.fromEntries(
+    Object.entries(data.predictions).map(([timeframe, prediction]) => [timeframe, prediction.percentage_change])
+  ),
+  market_sentiment: data.market_sentiment,
+  confidence_score: data.confidence_score,
+  predicted_at: new Date().toISOString()
+});
+
+const collectionKey = (entry) => predictionKey(entry.chain, entry.collection_address);
+
+/**
+ * Server-side watchlists of collections that are re-predicted on a schedule.
+ *
+ * Watchlists are kept in the `watchlists` storage namespace and belong to the
+ * API key that created them, at most WATCHLIST_MAX_PER_OWNER each. A
+ * scheduler ticking on WATCHLIST_SCHEDULER_CRON refreshes every watchlist
+ * whose `refresh_interval_minutes` has elapsed: each collection gets a fresh
+ * pipeline run in the background provider lane, its snapshot is stored on the
+ * watchlist and the watchlist's alert rules are evaluated (see alertService).
+ */
+class WatchlistService {
+  constructor() {
+    this.watchlists = namespace('watchlists');
+    this.cronExpression = process.env.WATCHLIST_SCHEDULER_CRON || '* * * * *';
+    this.defaultIntervalMinutes = parseInt(process.env.WATCHLIST_DEFAULT_INTERVAL_MINUTES || '60');
+    this.minIntervalMinutes = parseInt(process.env.WATCHLIST_MIN_INTERVAL_MINUTES || '15');
+    this.maxCollections = parseInt(process.env.WATCHLIST_MAX_COLLECTIONS || '50');
+    this.maxPerOwner = parseInt(process.env.WATCHLIST_MAX_PER_OWNER || '10');
+    this.task = null;
+    this.ticking = null;
+    this.running = new Map();
+  }
+
+  /**
+   * Create a watchlist for `owner` (an API key id, required)
+   */
+  async create(owner, input) {
+    if (!owner) {
+      throw new TypeError('A watchlist needs an owner');
+    }
+
+    const existing = await this.list(owner);
+    if (existing.length >= this.maxPerOwner) {
+      throw new ApiError('VALIDATION_FAILED', {
+        message: `At most ${this.maxPerOwner} watchlists are allowed per API key`
+      });
+    }
+
+    const now = new Date().toISOString();
+    const watchlist = {
+      id: crypto.randomUUID(),
+      owner,
+      name: input.name,
+      collections: [],
+      refresh_interval_minutes: this.defaultIntervalMinutes,
+      rules: [],
+      notifiers: [{ type: 'feed' }],
+      last_run: null,
+      next_run_at: now,
+      created_at: now,
+      updated_at: now
+    };
+
+    const created = this.applyChanges(watchlist, input);
+    await this.watchlists.set(created.id, created);
+    log.info('Watchlist created', { watchlist_id: created.id, collections: created.collections.length });
+
+    return created;
+  }
+
+  /**
+   * Watchlists of `owner`, oldest first
+   */
+  async list(owner) {
+    return (await this.watchlists.entries())
+      .map(([, watchlist]) => watchlist)
+      .filter(watchlist => watchlist.owner === owner)
+      .sort((a, b) => a.created_at.localeCompare(b.created_at));
+  }
+
+  /**
+   * A watchlist of `owner`, or null
+   */
+  async get(id, owner) {
+    const watchlist = await this.watchlists.get(id);
+    return watchlist && watchlist.owner === owner ? watchlist : null;
+  }
+
+  /**
+   * Change a watchlist's name, collections, interval, rules or notifiers.
+   * Returns null when it does not exist.
+   */
+  async update(id, owner, changes) {
+    const watchlist = await this.get(id, owner);
+    if (!watchlist) return null;
+
+    const updated = this.applyChanges(watchlist, changes);
+    return this.watchlists.update(id, (current) => current && {
+      ...updated,
+      // Keep snapshots written by a run that finished in the meantime
+      collections: updated.collections.map(entry => (
+        current.collections.find(existing => collectionKey(existing) === collectionKey(entry)) ?? entry
+      )),
+      last_run: current.last_run
+    });
+  }
+
+  /**
+   * Delete a watchlist and its alert state. Returns the deleted watchlist.
+   */
+  async remove(id, owner) {
+    const watchlist = await this.get(id, owner);
+    if (!watchlist) return null;
+
+    await this.watchlists.delete(id);
+    await alertService.clearState(id);
+    log.info('Watchlist deleted', { watchlist_id: id });
+
+    return watchlist;
+  }
+
+  /**
+   * Validate and apply request fields to a watchlist, throwing an ApiError
+   * listing every problem
+   */
+  applyChanges(watchlist, changes) {
+    const errors = [];
+    let invalidAddress = false;
+    const updated = { ...watchlist, updated_at: new Date().toISOString() };
+
+    if (changes.name !== undefined) {
+      updated.name = changes.name;
+    }
+
+    if (changes.collections !== undefined) {
+      if (changes.collections.length > this.maxCollections) {
+        errors.push(`collections: must have at most ${this.maxCollections} items`);
+      }
+      updated.collections = [];
+      changes.collections.forEach((item, index) => {
+        const chain = getChain(item.chain ?? DEFAULT_CHAIN);
+        if (!nftService.isValidAddress(item.collection_address, chain.id)) {
+          errors.push(`collections[${index}]: invalid ${chain.name} address format`);
+          invalidAddress = true;
+          return;
+        }
+        const entry = {
+          collection_address: nftService.normalizeAddress(item.collection_address, chain.id),
+          chain: chain.id
+        };
+        if (updated.collections.some(existing => collectionKey(existing) === collectionKey(entry))) {
+          errors.push(`collections[${index}]: duplicate of an earlier collection`);
+          return;
+        }
+        const existing = watchlist.collections.find(current => collectionKey(current) === collectionKey(entry));
+        updated.collections.push(existing ?? { ...entry, latest: null, last_error: null });
+      });
+    }
+
+    if (changes.refresh_interval_minutes !== undefined) {
+      if (changes.refresh_interval_minutes < this.minIntervalMinutes) {
+        errors.push(`refresh_interval_minutes: must be at least ${this.minIntervalMinutes}`);
+      }
+      updated.refresh_interval_minutes = changes.refresh_interval_minutes;
+      if (watchlist.last_run) {
+        updated.next_run_at = new Date(Date.parse(watchlist.last_run.started_at) + changes.refresh_interval_minutes * MINUTE_MS).toISOString();
+      }
+    }
+
+    if (changes.rules !== undefined) {
+      const { rules, errors: ruleErrors } = alertService.normalizeRules(changes.rules, watchlist.rules);
+      errors.push(...ruleErrors);
+      updated.rules = rules;
+    }
+
+    if (changes.notifiers !== undefined) {
+      errors.push(...notifierRegistry.validate(changes.notifiers));
+      updated.notifiers = changes.notifiers.map(({ type, to }) => ({ type, ...(to && { to }) }));
+    }
+
+    if (errors.length > 0) {
+      throw new ApiError(invalidAddress ? 'INVALID_ADDRESS' : 'VALIDATION_FAILED', {
+        message: `Invalid watchlist: ${errors.join('; ')}`,
+        details: { errors }
+      });
+    }
+
+    return updated;
+  }
+
+  /**
+   * Refresh a watchlist now, in the background provider lane. Reuses a run
+   * already in progress; resolves to the alerts it fired.
+   */
+  run(id) {
+    if (!this.running.has(id)) {
+      const run = runInBackground(() => this.refresh(id))
+        .catch(error => {
+          log.error('Watchlist run failed', { watchlist_id: id, error });
+          return [];
+        })
+        .finally(() => this.running.delete(id));
+      this.running.set(id, run);
+    }
+    return this.running.get(id);
+  }
+
+  isRunning(id) {
+    return this.running.has(id);
+  }
+
+  /**
+   * Re-predict every collection of a watchlist, one at a time, store the
+   * snapshots and evaluate the alert rules
+   */
+  async refresh(id) {
+    const watchlist = await this.watchlists.get(id);
+    if (!watchlist) return [];
+
+    const startedAt = new Date();
+    const results = new Map();
+    const alerts = [];
+
+    for (const entry of watchlist.collections) {
+      try {
+        const predictionStart = Date.now();
+        const { result, cached, age, cache } = await predictionCache.getOrCompute(
+          collectionKey(entry),
+          ({ onStage, signal }) => juliaService.executePredictionPipeline(entry.collection_address, { chain: entry.chain, onStage, signal }),
+          { fresh: true }
+        );
+        if (!result.success) throw pipelineError(result);
+
+        const prediction = {
+          success: true,
+          data: result.data,
+          data_provenance: predictionProvenance(result, cached),
+          timestamp: new Date().toISOString(),
+          processing_time: (Date.now() - predictionStart) / 1000,
+          cached,
+          age,
+          ...(cache && { cache })
+        };
+        const snapshot = toSnapshot(result.data);
+        alerts.push(...await alertService.evaluate(watchlist, entry, snapshot, entry.latest, prediction));
+        results.set(collectionKey(entry), { latest: snapshot, last_error: null });
+      } catch (error) {
+        log.warn('Watchlist collection refresh failed', { watchlist_id: id, collection: entry.collection_address, error: error.message });
+        results.set(collectionKey(entry), { last_error: toErrorBody(error, { fallbackCode: 'PIPELINE_FAILED' }) });
+      }
+    }
+
+    const finishedAt = new Date();
+    const failed = [...results.values()].filter(result => result.last_error).length;
+    const lastRun = {
+      started_at: startedAt.toISOString(),
+      finished_at: finishedAt.toISOString(),
+      refreshed: results.size - failed,
+      failed,
+      alerts: alerts.length
+    };
+
+    // Merge into the stored watchlist, which may have been edited meanwhile
+    await this.watchlists.update(id, (current) => current && {
+      ...current,
+      collections: current.collections.map(entry => ({ ...entry, ...results.get(collectionKey(entry)) })),
+      last_run: lastRun,
+      next_run_at: new Date(startedAt.getTime() + current.refresh_interval_minutes * MINUTE_MS).toISOString()
+    });
+
+    log.info('Watchlist refreshed', { watchlist_id: id, ...lastRun });
+    return alerts;
+  }
+
+  /**
+   * Start the scheduler
+   */
+  startScheduler() {
+    if (this.task) return;
+
+    if (!cron.validate(this.cronExpression)) {
+      log.warn('Invalid WATCHLIST_SCHEDULER_CRON, watchlist refreshes disabled', { cron: this.cronExpression });
+      return;
+    }
+
+    this.task = cron.schedule(this.cronExpression, () => {
+      this.runDue().catch(error => {
+        log.error('Watchlist scheduler failed', { error });
+      });
+    });
+    log.info('Watchlist scheduler started', { cron: this.cronExpression });
+  }
+
+  /**
+   * Stop the scheduler
+   */
+  stopScheduler() {
+    this.task?.stop();
+    this.task = null;
+  }
+
+  /**
+   * Refresh every watchlist that is due, one after another. Ticks do not
+   * overlap; a tick while one is in progress returns that one.
+   */
+  runDue() {
+    if (!this.ticking) {
+      this.ticking = (async () => {
+        const now = Date.now();
+        const due = (await this.watchlists.entries())
+          .map(([, watchlist]) => watchlist)
+          .filter(watchlist => watchlist.collections.length > 0 && Date.parse(watchlist.next_run_at) <= now);
+
+        for (const watchlist of due) {
+          await this.run(watchlist.id);
+        }
+      })().finally(() => {
+        this.ticking = null;
+      });
+    }
+    return this.ticking;
+  }
+
+  /**
+   * Public view of a watchlist. Notifiers of types no longer registered
+   * (such as the removed `webhook` notifier) are left out.
+   */
+  serialize(watchlist) {
+    const { owner: _owner, ...rest } = watchlist;
+    return {
+      ...rest,
+      notifiers: watchlist.notifiers.filter(notifier => notifierRegistry.has(notifier.type)),
+      running: this.isRunning(watchlist.id)
+    };
+  }
+}
+
+export const watchlistService = new WatchlistService();
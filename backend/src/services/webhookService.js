@@ -0,0 +1,492 @@
+import crypto from 'crypto';
+import axios from 'axios';
+import { namespace } from '../storage/index.js';
+import { nftService } from './nftService.js';
+import { predictionCache } from './predictionCache.js';
+import { predictionProvenance } from './provenance.js';
+import { parseRetryAfter } from './providerScheduler.js';
+import { checkPublicUrl, publicLookup } from './outboundUrl.js';
+import { ApiError } from './apiErrors.js';
+import { CHAIN_IDS } from '../../../shared/api.js';
+import { webhookDeliveryAttempts } from '../metrics/index.js';
+import { logger } from '../logging/index.js';
+
+const log = logger.child({ module: 'webhookService' });
+
+const HOUR_MS = 60 * 60 * 1000;
+const DAY_MS = 24 * HOUR_MS;
+
+const SIGNATURE_VERSION = 'sha256';
+
+/**
+ * HMAC-SHA256 signature of a delivery: `sha256=<hex>` over
+ * `<timestamp>.<body>`, keyed with the subscription's secret
+ */
+export const signPayload = (secret, timestamp, body) => (
+  `${SIGNATURE_VERSION}=${crypto.createHmac('sha256', secret).update(`${timestamp}.${body}`).digest('hex')}`
+);
+
+/**
+ * Outbound webhooks for prediction and alert events.
+ *
+ * Subscriptions live in the `webhooks` storage namespace and belong to the API
+ * key that created them. Each event matching a subscription's filter becomes
+ * a delivery in the `webhook_deliveries` namespace, kept for
+ * WEBHOOK_DELIVERY_RETENTION_DAYS as the delivery log. Deliveries are POSTed
+ * with an HMAC signature and retried with exponential backoff until they
+ * succeed or WEBHOOK_MAX_ATTEMPTS is reached; pending retries are picked up
+ * every WEBHOOK_RETRY_INTERVAL_MS, so they survive a restart. Failed deliveries
+ * can be replayed.
+ *
+ * `prediction.completed` fires for every successful pipeline run and goes to
+ * all matching subscriptions; `alert.fired` is sent by the `webhook` notifier
+ * of a watchlist and only goes to subscriptions of the watchlist's owner.
+ */
+class WebhookService {
+  constructor() {
+    this.subscriptions = namespace('webhooks');
+    this.deliveries = namespace('webhook_deliveries');
+    this.maxSubscriptions = parseInt(process.env.WEBHOOK_MAX_SUBSCRIPTIONS || '20');
+    this.maxAttempts = parseInt(process.env.WEBHOOK_MAX_ATTEMPTS || '8');
+    this.backoffBaseMs = parseInt(process.env.WEBHOOK_BACKOFF_BASE_MS || '10000');
+    this.backoffMaxMs = parseInt(process.env.WEBHOOK_BACKOFF_MAX_MS || String(HOUR_MS));
+    this.timeoutMs = parseInt(process.env.WEBHOOK_TIMEOUT_MS || '10000');
+    this.retryIntervalMs = parseInt(process.env.WEBHOOK_RETRY_INTERVAL_MS || '5000');
+    this.retentionMs = parseInt(process.env.WEBHOOK_DELIVERY_RETENTION_DAYS || '7') * DAY_MS;
+    this.timer = null;
+    this.retrying = null;
+    this.sending = new Map();
+
+    predictionCache.on('completed', (key, result, processingTime) => {
+      const [chain, address] = key.split(':');
+      const response = {
+        success: true,
+        data: result.data,
+        data_provenance: predictionProvenance(result, false),
+        timestamp: new Date().toISOString(),
+        processing_time: processingTime,
+        cached: false,
+        age: 0
+      };
+      this.publish('prediction.completed', response, { chain, address }).catch(error => {
+        log.warn('Failed to publish prediction webhook', { key, error: error.message });
+      });
+    });
+  }
+
+  /**
+   * Create a subscription for `owner` (an API key id, required). The
+   * signing secret is only returned here.
+   */
+  async create(owner, input) {
+    if (!owner) {
+      throw new TypeError('A webhook subscription needs an owner');
+    }
+
+    const existing = await this.list(owner);
+    if (existing.length >= this.maxSubscriptions) {
+      throw new ApiError('VALIDATION_FAILED', {
+        message: `At most ${this.maxSubscriptions} webhook subscriptions are allowed per API key`
+      });
+    }
+
+    const now = new Date().toISOString();
+    const subscription = await this.applyChanges({
+      id: crypto.randomUUID(),
+      owner,
+      url: null,
+      events: [],
+      chain: null,
+      collection_addresses: [],
+      description: '',
+      active: true,
+      secret: `whsec_${crypto.randomBytes(24).toString('base64url')}`,
+      created_at: now,
+      updated_at: now
+    }, input);
+
+    await this.subscriptions.set(subscription.id, subscription);
+    log.info('Webhook subscription created', { webhook_id: subscription.id, events: subscription.events });
+
+    return subscription;
+  }
+
+  /**
+   * Subscriptions of `owner`, oldest first
+   */
+  async list(owner) {
+    return (await this.subscriptions.entries())
+      .map(([, subscription]) => subscription)
+      .filter(subscription => subscription.owner === owner)
+      .sort((a, b) => a.created_at.localeCompare(b.created_at));
+  }
+
+  /**
+   * A subscription of `owner`, or null
+   */
+  async get(id, owner) {
+    const subscription = await this.subscriptions.get(id);
+    return subscription && subscription.owner === owner ? subscription : null;
+  }
+
+  /**
+   * Change a subscription's url, events, filter, description or active flag.
+   * Returns null when it does not exist.
+   */
+  async update(id, owner, changes) {
+    const subscription = await this.get(id, owner);
+    if (!subscription) return null;
+
+    const updated = await this.applyChanges(subscription, changes);
+    await this.subscriptions.set(id, updated);
+    return updated;
+  }
+
+  /**
+   * Delete a subscription and its delivery log. Returns the deleted
+   * subscription.
+   */
+  async remove(id, owner) {
+    const subscription = await this.get(id, owner);
+    if (!subscription) return null;
+
+    await this.subscriptions.delete(id);
+    const deliveries = await this.listDeliveries(id, { limit: Infinity });
+    await Promise.all(deliveries.map(delivery => this.deliveries.delete(delivery.id)));
+    log.info('Webhook subscription deleted', { webhook_id: id });
+
+    return subscription;
+  }
+
+  /**
+   * Apply request fields to a subscription, throwing an ApiError listing
+   * every problem. The URL must resolve to public addresses only.
+   */
+  async applyChanges(subscription, changes) {
+    const errors = [];
+    let invalidAddress = false;
+    const updated = { ...subscription, updated_at: new Date().toISOString() };
+
+    for (const field of ['url', 'description', 'active']) {
+      if (changes[field] !== undefined) updated[field] = changes[field];
+    }
+    if (changes.url !== undefined) {
+      const problem = await checkPublicUrl(changes.url);
+      if (problem) errors.push(`url: ${problem}`);
+    }
+    if (changes.events !== undefined) {
+      updated.events = [...new Set(changes.events)];
+    }
+    if (changes.chain !== undefined) {
+      updated.chain = changes.chain;
+    }
+
+    // Addresses are stored normalized for the filter's chain, or for the
+    // chain whose format they match when the filter has none
+    if (changes.collection_addresses !== undefined || changes.chain !== undefined) {
+      const addresses = changes.collection_addresses ?? subscription.collection_addresses;
+      updated.collection_addresses = [];
+      addresses.forEach((address, index) => {
+        const chainId = (updated.chain ? [updated.chain] : CHAIN_IDS)
+          .find(id => nftService.isValidAddress(address, id));
+        if (!chainId) {
+          errors.push(`collection_addresses[${index}]: invalid address format${updated.chain ? ` for ${updated.chain}` : ''}`);
+          invalidAddress = true;
+          return;
+        }
+        const normalized = nftService.normalizeAddress(address, chainId);
+        if (!updated.collection_addresses.includes(normalized)) {
+          updated.collection_addresses.push(normalized);
+        }
+      });
+    }
+
+    if (errors.length > 0) {
+      throw new ApiError(invalidAddress ? 'INVALID_ADDRESS' : 'VALIDATION_FAILED', {
+        message: `Invalid webhook subscription: ${errors.join('; ')}`,
+        details: { errors }
+      });
+    }
+
+    return updated;
+  }
+
+  /**
+   * Whether an event about the collection `address` on `chain` passes a
+   * subscription's filter
+   */
+  matches(subscription, type, { owner, chain, address }) {
+    return subscription.active &&
+      subscription.events.includes(type) &&
+      (owner === undefined || subscription.owner === owner) &&
+      (!subscription.chain || subscription.chain === chain) &&
+      (subscription.collection_addresses.length === 0 || subscription.collection_addresses.includes(address));
+  }
+
+  /**
+   * Send an event to every matching subscription. `data` is the
+   * PredictionResponse the event is about; pass `owner` to limit it to one
+   * API key's subscriptions and `alert` for alert events. Resolves once the
+   * deliveries are recorded, not sent.
+   */
+  async publish(type, data, { owner, chain, address, alert } = {}) {
+    const subscriptions = (await this.subscriptions.entries())
+      .map(([, subscription]) => subscription)
+      .filter(subscription => this.matches(subscription, type, { owner, chain, address }));
+    if (subscriptions.length === 0) return [];
+
+    const event = {
+      id: crypto.randomUUID(),
+      type,
+      created_at: new Date().toISOString(),
+      data,
+      ...(alert && { alert })
+    };
+
+    return Promise.all(subscriptions.map(subscription => this.enqueue(subscription.id, event)));
+  }
+
+  /**
+   * Record a delivery of `event` and make its first attempt in the background
+   */
+  async enqueue(subscriptionId, event, { replayOf = null } = {}) {
+    const now = new Date().toISOString();
+    const delivery = {
+      id: crypto.randomUUID(),
+      webhook_id: subscriptionId,
+      event_id: event.id,
+      event_type: event.type,
+      status: 'pending',
+      attempts: [],
+      next_attempt_at: now,
+      replay_of: replayOf,
+      replayed_by: null,
+      created_at: now,
+      updated_at: now,
+      payload: event
+    };
+
+    await this.deliveries.set(delivery.id, delivery, { ttlMs: this.retentionMs });
+    this.send(delivery.id);
+
+    return delivery;
+  }
+
+  /**
+   * Attempt a pending delivery. Reuses an attempt already in progress;
+   * resolves to the updated delivery.
+   */
+  send(id) {
+    if (!this.sending.has(id)) {
+      const attempt = this.attempt(id)
+        .catch(error => {
+          log.error('Webhook delivery attempt failed', { delivery_id: id, error });
+          return null;
+        })
+        .finally(() => this.sending.delete(id));
+      this.sending.set(id, attempt);
+    }
+    return this.sending.get(id);
+  }
+
+  /**
+   * POST a delivery's payload once and record the outcome: delivered on a 2xx
+   * response, otherwise retried after a backoff or, out of attempts, failed
+   */
+  async attempt(id) {
+    const delivery = await this.deliveries.get(id);
+    if (!delivery || delivery.status !== 'pending') return delivery;
+
+    const subscription = await this.subscriptions.get(delivery.webhook_id);
+    if (!subscription) return delivery;
+
+    const body = JSON.stringify(delivery.payload);
+    const timestamp = Math.floor(Date.now() / 1000);
+    const startedAt = new Date();
+    let statusCode = null;
+    let error = null;
+    let retryAfterMs = null;
+
+    try {
+      // DNS may have changed since the URL was checked on subscription;
+      // publicLookup also covers changes between this check and connecting
+      const problem = await checkPublicUrl(subscription.url);
+      if (problem) {
+        throw new Error(`Refused to send: url ${problem}`);
+      }
+
+      const response = await axios.post(subscription.url, body, {
+        headers: {
+          'Content-Type': 'application/json',
+          'User-Agent': 'NFT-Predictor-Webhooks/1.0',
+          'X-Webhook-Id': delivery.event_id,
+          'X-Webhook-Event': delivery.event_type,
+          'X-Webhook-Delivery': delivery.id,
+          'X-Webhook-Timestamp': String(timestamp),
+          'X-Webhook-Signature': signPayload(subscription.secret, timestamp, body)
+        },
+        timeout: this.timeoutMs,
+        maxRedirects: 0,
+        lookup: publicLookup,
+        validateStatus: () => true
+      });
+      statusCode = response.status;
+      if (statusCode < 200 || statusCode >= 300) {
+        error = `Endpoint responded with HTTP ${statusCode}`;
+        retryAfterMs = parseRetryAfter(response.headers?.['retry-after']);
+      }
+    } catch (requestError) {
+      error = requestError.code === 'ECONNABORTED' ? `Timed out after ${this.timeoutMs}ms` : requestError.message;
+    }
+
+    const record = {
+      attempted_at: startedAt.toISOString(),
+      status_code: statusCode,
+      error,
+      duration_ms: Date.now() - startedAt.getTime()
+    };
+
+    const updated = await this.deliveries.update(id, (current) => {
+      if (!current) return current;
+
+      const attempts = [...current.attempts, record];
+      const now = new Date();
+      if (!error) {
+        return { ...current, status: 'delivered', attempts, next_attempt_at: null, updated_at: now.toISOString() };
+      }
+      if (attempts.length >= this.maxAttempts) {
+        return { ...current, status: 'failed', attempts, next_attempt_at: null, updated_at: now.toISOString() };
+      }
+      const backoffMs = Math.min(this.backoffMaxMs, this.backoffBaseMs * 2 ** (attempts.length - 1));
+      return {
+        ...current,
+        attempts,
+        next_attempt_at: new Date(now.getTime() + Math.max(retryAfterMs ?? 0, backoffMs)).toISOString(),
+        updated_at: now.toISOString()
+      };
+    }, { ttlMs: this.retentionMs });
+    if (!updated) return null;
+
+    webhookDeliveryAttempts.inc({
+      event: delivery.event_type,
+      result: updated.status === 'pending' ? 'retrying' : updated.status
+    });
+    if (error) {
+      log.warn('Webhook delivery attempt failed', {
+        webhook_id: subscription.id,
+        delivery_id: id,
+        attempt: updated.attempts.length,
+        status_code: statusCode,
+        error,
+        next_attempt_at: updated.next_attempt_at
+      });
+    }
+
+    return updated;
+  }
+
+  /**
+   * Deliveries of a subscription, newest first, optionally with one status
+   */
+  async listDeliveries(subscriptionId, { status, limit = 50 } = {}) {
+    return (await this.deliveries.entries())
+      .map(([, delivery]) => delivery)
+      .filter(delivery => delivery.webhook_id === subscriptionId && (!status || delivery.status === status))
+      .sort((a, b) => b.created_at.localeCompare(a.created_at))
+      .slice(0, limit);
+  }
+
+  /**
+   * A delivery of a subscription, or null
+   */
+  async getDelivery(subscriptionId, id) {
+    const delivery = await this.deliveries.get(id);
+    return delivery && delivery.webhook_id === subscriptionId ? delivery : null;
+  }
+
+  /**
+   * Send a delivery's event again as a new delivery with a fresh set of
+   * attempts. The event id stays the same so receivers can deduplicate.
+   */
+  async replay(delivery) {
+    const replayed = await this.enqueue(delivery.webhook_id, delivery.payload, { replayOf: delivery.id });
+    await this.deliveries.update(delivery.id, (current) => current && { ...current, replayed_by: replayed.id }, { ttlMs: this.retentionMs });
+    log.info('Webhook delivery replayed', { delivery_id: delivery.id, replay_id: replayed.id });
+
+    return replayed;
+  }
+
+  /**
+   * Replay every failed delivery of a subscription (created at or after
+   * `since`, when given) that has not been replayed yet
+   */
+  async replayFailed(subscriptionId, { since } = {}) {
+    const failed = (await this.listDeliveries(subscriptionId, { status: 'failed', limit: Infinity }))
+      .filter(delivery => !delivery.replayed_by && (!since || Date.parse(delivery.created_at) >= Date.parse(since)))
+      .reverse();
+
+    const replayed = [];
+    for (const delivery of failed) {
+      replayed.push(await this.replay(delivery));
+    }
+    return replayed;
+  }
+
+  /**
+   * Start picking up pending retries
+   */
+  startDispatcher() {
+    if (this.timer) return;
+
+    this.timer = setInterval(() => this.retryDue(), this.retryIntervalMs);
+    this.timer.unref();
+  }
+
+  /**
+   * Stop picking up pending retries
+   */
+  stopDispatcher() {
+    clearInterval(this.timer);
+    this.timer = null;
+  }
+
+  /**
+   * Attempt every pending delivery whose retry is due. Runs do not overlap;
+   * a call while one is in progress returns that run.
+   */
+  retryDue() {
+    if (!this.retrying) {
+      this.retrying = (async () => {
+        const now = Date.now();
+        const due = (await this.deliveries.entries())
+          .map(([, delivery]) => delivery)
+          .filter(delivery => delivery.status === 'pending' && Date.parse(delivery.next_attempt_at) <= now);
+
+        await Promise.all(due.map(delivery => this.send(delivery.id)));
+      })().catch(error => {
+        log.error('Webhook retry run failed', { error });
+      }).finally(() => {
+        this.retrying = null;
+      });
+    }
+    return this.retrying;
+  }
+
+  /**
+   * Public view of a subscription; the secret is only shown on creation
+   */
+  serialize(subscription, { withSecret = false } = {}) {
+    const { owner: _owner, secret, ...rest } = subscription;
+    return withSecret ? { ...rest, secret } : rest;
+  }
+
+  /**
+   * Public view of a delivery; the payload is left out of listings
+   */
+  serializeDelivery(delivery, { withPayload = false } = {}) {
+    const { payload, ...rest } = delivery;
+    return withPayload ? { ...rest, payload } : rest;
+  }
+}
+
+export const webhookService = new WebhookService();
@@ -0,0 +1,277 @@
+import fs from 'fs';
+import { dirname } from 'path';
+import { setTimeout as sleep } from 'timers/promises';
+import { MemoryStorage } from './memoryStorage.js';
+import { logger } from '../logging/index.js';
+
+const log = logger.child({ module: 'fileStorage' });
+
+const LOCK_RETRY_MS = 5;
+
+// A lock file older than this was left behind by a process that died holding it
+const LOCK_STALE_MS = 10000;
+
+// The log is checked for compaction after this many lines (or as many lines as
+// there are records, if more) and compacted when at least half of it is stale
+const COMPACT_CHECK_LINES = 1000;
+
+/**
+ * Append-only JSON lines storage adapter, shared by all processes using the
+ * same file.
+ *
+ * Every change is appended as one line: `{ k, v, e }` for a write (value and
+ * expiry) or `{ k, d: 1 }` for a delete. Each process keeps a working copy in
+ * memory and, before every operation, applies the lines other processes
+ * appended since it last looked. Changes hold a lock file (`<file>.lock`)
+ * from that catch-up until their line is written, so update() is atomic
+ * across processes. Once most lines are superseded or expired, the log is
+ * compacted: live records are written to a temp file that replaces it, and
+ * other processes reload it when they notice the new file.
+ */
+export class FileStorage extends MemoryStorage {
+  constructor({ filePath, lockTimeoutMs = 5000 }) {
+    super();
+    this.filePath = filePath;
+    this.lockPath = `${filePath}.lock`;
+    this.lockTimeoutMs = lockTimeoutMs;
+    this.inode = null; // File the working copy was loaded from
+    this.offset = 0; // Bytes of it applied to the working copy
+    this.lines = 0;
+    this.nextCompactionCheck = COMPACT_CHECK_LINES;
+    this.pending = []; // Lines of the change being made
+    this.queue = Promise.resolve(); // Changes of this process, one at a time
+
+    fs.mkdirSync(dirname(filePath), { recursive: true });
+    this.migrateSnapshot();
+  }
+
+  async get(key) {
+    await this.catchUp();
+    return super.get(key);
+  }
+
+  async entries(prefix) {
+    await this.catchUp();
+    return super.entries(prefix);
+  }
+
+  set(key, value, options) {
+    return this.change(() => super.set(key, value, options));
+  }
+
+  update(key, fn, options) {
+    return this.change(() => super.update(key, fn, options));
+  }
+
+  delete(key) {
+    return this.change(() => super.delete(key));
+  }
+
+  /**
+   * Wait for this process's changes to be written
+   */
+  async close() {
+    await this.queue;
+  }
+
+  write(key, value, expiresAt) {
+    super.write(key, value, expiresAt);
+    this.pending.push({ k: key, v: value, e: expiresAt });
+  }
+
+  remove(key) {
+    super.remove(key);
+    this.pending.push({ k: key, d: 1 });
+  }
+
+  /**
+   * Run `operation` on the up-to-date working copy under the file lock and
+   * append the lines it produced
+   */
+  change(operation) {
+    const run = this.queue.then(async () => {
+      await this.lock();
+      try {
+        await this.catchUp();
+        const result = await operation();
+        await this.append();
+        await this.compactIfStale();
+        return result;
+      } catch (error) {
+        // The working copy may now differ from the file; reload it next time
+        this.reset(null);
+        throw error;
+      } finally {
+        this.pending = [];
+        await fs.promises.unlink(this.lockPath).catch(() => {});
+      }
+    });
+    this.queue = run.catch(() => {});
+    return run;
+  }
+
+  /**
+   * Create the lock file, waiting up to lockTimeoutMs for another holder
+   */
+  async lock() {
+    const deadline = Date.now() + this.lockTimeoutMs;
+    for (;;) {
+      try {
+        await fs.promises.writeFile(this.lockPath, String(process.pid), { flag: 'wx' });
+        return;
+      } catch (error) {
+        if (error.code !== 'EEXIST') throw error;
+      }
+
+      const stat = await fs.promises.stat(this.lockPath).catch(() => null);
+      if (stat && Date.now() - stat.mtimeMs > LOCK_STALE_MS) {
+        log.warn('Removing stale storage lock', { path: this.lockPath });
+        await fs.promises.unlink(this.lockPath).catch(() => {});
+        continue;
+      }
+      if (Date.now() >= deadline) {
+        throw new Error(`Timed out after ${this.lockTimeoutMs}ms waiting for storage lock ${this.lockPath}`);
+      }
+      await sleep(LOCK_RETRY_MS);
+    }
+  }
+
+  /**
+   * Apply lines appended to the file since we last read it, or reload it
+   * when it was replaced by a compaction
+   */
+  async catchUp() {
+    const stat = await fs.promises.stat(this.filePath).catch(error => {
+      if (error.code === 'ENOENT') return null;
+      throw error;
+    });
+    if (!stat) {
+      if (this.inode !== null) this.reset(null);
+      return;
+    }
+    if (stat.ino === this.inode && stat.size === this.offset) return;
+
+    const handle = await fs.promises.open(this.filePath, 'r');
+    try {
+      const { ino, size } = await handle.stat();
+      if (ino !== this.inode || size < this.offset) {
+        this.reset(ino);
+      }
+      if (size === this.offset) return;
+
+      const buffer = Buffer.alloc(size - this.offset);
+      const { bytesRead } = await handle.read(buffer, 0, buffer.length, this.offset);
+      // A line still being written is left for the next catch-up
+      const end = buffer.subarray(0, bytesRead).lastIndexOf(0x0a) + 1;
+      for (const line of buffer.subarray(0, end).toString('utf8').split('\n')) {
+        if (line.trim()) this.apply(line);
+      }
+      this.offset += end;
+    } finally {
+      await handle.close();
+    }
+  }
+
+  reset(inode) {
+    this.records = new Map();
+    this.inode = inode;
+    this.offset = 0;
+    this.lines = 0;
+    this.nextCompactionCheck = COMPACT_CHECK_LINES;
+  }
+
+  /**
+   * Apply one line of the file to the working copy
+   */
+  apply(line) {
+    let entry;
+    try {
+      entry = JSON.parse(line);
+    } catch (error) {
+      log.warn('Skipping unreadable storage line', { path: this.filePath, line: line.slice(0, 200) });
+      return;
+    }
+
+    this.lines++;
+    if (entry.d) {
+      this.records.delete(entry.k);
+    } else {
+      this.records.set(entry.k, { value: entry.v, expiresAt: entry.e ?? null });
+    }
+  }
+
+  /**
+   * Convert a file in the earlier format, a single `{ version: 1, records }`
+   * document, to lines. Runs once at startup.
+   */
+  migrateSnapshot() {
+    let data;
+    try {
+      const content = fs.readFileSync(this.filePath, 'utf8');
+      if (!content.startsWith('{"version":1,')) return;
+      data = JSON.parse(content);
+    } catch (error) {
+      if (error.code !== 'ENOENT') {
+        log.warn('Ignoring unreadable storage file', { path: this.filePath, error: error.message });
+      }
+      return;
+    }
+
+    const tempPath = `${this.filePath}.${process.pid}.tmp`;
+    fs.writeFileSync(tempPath, Object.entries(data.records || {})
+      .map(([key, record]) => JSON.stringify({ k: key, v: record.value, e: record.expiresAt }) + '\n')
+      .join(''));
+    fs.renameSync(tempPath, this.filePath);
+    log.info('Storage file converted to the append-only format', { path: this.filePath });
+  }
+
+  /**
+   * Append the pending lines. Called under the lock right after catchUp(),
+   * so anything past our offset is a line a crashed writer left unfinished;
+   * it is terminated first so that it reads as one unreadable line.
+   */
+  async append() {
+    if (this.pending.length === 0) return;
+
+    const handle = await fs.promises.open(this.filePath, 'a');
+    try {
+      const { ino, size } = await handle.stat();
+      if (this.inode === null) this.inode = ino;
+
+      const data = Buffer.from(
+        (size > this.offset ? '\n' : '') + this.pending.map(entry => JSON.stringify(entry) + '\n').join(''),
+        'utf8'
+      );
+      await handle.write(data);
+      this.offset = size + data.length;
+      this.lines += this.pending.length;
+    } finally {
+      await handle.close();
+    }
+  }
+
+  /**
+   * Rewrite the file with only the live records once at least half of its
+   * lines are superseded, deleted or expired
+   */
+  async compactIfStale() {
+    if (this.lines < this.nextCompactionCheck) return;
+
+    this.prune();
+    if (this.lines >= 2 * this.records.size) {
+      const tempPath = `${this.filePath}.${process.pid}.tmp`;
+      const data = [...this.records]
+        .map(([key, record]) => JSON.stringify({ k: key, v: record.value, e: record.expiresAt }) + '\n')
+        .join('');
+      await fs.promises.writeFile(tempPath, data);
+      await fs.promises.rename(tempPath, this.filePath);
+
+      const { ino, size } = await fs.promises.stat(this.filePath);
+      log.info('Storage file compacted', { path: this.filePath, lines: this.lines, records: this.records.size });
+      this.inode = ino;
+      this.offset = size;
+      this.lines = this.records.size;
+    }
+    this.nextCompactionCheck = this.lines + Math.max(COMPACT_CHECK_LINES, this.records.size);
+  }
+}
@@ -0,0 +1,68 @@
+import { join, dirname, resolve } from 'path';
+import { fileURLToPath } from 'url';
+import { MemoryStorage } from './memoryStorage.js';
+import { FileStorage } from './fileStorage.js';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = dirname(__filename);
+
+/**
+ * Key-prefixed view over a storage adapter
+ */
+class StorageNamespace {
+  constructor(storage, prefix) {
+    this.storage = storage;
+    this.prefix = `${prefix}:`;
+  }
+
+  get(key) {
+    return this.storage.get(this.prefix + key);
+  }
+
+  set(key, value, options) {
+    return this.storage.set(this.prefix + key, value, options);
+  }
+
+  update(key, fn, options) {
+    return this.storage.update(this.prefix + key, fn, options);
+  }
+
+  delete(key) {
+    return this.storage.delete(this.prefix + key);
+  }
+
+  async entries() {
+    const entries = await this.storage.entries(this.prefix);
+    return entries.map(([key, value]) => [key.slice(this.prefix.length), value]);
+  }
+}
+
+/**
+ * Create the storage adapter selected by STORAGE_DRIVER (memory | file)
+ */
+export function createStorage(driver = process.env.STORAGE_DRIVER || 'file') {
+  switch (driver) {
+    case 'memory':
+      return new MemoryStorage();
+    case 'file':
+      return new FileStorage({
+        filePath: process.env.STORAGE_FILE_PATH
+          ? resolve(process.env.STORAGE_FILE_PATH)
+          : join(__dirname, '../../data/storage.json'),
+        lockTimeoutMs: parseInt(process.env.STORAGE_LOCK_TIMEOUT_MS || '5000')
+      });
+    default:
+      throw new Error(`Unknown storage driver: ${driver}`);
+  }
+}
+
+export const storage = createStorage();
+
+/**
+ * Get a namespaced view of the shared storage
+ */
+export function namespace(prefix) {
+  return new StorageNamespace(storage, prefix);
+}
+
+export default storage;
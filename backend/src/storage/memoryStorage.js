@@ -0,0 +1,90 @@
+// Expired records are dropped when read, and all of them every this many writes
+const PRUNE_EVERY_WRITES = 1000;
+
+/**
+ * In-memory storage adapter. Data lives only as long as the process.
+ *
+ * All storage adapters share the same async interface:
+ *   get(key), set(key, value, { ttlMs }), update(key, fn, { ttlMs }),
+ *   delete(key), entries(prefix), close()
+ * update() without `ttlMs` keeps the record's current expiry.
+ */
+export class MemoryStorage {
+  constructor() {
+    this.records = new Map();
+    this.writes = 0;
+  }
+
+  async get(key) {
+    return this.read(key);
+  }
+
+  async set(key, value, { ttlMs } = {}) {
+    this.write(key, value, ttlMs ? Date.now() + ttlMs : null);
+    return value;
+  }
+
+  /**
+   * Read-modify-write a value; `fn` receives the current value (or null)
+   * and returning null removes the record
+   */
+  async update(key, fn, { ttlMs } = {}) {
+    const value = await fn(this.read(key));
+    if (value == null) {
+      this.remove(key);
+    } else {
+      this.write(key, value, ttlMs ? Date.now() + ttlMs : this.records.get(key)?.expiresAt ?? null);
+    }
+    return value;
+  }
+
+  async delete(key) {
+    this.remove(key);
+  }
+
+  async entries(prefix = '') {
+    const result = [];
+    for (const key of this.records.keys()) {
+      if (!key.startsWith(prefix)) continue;
+      const value = this.read(key);
+      if (value !== null) result.push([key, value]);
+    }
+    return result;
+  }
+
+  async close() {}
+
+  read(key) {
+    const record = this.records.get(key);
+    if (!record) return null;
+
+    if (record.expiresAt && record.expiresAt <= Date.now()) {
+      this.records.delete(key);
+      return null;
+    }
+    return record.value;
+  }
+
+  remove(key) {
+    this.records.delete(key);
+  }
+
+  write(key, value, expiresAt) {
+    this.records.set(key, { value, expiresAt });
+    if (++this.writes % PRUNE_EVERY_WRITES === 0) {
+      this.prune();
+    }
+  }
+
+  /**
+   * Drop every expired record
+   */
+  prune() {
+    const now = Date.now();
+    for (const [key, record] of this.records) {
+      if (record.expiresAt && record.expiresAt <= now) {
+        this.records.delete(key);
+      }
+    }
+  }
+}
@@ -0,0 +1,129 @@
+import './env.js';
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { randomUUID } from 'crypto';
+import { alertService } from '../src/services/alertService.js';
+import { alertFeed } from '../src/services/notifiers.js';
+
+const entry = { collection_address: '0xbc4ca0eda7647a8ab7c2061c2e118a18a936f13d', chain: 'ethereum' };
+
+const snapshot = (floorPrice, marketSentiment = 'neutral') => ({
+  name: 'Bored Ape Yacht Club',
+  floor_price: floorPrice,
+  volume_24h: 100,
+  predicted_change: { '24h': 1, '7d': 5, '30d': -3 },
+  market_sentiment: marketSentiment,
+  confidence_score: 70,
+  predicted_at: new Date().toISOString()
+});
+
+const watchlistWith = (rules) => {
+  const { rules: normalized, errors } = alertService.normalizeRules(rules);
+  assert.deepEqual(errors, []);
+  return {
+    id: randomUUID(),
+    owner: 'key-1',
+    name: 'Blue chips',
+    rules: normalized,
+    notifiers: [{ type: 'feed' }]
+  };
+};
+
+// Evaluate a sequence of snapshots; returns the number of alerts fired for each
+const run = async (watchlist, snapshots) => {
+  const counts = [];
+  let previous = null;
+  for (const next of snapshots) {
+    counts.push((await alertService.evaluate(watchlist, entry, next, previous, null)).length);
+    previous = next;
+  }
+  return counts;
+};
+
+test('fires when a condition starts to hold and delivers to the feed', async () => {
+  const watchlist = watchlistWith([{ type: 'floor_below', threshold: 10 }]);
+
+  const [alert] = await alertService.evaluate(watchlist, entry, snapshot(9.5), null, null);
+
+  assert.equal(alert.message, 'Bored Ape Yacht Club floor price 9.5 ETH is below 10 ETH');
+  assert.equal(alert.value, 9.5);
+  assert.deepEqual(alert.deliveries, [{ type: 'feed', ok: true, error: null }]);
+  const feed = await alertFeed.list({ owner: 'key-1', watchlistId: watchlist.id });
+  assert.deepEqual(feed.map(item => item.id), [alert.id]);
+});
+
+test('does not fire again while the condition keeps holding', async () => {
+  const watchlist = watchlistWith([{ type: 'floor_below', threshold: 10, cooldown_minutes: 0 }]);
+
+  assert.deepEqual(await run(watchlist, [snapshot(9), snapshot(8), snapshot(7)]), [1, 0, 0]);
+});
+
+test('fires again after the condition cleared, once the cooldown has passed', async () => {
+  const noCooldown = watchlistWith([{ type: 'floor_below', threshold: 10, cooldown_minutes: 0 }]);
+  assert.deepEqual(await run(noCooldown, [snapshot(9), snapshot(11), snapshot(9)]), [1, 0, 1]);
+
+  const withCooldown = watchlistWith([{ type: 'floor_below', threshold: 10, cooldown_minutes: 60 }]);
+  assert.deepEqual(await run(withCooldown, [snapshot(9), snapshot(11), snapshot(9), snapshot(8)]), [1, 0, 0, 0]);
+});
+
+test('does not send an alert suppressed by the cooldown once the cooldown ends', async () => {
+  const watchlist = watchlistWith([{ type: 'floor_below', threshold: 10, cooldown_minutes: 60 }]);
+  const [rule] = watchlist.rules;
+  const key = `${watchlist.id}:${rule.id}:${entry.chain}:${entry.collection_address}`;
+
+  assert.deepEqual(await run(watchlist, [snapshot(9), snapshot(11), snapshot(9)]), [1, 0, 0]);
+  const state = await alertService.state.get(key);
+  assert.equal(state.suppressed, 1);
+
+  // Move the last alert out of the cooldown
+  await alertService.state.update(key, (current) => ({
+    ...current,
+    last_fired_at: new Date(Date.now() - 61 * 60 * 1000).toISOString()
+  }));
+  assert.deepEqual(await run(watchlist, [snapshot(8)]), [0]);
+  assert.deepEqual(await run(watchlist, [snapshot(11), snapshot(9)]), [0, 1]);
+});
+
+test('keeps separate state per rule and collection', async () => {
+  const watchlist = watchlistWith([
+    { type: 'floor_below', threshold: 10 },
+    { type: 'floor_above', threshold: 5 }
+  ]);
+  const other = { ...entry, collection_address: '0x60e4d786628fea6478f785a6d7e704777c86a7c6' };
+
+  const fired = await alertService.evaluate(watchlist, entry, snapshot(8), null, null);
+  const firedOther = await alertService.evaluate(watchlist, other, snapshot(8), null, null);
+
+  assert.deepEqual(fired.map(alert => alert.rule.type), ['floor_below', 'floor_above']);
+  assert.deepEqual(firedOther.map(alert => alert.rule.type), ['floor_below', 'floor_above']);
+});
+
+test('only applies rules to the collection they name', async () => {
+  const watchlist = watchlistWith([
+    { type: 'floor_below', threshold: 10, collection_address: '0x60E4D786628FEA6478F785A6D7E704777C86A7C6' }
+  ]);
+
+  assert.deepEqual(await run(watchlist, [snapshot(1)]), [0]);
+});
+
+test('fires sentiment flips only on a change to the watched sentiment', async () => {
+  const watchlist = watchlistWith([{ type: 'sentiment_flip', sentiment: 'bearish', cooldown_minutes: 0 }]);
+
+  const counts = await run(watchlist, [
+    snapshot(10, 'bearish'),
+    snapshot(10, 'neutral'),
+    snapshot(10, 'bearish'),
+    snapshot(10, 'bearish')
+  ]);
+
+  assert.deepEqual(counts, [0, 0, 1, 0]);
+});
+
+test('reports rules missing the value their type needs', () => {
+  const { errors } = alertService.normalizeRules([{ type: 'floor_below' }, { type: 'sentiment_flip' }]);
+
+  assert.deepEqual(errors, [
+    'rules[0]: floor_below rules need a threshold',
+    'rules[1]: sentiment_flip rules need a sentiment'
+  ]);
+});
@@ -0,0 +1,4 @@
+// Imported first by every test file: in-memory storage and quiet logs
+process.env.STORAGE_DRIVER = 'memory';
+process.env.LOG_LEVEL = process.env.LOG_LEVEL || 'error';
+process.env.NODE_ENV = 'test';
@@ -0,0 +1,18 @@
+#!/usr/bin/env node
+// Stand-in for agents/worker.jl speaking the same protocol on fd 3.
+// FAKE_WORKER_MODE: `ok` echoes params back, `hang` never answers.
+import fs from 'fs';
+import readline from 'readline';
+
+const protocol = fs.createWriteStream(null, { fd: Number(process.env.JULIA_PROTOCOL_FD || 3) });
+const mode = process.env.FAKE_WORKER_MODE || 'ok';
+
+protocol.write(JSON.stringify({ type: 'ready' }) + '\n');
+
+readline.createInterface({ input: process.stdin }).on('line', (line) => {
+  const request = JSON.parse(line);
+  if (mode === 'hang') return;
+
+  protocol.write(JSON.stringify({ id: request.id, type: 'stage', stage: 'echo', data: {} }) + '\n');
+  protocol.write(JSON.stringify({ id: request.id, type: 'result', result: { method: request.method, params: request.params } }) + '\n');
+});
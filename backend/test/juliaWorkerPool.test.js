@@ -0,0 +1,81 @@
+import './env.js';
+import { test, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { once } from 'events';
+import { fileURLToPath } from 'url';
+import { JuliaWorkerPool } from '../src/services/juliaWorkerPool.js';
+
+const fixtures = fileURLToPath(new URL('./fixtures/', import.meta.url));
+
+let pool;
+
+const startPool = async ({ mode = 'ok', size = 1, maxQueue = 5, jobTimeoutMs = 5000 } = {}) => {
+  process.env.FAKE_WORKER_MODE = mode;
+  pool = new JuliaWorkerPool({
+    executable: `${fixtures}fakeJuliaWorker.js`,
+    projectPath: fixtures,
+    script: 'worker.jl',
+    size,
+    jobTimeoutMs,
+    startupTimeoutMs: 5000,
+    maxQueue
+  });
+  const ready = Promise.all(Array.from({ length: size }, () => once(pool, 'ready')));
+  pool.start();
+  await ready;
+  return pool;
+};
+
+afterEach(() => {
+  pool?.stop();
+  pool = null;
+});
+
+test('runs a job on a worker and forwards its stage messages', async () => {
+  await startPool();
+  const stages = [];
+
+  const result = await pool.run('predict', { collection_address: '0xabc' }, {
+    onProgress: (stage) => stages.push(stage)
+  });
+
+  assert.deepEqual(result, { method: 'predict', params: { collection_address: '0xabc' } });
+  assert.deepEqual(stages, ['echo']);
+});
+
+test('times out a job its worker never answers', async () => {
+  await startPool({ mode: 'hang', jobTimeoutMs: 200 });
+
+  await assert.rejects(pool.run('predict'), { code: 'TIMEOUT', status: 504 });
+});
+
+test('counts the timeout of a queued job from when it was enqueued', async () => {
+  await startPool({ mode: 'hang' });
+  const running = pool.run('predict', {}, { timeout: 10000 });
+  running.catch(() => {});
+
+  const startedAt = Date.now();
+  await assert.rejects(pool.run('predict', {}, { timeout: 200 }), { code: 'TIMEOUT' });
+  assert.ok(Date.now() - startedAt < 2000);
+  assert.equal(pool.queue.length, 0);
+});
+
+test('rejects jobs once the queue is full', async () => {
+  await startPool({ mode: 'hang', maxQueue: 1 });
+  const jobs = [pool.run('predict'), pool.run('predict')];
+  jobs.forEach(job => job.catch(() => {}));
+
+  await assert.rejects(pool.run('predict'), { code: 'QUEUE_FULL', status: 503 });
+});
+
+test('cancels a queued job when its signal aborts', async () => {
+  await startPool({ mode: 'hang' });
+  pool.run('predict').catch(() => {});
+  const controller = new AbortController();
+
+  const queued = pool.run('predict', {}, { signal: controller.signal });
+  controller.abort();
+
+  await assert.rejects(queued, { code: 'CANCELLED', status: 499 });
+  assert.equal(pool.queue.length, 0);
+});
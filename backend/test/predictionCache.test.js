@@ -0,0 +1,140 @@
+import './env.js';
+import { test, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { MemoryCacheStore, predictionCache } from '../src/services/predictionCache.js';
+
+const HOUR_MS = 60 * 60 * 1000;
+
+const pipelineResult = (marketSentiment = 'neutral') => ({
+  success: true,
+  data: { collection: { floor_price: 1 }, predictions: {}, market_sentiment: marketSentiment },
+  data_provenance: { metadata: 'real', market_data: 'real', analysis: 'real', prediction: 'real' }
+});
+
+// A compute function counting its calls, resolving once `release` is called
+const deferredCompute = () => {
+  const compute = () => {
+    compute.calls++;
+    return new Promise(resolve => { compute.release = resolve; });
+  };
+  compute.calls = 0;
+  return compute;
+};
+
+beforeEach(() => {
+  predictionCache.setStore(new MemoryCacheStore());
+  predictionCache.ttl = { metadata: HOUR_MS, market: HOUR_MS, analysis: HOUR_MS };
+});
+
+test('stores a fresh result and serves it as a cache hit', async () => {
+  let calls = 0;
+  const compute = async () => { calls++; return pipelineResult(); };
+
+  const first = await predictionCache.getOrCompute('ethereum:0x1', compute);
+  const second = await predictionCache.getOrCompute('ethereum:0x1', compute);
+
+  assert.equal(first.cached, false);
+  assert.equal(second.cached, true);
+  assert.equal(second.cache.stale, false);
+  assert.deepEqual(second.result, first.result);
+  assert.equal(calls, 1);
+});
+
+test('does not store demo fixtures', async () => {
+  const demo = { ...pipelineResult(), data_provenance: { prediction: 'synthetic' } };
+
+  await predictionCache.getOrCompute('ethereum:0x2', async () => demo);
+
+  assert.equal(await predictionCache.peek('ethereum:0x2'), null);
+});
+
+test('serves an entry past its analysis TTL as stale and recomputes it in the background', async () => {
+  await predictionCache.store.set('ethereum:0x3', { result: pipelineResult('bearish'), storedAt: Date.now() - 2 * HOUR_MS });
+  const compute = deferredCompute();
+
+  const stale = await predictionCache.getOrCompute('ethereum:0x3', compute);
+
+  assert.equal(stale.cached, true);
+  assert.equal(stale.cache.stale, true);
+  assert.equal(stale.cache.groups.analysis.fresh, false);
+  assert.equal(stale.cache.revalidating, true);
+  assert.equal(stale.result.data.market_sentiment, 'bearish');
+  assert.equal(compute.calls, 1);
+
+  compute.release(pipelineResult('bullish'));
+  await predictionCache.inflight.get('ethereum:0x3')?.promise;
+  const refreshed = await predictionCache.getOrCompute('ethereum:0x3', compute);
+  assert.equal(refreshed.cache.stale, false);
+  assert.equal(refreshed.result.data.market_sentiment, 'bullish');
+});
+
+test('recomputes entries older than the max staleness', async () => {
+  await predictionCache.store.set('ethereum:0x4', {
+    result: pipelineResult(),
+    storedAt: Date.now() - predictionCache.maxStaleMs - HOUR_MS
+  });
+
+  const result = await predictionCache.getOrCompute('ethereum:0x4', async () => pipelineResult('bullish'));
+
+  assert.equal(result.cached, false);
+  assert.equal(result.result.data.market_sentiment, 'bullish');
+});
+
+test('merges concurrent requests for the same key into one run', async () => {
+  const stages = [[], []];
+  let release;
+  let calls = 0;
+  const compute = ({ onStage }) => {
+    calls++;
+    return new Promise(resolve => {
+      release = () => {
+        onStage('ai_analysis', {});
+        resolve(pipelineResult());
+      };
+    });
+  };
+
+  const requests = stages.map(received => predictionCache.getOrCompute('ethereum:0x5', compute, {
+    fresh: true,
+    onStage: (stage) => received.push(stage)
+  }));
+  await new Promise(resolve => setImmediate(resolve));
+
+  assert.equal(calls, 1);
+  release();
+  const [first, second] = await Promise.all(requests);
+  assert.equal(first.result, second.result);
+  assert.deepEqual(stages, [['ai_analysis'], ['ai_analysis']]);
+  assert.equal(predictionCache.inflight.size, 0);
+});
+
+test('aborts a merged run only once every caller has cancelled', async () => {
+  let runSignal;
+  const compute = ({ signal }) => {
+    runSignal = signal;
+    return new Promise((resolve, reject) => signal.addEventListener('abort', () => reject(new Error('aborted'))));
+  };
+  const controllers = [new AbortController(), new AbortController()];
+
+  const requests = controllers.map(controller => predictionCache.getOrCompute('ethereum:0x6', compute, {
+    fresh: true,
+    signal: controller.signal
+  }));
+  requests.forEach(request => request.catch(() => {}));
+
+  controllers[0].abort();
+  await assert.rejects(requests[0], { code: 'CANCELLED' });
+  assert.equal(runSignal.aborted, false);
+
+  controllers[1].abort();
+  await assert.rejects(requests[1], { code: 'CANCELLED' });
+  assert.equal(runSignal.aborted, true);
+});
+
+test('forgets a run whose compute throws synchronously', async () => {
+  const failing = () => { throw new Error('boom'); };
+
+  await assert.rejects(predictionCache.getOrCompute('ethereum:0x7', failing, { fresh: true }), /boom/);
+
+  assert.equal(predictionCache.inflight.has('ethereum:0x7'), false);
+});
@@ -0,0 +1,90 @@
+import './env.js';
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { randomUUID } from 'crypto';
+import { createRateLimiter, identifyClient } from '../src/middleware/rateLimit.js';
+
+const fakeResponse = () => {
+  const res = { headers: {}, statusCode: 200, body: null };
+  res.set = (name, value) => { res.headers[name] = value; return res; };
+  res.status = (code) => { res.statusCode = code; return res; };
+  res.json = (body) => { res.body = body; return res; };
+  return res;
+};
+
+// Run the limiter for one request; resolves to the response and whether it was let through
+const hit = async (limiter, req) => {
+  const res = fakeResponse();
+  let passed = false;
+  await limiter(req, res, (error) => {
+    if (error) throw error;
+    passed = true;
+  });
+  return { res, passed };
+};
+
+// Limiters get unique names so tests do not share buckets
+const limiterName = () => `test-${randomUUID()}`;
+
+test('identifies API key callers by key and others by IP address', () => {
+  assert.deepEqual(identifyClient({ ip: '203.0.113.5' }), { tier: 'anonymous', id: 'ip:203.0.113.5' });
+  assert.deepEqual(identifyClient({ ip: '203.0.113.5', apiKey: { id: 'k1' } }), { tier: 'api_key', id: 'key:k1' });
+});
+
+test('lets maxRequests requests through, then rejects with Retry-After', async () => {
+  const limiter = createRateLimiter({ name: limiterName(), maxRequests: 2, windowMs: 60000 });
+  const req = { ip: '203.0.113.5' };
+
+  assert.equal((await hit(limiter, req)).passed, true);
+  const second = await hit(limiter, req);
+  assert.equal(second.passed, true);
+  assert.equal(second.res.headers['RateLimit-Remaining'], '0');
+
+  const third = await hit(limiter, req);
+  assert.equal(third.passed, false);
+  assert.equal(third.res.statusCode, 429);
+  assert.equal(third.res.body.error.code, 'RATE_LIMITED');
+  assert.ok(Number(third.res.headers['Retry-After']) >= 1);
+});
+
+test('spends cost(req) tokens per request', async () => {
+  const limiter = createRateLimiter({
+    name: limiterName(),
+    maxRequests: 10,
+    windowMs: 60000,
+    cost: (req) => req.body.items.length
+  });
+  const req = (items) => ({ ip: '203.0.113.6', body: { items: new Array(items).fill('0x1') } });
+
+  const first = await hit(limiter, req(6));
+  assert.equal(first.passed, true);
+  assert.equal(first.res.headers['RateLimit-Remaining'], '4');
+
+  const second = await hit(limiter, req(5));
+  assert.equal(second.passed, false);
+  assert.equal(second.res.headers['RateLimit-Remaining'], '4');
+
+  assert.equal((await hit(limiter, req(4))).passed, true);
+});
+
+test('caps the cost at the bucket size and charges at least one token', async () => {
+  const limiter = createRateLimiter({ name: limiterName(), maxRequests: 3, windowMs: 60000, cost: (req) => req.cost });
+
+  const free = await hit(limiter, { ip: '203.0.113.7', cost: 0 });
+  assert.equal(free.res.headers['RateLimit-Remaining'], '2');
+
+  const huge = await hit(limiter, { ip: '203.0.113.8', cost: 100 });
+  assert.equal(huge.passed, true);
+  assert.equal(huge.res.headers['RateLimit-Remaining'], '0');
+});
+
+test('gives API key callers their own, larger bucket', async () => {
+  const limiter = createRateLimiter({ name: limiterName(), maxRequests: 1, windowMs: 60000 });
+
+  assert.equal((await hit(limiter, { ip: '203.0.113.9' })).passed, true);
+  assert.equal((await hit(limiter, { ip: '203.0.113.9' })).passed, false);
+
+  const keyed = await hit(limiter, { ip: '203.0.113.9', apiKey: { id: 'k2' } });
+  assert.equal(keyed.passed, true);
+  assert.equal(keyed.res.headers['RateLimit-Limit'], '10');
+});
@@ -0,0 +1,74 @@
+import './env.js';
+import { test, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import crypto from 'crypto';
+import { signPayload } from '../src/services/webhookService.js';
+import { checkPublicUrl, isPublicAddress } from '../src/services/outboundUrl.js';
+
+const PRIVATE_ERROR = 'must not point to a loopback, private, link-local or metadata address';
+
+afterEach(() => {
+  delete process.env.WEBHOOK_ALLOW_PRIVATE_URLS;
+});
+
+test('signs the timestamp and body with HMAC-SHA256', () => {
+  const body = JSON.stringify({ event: 'prediction.completed' });
+  const expected = crypto.createHmac('sha256', 'whsec_test').update(`1700000000.${body}`).digest('hex');
+
+  assert.equal(signPayload('whsec_test', 1700000000, body), `sha256=${expected}`);
+});
+
+test('signatures change with the secret, timestamp or body', () => {
+  const signature = signPayload('secret', 1, '{}');
+
+  assert.notEqual(signPayload('other', 1, '{}'), signature);
+  assert.notEqual(signPayload('secret', 2, '{}'), signature);
+  assert.notEqual(signPayload('secret', 1, '{"a":1}'), signature);
+});
+
+test('accepts http(s) URLs of public addresses', async () => {
+  assert.equal(await checkPublicUrl('https://93.184.215.14/hooks'), null);
+  assert.equal(await checkPublicUrl('http://[2606:4700::1111]:8080/'), null);
+});
+
+test('rejects URLs that are not absolute http(s) URLs', async () => {
+  assert.equal(await checkPublicUrl('/hooks'), 'must be an absolute URL');
+  assert.equal(await checkPublicUrl('ftp://93.184.215.14/'), 'must be an http or https URL');
+  assert.equal(await checkPublicUrl('file:///etc/passwd'), 'must be an http or https URL');
+});
+
+test('rejects loopback, private, link-local and metadata addresses', async () => {
+  for (const url of [
+    'http://127.0.0.1/',
+    'http://localhost:3001/',
+    'http://10.1.2.3/',
+    'http://172.16.0.1/',
+    'http://192.168.1.10/',
+    'http://169.254.169.254/latest/meta-data/',
+    'http://100.100.100.200/',
+    'http://0.0.0.0/',
+    'http://[::1]/',
+    'http://[::ffff:127.0.0.1]/',
+    'http://[fd00:ec2::254]/',
+    'http://[fe80::1]/'
+  ]) {
+    assert.equal(await checkPublicUrl(url), PRIVATE_ERROR, url);
+  }
+});
+
+test('reports hosts that do not resolve', async () => {
+  assert.match(await checkPublicUrl('https://webhook.invalid/'), /could not be resolved/);
+});
+
+test('WEBHOOK_ALLOW_PRIVATE_URLS lifts the address checks', async () => {
+  process.env.WEBHOOK_ALLOW_PRIVATE_URLS = 'true';
+
+  assert.equal(await checkPublicUrl('http://127.0.0.1:4000/hooks'), null);
+  assert.equal(await checkPublicUrl('ftp://127.0.0.1/'), 'must be an http or https URL');
+});
+
+test('isPublicAddress only accepts IP addresses', () => {
+  assert.equal(isPublicAddress('8.8.8.8'), true);
+  assert.equal(isPublicAddress('192.168.0.1'), false);
+  assert.equal(isPublicAddress('example.com'), false);
+});
@@ -0,0 +1,836 @@
+/**
+ * Request and response schemas of every API route, shared by the backend
+ * (which validates requests and agent output against them) and the frontend
+ * (which validates responses). Types in src/types/index.ts describe the same
+ * shapes for TypeScript.
+ *
+ * Routes are keyed by `METHOD /path` relative to /api; each lists the
+ * JSON Schemas (see schema.js) of its `params`, `query`, `body` and
+ * `response`, and SSE routes the payload of each `events` type.
+ */
+
+export const CHAIN_IDS = ['ethereum', 'polygon', 'base', 'arbitrum', 'solana'];
+export const TIMEFRAMES = ['24h', '7d', '30d'];
+// Stages reported by execute_prediction_pipeline in swarm_coordinator.jl
+export const PIPELINE_STAGES = ['data_collection', 'ai_analysis', 'price_prediction', 'risk_assessment'];
+
+const string = { type: 'string' };
+const number = { type: 'number' };
+const percentage = { type: 'number', minimum: 0, maximum: 100 };
+const timestamp = { type: 'string', minLength: 1 };
+const chain = { enum: CHAIN_IDS };
+const provenance = { type: 'object' };
+const nullable = (schema) => (schema.enum
+  ? { ...schema, enum: [...schema.enum, null] }
+  : { ...schema, type: [].concat(schema.type, 'null') });
+
+// Query-string flag such as ?fresh=1
+const flag = { enum: ['0', '1', 'true', 'false'] };
+
+const collectionAddress = { type: 'string', minLength: 1, maxLength: 128 };
+
+const predictionRequest = {
+  type: 'object',
+  required: ['collection_address'],
+  properties: {
+    collection_address: collectionAddress,
+    chain
+  }
+};
+
+const collection = {
+  type: 'object',
+  required: ['name', 'address', 'floor_price'],
+  properties: {
+    name: string,
+    address: string,
+    chain,
+    description: nullable(string),
+    image: nullable(string),
+    floor_price: number,
+    market_cap: nullable(number),
+    volume_24h: nullable(number),
+    total_supply: nullable(number)
+  }
+};
+
+const timeframe = {
+  type: 'object',
+  required: ['direction', 'percentage_change', 'confidence'],
+  properties: {
+    direction: { enum: ['up', 'down', 'stable'] },
+    percentage_change: number,
+    confidence: percentage,
+    price_target: nullable(number)
+  }
+};
+
+const reasoningStep = {
+  type: 'object',
+  required: ['factor', 'impact', 'confidence', 'explanation'],
+  properties: {
+    factor: string,
+    impact: { enum: ['positive', 'negative', 'neutral'] },
+    confidence: percentage,
+    explanation: string
+  }
+};
+
+/**
+ * `data` of a PredictionResponse, as produced by the Julia agents, the
+ * Node engine or the demo fixtures
+ */
+export const PREDICTION_DATA = {
+  type: 'object',
+  required: [
+    'collection',
+    'predictions',
+    'ai_reasoning',
+    'reasoning_steps',
+    'risk_factors',
+    'market_sentiment',
+    'confidence_score',
+    'data_quality'
+  ],
+  properties: {
+    collection,
+    predictions: {
+      type: 'object',
+      required: TIMEFRAMES,
+      properties: Object.fromEntries(TIMEFRAMES.map(key => [key, timeframe]))
+    },
+    ai_reasoning: string,
+    reasoning_steps: { type: 'array', items: reasoningStep },
+    risk_factors: { type: 'array', items: string },
+    market_sentiment: { enum: ['bullish', 'bearish', 'neutral'] },
+    confidence_score: percentage,
+    data_quality: percentage,
+    analysis_status: { enum: ['schema_valid', 'repaired', 'rule_based'] },
+    model: {
+      type: 'object',
+      required: ['engine'],
+      properties: {
+        engine: string,
+        llm_provider: nullable(string),
+        llm_model: nullable(string)
+      }
+    }
+  }
+};
+
+export const PREDICTION_RESPONSE = {
+  type: 'object',
+  required: ['success', 'data', 'timestamp'],
+  properties: {
+    success: { enum: [true] },
+    data: PREDICTION_DATA,
+    data_provenance: provenance,
+    timestamp,
+    processing_time: number,
+    cached: { type: 'boolean' },
+    age: number,
+    cache: { type: 'object' }
+  }
+};
+
+export const API_ERROR = {
+  type: 'object',
+  required: ['code', 'message', 'retryable'],
+  properties: {
+    code: string,
+    message: string,
+    details: {},
+    retryable: { type: 'boolean' }
+  }
+};
+
+export const ERROR_RESPONSE = {
+  type: 'object',
+  required: ['success', 'error'],
+  properties: {
+    success: { enum: [false] },
+    message: string,
+    error: API_ERROR,
+    timestamp
+  }
+};
+
+const stageState = {
+  type: 'object',
+  required: ['status'],
+  properties: {
+    status: { enum: ['pending', 'completed', 'failed'] },
+    completed_at: timestamp,
+    error: string
+  }
+};
+
+export const PREDICTION_JOB = {
+  type: 'object',
+  required: ['id', 'status', 'stages', 'progress', 'collection_address', 'chain'],
+  properties: {
+    id: string,
+    type: { enum: ['prediction'] },
+    status: { enum: ['queued', 'running', 'completed', 'failed', 'cancelled'] },
+    stage: nullable({ enum: PIPELINE_STAGES }),
+    stages: {
+      type: 'object',
+      required: PIPELINE_STAGES,
+      properties: Object.fromEntries(PIPELINE_STAGES.map(stage => [stage, stageState]))
+    },
+    progress: { type: 'number', minimum: 0, maximum: 1 },
+    collection_address: string,
+    chain,
+    result: nullable(PREDICTION_RESPONSE),
+    error: nullable(API_ERROR),
+    created_at: timestamp,
+    updated_at: timestamp,
+    finished_at: nullable(timestamp)
+  }
+};
+
+const batchItem = {
+  type: 'object',
+  required: ['index', 'collection_address', 'chain', 'status', 'job_id', 'progress', 'error'],
+  properties: {
+    index: { type: 'integer', minimum: 0 },
+    collection_address: string,
+    chain,
+    status: { enum: ['queued', 'running', 'completed', 'failed', 'cancelled'] },
+    // Prediction job of the item, see GET /predictions/:id
+    job_id: nullable(string),
+    stage: nullable({ enum: PIPELINE_STAGES }),
+    progress: { type: 'number', minimum: 0, maximum: 1 },
+    name: nullable(string),
+    error: nullable(API_ERROR),
+    started_at: nullable(timestamp),
+    finished_at: nullable(timestamp)
+  }
+};
+
+export const BATCH_JOB = {
+  type: 'object',
+  required: ['id', 'status', 'progress', 'counts', 'items'],
+  properties: {
+    id: string,
+    type: { enum: ['batch'] },
+    status: { enum: ['queued', 'running', 'completed', 'cancelled'] },
+    progress: { type: 'number', minimum: 0, maximum: 1 },
+    counts: {
+      type: 'object',
+      required: ['total', 'queued', 'running', 'completed', 'failed', 'cancelled'],
+      properties: Object.fromEntries(
+        ['total', 'queued', 'running', 'completed', 'failed', 'cancelled'].map(key => [key, { type: 'integer', minimum: 0 }])
+      )
+    },
+    // Repeated collections that were only queued once
+    duplicates: { type: 'integer', minimum: 0 },
+    items: { type: 'array', items: batchItem },
+    created_at: timestamp,
+    updated_at: timestamp,
+    finished_at: nullable(timestamp)
+  }
+};
+
+const batchResponse = {
+  type: 'object',
+  required: ['success', 'batch'],
+  properties: { success: { enum: [true] }, batch: BATCH_JOB }
+};
+
+const jobResponse = {
+  type: 'object',
+  required: ['success', 'job'],
+  properties: { success: { enum: [true] }, job: PREDICTION_JOB }
+};
+
+// `{ success: true, data }` envelope
+const dataResponse = (data) => ({
+  type: 'object',
+  required: ['success', 'data'],
+  properties: { success: { enum: [true] }, data, data_provenance: provenance, timestamp }
+});
+
+export const SEARCH_RESULT = {
+  type: 'object',
+  required: ['name', 'address'],
+  properties: {
+    name: string,
+    address: string,
+    chain,
+    image: nullable(string),
+    floor_price: nullable(number)
+  }
+};
+
+export const AGENT_STATUS = {
+  type: 'object',
+  required: ['name', 'status'],
+  properties: {
+    name: string,
+    status: { enum: ['active', 'inactive', 'error'] },
+    last_update: string,
+    performance_score: number
+  }
+};
+
+const rankingEntry = {
+  type: 'object',
+  required: ['rank', 'collection_address', 'value'],
+  properties: { rank: { type: 'integer', minimum: 1 }, collection_address: string, value: number }
+};
+
+export const COMPARISON_METRICS = [
+  'strength', 'change_24h', 'change_7d', 'change_30d', 'confidence', 'floor_price', 'volume_24h', 'risk_factors'
+];
+
+const comparedCollection = {
+  type: 'object',
+  required: ['collection_address', 'chain', 'status', 'collection', 'predictions', 'risk_factors', 'strength', 'error'],
+  properties: {
+    collection_address: string,
+    chain,
+    status: { enum: ['completed', 'failed'] },
+    collection: nullable({
+      type: 'object',
+      required: ['name', 'floor_price'],
+      properties: {
+        name: string,
+        image: nullable(string),
+        floor_price: number,
+        volume_24h: nullable(number),
+        market_cap: nullable(number),
+        total_supply: nullable(number)
+      }
+    }),
+    predictions: nullable(PREDICTION_DATA.properties.predictions),
+    market_sentiment: nullable(PREDICTION_DATA.properties.market_sentiment),
+    confidence_score: nullable(percentage),
+    data_quality: nullable(percentage),
+    risk_factors: { type: 'array', items: string },
+    strength: nullable({
+      type: 'object',
+      required: ['score', 'components'],
+      properties: { score: percentage, components: { type: 'object' } }
+    }),
+    data_provenance: nullable(provenance),
+    cached: { type: 'boolean' },
+    age: number,
+    error: nullable(API_ERROR)
+  }
+};
+
+/**
+ * `data` of a POST /compare response: one entry per requested collection, in
+ * request order, and for each metric the completed collections best first
+ */
+export const COMPARISON = {
+  type: 'object',
+  required: ['chain', 'collections', 'rankings', 'compared', 'failed'],
+  properties: {
+    chain,
+    collections: { type: 'array', minItems: 2, maxItems: 5, items: comparedCollection },
+    rankings: {
+      type: 'object',
+      required: COMPARISON_METRICS,
+      properties: Object.fromEntries(COMPARISON_METRICS.map(metric => [metric, { type: 'array', items: rankingEntry }]))
+    },
+    compared: { type: 'integer', minimum: 1 },
+    failed: { type: 'integer', minimum: 0 }
+  }
+};
+
+export const ALERT_RULE_TYPES = [
+  'floor_below',
+  'floor_above',
+  'predicted_change_above',
+  'predicted_change_below',
+  'sentiment_flip'
+];
+export const NOTIFIER_TYPES = ['feed', 'webhook', 'email'];
+const SENTIMENTS = ['bullish', 'bearish', 'neutral'];
+
+/**
+ * Alert rule of a watchlist. Floor rules compare the floor price with
+ * `threshold`, change rules the predicted `timeframe` change (in percent) and
+ * `sentiment_flip` fires when the market sentiment turns to `sentiment`.
+ * Rules apply to every collection of the watchlist unless
+ * `collection_address` picks one.
+ */
+const alertRule = {
+  type: 'object',
+  required: ['type'],
+  additionalProperties: false,
+  properties: {
+    id: { type: 'string', pattern: '^[0-9a-f]{8}$' },
+    type: { enum: ALERT_RULE_TYPES },
+    threshold: number,
+    timeframe: { enum: TIMEFRAMES },
+    sentiment: { enum: SENTIMENTS },
+    collection_address: nullable(collectionAddress),
+    cooldown_minutes: nullable({ type: 'integer', minimum: 0 })
+  }
+};
+
+const notifier = {
+  type: 'object',
+  required: ['type'],
+  additionalProperties: false,
+  properties: {
+    type: { enum: NOTIFIER_TYPES },
+    to: { type: 'string', pattern: '^[^@\\s]+@[^@\\s]+$', maxLength: 254 }
+  }
+};
+
+const watchedCollection = {
+  type: 'object',
+  required: ['collection_address'],
+  properties: { collection_address: collectionAddress, chain }
+};
+
+// Latest scheduled prediction of a watched collection
+const watchSnapshot = {
+  type: 'object',
+  required: ['name', 'floor_price', 'predicted_change', 'market_sentiment', 'predicted_at'],
+  properties: {
+    name: string,
+    floor_price: number,
+    volume_24h: nullable(number),
+    predicted_change: {
+      type: 'object',
+      required: TIMEFRAMES,
+      properties: Object.fromEntries(TIMEFRAMES.map(key => [key, number]))
+    },
+    market_sentiment: { enum: SENTIMENTS },
+    confidence_score: percentage,
+    predicted_at: timestamp
+  }
+};
+
+const watchlistInput = {
+  name: { type: 'string', minLength: 1, maxLength: 100 },
+  collections: { type: 'array', minItems: 1, items: watchedCollection },
+  refresh_interval_minutes: { type: 'integer', minimum: 1 },
+  rules: { type: 'array', maxItems: 50, items: alertRule },
+  notifiers: { type: 'array', maxItems: 10, items: notifier }
+};
+
+export const WATCHLIST = {
+  type: 'object',
+  required: ['id', 'name', 'collections', 'refresh_interval_minutes', 'rules', 'notifiers', 'running'],
+  properties: {
+    id: string,
+    name: string,
+    collections: {
+      type: 'array',
+      items: {
+        type: 'object',
+        required: ['collection_address', 'chain', 'latest', 'last_error'],
+        properties: {
+          collection_address: string,
+          chain,
+          latest: nullable(watchSnapshot),
+          last_error: nullable(API_ERROR)
+        }
+      }
+    },
+    refresh_interval_minutes: { type: 'integer', minimum: 1 },
+    rules: { type: 'array', items: alertRule },
+    notifiers: { type: 'array', items: notifier },
+    running: { type: 'boolean' },
+    last_run: nullable({ type: 'object' }),
+    next_run_at: nullable(timestamp),
+    created_at: timestamp,
+    updated_at: timestamp
+  }
+};
+
+export const ALERT = {
+  type: 'object',
+  required: ['id', 'watchlist_id', 'rule', 'collection_address', 'chain', 'message', 'value', 'fired_at'],
+  properties: {
+    id: string,
+    watchlist_id: string,
+    watchlist_name: string,
+    rule: alertRule,
+    collection_address: string,
+    chain,
+    collection_name: string,
+    message: string,
+    value: { type: ['number', 'string'] },
+    fired_at: timestamp
+  }
+};
+
+export const WEBHOOK_EVENTS = ['prediction.completed', 'alert.fired'];
+export const WEBHOOK_DELIVERY_STATUSES = ['pending', 'delivered', 'failed'];
+
+/**
+ * Settable fields of a webhook subscription. `events` picks the event types;
+ * `chain` and `collection_addresses` narrow them to some collections.
+ */
+const webhookInput = {
+  url: { type: 'string', pattern: '^https?://', maxLength: 2048 },
+  events: { type: 'array', minItems: 1, maxItems: WEBHOOK_EVENTS.length, items: { enum: WEBHOOK_EVENTS } },
+  chain: nullable(chain),
+  collection_addresses: { type: 'array', maxItems: 50, items: collectionAddress },
+  description: { type: 'string', maxLength: 200 },
+  active: { type: 'boolean' }
+};
+
+export const WEBHOOK = {
+  type: 'object',
+  required: ['id', 'url', 'events', 'chain', 'collection_addresses', 'active', 'created_at'],
+  properties: {
+    ...webhookInput,
+    id: string,
+    // Signing secret, only returned when the subscription is created
+    secret: string,
+    created_at: timestamp,
+    updated_at: timestamp
+  }
+};
+
+/**
+ * Body POSTed to subscribers: `data` is the PredictionResponse the event is
+ * about, and `alert.fired` events also carry the alert
+ */
+export const WEBHOOK_EVENT = {
+  type: 'object',
+  required: ['id', 'type', 'created_at', 'data'],
+  properties: {
+    id: string,
+    type: { enum: WEBHOOK_EVENTS },
+    created_at: timestamp,
+    data: PREDICTION_RESPONSE,
+    alert: ALERT
+  }
+};
+
+export const WEBHOOK_DELIVERY = {
+  type: 'object',
+  required: ['id', 'webhook_id', 'event_id', 'event_type', 'status', 'attempts', 'next_attempt_at', 'created_at'],
+  properties: {
+    id: string,
+    webhook_id: string,
+    event_id: string,
+    event_type: { enum: WEBHOOK_EVENTS },
+    status: { enum: WEBHOOK_DELIVERY_STATUSES },
+    attempts: {
+      type: 'array',
+      items: {
+        type: 'object',
+        required: ['attempted_at', 'status_code', 'error', 'duration_ms'],
+        properties: {
+          attempted_at: timestamp,
+          status_code: nullable({ type: 'integer' }),
+          error: nullable(string),
+          duration_ms: number
+        }
+      }
+    },
+    next_attempt_at: nullable(timestamp),
+    replay_of: nullable(string),
+    replayed_by: nullable(string),
+    created_at: timestamp,
+    updated_at: timestamp,
+    // Only included when a single delivery is requested
+    payload: WEBHOOK_EVENT
+  }
+};
+
+const series = (items) => ({ type: 'array', items });
+
+const collectionHistory = {
+  type: 'object',
+  required: ['labels', 'prices', 'volumes', 'address', 'chain'],
+  properties: {
+    labels: series(string),
+    prices: series(number),
+    volumes: series(number),
+    predictions: {
+      type: 'object',
+      required: ['prices', 'confidence_bands'],
+      properties: {
+        prices: series(nullable(number)),
+        confidence_bands: series(nullable({ type: 'array', minItems: 2, maxItems: 2, items: number }))
+      }
+    },
+    address: string,
+    chain,
+    currency: string,
+    interval: string,
+    range: string,
+    source: { enum: ['opensea', 'demo'] },
+    truncated: { type: 'boolean' }
+  }
+};
+
+const accuracyStats = {
+  type: 'object',
+  required: ['evaluated', 'direction_accuracy', 'mean_abs_pct_error'],
+  properties: {
+    evaluated: { type: 'integer', minimum: 0 },
+    direction_accuracy: nullable(percentage),
+    mean_abs_pct_error: nullable(number)
+  }
+};
+
+const accuracyReport = {
+  type: 'object',
+  required: ['overall', 'by_timeframe', 'by_provider', 'by_collection', 'pending', 'recent'],
+  properties: {
+    overall: accuracyStats,
+    by_timeframe: { type: 'object' },
+    by_provider: { type: 'object' },
+    by_collection: { type: 'object' },
+    pending: { type: 'integer', minimum: 0 },
+    recent: { type: 'array', items: { type: 'object' } },
+    generated_at: timestamp
+  }
+};
+
+const apiKeyRecord = {
+  type: 'object',
+  required: ['id', 'name', 'scopes'],
+  properties: {
+    id: string,
+    name: string,
+    scopes: { type: 'array', items: { enum: ['predict', 'search', 'admin'] } },
+    revoked: { type: 'boolean' }
+  }
+};
+
+const jobParams = {
+  type: 'object',
+  required: ['id'],
+  properties: { id: { type: 'string', pattern: '^[0-9a-f-]{36}$' } }
+};
+
+const keyParams = {
+  type: 'object',
+  required: ['id'],
+  properties: { id: { type: 'string', pattern: '^[0-9a-f]{12}$' } }
+};
+
+const watchlistParams = jobParams;
+const webhookParams = jobParams;
+
+const deliveryParams = {
+  type: 'object',
+  required: ['id', 'deliveryId'],
+  properties: {
+    id: jobParams.properties.id,
+    deliveryId: jobParams.properties.id
+  }
+};
+
+// Query-string page size such as ?limit=50
+const limit = { type: 'string', pattern: '^[1-9][0-9]{0,2}$' };
+
+export const API_ROUTES = {
+  'POST /predict': {
+    query: { type: 'object', properties: { fresh: flag } },
+    body: predictionRequest,
+    response: PREDICTION_RESPONSE
+  },
+  'GET /predict/stream': {
+    query: {
+      ...predictionRequest,
+      properties: { ...predictionRequest.properties, fresh: flag, stream_token: string }
+    },
+    events: {
+      job: PREDICTION_JOB,
+      stage: {
+        type: 'object',
+        required: ['job_id', 'stage', 'status', 'progress', 'errors'],
+        properties: {
+          job_id: string,
+          stage: { enum: PIPELINE_STAGES },
+          status: { enum: ['completed', 'failed'] },
+          next_stage: nullable({ enum: PIPELINE_STAGES }),
+          progress: { type: 'number', minimum: 0, maximum: 1 },
+          data: nullable({ type: 'object' }),
+          errors: { type: 'array', items: string }
+        }
+      },
+      result: PREDICTION_RESPONSE,
+      error: {
+        type: 'object',
+        required: ['job_id', 'status', 'error'],
+        properties: {
+          job_id: string,
+          status: { enum: ['failed', 'cancelled'] },
+          message: string,
+          errors: { type: 'array', items: string },
+          error: API_ERROR
+        }
+      }
+    }
+  },
+  // Single-use token for opening GET /predict/stream with `?stream_token=`
+  'POST /predict/stream-token': {
+    response: {
+      type: 'object',
+      required: ['success', 'token', 'expires_in'],
+      properties: { success: { enum: [true] }, token: string, expires_in: { type: 'integer', minimum: 1 } }
+    }
+  },
+  'POST /predictions': {
+    query: { type: 'object', properties: { fresh: flag } },
+    body: predictionRequest,
+    response: jobResponse
+  },
+  'POST /predict/batch': {
+    query: { type: 'object', properties: { fresh: flag, chain } },
+    // JSON, or the `chain` field of a multipart CSV upload
+    body: {
+      type: 'object',
+      properties: {
+        collection_addresses: { type: 'array', minItems: 1, items: collectionAddress },
+        collections: { type: 'array', minItems: 1, items: watchedCollection },
+        chain
+      }
+    },
+    response: batchResponse
+  },
+  'GET /predict/batch/:id': { params: jobParams, response: batchResponse },
+  'DELETE /predict/batch/:id': { params: jobParams, response: batchResponse },
+  'GET /predict/batch/:id/results': {
+    params: jobParams,
+    query: { type: 'object', properties: { format: { enum: ['csv', 'ndjson'] } } }
+  },
+  'GET /predictions/:id': { params: jobParams, response: jobResponse },
+  'DELETE /predictions/:id': { params: jobParams, response: jobResponse },
+  'POST /compare': {
+    query: { type: 'object', properties: { fresh: flag } },
+    body: {
+      type: 'object',
+      required: ['collection_addresses'],
+      properties: {
+        collection_addresses: { type: 'array', minItems: 2, maxItems: 5, items: collectionAddress },
+        chain
+      }
+    },
+    response: {
+      type: 'object',
+      required: ['success', 'data', 'timestamp'],
+      properties: { success: { enum: [true] }, data: COMPARISON, timestamp, processing_time: number }
+    }
+  },
+  'GET /watchlists': { response: dataResponse({ type: 'array', items: WATCHLIST }) },
+  'POST /watchlists': {
+    body: { type: 'object', required: ['name', 'collections'], additionalProperties: false, properties: watchlistInput },
+    response: dataResponse(WATCHLIST)
+  },
+  'GET /watchlists/:id': { params: watchlistParams, response: dataResponse(WATCHLIST) },
+  'PATCH /watchlists/:id': {
+    params: watchlistParams,
+    body: { type: 'object', additionalProperties: false, properties: watchlistInput },
+    response: dataResponse(WATCHLIST)
+  },
+  'DELETE /watchlists/:id': { params: watchlistParams, response: dataResponse(WATCHLIST) },
+  'POST /watchlists/:id/run': { params: watchlistParams, response: dataResponse(WATCHLIST) },
+  'GET /alerts': {
+    query: {
+      type: 'object',
+      properties: {
+        watchlist_id: { type: 'string', pattern: '^[0-9a-f-]{36}$' },
+        limit
+      }
+    },
+    response: dataResponse({ type: 'array', items: ALERT })
+  },
+  'GET /webhooks': { response: dataResponse({ type: 'array', items: WEBHOOK }) },
+  'POST /webhooks': {
+    body: { type: 'object', required: ['url', 'events'], additionalProperties: false, properties: webhookInput },
+    response: dataResponse(WEBHOOK)
+  },
+  'GET /webhooks/:id': { params: webhookParams, response: dataResponse(WEBHOOK) },
+  'PATCH /webhooks/:id': {
+    params: webhookParams,
+    body: { type: 'object', additionalProperties: false, properties: webhookInput },
+    response: dataResponse(WEBHOOK)
+  },
+  'DELETE /webhooks/:id': { params: webhookParams, response: dataResponse(WEBHOOK) },
+  'GET /webhooks/:id/deliveries': {
+    params: webhookParams,
+    query: { type: 'object', properties: { status: { enum: WEBHOOK_DELIVERY_STATUSES }, limit } },
+    response: dataResponse({ type: 'array', items: WEBHOOK_DELIVERY })
+  },
+  'GET /webhooks/:id/deliveries/:deliveryId': { params: deliveryParams, response: dataResponse(WEBHOOK_DELIVERY) },
+  'POST /webhooks/:id/deliveries/:deliveryId/replay': { params: deliveryParams, response: dataResponse(WEBHOOK_DELIVERY) },
+  'POST /webhooks/:id/replay': {
+    params: webhookParams,
+    body: { type: 'object', additionalProperties: false, properties: { since: timestamp } },
+    response: dataResponse({ type: 'array', items: WEBHOOK_DELIVERY })
+  },
+  'GET /search': {
+    query: {
+      type: 'object',
+      required: ['q'],
+      properties: { q: { type: 'string', minLength: 2, maxLength: 100 }, chain }
+    },
+    response: dataResponse({ type: 'array', items: SEARCH_RESULT })
+  },
+  'GET /health': { response: dataResponse({ type: 'array', items: AGENT_STATUS }) },
+  'GET /status': { response: { type: 'object' } },
+  'GET /providers': { response: { type: 'object' } },
+  'GET /stats': { response: { type: 'object', required: ['uptime'], properties: { uptime: number } } },
+  'GET /opensea-stats/:slug': {
+    params: { type: 'object', required: ['slug'], properties: { slug: { type: 'string', minLength: 1, maxLength: 128 } } },
+    query: { type: 'object', properties: { chain } },
+    response: {
+      type: 'object',
+      required: ['success', 'slug', 'chain', 'stats'],
+      properties: { success: { enum: [true] }, slug: string, chain, stats: { type: 'object' } }
+    }
+  },
+  'GET /collections/:address/history': {
+    params: { type: 'object', required: ['address'], properties: { address: collectionAddress } },
+    query: {
+      type: 'object',
+      properties: {
+        chain,
+        interval: { type: 'string', pattern: '^\\d+[hdw]$' },
+        range: { type: 'string', pattern: '^\\d+[hdw]$' }
+      }
+    },
+    response: dataResponse(collectionHistory)
+  },
+  'GET /accuracy': {
+    query: {
+      type: 'object',
+      properties: {
+        collection: collectionAddress,
+        chain,
+        timeframe: { enum: TIMEFRAMES },
+        provider: { type: 'string', maxLength: 64 }
+      }
+    },
+    response: dataResponse(accuracyReport)
+  },
+  'POST /admin/keys': {
+    body: {
+      type: 'object',
+      required: ['name'],
+      properties: {
+        name: { type: 'string', minLength: 1, maxLength: 100 },
+        scopes: { type: 'array', minItems: 1, items: { enum: ['predict', 'search', 'admin'] } },
+        quota: nullable({
+          type: 'object',
+          required: ['requests'],
+          properties: { requests: { type: 'integer', minimum: 1 }, period_ms: { type: 'integer', minimum: 1 } }
+        })
+      }
+    },
+    response: {
+      type: 'object',
+      required: ['success', 'key', 'data'],
+      properties: { success: { enum: [true] }, key: string, data: apiKeyRecord }
+    }
+  },
+  'GET /admin/keys': { response: dataResponse({ type: 'array', items: apiKeyRecord }) },
+  'GET /admin/keys/:id': { params: keyParams, response: dataResponse(apiKeyRecord) },
+  'DELETE /admin/keys/:id': { params: keyParams, response: dataResponse(apiKeyRecord) }
+};
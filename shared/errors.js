@@ -0,0 +1,52 @@
+/**
+ * Error catalog shared by the backend and the frontend.
+ *
+ * Every failed API response carries `error: { code, message, details,
+ * retryable }` with a code from this catalog. `message` is the default
+ * user-facing text (responses may use a more specific one), `status` the
+ * HTTP status the backend answers with and `retryable` whether the same
+ * request may succeed later.
+ */
+export const ERROR_CATALOG = {
+  VALIDATION_FAILED: { status: 400, retryable: false, message: 'The request is invalid' },
+  UNSUPPORTED_CHAIN: { status: 400, retryable: false, message: 'This chain is not supported' },
+  INVALID_ADDRESS: { status: 400, retryable: false, message: 'This is not a valid collection address for the selected chain' },
+  API_KEY_REQUIRED: { status: 401, retryable: false, message: 'An API key is required' },
+  INVALID_API_KEY: { status: 401, retryable: false, message: 'The API key is invalid or has been revoked' },
+  INSUFFICIENT_SCOPE: { status: 403, retryable: false, message: 'The API key is not allowed to use this endpoint' },
+  NOT_FOUND: { status: 404, retryable: false, message: 'Not found' },
+  JOB_NOT_FOUND: { status: 404, retryable: false, message: 'The prediction job was not found or has expired' },
+  JOB_FINISHED: { status: 409, retryable: false, message: 'The prediction job has already finished' },
+  RATE_LIMITED: { status: 429, retryable: true, message: 'Too many requests, please wait a moment and try again' },
+  QUOTA_EXCEEDED: { status: 429, retryable: true, message: 'The API key has used up its request quota' },
+  CANCELLED: { status: 499, retryable: false, message: 'The prediction was cancelled' },
+  INTERNAL_ERROR: { status: 500, retryable: true, message: 'Something went wrong on the server' },
+  PIPELINE_FAILED: { status: 500, retryable: true, message: 'The prediction pipeline failed' },
+  UPSTREAM_ERROR: { status: 502, retryable: true, message: 'A market data provider returned an error' },
+  AGENT_OUTPUT_INVALID: { status: 502, retryable: true, message: 'The prediction agents returned a malformed result' },
+  DATA_UNAVAILABLE: { status: 503, retryable: true, message: 'Market data for this collection is unavailable right now' },
+  SERVICE_UNAVAILABLE: { status: 503, retryable: true, message: 'The prediction service is temporarily unavailable' },
+  // Client-side only: the request never got an answer, or the answer did not match its schema
+  NETWORK_ERROR: { status: 0, retryable: true, message: 'Could not reach the prediction server' },
+  INVALID_RESPONSE: { status: 0, retryable: true, message: 'The server sent an unexpected response' }
+};
+
+/**
+ * Catalog entry for `code`, INTERNAL_ERROR for unknown codes
+ */
+export const getErrorInfo = (code) => ERROR_CATALOG[code] || ERROR_CATALOG.INTERNAL_ERROR;
+
+/**
+ * The `error` object of a failed response: `{ code, message, details, retryable }`.
+ * Unknown codes become INTERNAL_ERROR.
+ */
+export function errorBody(code, { message, details = null } = {}) {
+  const known = code in ERROR_CATALOG ? code : 'INTERNAL_ERROR';
+  const info = ERROR_CATALOG[known];
+  return {
+    code: known,
+    message: message || info.message,
+    details,
+    retryable: info.retryable
+  };
+}
@@ -0,0 +1,94 @@
+/**
+ * Minimal JSON Schema validator shared by the backend and the frontend.
+ *
+ * Supports the subset used by the API schemas: `type` (a name or a list of
+ * names), `enum`, `required`, `properties`, `additionalProperties: false`,
+ * `items`, `minItems`/`maxItems`, `minLength`/`maxLength`, `pattern` and
+ * `minimum`/`maximum`. Keywords it does not know, such as `description`,
+ * are ignored.
+ */
+
+const typeOf = (value) => {
+  if (value === null) return 'null';
+  if (Array.isArray(value)) return 'array';
+  return typeof value;
+};
+
+const matchesType = (value, type) => {
+  if (type === 'integer') return Number.isInteger(value);
+  if (type === 'number') return typeof value === 'number' && Number.isFinite(value);
+  return typeOf(value) === type;
+};
+
+const describe = (values) => values.map(value => JSON.stringify(value)).join(', ');
+
+/**
+ * Check `value` against `schema`. Returns a list of problems such as
+ * `collection.floor_price: must be a number`, empty when the value is valid.
+ */
+export function validate(schema, value, path = '') {
+  const at = (message) => `${path || 'value'}: ${message}`;
+
+  if (value === undefined) return [at('missing')];
+
+  if (schema.type) {
+    const types = [].concat(schema.type);
+    if (!types.some(type => matchesType(value, type))) {
+      return [at(`must be ${types.map(type => `${/^[aeiou]/.test(type) ? 'an' : 'a'} ${type}`).join(' or ')}`)];
+    }
+  }
+
+  if (schema.enum && !schema.enum.includes(value)) {
+    return [at(`must be one of ${describe(schema.enum)}`)];
+  }
+
+  const errors = [];
+
+  if (typeof value === 'string') {
+    if (schema.minLength != null && value.length < schema.minLength) {
+      errors.push(at(schema.minLength === 1 ? 'must not be empty' : `must be at least ${schema.minLength} characters`));
+    }
+    if (schema.maxLength != null && value.length > schema.maxLength) {
+      errors.push(at(`must be at most ${schema.maxLength} characters`));
+    }
+    if (schema.pattern && !new RegExp(schema.pattern).test(value)) {
+      errors.push(at('has an invalid format'));
+    }
+  }
+
+  if (typeof value === 'number') {
+    if (schema.minimum != null && value < schema.minimum) errors.push(at(`must be at least ${schema.minimum}`));
+    if (schema.maximum != null && value > schema.maximum) errors.push(at(`must be at most ${schema.maximum}`));
+  }
+
+  if (Array.isArray(value)) {
+    if (schema.minItems != null && value.length < schema.minItems) {
+      errors.push(at(`must have at least ${schema.minItems} item${schema.minItems === 1 ? '' : 's'}`));
+    }
+    if (schema.maxItems != null && value.length > schema.maxItems) {
+      errors.push(at(`must have at most ${schema.maxItems} items`));
+    }
+    if (schema.items) {
+      value.forEach((item, index) => errors.push(...validate(schema.items, item, `${path}[${index}]`)));
+    }
+  }
+
+  if (typeOf(value) === 'object' && (schema.properties || schema.required)) {
+    const properties = schema.properties || {};
+    const child = (key) => (path ? `${path}.${key}` : key);
+
+    for (const key of schema.required || []) {
+      if (value[key] === undefined) errors.push(`${child(key)}: missing`);
+    }
+    for (const [key, property] of Object.entries(properties)) {
+      if (value[key] !== undefined) errors.push(...validate(property, value[key], child(key)));
+    }
+    if (schema.additionalProperties === false) {
+      for (const key of Object.keys(value)) {
+        if (!(key in properties)) errors.push(`${child(key)}: is not allowed`);
+      }
+    }
+  }
+
+  return errors;
+}
@@ -2,6 +2,8 @@ import React from 'react';
 import { BrowserRouter as Router, Routes, Route } from 'react-router-dom';
 import { Home } from './pages/Home';
 import { Results } from './pages/Results';
+import { Compare } from './pages/Compare';
+import { Watchlists } from './pages/Watchlists';
 
 function App() {
   return (
@@ -10,6 +12,8 @@ function App() {
         <Routes>
           <Route path="/" element={<Home />} />
           <Route path="/results" element={<Results />} />
+          <Route path="/compare" element={<Compare />} />
+          <Route path="/watchlists" element={<Watchlists />} />
         </Routes>
       </div>
     </Router>
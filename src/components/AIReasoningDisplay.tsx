@@ -1,20 +1,40 @@
 import React, { useState } from 'react';
 import { motion, AnimatePresence } from 'framer-motion';
 import { Brain, ChevronDown, ChevronUp, TrendingUp, TrendingDown, Minus, AlertCircle } from 'lucide-react';
-import { AIReasoningStep } from '../types';
+import { AIReasoningStep, AnalysisStatus } from '../types';
 
 interface AIReasoningDisplayProps {
   reasoning: string;
   reasoningSteps: AIReasoningStep[];
   marketSentiment: 'bullish' | 'bearish' | 'neutral';
   riskFactors: string[];
+  analysisStatus?: AnalysisStatus;
 }
 
+const ANALYSIS_STATUS_BADGES: Record<AnalysisStatus, { label: string; title: string; className: string }> = {
+  schema_valid: {
+    label: 'Structured',
+    title: 'The model returned a schema-valid analysis',
+    className: 'bg-emerald-500/20 text-emerald-300',
+  },
+  repaired: {
+    label: 'Repaired',
+    title: 'The model returned a schema-valid analysis after a repair prompt',
+    className: 'bg-yellow-500/20 text-yellow-300',
+  },
+  rule_based: {
+    label: 'Rule-based',
+    title: 'No model returned a valid analysis; this one is computed from market data',
+    className: 'bg-gray-600/40 text-gray-300',
+  },
+};
+
 export const AIReasoningDisplay: React.FC<AIReasoningDisplayProps> = ({
   reasoning,
   reasoningSteps,
   marketSentiment,
   riskFactors,
+  analysisStatus,
 }) => {
   const [expanded, setExpanded] = useState(false);
   const [selectedStep, setSelectedStep] = useState<number | null>(null);
@@ -74,6 +94,14 @@ export const AIReasoningDisplay: React.FC<AIReasoningDisplayProps> = ({
         <div className="flex items-center space-x-3">
           <Brain className="w-6 h-6 text-purple-400" />
           <h3 className="text-xl font-bold text-white">AI Analysis</h3>
+          {analysisStatus && (
+            <span
+              title={ANALYSIS_STATUS_BADGES[analysisStatus].title}
+              className={`px-2 py-0.5 rounded-full text-xs ${ANALYSIS_STATUS_BADGES[analysisStatus].className}`}
+            >
+              {ANALYSIS_STATUS_BADGES[analysisStatus].label}
+            </span>
+          )}
         </div>
         <div className="flex items-center space-x-2">
           {getSentimentIcon()}
@@ -0,0 +1,158 @@
+import React from 'react';
+import { motion } from 'framer-motion';
+import { CheckCircle2, Crosshair, Loader2, XCircle } from 'lucide-react';
+import { formatDistanceToNow } from 'date-fns';
+import { AccuracyReport, AccuracyStats } from '../types';
+
+export type AccuracyScope = 'collection' | 'all';
+
+interface AccuracyPanelProps {
+  report: AccuracyReport | null;
+  scope: AccuracyScope;
+  onScopeChange: (scope: AccuracyScope) => void;
+  loading?: boolean;
+}
+
+const TIMEFRAMES = [
+  { key: '24h' as const, label: '24 Hours' },
+  { key: '7d' as const, label: '7 Days' },
+  { key: '30d' as const, label: '30 Days' },
+];
+
+const SCOPES: { scope: AccuracyScope; label: string }[] = [
+  { scope: 'collection', label: 'This collection' },
+  { scope: 'all', label: 'All collections' },
+];
+
+export const AccuracyPanel: React.FC<AccuracyPanelProps> = ({
+  report,
+  scope,
+  onScopeChange,
+  loading = false,
+}) => {
+  const getAccuracyColor = (accuracy: number | null) => {
+    if (accuracy === null) return 'text-gray-500';
+    if (accuracy >= 60) return 'text-emerald-400';
+    if (accuracy >= 40) return 'text-yellow-400';
+    return 'text-red-400';
+  };
+
+  const renderStats = (label: string, stats: AccuracyStats | undefined) => (
+    <div key={label} className="bg-gray-700/50 rounded-lg p-4">
+      <div className="text-sm text-gray-400 mb-2">{label}</div>
+      {stats && stats.evaluated > 0 ? (
+        <>
+          <div className={`text-2xl font-bold ${getAccuracyColor(stats.direction_accuracy)}`}>
+            {stats.direction_accuracy}%
+          </div>
+          <div className="text-xs text-gray-500">direction accuracy</div>
+          <div className="mt-2 text-sm text-gray-300">±{stats.mean_abs_pct_error}% avg error</div>
+          <div className="text-xs text-gray-500">{stats.evaluated} evaluated</div>
+        </>
+      ) : (
+        <div className="text-sm text-gray-500">Not enough data yet</div>
+      )}
+    </div>
+  );
+
+  const renderReport = (data: AccuracyReport) => {
+    const providers = Object.entries(data.by_provider);
+
+    return (
+      <div className="space-y-6">
+        <div className="grid grid-cols-1 md:grid-cols-4 gap-4">
+          {renderStats('Overall', data.overall)}
+          {TIMEFRAMES.map(({ key, label }) => renderStats(label, data.by_timeframe[key]))}
+        </div>
+
+        {providers.length > 0 && (
+          <div>
+            <h4 className="text-sm font-medium text-gray-400 mb-2">By LLM provider</h4>
+            <div className="space-y-1">
+              {providers.map(([provider, stats]) => (
+                <div key={provider} className="flex items-center justify-between text-sm">
+                  <span className="text-gray-300">{provider}</span>
+                  <span className="text-gray-400">
+                    <span className={getAccuracyColor(stats.direction_accuracy)}>{stats.direction_accuracy}%</span>
+                    {' · '}±{stats.mean_abs_pct_error}% · {stats.evaluated} evaluated
+                  </span>
+                </div>
+              ))}
+            </div>
+          </div>
+        )}
+
+        {data.recent.length > 0 && (
+          <div>
+            <h4 className="text-sm font-medium text-gray-400 mb-2">Recent evaluations</h4>
+            <div className="space-y-1">
+              {data.recent.slice(0, 5).map(evaluation => (
+                <div
+                  key={`${evaluation.prediction_id}:${evaluation.timeframe}`}
+                  className="flex items-center justify-between text-sm"
+                >
+                  <div className="flex items-center space-x-2">
+                    {evaluation.direction_correct ? (
+                      <CheckCircle2 className="w-4 h-4 text-emerald-400" />
+                    ) : (
+                      <XCircle className="w-4 h-4 text-red-400" />
+                    )}
+                    <span className="text-gray-300">{evaluation.name}</span>
+                    <span className="text-gray-500">{evaluation.timeframe}</span>
+                  </div>
+                  <span className="text-gray-400">
+                    predicted {evaluation.predicted_direction}, went {evaluation.actual_direction} ·{' '}
+                    {formatDistanceToNow(new Date(evaluation.evaluated_at), { addSuffix: true })}
+                  </span>
+                </div>
+              ))}
+            </div>
+          </div>
+        )}
+      </div>
+    );
+  };
+
+  return (
+    <motion.div
+      initial={{ opacity: 0, y: 20 }}
+      animate={{ opacity: 1, y: 0 }}
+      className="bg-gray-800 rounded-xl border border-gray-700 p-6 mt-8"
+    >
+      <div className="flex items-center justify-between mb-4">
+        <div className="flex items-center space-x-3">
+          <Crosshair className="w-5 h-5 text-emerald-400" />
+          <h3 className="text-lg font-semibold text-white">Prediction Track Record</h3>
+          {report && report.pending > 0 && (
+            <span className="text-xs text-gray-500">{report.pending} awaiting evaluation</span>
+          )}
+        </div>
+        <div className="flex space-x-2">
+          {SCOPES.map(option => (
+            <button
+              key={option.scope}
+              onClick={() => onScopeChange(option.scope)}
+              className={`px-3 py-1 rounded-lg text-sm transition-colors duration-200 ${
+                scope === option.scope
+                  ? 'bg-emerald-500/20 text-emerald-300'
+                  : 'text-gray-400 hover:text-white'
+              }`}
+            >
+              {option.label}
+            </button>
+          ))}
+        </div>
+      </div>
+
+      {loading ? (
+        <div className="py-8 flex items-center justify-center">
+          <Loader2 className="w-6 h-6 text-gray-400 animate-spin" />
+        </div>
+      ) : report ? (
+        renderReport(report)
+      ) : (
+        <div className="py-8 text-center text-gray-500 text-sm">Accuracy data unavailable</div>
+      )}
+    </motion.div>
+  );
+};
@@ -1,32 +1,31 @@
 import React from 'react';
 import { motion } from 'framer-motion';
-import { Brain, TrendingUp, Database, Zap } from 'lucide-react';
+import { Brain, TrendingUp, Database, ShieldAlert, AlertTriangle, LucideIcon } from 'lucide-react';
+import { PipelineStage } from '../types';
 
 interface LoadingSpinnerProps {
   message?: string;
-  stage?: string;
+  // Stage the swarm coordinator is currently working on
+  stage?: PipelineStage | null;
+  completedStages?: PipelineStage[];
+  errors?: string[];
 }
 
-const stages = [
-  { icon: Database, text: "Collecting NFT data...", color: "text-blue-400" },
-  { icon: Brain, text: "Running AI analysis...", color: "text-purple-400" },
-  { icon: TrendingUp, text: "Generating predictions...", color: "text-emerald-400" },
-  { icon: Zap, text: "Finalizing results...", color: "text-orange-400" },
+const stages: { key: PipelineStage; agent: string; icon: LucideIcon; text: string; color: string }[] = [
+  { key: 'data_collection', agent: 'Data Collector', icon: Database, text: "Collecting NFT data...", color: "text-blue-400" },
+  { key: 'ai_analysis', agent: 'AI Analyzer', icon: Brain, text: "Running AI analysis...", color: "text-purple-400" },
+  { key: 'price_prediction', agent: 'Price Predictor', icon: TrendingUp, text: "Generating predictions...", color: "text-emerald-400" },
+  { key: 'risk_assessment', agent: 'Risk Assessment', icon: ShieldAlert, text: "Assessing risk factors...", color: "text-orange-400" },
 ];
 
 export const LoadingSpinner: React.FC<LoadingSpinnerProps> = ({ 
   message = "Processing prediction...",
-  stage 
+  stage,
+  completedStages = [],
+  errors = [],
 }) => {
-  const [currentStage, setCurrentStage] = React.useState(0);
-
-  React.useEffect(() => {
-    const interval = setInterval(() => {
-      setCurrentStage((prev) => (prev + 1) % stages.length);
-    }, 2000);
-
-    return () => clearInterval(interval);
-  }, []);
+  const stageIndex = stages.findIndex(s => s.key === stage);
+  const currentStage = stageIndex === -1 ? 0 : stageIndex;
 
   const currentStageData = stages[currentStage];
   const IconComponent = currentStageData.icon;
@@ -86,22 +85,26 @@ export const LoadingSpinner: React.FC<LoadingSpinnerProps> = ({
       <div className="mt-8 grid grid-cols-2 gap-4 text-xs text-gray-500">
         {stages.map((stageData, index) => {
           const StageIcon = stageData.icon;
+          const done = completedStages.includes(stageData.key);
+          const active = done || index === currentStage;
           return (
             <motion.div
-              key={index}
+              key={stageData.key}
               className={`flex items-center space-x-2 p-2 rounded-lg border ${
-                index <= currentStage 
+                active 
                   ? 'border-emerald-500/30 bg-emerald-500/10' 
                   : 'border-gray-700 bg-gray-800/50'
               }`}
               initial={{ opacity: 0.5 }}
-              animate={{ opacity: index <= currentStage ? 1 : 0.5 }}
+              animate={{ opacity: active ? 1 : 0.5 }}
             >
-              <StageIcon className={`w-4 h-4 ${index <= currentStage ? stageData.color : 'text-gray-600'}`} />
-              <span className={index <= currentStage ? 'text-gray-300' : 'text-gray-600'}>
-                Agent {index + 1}
+              <StageIcon className={`w-4 h-4 ${active ? stageData.color : 'text-gray-600'}`} />
+              <span className={active ? 'text-gray-300' : 'text-gray-600'}>
+                {stageData.agent}
               </span>
-              {index <= currentStage && (
+              {done ? (
+                <div className="w-2 h-2 bg-emerald-400 rounded-full" />
+              ) : index === currentStage && (
                 <motion.div
                   className="w-2 h-2 bg-emerald-400 rounded-full"
                   animate={{ opacity: [1, 0.3, 1] }}
@@ -112,6 +115,18 @@ export const LoadingSpinner: React.FC<LoadingSpinnerProps> = ({
           );
         })}
       </div>
+
+      {/* Agent errors reported by the pipeline */}
+      {errors.length > 0 && (
+        <div className="max-w-md space-y-1">
+          {errors.map((error, index) => (
+            <div key={index} className="flex items-start space-x-2 text-xs text-yellow-400">
+              <AlertTriangle className="w-3 h-3 mt-0.5 flex-shrink-0" />
+              <span>{error}</span>
+            </div>
+          ))}
+        </div>
+      )}
     </div>
   );
 };
\ No newline at end of file
@@ -0,0 +1,177 @@
+import React from 'react';
+import { motion } from 'framer-motion';
+import { BarChart3, Loader2 } from 'lucide-react';
+import {
+  Chart as ChartJS,
+  BarElement,
+  CategoryScale,
+  ChartData,
+  ChartOptions,
+  Filler,
+  Legend,
+  LinearScale,
+  LineElement,
+  PointElement,
+  Tooltip,
+} from 'chart.js';
+import { Chart } from 'react-chartjs-2';
+import { format } from 'date-fns';
+import { MarketData } from '../types';
+import { CHART_RANGES, ChartRange } from '../utils/chartRanges';
+
+ChartJS.register(BarElement, CategoryScale, Filler, Legend, LinearScale, LineElement, PointElement, Tooltip);
+
+interface MarketChartProps {
+  data: MarketData | null;
+  currency: string;
+  range: ChartRange;
+  onRangeChange: (range: ChartRange) => void;
+  loading?: boolean;
+  isDemo?: boolean;
+}
+
+export const MarketChart: React.FC<MarketChartProps> = ({
+  data,
+  currency,
+  range,
+  onRangeChange,
+  loading = false,
+  isDemo = false,
+}) => {
+  const renderChart = (marketData: MarketData) => {
+    const bands = marketData.predictions?.confidence_bands ?? [];
+    const chartData: ChartData<'bar' | 'line', (number | null)[], string> = {
+      labels: marketData.labels.map(label => format(new Date(label), range === '7d' ? 'MMM d HH:mm' : 'MMM d')),
+      datasets: [
+        {
+          type: 'line',
+          label: `Floor price (${currency})`,
+          data: marketData.prices,
+          borderColor: '#34d399',
+          backgroundColor: '#34d399',
+          pointRadius: 0,
+          tension: 0.3,
+          yAxisID: 'price',
+        },
+        ...(marketData.predictions
+          ? [
+              {
+                type: 'line' as const,
+                label: 'Predicted',
+                data: marketData.predictions.prices,
+                borderColor: '#a78bfa',
+                backgroundColor: '#a78bfa',
+                borderDash: [6, 4],
+                pointRadius: 3,
+                yAxisID: 'price',
+              },
+              {
+                type: 'line' as const,
+                label: 'Confidence low',
+                data: bands.map(band => band?.[0] ?? null),
+                borderColor: 'transparent',
+                pointRadius: 0,
+                yAxisID: 'price',
+              },
+              {
+                type: 'line' as const,
+                label: 'Confidence band',
+                data: bands.map(band => band?.[1] ?? null),
+                borderColor: 'transparent',
+                backgroundColor: 'rgba(167, 139, 250, 0.15)',
+                fill: '-1',
+                pointRadius: 0,
+                yAxisID: 'price',
+              },
+            ]
+          : []),
+        {
+          type: 'bar',
+          label: `Volume (${currency})`,
+          data: marketData.volumes,
+          backgroundColor: 'rgba(96, 165, 250, 0.35)',
+          yAxisID: 'volume',
+        },
+      ],
+    };
+
+    const options: ChartOptions<'bar' | 'line'> = {
+      responsive: true,
+      maintainAspectRatio: false,
+      interaction: { mode: 'index', intersect: false },
+      plugins: {
+        legend: {
+          labels: {
+            color: '#9ca3af',
+            filter: item => item.text !== 'Confidence low',
+          },
+        },
+      },
+      scales: {
+        x: {
+          ticks: { color: '#6b7280', maxTicksLimit: 8 },
+          grid: { color: 'rgba(75, 85, 99, 0.3)' },
+        },
+        price: {
+          type: 'linear',
+          position: 'left',
+          ticks: { color: '#9ca3af' },
+          grid: { color: 'rgba(75, 85, 99, 0.3)' },
+        },
+        volume: {
+          type: 'linear',
+          position: 'right',
+          ticks: { color: '#6b7280' },
+          grid: { display: false },
+        },
+      },
+    };
+
+    return <Chart type="bar" data={chartData} options={options} />;
+  };
+
+  return (
+    <motion.div
+      initial={{ opacity: 0, y: 20 }}
+      animate={{ opacity: 1, y: 0 }}
+      className="bg-gray-800 rounded-xl border border-gray-700 p-6 mb-8"
+    >
+      <div className="flex items-center justify-between mb-4">
+        <div className="flex items-center space-x-3">
+          <BarChart3 className="w-5 h-5 text-emerald-400" />
+          <h3 className="text-lg font-semibold text-white">Market History</h3>
+          {isDemo && <span className="text-xs text-gray-500">Demo data · market history unavailable</span>}
+        </div>
+        <div className="flex space-x-2">
+          {CHART_RANGES.map(option => (
+            <button
+              key={option.range}
+              onClick={() => onRangeChange(option.range)}
+              className={`px-3 py-1 rounded-lg text-sm transition-colors duration-200 ${
+                range === option.range
+                  ? 'bg-emerald-500/20 text-emerald-300'
+                  : 'text-gray-400 hover:text-white'
+              }`}
+            >
+              {option.range}
+            </button>
+          ))}
+        </div>
+      </div>
+
+      <div className="h-72">
+        {loading ? (
+          <div className="h-full flex items-center justify-center">
+            <Loader2 className="w-6 h-6 text-gray-400 animate-spin" />
+          </div>
+        ) : data && data.prices.length > 0 ? (
+          renderChart(data)
+        ) : (
+          <div className="h-full flex items-center justify-center text-gray-500 text-sm">
+            No market history available
+          </div>
+        )}
+      </div>
+    </motion.div>
+  );
+};
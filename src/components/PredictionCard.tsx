@@ -9,6 +9,7 @@ interface PredictionCardProps {
   confidence: number;
   timestamp: string;
   processingTime: number;
+  currency?: string;
 }
 
 export const PredictionCard: React.FC<PredictionCardProps> = ({
@@ -16,6 +17,7 @@ export const PredictionCard: React.FC<PredictionCardProps> = ({
   confidence,
   timestamp,
   processingTime,
+  currency = 'ETH',
 }) => {
   const getDirectionIcon = (direction: PredictionTimeframe['direction']) => {
     switch (direction) {
@@ -94,7 +96,7 @@ export const PredictionCard: React.FC<PredictionCardProps> = ({
               
               {timeframe.data.price_target && (
                 <div className="text-sm text-gray-300">
-                  Target: {timeframe.data.price_target.toFixed(2)} ETH
+                  Target: {timeframe.data.price_target.toFixed(2)} {currency}
                 </div>
               )}
               
@@ -1,16 +1,18 @@
 import React, { useState, useEffect } from 'react';
 import { motion, AnimatePresence } from 'framer-motion';
 import { Search, Loader2, TrendingUp } from 'lucide-react';
-import { SearchResult } from '../types';
+import { Chain, SearchResult } from '../types';
 import { nftApi } from '../utils/api';
+import { CHAINS, DEFAULT_CHAIN, getChainOption } from '../utils/chains';
 
 interface SearchFormProps {
-  onSearch: (address: string) => void;
+  onSearch: (address: string, chain: Chain) => void;
   loading?: boolean;
 }
 
 export const SearchForm: React.FC<SearchFormProps> = ({ onSearch, loading = false }) => {
   const [query, setQuery] = useState('');
+  const [chain, setChain] = useState<Chain>(DEFAULT_CHAIN);
   const [suggestions, setSuggestions] = useState<SearchResult[]>([]);
   const [showSuggestions, setShowSuggestions] = useState(false);
   const [searchLoading, setSearchLoading] = useState(false);
@@ -25,7 +27,7 @@ export const SearchForm: React.FC<SearchFormProps> = ({ onSearch, loading = fals
 
       setSearchLoading(true);
       try {
-        const results = await nftApi.searchCollections(query);
+        const results = await nftApi.searchCollections(query, chain);
         setSuggestions(results);
         setShowSuggestions(true);
       } catch (error) {
@@ -38,39 +40,64 @@ export const SearchForm: React.FC<SearchFormProps> = ({ onSearch, loading = fals
 
     const debounceTimer = setTimeout(searchCollections, 300);
     return () => clearTimeout(debounceTimer);
-  }, [query]);
+  }, [query, chain]);
 
   const handleSubmit = (e: React.FormEvent) => {
     e.preventDefault();
     if (query.trim() && !loading) {
-      onSearch(query.trim());
+      onSearch(query.trim(), chain);
       setShowSuggestions(false);
     }
   };
 
   const handleSuggestionClick = (suggestion: SearchResult) => {
+    const suggestionChain = suggestion.chain ?? chain;
+    setChain(suggestionChain);
     setQuery(suggestion.name);
-    onSearch(suggestion.address);
+    onSearch(suggestion.address, suggestionChain);
     setShowSuggestions(false);
   };
 
-  const popularCollections = [
-    { name: "Bored Ape Yacht Club", address: "0xBC4CA0EdA7647A8aB7C2061c2E118A18a936f13D" },
-    { name: "CryptoPunks", address: "0xb47e3cd837dDF8e4c57F05d70Ab865de6e193BBB" },
-    { name: "Azuki", address: "0xED5AF388653567Af2F388E6224dC7C4b3241C544" },
+  const popularCollections: SearchResult[] = [
+    { name: "Bored Ape Yacht Club", address: "0xBC4CA0EdA7647A8aB7C2061c2E118A18a936f13D", chain: 'ethereum' },
+    { name: "CryptoPunks", address: "0xb47e3cd837dDF8e4c57F05d70Ab865de6e193BBB", chain: 'ethereum' },
+    { name: "Azuki", address: "0xED5AF388653567Af2F388E6224dC7C4b3241C544", chain: 'ethereum' },
+    { name: "Aavegotchi", address: "0x86935F11C86623deC8a25696E1C19a8659CbF95d", chain: 'polygon' },
+    { name: "Mad Lads", address: "J1S9H3QjnRtBbbuD4HjPV6RpRhwuk4zKbxsnCHuTgh9w", chain: 'solana' },
   ];
 
+  const { addressPlaceholder } = getChainOption(chain);
+
   return (
     <div className="w-full max-w-2xl mx-auto space-y-6">
       <div className="relative">
-        <form onSubmit={handleSubmit} className="relative">
+        <form onSubmit={handleSubmit} className="relative space-y-3">
+          <div className="flex flex-wrap justify-center gap-2" role="radiogroup" aria-label="Chain">
+            {CHAINS.map((option) => (
+              <button
+                key={option.id}
+                type="button"
+                role="radio"
+                aria-checked={chain === option.id}
+                onClick={() => setChain(option.id)}
+                disabled={loading}
+                className={`px-3 py-1 rounded-full text-sm border transition-all duration-200 ${
+                  chain === option.id
+                    ? 'bg-emerald-500/20 border-emerald-500 text-emerald-300'
+                    : 'bg-gray-800 border-gray-700 text-gray-400 hover:text-white'
+                }`}
+              >
+                {option.name}
+              </button>
+            ))}
+          </div>
           <div className="relative">
             <Search className="absolute left-4 top-1/2 transform -translate-y-1/2 text-gray-400 w-5 h-5" />
             <input
               type="text"
               value={query}
               onChange={(e) => setQuery(e.target.value)}
-              placeholder="Enter NFT collection name or contract address..."
+              placeholder={`Enter NFT collection name or contract address (${addressPlaceholder})...`}
               className="w-full pl-12 pr-32 py-4 bg-gray-800 border border-gray-700 rounded-xl text-white placeholder-gray-400 focus:ring-2 focus:ring-emerald-500 focus:border-transparent transition-all duration-200"
               disabled={loading}
             />
@@ -122,7 +149,7 @@ export const SearchForm: React.FC<SearchFormProps> = ({ onSearch, loading = fals
                     </div>
                     {suggestion.floor_price && (
                       <div className="text-right">
-                        <p className="text-emerald-400 font-medium">{suggestion.floor_price} ETH</p>
+                        <p className="text-emerald-400 font-medium">{suggestion.floor_price} {getChainOption(suggestion.chain ?? chain).currency}</p>
                         <p className="text-gray-500 text-xs">Floor Price</p>
                       </div>
                     )}
@@ -1,53 +1,185 @@
-import { useState, useCallback } from 'react';
-import { PredictionResponse } from '../types';
-import { nftApi } from '../utils/api';
+import { useState, useCallback, useEffect, useRef } from 'react';
+import { PredictionResponse, PipelineStage, PredictionJob, Chain, ApiErrorInfo } from '../types';
+import { nftApi, ApiError, toApiError } from '../utils/api';
+
+const POLL_INTERVAL_MS = 1500;
 
 interface UsePredictionState {
   data: PredictionResponse | null;
   loading: boolean;
-  error: string | null;
+  error: ApiErrorInfo | null;
+  jobId: string | null;
+  stage: PipelineStage | null;
+  completedStages: PipelineStage[];
+  stageErrors: string[];
+  progress: number;
 }
 
+const initialState: UsePredictionState = {
+  data: null,
+  loading: false,
+  error: null,
+  jobId: null,
+  stage: null,
+  completedStages: [],
+  stageErrors: [],
+  progress: 0,
+};
+
+// Raised when the SSE connection drops before the final event
+class StreamDisconnectedError extends Error {}
+
+const sleep = (ms: number) => new Promise(resolve => setTimeout(resolve, ms));
+
 export const usePrediction = () => {
-  const [state, setState] = useState<UsePredictionState>({
-    data: null,
-    loading: false,
-    error: null,
-  });
-
-  const predict = useCallback(async (collectionAddress: string) => {
-    setState(prev => ({ ...prev, loading: true, error: null }));
-    
+  const [state, setState] = useState<UsePredictionState>(initialState);
+  const controllerRef = useRef<AbortController | null>(null);
+  const jobIdRef = useRef<string | null>(null);
+
+  useEffect(() => {
+    return () => {
+      controllerRef.current?.abort();
+    };
+  }, []);
+
+  const trackJob = useCallback((job: PredictionJob) => {
+    jobIdRef.current = job.id;
+    const completedStages = (Object.keys(job.stages) as PipelineStage[])
+      .filter(stage => job.stages[stage].status === 'completed');
+    const stageErrors = Object.values(job.stages)
+      .map(stage => stage.error)
+      .filter((error): error is string => Boolean(error));
+
+    setState(prev => ({
+      ...prev,
+      jobId: job.id,
+      stage: job.stage,
+      progress: job.progress,
+      completedStages,
+      stageErrors,
+    }));
+  }, []);
+
+  // Follow live stages over SSE until the final PredictionResponse arrives
+  const streamJob = useCallback((collectionAddress: string, chain: Chain | undefined, signal: AbortSignal) => {
+    return new Promise<PredictionResponse>((resolve, reject) => {
+      const close = nftApi.streamPrediction(collectionAddress, {
+        onJob: trackJob,
+        onStage: event => {
+          setState(prev => ({
+            ...prev,
+            stage: event.next_stage ?? event.stage,
+            progress: event.progress,
+            completedStages: event.status === 'completed'
+              ? [...prev.completedStages, event.stage]
+              : prev.completedStages,
+            stageErrors: [...prev.stageErrors, ...event.errors],
+          }));
+        },
+        onResult: resolve,
+        onError: reject,
+        onDisconnect: () => reject(new StreamDisconnectedError('Prediction stream disconnected')),
+      }, chain);
+
+      signal.addEventListener('abort', () => {
+        close();
+        reject(new ApiError('CANCELLED'));
+      }, { once: true });
+    });
+  }, [trackJob]);
+
+  // Poll a job until it reaches a terminal status
+  const pollJob = useCallback(async (jobId: string, signal: AbortSignal) => {
+    let job = await nftApi.getPredictionJob(jobId);
+    trackJob(job);
+
+    while (job.status === 'queued' || job.status === 'running') {
+      await sleep(POLL_INTERVAL_MS);
+      if (signal.aborted) {
+        throw new ApiError('CANCELLED');
+      }
+
+      job = await nftApi.getPredictionJob(jobId);
+      trackJob(job);
+    }
+
+    if (job.status !== 'completed' || !job.result) {
+      throw job.error ? ApiError.from(job.error) : new ApiError(job.status === 'cancelled' ? 'CANCELLED' : 'PIPELINE_FAILED');
+    }
+
+    return job.result;
+  }, [trackJob]);
+
+  const predict = useCallback(async (collectionAddress: string, chain?: Chain) => {
+    controllerRef.current?.abort();
+    const controller = new AbortController();
+    controllerRef.current = controller;
+    jobIdRef.current = null;
+
+    setState({ ...initialState, loading: true });
+
     try {
-      const response = await nftApi.predictPrice(collectionAddress);
-      setState({
+      let response: PredictionResponse;
+
+      try {
+        if (typeof EventSource === 'undefined') {
+          throw new StreamDisconnectedError('EventSource is not supported');
+        }
+        response = await streamJob(collectionAddress, chain, controller.signal);
+      } catch (error) {
+        if (!(error instanceof StreamDisconnectedError)) throw error;
+
+        // Fall back to polling the job (creating one if the stream never started it)
+        const jobId = jobIdRef.current ?? (await nftApi.createPredictionJob(collectionAddress, chain)).id;
+        response = await pollJob(jobId, controller.signal);
+      }
+
+      setState(prev => ({
+        ...initialState,
         data: response,
-        loading: false,
-        error: null,
-      });
+        jobId: prev.jobId,
+        completedStages: prev.completedStages,
+        progress: 1,
+      }));
       return response;
     } catch (error) {
-      const errorMessage = error instanceof Error ? error.message : 'Prediction failed';
-      setState({
-        data: null,
-        loading: false,
-        error: errorMessage,
-      });
-      throw error;
+      const apiError = toApiError(error);
+      setState(prev => ({
+        ...initialState,
+        error: apiError,
+        jobId: prev.jobId,
+        stageErrors: prev.stageErrors,
+      }));
+      throw apiError;
+    } finally {
+      if (controllerRef.current === controller) {
+        controllerRef.current = null;
+      }
+    }
+  }, [streamJob, pollJob]);
+
+  const cancel = useCallback(async () => {
+    const jobId = jobIdRef.current;
+    controllerRef.current?.abort();
+    if (!jobId) return;
+
+    try {
+      await nftApi.cancelPredictionJob(jobId);
+    } catch (error) {
+      console.error('Failed to cancel prediction job:', error);
     }
   }, []);
 
   const reset = useCallback(() => {
-    setState({
-      data: null,
-      loading: false,
-      error: null,
-    });
+    controllerRef.current?.abort();
+    jobIdRef.current = null;
+    setState(initialState);
   }, []);
 
   return {
     ...state,
     predict,
+    cancel,
     reset,
   };
-};
\ No newline at end of file
+};
@@ -0,0 +1,385 @@
+import React, { useCallback, useEffect, useState } from 'react';
+import { motion } from 'framer-motion';
+import { useNavigate, useSearchParams } from 'react-router-dom';
+import { AlertTriangle, ArrowLeft, Loader2, Plus, Scale, X } from 'lucide-react';
+import { Chain, ApiErrorInfo, CollectionComparison, ComparedCollection, ComparisonMetric, Prediction } from '../types';
+import { LoadingSpinner } from '../components/LoadingSpinner';
+import { nftApi, toApiError } from '../utils/api';
+import { CHAINS, DEFAULT_CHAIN, getChainOption } from '../utils/chains';
+
+const MIN_COLLECTIONS = 2;
+const MAX_COLLECTIONS = 5;
+
+const TIMEFRAMES: (keyof Prediction)[] = ['24h', '7d', '30d'];
+
+const METRICS: { metric: ComparisonMetric; label: string; format: (value: number, currency: string) => string }[] = [
+  { metric: 'strength', label: 'Relative strength', format: value => value.toFixed(1) },
+  { metric: 'change_24h', label: '24h change', format: value => `${value > 0 ? '+' : ''}${value}%` },
+  { metric: 'change_7d', label: '7d change', format: value => `${value > 0 ? '+' : ''}${value}%` },
+  { metric: 'change_30d', label: '30d change', format: value => `${value > 0 ? '+' : ''}${value}%` },
+  { metric: 'confidence', label: 'Confidence', format: value => `${value}%` },
+  { metric: 'floor_price', label: 'Floor price', format: (value, currency) => `${value} ${currency}` },
+  { metric: 'volume_24h', label: '24h volume', format: (value, currency) => `${value} ${currency}` },
+  { metric: 'risk_factors', label: 'Fewest risk factors', format: value => String(value) },
+];
+
+// Static class names so Tailwind keeps them
+const GRID_COLUMNS: Record<number, string> = {
+  2: 'md:grid-cols-2',
+  3: 'md:grid-cols-3',
+  4: 'md:grid-cols-2 xl:grid-cols-4',
+  5: 'md:grid-cols-3 xl:grid-cols-5',
+};
+
+const SENTIMENT_COLORS = {
+  bullish: 'text-emerald-400',
+  bearish: 'text-red-400',
+  neutral: 'text-gray-300',
+};
+
+const shortAddress = (address: string) =>
+  address.length > 20 ? `${address.slice(0, 8)}...${address.slice(-6)}` : address;
+
+const changeColor = (value: number) =>
+  value > 0 ? 'text-emerald-400' : value < 0 ? 'text-red-400' : 'text-gray-300';
+
+export const Compare: React.FC = () => {
+  const navigate = useNavigate();
+  const [searchParams, setSearchParams] = useSearchParams();
+  // Collections and chain from the URL the page was opened with
+  const [initial] = useState(() => ({
+    addresses: (searchParams.get('addresses') ?? '').split(',').filter(Boolean).slice(0, MAX_COLLECTIONS),
+    chain: CHAINS.find(option => option.id === searchParams.get('chain'))?.id ?? DEFAULT_CHAIN,
+  }));
+  const [chain, setChain] = useState<Chain>(initial.chain);
+  const [addresses, setAddresses] = useState<string[]>(() => [
+    ...initial.addresses,
+    ...Array(Math.max(0, MIN_COLLECTIONS - initial.addresses.length)).fill(''),
+  ]);
+  const [comparison, setComparison] = useState<CollectionComparison | null>(null);
+  const [loading, setLoading] = useState(false);
+  const [error, setError] = useState<ApiErrorInfo | null>(null);
+
+  const runComparison = useCallback(async (collectionAddresses: string[], compareChain: Chain) => {
+    setLoading(true);
+    setError(null);
+    try {
+      setComparison(await nftApi.compareCollections(collectionAddresses, { chain: compareChain }));
+    } catch (err) {
+      setComparison(null);
+      setError(toApiError(err));
+    } finally {
+      setLoading(false);
+    }
+  }, []);
+
+  // Links to /compare?addresses=0x...,0x...&chain=... run the comparison straight away
+  useEffect(() => {
+    if (initial.addresses.length >= MIN_COLLECTIONS) {
+      runComparison(initial.addresses, initial.chain);
+    }
+  }, [initial, runComparison]);
+
+  const filled = addresses.map(address => address.trim()).filter(Boolean);
+
+  const handleSubmit = (e: React.FormEvent) => {
+    e.preventDefault();
+    if (filled.length < MIN_COLLECTIONS || loading) return;
+    setSearchParams({ addresses: filled.join(','), chain });
+    runComparison(filled, chain);
+  };
+
+  const updateAddress = (index: number, value: string) =>
+    setAddresses(current => current.map((address, i) => (i === index ? value : address)));
+
+  const removeAddress = (index: number) =>
+    setAddresses(current => current.filter((_, i) => i !== index));
+
+  const { currency } = getChainOption(comparison?.chain ?? chain);
+  const nameOf = (address: string) =>
+    comparison?.collections.find(entry => entry.collection_address === address)?.collection?.name ?? shortAddress(address);
+  const rankOf = (entry: ComparedCollection) =>
+    comparison?.rankings.strength.find(ranking => ranking.collection_address === entry.collection_address)?.rank;
+
+  return (
+    <div className="min-h-screen bg-gradient-to-br from-gray-900 via-gray-800 to-gray-900">
+      {/* Header */}
+      <motion.header
+        initial={{ opacity: 0, y: -20 }}
+        animate={{ opacity: 1, y: 0 }}
+        className="container mx-auto px-6 py-6"
+      >
+        <div className="flex items-center space-x-4">
+          <motion.button
+            onClick={() => navigate('/')}
+            className="flex items-center space-x-2 text-gray-400 hover:text-white transition-colors duration-200"
+            whileHover={{ x: -2 }}
+          >
+            <ArrowLeft className="w-5 h-5" />
+            <span>Back to Search</span>
+          </motion.button>
+        </div>
+      </motion.header>
+
+      <div className="container mx-auto px-6 pb-12">
+        {/* Collections to compare */}
+        <motion.form
+          initial={{ opacity: 0, y: 20 }}
+          animate={{ opacity: 1, y: 0 }}
+          onSubmit={handleSubmit}
+          className="bg-gray-800 rounded-xl border border-gray-700 p-6 mb-8 space-y-4"
+        >
+          <div className="flex items-center space-x-3">
+            <Scale className="w-6 h-6 text-emerald-400" />
+            <h1 className="text-2xl font-bold text-white">Compare Collections</h1>
+          </div>
+          <p className="text-gray-400 text-sm">
+            Predict {MIN_COLLECTIONS} to {MAX_COLLECTIONS} collections on the same chain and see them side by side.
+          </p>
+          <div className="flex flex-wrap gap-2" role="radiogroup" aria-label="Chain">
+            {CHAINS.map((option) => (
+              <button
+                key={option.id}
+                type="button"
+                role="radio"
+                aria-checked={chain === option.id}
+                onClick={() => setChain(option.id)}
+                disabled={loading}
+                className={`px-3 py-1 rounded-full text-sm border transition-all duration-200 ${
+                  chain === option.id
+                    ? 'bg-emerald-500/20 border-emerald-500 text-emerald-300'
+                    : 'bg-gray-800 border-gray-700 text-gray-400 hover:text-white'
+                }`}
+              >
+                {option.name}
+              </button>
+            ))}
+          </div>
+          <div className="space-y-2">
+            {addresses.map((address, index) => (
+              <div key={index} className="flex items-center space-x-2">
+                <input
+                  type="text"
+                  value={address}
+                  onChange={e => updateAddress(index, e.target.value)}
+                  placeholder={`Collection ${index + 1} contract address (${getChainOption(chain).addressPlaceholder})`}
+                  className="flex-1 px-4 py-2 rounded-lg border border-gray-600 bg-gray-900 text-white font-mono text-sm focus:outline-none focus:ring-2 focus:ring-emerald-500"
+                  disabled={loading}
+                />
+                {addresses.length > MIN_COLLECTIONS && (
+                  <button
+                    type="button"
+                    onClick={() => removeAddress(index)}
+                    className="p-2 text-gray-400 hover:text-white transition-colors duration-200"
+                    aria-label={`Remove collection ${index + 1}`}
+                    disabled={loading}
+                  >
+                    <X className="w-4 h-4" />
+                  </button>
+                )}
+              </div>
+            ))}
+          </div>
+          <div className="flex items-center justify-between">
+            <button
+              type="button"
+              onClick={() => setAddresses(current => [...current, ''])}
+              disabled={loading || addresses.length >= MAX_COLLECTIONS}
+              className="flex items-center space-x-1 text-sm text-gray-400 hover:text-white disabled:opacity-50 disabled:cursor-not-allowed transition-colors duration-200"
+            >
+              <Plus className="w-4 h-4" />
+              <span>Add collection</span>
+            </button>
+            <motion.button
+              type="submit"
+              disabled={loading || filled.length < MIN_COLLECTIONS}
+              className="bg-gradient-to-r from-emerald-500 to-emerald-600 text-white px-6 py-2 rounded-lg font-medium disabled:opacity-50 disabled:cursor-not-allowed hover:from-emerald-600 hover:to-emerald-700 transition-all duration-200"
+              whileHover={{ scale: 1.02 }}
+              whileTap={{ scale: 0.98 }}
+            >
+              {loading ? <Loader2 className="w-4 h-4 animate-spin" /> : 'Compare'}
+            </motion.button>
+          </div>
+        </motion.form>
+
+        {loading && (
+          <LoadingSpinner message={`JuliaOS agents are analyzing ${filled.length} collections...`} />
+        )}
+
+        {error && !loading && (
+          <div className="mb-8 bg-red-500/10 border border-red-500/30 rounded-xl p-4">
+            <div className="flex items-start space-x-3">
+              <AlertTriangle className="w-5 h-5 text-red-400 mt-0.5 flex-shrink-0" />
+              <div>
+                <div className="text-red-300 font-medium">{error.message}</div>
+                {error.details?.errors?.map((detail, index) => (
+                  <div key={index} className="text-gray-400 text-sm mt-1">{detail}</div>
+                ))}
+                {error.retryable && (
+                  <div className="text-gray-400 text-sm mt-2">This is usually temporary, please try again in a moment.</div>
+                )}
+              </div>
+            </div>
+          </div>
+        )}
+
+        {comparison && !loading && (
+          <>
+            {/* Side by side */}
+            <div className={`grid grid-cols-1 ${GRID_COLUMNS[comparison.collections.length] ?? ''} gap-6 mb-8`}>
+              {comparison.collections.map((entry, index) => (
+                <motion.div
+                  key={entry.collection_address}
+                  initial={{ opacity: 0, y: 20 }}
+                  animate={{ opacity: 1, y: 0 }}
+                  transition={{ delay: index * 0.1 }}
+                  className={`bg-gray-800 rounded-xl border p-5 ${
+                    rankOf(entry) === 1 ? 'border-emerald-500/60' : 'border-gray-700'
+                  }`}
+                >
+                  <div className="flex items-start space-x-3 mb-4">
+                    {entry.collection?.image && (
+                      <img
+                        src={entry.collection.image}
+                        alt={entry.collection.name}
+                        className="w-12 h-12 rounded-lg object-cover bg-gray-700"
+                      />
+                    )}
+                    <div className="min-w-0">
+                      <h3 className="text-white font-semibold truncate">{nameOf(entry.collection_address)}</h3>
+                      <p className="text-gray-500 text-xs font-mono">{shortAddress(entry.collection_address)}</p>
+                    </div>
+                  </div>
+
+                  {entry.status === 'failed' || !entry.collection || !entry.predictions ? (
+                    <div className="flex items-start space-x-2 text-sm">
+                      <AlertTriangle className="w-4 h-4 text-red-400 mt-0.5 flex-shrink-0" />
+                      <span className="text-red-300">{entry.error?.message ?? 'Prediction failed'}</span>
+                    </div>
+                  ) : (
+                    <div className="space-y-4">
+                      <div className="flex items-end justify-between">
+                        <div>
+                          <div className="text-3xl font-bold text-white">{entry.strength?.score.toFixed(1)}</div>
+                          <div className="text-xs text-gray-500">Relative strength</div>
+                        </div>
+                        <div className="text-right">
+                          <div className="text-sm text-gray-300">#{rankOf(entry)} of {comparison.compared}</div>
+                          {entry.market_sentiment && (
+                            <div className={`text-sm capitalize ${SENTIMENT_COLORS[entry.market_sentiment]}`}>
+                              {entry.market_sentiment}
+                            </div>
+                          )}
+                        </div>
+                      </div>
+
+                      <div className="grid grid-cols-2 gap-3 text-sm">
+                        <div>
+                          <div className="font-bold text-emerald-400">{entry.collection.floor_price} {currency}</div>
+                          <div className="text-xs text-gray-500">Floor Price</div>
+                        </div>
+                        <div>
+                          <div className="font-bold text-purple-400">
+                            {entry.collection.volume_24h != null ? `${entry.collection.volume_24h} ${currency}` : '—'}
+                          </div>
+                          <div className="text-xs text-gray-500">24h Volume</div>
+                        </div>
+                        <div>
+                          <div className="font-bold text-orange-400">
+                            {entry.collection.market_cap != null ? `${(entry.collection.market_cap / 1000).toFixed(1)}K ${currency}` : '—'}
+                          </div>
+                          <div className="text-xs text-gray-500">Market Cap</div>
+                        </div>
+                        <div>
+                          <div className="font-bold text-blue-400">{entry.confidence_score}%</div>
+                          <div className="text-xs text-gray-500">Confidence</div>
+                        </div>
+                      </div>
+
+                      <div className="space-y-1">
+                        {TIMEFRAMES.map(timeframe => {
+                          const prediction = entry.predictions![timeframe];
+                          return (
+                            <div key={timeframe} className="flex items-center justify-between text-sm">
+                              <span className="text-gray-400">{timeframe}</span>
+                              <span className={changeColor(prediction.percentage_change)}>
+                                {prediction.percentage_change > 0 ? '+' : ''}{prediction.percentage_change}%
+                                <span className="text-gray-500 text-xs ml-2">{prediction.confidence}% conf.</span>
+                              </span>
+                            </div>
+                          );
+                        })}
+                      </div>
+
+                      {entry.risk_factors.length > 0 && (
+                        <div>
+                          <div className="text-xs text-gray-500 mb-1">Risk factors</div>
+                          <ul className="space-y-1">
+                            {entry.risk_factors.map((risk, riskIndex) => (
+                              <li key={riskIndex} className="text-xs text-orange-300">{risk}</li>
+                            ))}
+                          </ul>
+                        </div>
+                      )}
+
+                      {Object.values(entry.data_provenance ?? {}).includes('synthetic') && (
+                        <span className="inline-block px-2 py-0.5 rounded-full bg-yellow-500/20 text-yellow-300 text-xs">
+                          Demo data
+                        </span>
+                      )}
+                      {entry.data_provenance?.analysis === 'rule_based' && (
+                        <span className="inline-block px-2 py-0.5 rounded-full bg-gray-600/40 text-gray-300 text-xs">
+                          Rule-based analysis
+                        </span>
+                      )}
+                    </div>
+                  )}
+                </motion.div>
+              ))}
+            </div>
+
+            {/* Rankings */}
+            <motion.div
+              initial={{ opacity: 0, y: 20 }}
+              animate={{ opacity: 1, y: 0 }}
+              transition={{ delay: 0.3 }}
+              className="bg-gray-800 rounded-xl border border-gray-700 p-6 overflow-x-auto"
+            >
+              <h2 className="text-xl font-bold text-white mb-4">Rankings</h2>
+              <table className="w-full text-sm">
+                <thead>
+                  <tr className="text-gray-500 text-left">
+                    <th className="pb-2 pr-4 font-medium">Metric</th>
+                    {Array.from({ length: comparison.compared }, (_, index) => (
+                      <th key={index} className="pb-2 pr-4 font-medium">#{index + 1}</th>
+                    ))}
+                  </tr>
+                </thead>
+                <tbody>
+                  {METRICS.map(({ metric, label, format }) => (
+                    <tr key={metric} className="border-t border-gray-700">
+                      <td className="py-2 pr-4 text-gray-400">{label}</td>
+                      {comparison.rankings[metric].map(ranking => (
+                        <td key={ranking.collection_address} className="py-2 pr-4">
+                          <div className={ranking.rank === 1 ? 'text-emerald-400 font-medium' : 'text-gray-300'}>
+                            {nameOf(ranking.collection_address)}
+                          </div>
+                          <div className="text-xs text-gray-500">{format(ranking.value, currency)}</div>
+                        </td>
+                      ))}
+                    </tr>
+                  ))}
+                </tbody>
+              </table>
+              {comparison.failed > 0 && (
+                <p className="text-gray-500 text-xs mt-4">
+                  {comparison.failed} collection{comparison.failed === 1 ? '' : 's'} could not be predicted and {comparison.failed === 1 ? 'is' : 'are'} left out of the rankings.
+                </p>
+              )}
+            </motion.div>
+          </>
+        )}
+      </div>
+    </div>
+  );
+};
\ No newline at end of file
@@ -1,22 +1,24 @@
 import React, { useState } from 'react';
 import { motion } from 'framer-motion';
-import { Brain, TrendingUp, Zap, Shield, Users, BarChart3 } from 'lucide-react';
+import { Brain, TrendingUp, Zap, Shield, Users, BarChart3, AlertTriangle, Scale, Eye } from 'lucide-react';
 import { SearchForm } from '../components/SearchForm';
+import { LoadingSpinner } from '../components/LoadingSpinner';
 import { usePrediction } from '../hooks/usePrediction';
 import { useNavigate } from 'react-router-dom';
-import { nftApi } from '../api/nftApi';
+import { nftApi, toApiError } from '../utils/api';
+import { Chain } from '../types';
 
 export const Home: React.FC = () => {
-  const { predict, loading } = usePrediction();
+  const { predict, cancel, loading, error, stage, completedStages, stageErrors } = usePrediction();
   const navigate = useNavigate();
   const [slug, setSlug] = useState('azuki');
   const [stats, setStats] = useState<any>(null);
   const [statsError, setStatsError] = useState<string | null>(null);
   const [statsLoading, setStatsLoading] = useState(false);
 
-  const handleSearch = async (address: string) => {
+  const handleSearch = async (address: string, chain: Chain) => {
     try {
-      const result = await predict(address);
+      const result = await predict(address, chain);
       // Navigate to results page with prediction data
       navigate('/results', { state: { prediction: result } });
     } catch (error) {
@@ -32,8 +34,8 @@ export const Home: React.FC = () => {
     try {
       const result = await nftApi.getOpenSeaStats(slug);
       setStats(result.stats);
-    } catch (error: any) {
-      setStatsError(error?.response?.data?.message || 'Failed to fetch stats');
+    } catch (error) {
+      setStatsError(toApiError(error).message);
     } finally {
       setStatsLoading(false);
     }
@@ -117,6 +119,57 @@ export const Home: React.FC = () => {
 
         <SearchForm onSearch={handleSearch} loading={loading} />
 
+        <div className="mt-6 flex justify-center space-x-6">
+          <button
+            onClick={() => navigate('/compare')}
+            className="inline-flex items-center space-x-2 text-gray-400 hover:text-white text-sm transition-colors duration-200"
+          >
+            <Scale className="w-4 h-4" />
+            <span>Compare collections side by side</span>
+          </button>
+          <button
+            onClick={() => navigate('/watchlists')}
+            className="inline-flex items-center space-x-2 text-gray-400 hover:text-white text-sm transition-colors duration-200"
+          >
+            <Eye className="w-4 h-4" />
+            <span>Watchlists and alerts</span>
+          </button>
+        </div>
+
+        {loading && (
+          <div className="mt-8">
+            <LoadingSpinner
+              message="JuliaOS agents are analyzing the collection..."
+              stage={stage}
+              completedStages={completedStages}
+              errors={stageErrors}
+            />
+            <button
+              onClick={cancel}
+              className="mt-4 text-gray-400 hover:text-white text-sm underline transition-colors duration-200"
+            >
+              Cancel prediction
+            </button>
+          </div>
+        )}
+
+        {error && !loading && error.code !== 'CANCELLED' && (
+          <div className="mt-8 max-w-2xl mx-auto bg-red-500/10 border border-red-500/30 rounded-xl p-4 text-left">
+            <div className="flex items-start space-x-3">
+              <AlertTriangle className="w-5 h-5 text-red-400 mt-0.5 flex-shrink-0" />
+              <div>
+                <div className="text-red-300 font-medium">{error.message}</div>
+                {error.details?.errors?.map((detail, index) => (
+                  <div key={index} className="text-gray-400 text-sm mt-1">{detail}</div>
+                ))}
+                {error.retryable && (
+                  <div className="text-gray-400 text-sm mt-2">This is usually temporary, please try again in a moment.</div>
+                )}
+              </div>
+            </div>
+          </div>
+        )}
+
         {/* Dynamic OpenSea Stats */}
         <form onSubmit={handleStatsFetch} className="flex flex-col md:flex-row items-center justify-center gap-4 mt-12 mb-8">
           <input
@@ -2,11 +2,21 @@ import React, { useEffect, useState } from 'react';
 import { motion } from 'framer-motion';
 import { useLocation, useNavigate } from 'react-router-dom';
 import { ArrowLeft, ExternalLink, Loader2, RefreshCw } from 'lucide-react';
-import { PredictionResponse, MarketData } from '../types';
+import { PredictionResponse, CollectionHistory, AccuracyReport } from '../types';
 import { PredictionCard } from '../components/PredictionCard';
+import { MarketChart } from '../components/MarketChart';
+import { AccuracyPanel, AccuracyScope } from '../components/AccuracyPanel';
 import { AIReasoningDisplay } from '../components/AIReasoningDisplay';
 import { LoadingSpinner } from '../components/LoadingSpinner';
 import { nftApi } from '../utils/api';
+import { getChainOption } from '../utils/chains';
+import { CHART_RANGES, ChartRange } from '../utils/chartRanges';
+
+const formatAge = (seconds: number) => {
+  if (seconds < 60) return `${seconds}s`;
+  if (seconds < 3600) return `${Math.floor(seconds / 60)}m`;
+  return `${Math.floor(seconds / 3600)}h`;
+};
 
 export const Results: React.FC = () => {
   const location = useLocation();
@@ -14,9 +24,13 @@ export const Results: React.FC = () => {
   const [prediction, setPrediction] = useState<PredictionResponse | null>(
     location.state?.prediction || null
   );
-  const [marketData, setMarketData] = useState<MarketData | null>(null);
+  const [marketData, setMarketData] = useState<CollectionHistory | null>(null);
   const [loading, setLoading] = useState(false);
   const [refreshing, setRefreshing] = useState(false);
+  const [chartRange, setChartRange] = useState<ChartRange>('90d');
+  const [accuracy, setAccuracy] = useState<AccuracyReport | null>(null);
+  const [accuracyLoading, setAccuracyLoading] = useState(false);
+  const [accuracyScope, setAccuracyScope] = useState<AccuracyScope>('collection');
 
   useEffect(() => {
     if (!prediction) {
@@ -24,12 +38,65 @@ export const Results: React.FC = () => {
     }
   }, [prediction, navigate]);
 
+  // Reload the chart when the collection, its prediction or the range changes
+  useEffect(() => {
+    if (!prediction) return;
+
+    const { address, chain } = prediction.data.collection;
+    const { interval } = CHART_RANGES.find(option => option.range === chartRange) ?? CHART_RANGES[2];
+    let cancelled = false;
+
+    setLoading(true);
+    nftApi.getCollectionHistory(address, { chain, interval, range: chartRange })
+      .then(history => {
+        if (!cancelled) setMarketData(history);
+      })
+      .catch(error => {
+        console.error('Failed to load market history:', error);
+        if (!cancelled) setMarketData(null);
+      })
+      .finally(() => {
+        if (!cancelled) setLoading(false);
+      });
+
+    return () => {
+      cancelled = true;
+    };
+  }, [prediction, chartRange]);
+
+  // Load the backtested accuracy for this collection or across all collections
+  useEffect(() => {
+    if (!prediction) return;
+
+    const { address, chain } = prediction.data.collection;
+    let cancelled = false;
+
+    setAccuracyLoading(true);
+    nftApi.getAccuracy(accuracyScope === 'collection' ? { collection: address, chain } : {})
+      .then(report => {
+        if (!cancelled) setAccuracy(report);
+      })
+      .catch(error => {
+        console.error('Failed to load prediction accuracy:', error);
+        if (!cancelled) setAccuracy(null);
+      })
+      .finally(() => {
+        if (!cancelled) setAccuracyLoading(false);
+      });
+
+    return () => {
+      cancelled = true;
+    };
+  }, [prediction, accuracyScope]);
+
   const handleRefresh = async () => {
     if (!prediction?.data.collection.address) return;
 
     setRefreshing(true);
     try {
-      const newPrediction = await nftApi.predictPrice(prediction.data.collection.address);
+      const newPrediction = await nftApi.predictPrice(prediction.data.collection.address, {
+        chain: prediction.data.collection.chain,
+      });
       setPrediction(newPrediction);
     } catch (error) {
       console.error('Failed to refresh prediction:', error);
@@ -46,7 +113,10 @@ export const Results: React.FC = () => {
     );
   }
 
-  const { collection, predictions, ai_reasoning, reasoning_steps, risk_factors, market_sentiment, confidence_score } = prediction.data;
+  const { collection, predictions, ai_reasoning, reasoning_steps, risk_factors, market_sentiment, confidence_score, analysis_status } = prediction.data;
+  const chain = getChainOption(collection.chain);
+  const isDemo = Object.values(prediction.data_provenance ?? {}).includes('synthetic');
+  const isRuleBased = prediction.data_provenance?.analysis === 'rule_based';
 
   return (
     <div className="min-h-screen bg-gradient-to-br from-gray-900 via-gray-800 to-gray-900">
@@ -66,6 +136,25 @@ export const Results: React.FC = () => {
               <ArrowLeft className="w-5 h-5" />
               <span>Back to Search</span>
             </motion.button>
+            {isDemo && (
+              <span className="px-2 py-0.5 rounded-full bg-yellow-500/20 text-yellow-300 text-xs">
+                Demo data
+              </span>
+            )}
+            {isRuleBased && (
+              <span
+                className="px-2 py-0.5 rounded-full bg-gray-600/40 text-gray-300 text-xs"
+                title="No model returned a valid analysis; it is computed from market data"
+              >
+                Rule-based analysis
+              </span>
+            )}
+            {prediction.cached && (
+              <span className="text-xs text-gray-500">
+                Cached result · {formatAge(prediction.age ?? 0)} old
+                {prediction.cache?.revalidating && ' · refreshing in background'}
+              </span>
+            )}
           </div>
           <motion.button
             onClick={handleRefresh}
@@ -116,24 +205,25 @@ export const Results: React.FC = () => {
               </div>
               <p className="text-gray-400 text-sm font-mono mb-4">
                 {collection.address.slice(0, 10)}...{collection.address.slice(-8)}
+                <span className="ml-2 px-2 py-0.5 rounded-full bg-gray-700 text-gray-300 font-sans text-xs">{chain.name}</span>
               </p>
               {collection.description && (
                 <p className="text-gray-300 text-sm mb-4">{collection.description}</p>
               )}
               <div className="grid grid-cols-2 md:grid-cols-4 gap-4">
                 <div>
-                  <div className="text-lg font-bold text-emerald-400">{collection.floor_price} ETH</div>
+                  <div className="text-lg font-bold text-emerald-400">{collection.floor_price} {chain.currency}</div>
                   <div className="text-xs text-gray-500">Floor Price</div>
                 </div>
                 {collection.volume_24h && (
                   <div>
-                    <div className="text-lg font-bold text-purple-400">{collection.volume_24h} ETH</div>
+                    <div className="text-lg font-bold text-purple-400">{collection.volume_24h} {chain.currency}</div>
                     <div className="text-xs text-gray-500">24h Volume</div>
                   </div>
                 )}
                 {collection.market_cap && (
                   <div>
-                    <div className="text-lg font-bold text-orange-400">{(collection.market_cap / 1000).toFixed(1)}K ETH</div>
+                    <div className="text-lg font-bold text-orange-400">{(collection.market_cap / 1000).toFixed(1)}K {chain.currency}</div>
                     <div className="text-xs text-gray-500">Market Cap</div>
                   </div>
                 )}
@@ -148,6 +238,15 @@ export const Results: React.FC = () => {
           </div>
         </motion.div>
 
+        <MarketChart
+          data={marketData}
+          currency={chain.currency}
+          range={chartRange}
+          onRangeChange={setChartRange}
+          loading={loading}
+          isDemo={marketData?.source === 'demo'}
+        />
+
         {/* Results Grid */}
         <div className="grid grid-cols-1 lg:grid-cols-2 gap-8">
           <div className="space-y-8">
@@ -156,6 +255,7 @@ export const Results: React.FC = () => {
               confidence={confidence_score}
               timestamp={prediction.timestamp}
               processingTime={prediction.processing_time}
+              currency={chain.currency}
             />
           </div>
           
@@ -165,10 +265,18 @@ export const Results: React.FC = () => {
               reasoningSteps={reasoning_steps}
               marketSentiment={market_sentiment}
               riskFactors={risk_factors}
+              analysisStatus={analysis_status ?? (isRuleBased ? 'rule_based' : undefined)}
             />
           </div>
         </div>
 
+        <AccuracyPanel
+          report={accuracy}
+          scope={accuracyScope}
+          onScopeChange={setAccuracyScope}
+          loading={accuracyLoading}
+        />
+
         {/* Disclaimer */}
         <motion.div
           initial={{ opacity: 0, y: 20 }}
@@ -0,0 +1,397 @@
+import React, { useCallback, useEffect, useState } from 'react';
+import { motion } from 'framer-motion';
+import { useNavigate } from 'react-router-dom';
+import { AlertTriangle, ArrowLeft, Bell, Eye, Loader2, Play, Plus, Trash2, X } from 'lucide-react';
+import { AlertRule, AlertRuleType, ApiErrorInfo, Chain, Prediction, Watchlist, WatchlistAlert } from '../types';
+import { nftApi, toApiError } from '../utils/api';
+import { CHAINS, DEFAULT_CHAIN, getChainOption } from '../utils/chains';
+
+const POLL_INTERVAL_MS = 3000;
+
+const RULE_LABELS: Record<AlertRuleType, string> = {
+  floor_below: 'Floor below',
+  floor_above: 'Floor above',
+  predicted_change_above: 'Predicted change above',
+  predicted_change_below: 'Predicted change below',
+  sentiment_flip: 'Sentiment flips to',
+};
+
+const describeRule = (rule: AlertRule, currency: string) => {
+  const target = rule.type === 'sentiment_flip'
+    ? rule.sentiment
+    : rule.type.startsWith('floor')
+      ? `${rule.threshold} ${currency}`
+      : `${rule.threshold}% (${rule.timeframe})`;
+  const scope = rule.collection_address ? ` · ${rule.collection_address.slice(0, 8)}...` : '';
+  return `${RULE_LABELS[rule.type]} ${target}${scope}`;
+};
+
+// Addresses pasted one per line, or separated by commas or spaces
+const parseAddresses = (text: string) => [...new Set(text.split(/[\s,]+/).map(address => address.trim()).filter(Boolean))];
+
+const formatTime = (iso: string | null) => (iso ? new Date(iso).toLocaleString() : '—');
+
+const changeColor = (value: number) =>
+  value > 0 ? 'text-emerald-400' : value < 0 ? 'text-red-400' : 'text-gray-300';
+
+const ErrorBox: React.FC<{ error: ApiErrorInfo }> = ({ error }) => (
+  <div className="bg-red-500/10 border border-red-500/30 rounded-xl p-4 flex items-start space-x-3">
+    <AlertTriangle className="w-5 h-5 text-red-400 mt-0.5 flex-shrink-0" />
+    <div>
+      <div className="text-red-300 font-medium">{error.message}</div>
+      {error.details?.errors?.map((detail, index) => (
+        <div key={index} className="text-gray-400 text-sm mt-1">{detail}</div>
+      ))}
+    </div>
+  </div>
+);
+
+const RuleForm: React.FC<{ onAdd: (rule: AlertRule) => void; disabled: boolean }> = ({ onAdd, disabled }) => {
+  const [type, setType] = useState<AlertRuleType>('floor_below');
+  const [threshold, setThreshold] = useState('');
+  const [timeframe, setTimeframe] = useState<keyof Prediction>('24h');
+  const [sentiment, setSentiment] = useState<'bullish' | 'bearish' | 'neutral'>('bearish');
+
+  const handleSubmit = (e: React.FormEvent) => {
+    e.preventDefault();
+    if (type === 'sentiment_flip') {
+      onAdd({ type, sentiment });
+    } else if (threshold !== '') {
+      onAdd({ type, threshold: Number(threshold), ...(type.startsWith('predicted') && { timeframe }) });
+      setThreshold('');
+    }
+  };
+
+  const inputClass = 'px-2 py-1 rounded-lg border border-gray-600 bg-gray-900 text-white text-sm focus:outline-none focus:ring-2 focus:ring-emerald-500';
+
+  return (
+    <form onSubmit={handleSubmit} className="flex flex-wrap items-center gap-2 mt-2">
+      <select value={type} onChange={e => setType(e.target.value as AlertRuleType)} className={inputClass} disabled={disabled}>
+        {Object.entries(RULE_LABELS).map(([value, label]) => (
+          <option key={value} value={value}>{label}</option>
+        ))}
+      </select>
+      {type === 'sentiment_flip' ? (
+        <select value={sentiment} onChange={e => setSentiment(e.target.value as typeof sentiment)} className={inputClass} disabled={disabled}>
+          <option value="bearish">bearish</option>
+          <option value="bullish">bullish</option>
+          <option value="neutral">neutral</option>
+        </select>
+      ) : (
+        <input
+          type="number"
+          step="any"
+          value={threshold}
+          onChange={e => setThreshold(e.target.value)}
+          placeholder={type.startsWith('floor') ? 'Price' : 'Percent'}
+          className={`${inputClass} w-24`}
+          disabled={disabled}
+        />
+      )}
+      {type.startsWith('predicted') && (
+        <select value={timeframe} onChange={e => setTimeframe(e.target.value as keyof Prediction)} className={inputClass} disabled={disabled}>
+          <option value="24h">24h</option>
+          <option value="7d">7d</option>
+          <option value="30d">30d</option>
+        </select>
+      )}
+      <button
+        type="submit"
+        disabled={disabled}
+        className="flex items-center space-x-1 text-sm text-gray-400 hover:text-white disabled:opacity-50 transition-colors duration-200"
+      >
+        <Plus className="w-4 h-4" />
+        <span>Add rule</span>
+      </button>
+    </form>
+  );
+};
+
+export const Watchlists: React.FC = () => {
+  const navigate = useNavigate();
+  const [watchlists, setWatchlists] = useState<Watchlist[]>([]);
+  const [alerts, setAlerts] = useState<WatchlistAlert[]>([]);
+  const [loading, setLoading] = useState(true);
+  const [saving, setSaving] = useState(false);
+  const [error, setError] = useState<ApiErrorInfo | null>(null);
+  const [name, setName] = useState('');
+  const [chain, setChain] = useState<Chain>(DEFAULT_CHAIN);
+  const [addressText, setAddressText] = useState('');
+  const [intervalMinutes, setIntervalMinutes] = useState('60');
+
+  const load = useCallback(async () => {
+    try {
+      const [nextWatchlists, nextAlerts] = await Promise.all([nftApi.getWatchlists(), nftApi.getAlerts()]);
+      setWatchlists(nextWatchlists);
+      setAlerts(nextAlerts);
+    } catch (err) {
+      setError(toApiError(err));
+    } finally {
+      setLoading(false);
+    }
+  }, []);
+
+  useEffect(() => {
+    load();
+  }, [load]);
+
+  // Follow runs in progress until they finish
+  const anyRunning = watchlists.some(watchlist => watchlist.running);
+  useEffect(() => {
+    if (!anyRunning) return;
+    const timer = setInterval(load, POLL_INTERVAL_MS);
+    return () => clearInterval(timer);
+  }, [anyRunning, load]);
+
+  // Apply a change and refresh the list, showing any error
+  const mutate = async (action: () => Promise<unknown>) => {
+    setSaving(true);
+    setError(null);
+    try {
+      await action();
+      await load();
+      return true;
+    } catch (err) {
+      setError(toApiError(err));
+      return false;
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const handleCreate = async (e: React.FormEvent) => {
+    e.preventDefault();
+    const addresses = parseAddresses(addressText);
+    if (!name.trim() || addresses.length === 0) return;
+
+    const created = await mutate(() => nftApi.createWatchlist({
+      name: name.trim(),
+      collections: addresses.map(collection_address => ({ collection_address, chain })),
+      refresh_interval_minutes: Number(intervalMinutes),
+    }));
+    if (created) {
+      setName('');
+      setAddressText('');
+    }
+  };
+
+  const updateRules = (watchlist: Watchlist, rules: AlertRule[]) =>
+    mutate(() => nftApi.updateWatchlist(watchlist.id, { rules }));
+
+  const inputClass = 'px-4 py-2 rounded-lg border border-gray-600 bg-gray-900 text-white focus:outline-none focus:ring-2 focus:ring-emerald-500';
+
+  return (
+    <div className="min-h-screen bg-gradient-to-br from-gray-900 via-gray-800 to-gray-900">
+      {/* Header */}
+      <motion.header
+        initial={{ opacity: 0, y: -20 }}
+        animate={{ opacity: 1, y: 0 }}
+        className="container mx-auto px-6 py-6"
+      >
+        <motion.button
+          onClick={() => navigate('/')}
+          className="flex items-center space-x-2 text-gray-400 hover:text-white transition-colors duration-200"
+          whileHover={{ x: -2 }}
+        >
+          <ArrowLeft className="w-5 h-5" />
+          <span>Back to Search</span>
+        </motion.button>
+      </motion.header>
+
+      <div className="container mx-auto px-6 pb-12 grid grid-cols-1 lg:grid-cols-3 gap-8">
+        <div className="lg:col-span-2 space-y-6">
+          {/* New watchlist */}
+          <motion.form
+            initial={{ opacity: 0, y: 20 }}
+            animate={{ opacity: 1, y: 0 }}
+            onSubmit={handleCreate}
+            className="bg-gray-800 rounded-xl border border-gray-700 p-6 space-y-4"
+          >
+            <div className="flex items-center space-x-3">
+              <Eye className="w-6 h-6 text-emerald-400" />
+              <h1 className="text-2xl font-bold text-white">Watchlists</h1>
+            </div>
+            <p className="text-gray-400 text-sm">
+              Watched collections are re-predicted on a schedule, and alert rules notify you when they cross a threshold.
+            </p>
+            <div className="flex flex-wrap gap-2" role="radiogroup" aria-label="Chain">
+              {CHAINS.map((option) => (
+                <button
+                  key={option.id}
+                  type="button"
+                  role="radio"
+                  aria-checked={chain === option.id}
+                  onClick={() => setChain(option.id)}
+                  className={`px-3 py-1 rounded-full text-sm border transition-all duration-200 ${
+                    chain === option.id
+                      ? 'bg-emerald-500/20 border-emerald-500 text-emerald-300'
+                      : 'bg-gray-800 border-gray-700 text-gray-400 hover:text-white'
+                  }`}
+                >
+                  {option.name}
+                </button>
+              ))}
+            </div>
+            <div className="flex flex-col md:flex-row gap-3">
+              <input
+                type="text"
+                value={name}
+                onChange={e => setName(e.target.value)}
+                placeholder="Watchlist name"
+                className={`${inputClass} flex-1`}
+              />
+              <label className="flex items-center space-x-2 text-sm text-gray-400">
+                <span>Refresh every</span>
+                <input
+                  type="number"
+                  min={1}
+                  value={intervalMinutes}
+                  onChange={e => setIntervalMinutes(e.target.value)}
+                  className={`${inputClass} w-24`}
+                />
+                <span>min</span>
+              </label>
+            </div>
+            <textarea
+              value={addressText}
+              onChange={e => setAddressText(e.target.value)}
+              placeholder={`Collection addresses (${getChainOption(chain).addressPlaceholder}), one per line`}
+              rows={4}
+              className={`${inputClass} w-full font-mono text-sm`}
+            />
+            <div className="flex justify-end">
+              <button
+                type="submit"
+                disabled={saving || !name.trim() || parseAddresses(addressText).length === 0}
+                className="bg-gradient-to-r from-emerald-500 to-emerald-600 text-white px-6 py-2 rounded-lg font-medium disabled:opacity-50 disabled:cursor-not-allowed hover:from-emerald-600 hover:to-emerald-700 transition-all duration-200"
+              >
+                {saving ? <Loader2 className="w-4 h-4 animate-spin" /> : 'Create watchlist'}
+              </button>
+            </div>
+          </motion.form>
+
+          {error && <ErrorBox error={error} />}
+
+          {loading && <Loader2 className="w-6 h-6 text-gray-400 animate-spin mx-auto" />}
+
+          {watchlists.map(watchlist => {
+            const currency = getChainOption(watchlist.collections[0]?.chain).currency;
+            return (
+              <motion.div
+                key={watchlist.id}
+                initial={{ opacity: 0, y: 20 }}
+                animate={{ opacity: 1, y: 0 }}
+                className="bg-gray-800 rounded-xl border border-gray-700 p-6"
+              >
+                <div className="flex items-start justify-between mb-4">
+                  <div>
+                    <h2 className="text-xl font-bold text-white">{watchlist.name}</h2>
+                    <p className="text-xs text-gray-500">
+                      Every {watchlist.refresh_interval_minutes} min · last run {formatTime(watchlist.last_run?.finished_at ?? null)}
+                      {' '}· next {formatTime(watchlist.next_run_at)}
+                    </p>
+                  </div>
+                  <div className="flex items-center space-x-2">
+                    <button
+                      onClick={() => mutate(() => nftApi.runWatchlist(watchlist.id))}
+                      disabled={saving || watchlist.running}
+                      className="flex items-center space-x-1 bg-gray-700 hover:bg-gray-600 text-gray-200 px-3 py-1 rounded-lg text-sm disabled:opacity-50 transition-colors duration-200"
+                    >
+                      {watchlist.running ? <Loader2 className="w-4 h-4 animate-spin" /> : <Play className="w-4 h-4" />}
+                      <span>{watchlist.running ? 'Running' : 'Run now'}</span>
+                    </button>
+                    <button
+                      onClick={() => mutate(() => nftApi.deleteWatchlist(watchlist.id))}
+                      disabled={saving}
+                      className="p-1 text-gray-400 hover:text-red-400 transition-colors duration-200"
+                      aria-label={`Delete ${watchlist.name}`}
+                    >
+                      <Trash2 className="w-4 h-4" />
+                    </button>
+                  </div>
+                </div>
+
+                <div className="overflow-x-auto">
+                  <table className="w-full text-sm">
+                    <thead>
+                      <tr className="text-gray-500 text-left">
+                        <th className="pb-2 pr-4 font-medium">Collection</th>
+                        <th className="pb-2 pr-4 font-medium">Floor</th>
+                        <th className="pb-2 pr-4 font-medium">24h</th>
+                        <th className="pb-2 pr-4 font-medium">7d</th>
+                        <th className="pb-2 pr-4 font-medium">Sentiment</th>
+                      </tr>
+                    </thead>
+                    <tbody>
+                      {watchlist.collections.map(entry => (
+                        <tr key={`${entry.chain}:${entry.collection_address}`} className="border-t border-gray-700">
+                          <td className="py-2 pr-4">
+                            <div className="text-white">{entry.latest?.name ?? `${entry.collection_address.slice(0, 10)}...`}</div>
+                            {entry.last_error && <div className="text-xs text-red-400">{entry.last_error.message}</div>}
+                          </td>
+                          {entry.latest ? (
+                            <>
+                              <td className="py-2 pr-4 text-emerald-400">{entry.latest.floor_price} {getChainOption(entry.chain).currency}</td>
+                              <td className={`py-2 pr-4 ${changeColor(entry.latest.predicted_change['24h'])}`}>{entry.latest.predicted_change['24h']}%</td>
+                              <td className={`py-2 pr-4 ${changeColor(entry.latest.predicted_change['7d'])}`}>{entry.latest.predicted_change['7d']}%</td>
+                              <td className="py-2 pr-4 text-gray-300 capitalize">{entry.latest.market_sentiment}</td>
+                            </>
+                          ) : (
+                            <td colSpan={4} className="py-2 pr-4 text-gray-500">Waiting for the first run</td>
+                          )}
+                        </tr>
+                      ))}
+                    </tbody>
+                  </table>
+                </div>
+
+                <div className="mt-4">
+                  <div className="text-sm text-gray-400 mb-1">Alert rules</div>
+                  {watchlist.rules.length === 0 && <div className="text-xs text-gray-500">No rules yet</div>}
+                  <div className="flex flex-wrap gap-2">
+                    {watchlist.rules.map(rule => (
+                      <span key={rule.id} className="flex items-center space-x-1 px-2 py-0.5 rounded-full bg-gray-700 text-gray-200 text-xs">
+                        <span>{describeRule(rule, currency)}</span>
+                        <button
+                          onClick={() => updateRules(watchlist, watchlist.rules.filter(existing => existing.id !== rule.id))}
+                          disabled={saving}
+                          className="text-gray-400 hover:text-white"
+                          aria-label="Remove rule"
+                        >
+                          <X className="w-3 h-3" />
+                        </button>
+                      </span>
+                    ))}
+                  </div>
+                  <RuleForm onAdd={rule => updateRules(watchlist, [...watchlist.rules, rule])} disabled={saving} />
+                </div>
+              </motion.div>
+            );
+          })}
+        </div>
+
+        {/* Alert feed */}
+        <motion.div
+          initial={{ opacity: 0, y: 20 }}
+          animate={{ opacity: 1, y: 0 }}
+          transition={{ delay: 0.2 }}
+          className="bg-gray-800 rounded-xl border border-gray-700 p-6 h-fit"
+        >
+          <div className="flex items-center space-x-2 mb-4">
+            <Bell className="w-5 h-5 text-orange-400" />
+            <h2 className="text-xl font-bold text-white">Alerts</h2>
+          </div>
+          {alerts.length === 0 && <p className="text-gray-500 text-sm">No alerts have fired yet.</p>}
+          <ul className="space-y-3">
+            {alerts.map(alert => (
+              <li key={alert.id} className="border-b border-gray-700 pb-3 last:border-b-0">
+                <div className="text-sm text-gray-200">{alert.message}</div>
+                <div className="text-xs text-gray-500">{alert.watchlist_name} · {formatTime(alert.fired_at)}</div>
+              </li>
+            ))}
+          </ul>
+        </motion.div>
+      </div>
+    </div>
+  );
+};
\ No newline at end of file
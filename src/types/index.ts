@@ -1,6 +1,11 @@
+import { ERROR_CATALOG } from '../../shared/errors.js';
+
+export type Chain = 'ethereum' | 'polygon' | 'base' | 'arbitrum' | 'solana';
+
 export interface NFTCollection {
   name: string;
   address: string;
+  chain?: Chain;
   description?: string;
   image?: string;
   floor_price: number;
@@ -29,6 +34,9 @@ export interface AIReasoningStep {
   explanation: string;
 }
 
+// Whether the LLM analysis matched the JSON schema first time, after a repair prompt, or was replaced by rule-based analysis
+export type AnalysisStatus = 'schema_valid' | 'repaired' | 'rule_based';
+
 export interface PredictionResponse {
   success: boolean;
   data: {
@@ -40,14 +48,46 @@ export interface PredictionResponse {
     market_sentiment: 'bullish' | 'bearish' | 'neutral';
     confidence_score: number;
     data_quality: number;
+    analysis_status?: AnalysisStatus;
+    model?: PredictionModel;
   };
+  data_provenance?: DataProvenance;
   timestamp: string;
   processing_time: number;
+  cached?: boolean;
+  // Seconds since the cached result was produced
+  age?: number;
+  cache?: CacheInfo;
+}
+
+// Where each part of a response came from; `synthetic` data is a demo fixture,
+// a `rule_based` analysis was computed without a model
+export type DataProvenance = Record<string, 'real' | 'cached' | 'synthetic' | 'rule_based'>;
+
+export interface PredictionModel {
+  engine: string;
+  llm_provider: string | null;
+  llm_model: string | null;
+}
+
+export type CacheFieldGroup = 'metadata' | 'market' | 'analysis';
+
+export interface CacheInfo {
+  age: number;
+  stored_at: string;
+  stale: boolean;
+  revalidating: boolean;
+  groups: Record<CacheFieldGroup, {
+    fields: string[];
+    ttl: number;
+    fresh: boolean;
+  }>;
 }
 
 export interface SearchResult {
   name: string;
   address: string;
+  chain?: Chain;
   image?: string;
   floor_price?: number;
 }
@@ -63,8 +103,304 @@ export interface MarketData {
   labels: string[];
   prices: number[];
   volumes: number[];
+  // Aligned with `labels`; null over the history before the forecast anchor
   predictions?: {
-    prices: number[];
-    confidence_bands: number[][];
+    prices: (number | null)[];
+    confidence_bands: ([number, number] | null)[];
   };
-}
\ No newline at end of file
+}
+
+export interface CollectionHistory extends MarketData {
+  address: string;
+  chain: Chain;
+  currency: string;
+  interval: string;
+  range: string;
+  source: 'opensea' | 'demo';
+  truncated: boolean;
+}
+export interface AccuracyStats {
+  evaluated: number;
+  // Percentage of predictions whose direction matched the realized move
+  direction_accuracy: number | null;
+  mean_abs_pct_error: number | null;
+}
+
+export interface AccuracyEvaluation {
+  prediction_id: string;
+  collection_address: string;
+  chain: Chain;
+  name: string;
+  llm_provider: string;
+  timeframe: keyof Prediction;
+  predicted_at: string;
+  evaluated_at: string;
+  predicted_floor: number;
+  actual_floor: number;
+  error: number;
+  abs_pct_error: number;
+  predicted_direction: PredictionTimeframe['direction'];
+  actual_direction: PredictionTimeframe['direction'];
+  actual_change_pct: number;
+  direction_correct: boolean;
+}
+
+export interface AccuracyReport {
+  overall: AccuracyStats;
+  by_timeframe: Partial<Record<keyof Prediction, AccuracyStats>>;
+  by_provider: Record<string, AccuracyStats>;
+  by_collection: Record<string, AccuracyStats & { name: string; chain: Chain; address: string }>;
+  pending: number;
+  recent: AccuracyEvaluation[];
+  generated_at: string;
+}
+
+export type ComparisonMetric =
+  | 'strength'
+  | 'change_24h'
+  | 'change_7d'
+  | 'change_30d'
+  | 'confidence'
+  | 'floor_price'
+  | 'volume_24h'
+  | 'risk_factors';
+
+export interface ComparedCollection {
+  collection_address: string;
+  chain: Chain;
+  status: 'completed' | 'failed';
+  // The fields below are null (risk_factors empty) when the prediction failed
+  collection: {
+    name: string;
+    image: string | null;
+    floor_price: number;
+    volume_24h: number | null;
+    market_cap: number | null;
+    total_supply: number | null;
+  } | null;
+  predictions: Prediction | null;
+  market_sentiment: PredictionResponse['data']['market_sentiment'] | null;
+  confidence_score: number | null;
+  data_quality: number | null;
+  risk_factors: string[];
+  // 0-100 relative strength within this comparison and its 0-1 components
+  strength: { score: number; components: Record<string, number> } | null;
+  data_provenance: DataProvenance | null;
+  cached: boolean;
+  age: number;
+  error: ApiErrorInfo | null;
+}
+
+export interface RankingEntry {
+  rank: number;
+  collection_address: string;
+  value: number;
+}
+
+export interface CollectionComparison {
+  chain: Chain;
+  // In request order
+  collections: ComparedCollection[];
+  // Completed collections per metric, best first
+  rankings: Record<ComparisonMetric, RankingEntry[]>;
+  compared: number;
+  failed: number;
+}
+
+export type AlertRuleType =
+  | 'floor_below'
+  | 'floor_above'
+  | 'predicted_change_above'
+  | 'predicted_change_below'
+  | 'sentiment_flip';
+
+export interface AlertRule {
+  id?: string;
+  type: AlertRuleType;
+  // Floor price (chain currency) or predicted change (percent)
+  threshold?: number;
+  timeframe?: keyof Prediction;
+  sentiment?: PredictionResponse['data']['market_sentiment'];
+  // Applies to every collection of the watchlist when null
+  collection_address?: string | null;
+  cooldown_minutes?: number | null;
+}
+
+export interface WatchlistNotifier {
+  type: 'feed' | 'webhook' | 'email';
+  to?: string;
+}
+
+export interface WatchSnapshot {
+  name: string;
+  floor_price: number;
+  volume_24h: number | null;
+  predicted_change: Record<keyof Prediction, number>;
+  market_sentiment: PredictionResponse['data']['market_sentiment'];
+  confidence_score: number;
+  predicted_at: string;
+}
+
+export interface Watchlist {
+  id: string;
+  name: string;
+  collections: {
+    collection_address: string;
+    chain: Chain;
+    latest: WatchSnapshot | null;
+    last_error: ApiErrorInfo | null;
+  }[];
+  refresh_interval_minutes: number;
+  rules: AlertRule[];
+  notifiers: WatchlistNotifier[];
+  running: boolean;
+  last_run: { started_at: string; finished_at: string; refreshed: number; failed: number; alerts: number } | null;
+  next_run_at: string | null;
+  created_at: string;
+  updated_at: string;
+}
+
+export interface WatchlistInput {
+  name?: string;
+  collections?: { collection_address: string; chain?: Chain }[];
+  refresh_interval_minutes?: number;
+  rules?: AlertRule[];
+  notifiers?: WatchlistNotifier[];
+}
+
+export interface WatchlistAlert {
+  id: string;
+  watchlist_id: string;
+  watchlist_name: string;
+  rule: AlertRule;
+  collection_address: string;
+  chain: Chain;
+  collection_name: string;
+  message: string;
+  value: number | string;
+  fired_at: string;
+}
+
+export type WebhookEventType = 'prediction.completed' | 'alert.fired';
+
+export interface WebhookSubscription {
+  id: string;
+  url: string;
+  events: WebhookEventType[];
+  chain: Chain | null;
+  collection_addresses: string[];
+  description: string;
+  active: boolean;
+  // Only returned when the subscription is created
+  secret?: string;
+  created_at: string;
+  updated_at: string;
+}
+
+// Body POSTed to webhook subscribers
+export interface WebhookEvent {
+  id: string;
+  type: WebhookEventType;
+  created_at: string;
+  data: PredictionResponse;
+  alert?: WatchlistAlert;
+}
+
+export interface WebhookDelivery {
+  id: string;
+  webhook_id: string;
+  event_id: string;
+  event_type: WebhookEventType;
+  status: 'pending' | 'delivered' | 'failed';
+  attempts: { attempted_at: string; status_code: number | null; error: string | null; duration_ms: number }[];
+  next_attempt_at: string | null;
+  replay_of: string | null;
+  replayed_by: string | null;
+  created_at: string;
+  updated_at: string;
+  payload?: WebhookEvent;
+}
+
+export type PipelineStage = 'data_collection' | 'ai_analysis' | 'price_prediction' | 'risk_assessment';
+
+export type PredictionJobStatus = 'queued' | 'running' | 'completed' | 'failed' | 'cancelled';
+
+export interface PipelineStageState {
+  status: 'pending' | 'completed' | 'failed';
+  completed_at?: string;
+  error?: string;
+}
+
+export interface PredictionJob {
+  id: string;
+  type: 'prediction';
+  status: PredictionJobStatus;
+  stage: PipelineStage | null;
+  stages: Record<PipelineStage, PipelineStageState>;
+  progress: number;
+  collection_address: string;
+  chain: Chain;
+  result: PredictionResponse | null;
+  error: ApiErrorInfo | null;
+  created_at: string;
+  updated_at: string;
+  finished_at: string | null;
+}
+
+export interface BatchItem {
+  index: number;
+  collection_address: string;
+  chain: Chain;
+  status: PredictionJobStatus;
+  // Prediction job of the item
+  job_id: string | null;
+  stage: PipelineStage | null;
+  progress: number;
+  name: string | null;
+  error: ApiErrorInfo | null;
+  started_at: string | null;
+  finished_at: string | null;
+}
+
+export interface BatchJob {
+  id: string;
+  type: 'batch';
+  status: 'queued' | 'running' | 'completed' | 'cancelled';
+  progress: number;
+  counts: Record<'total' | PredictionJobStatus, number>;
+  // Repeated collections that were only queued once
+  duplicates: number;
+  items: BatchItem[];
+  created_at: string;
+  updated_at: string;
+  finished_at: string | null;
+}
+
+export interface PipelineStageEvent {
+  job_id: string;
+  stage: PipelineStage;
+  status: 'completed' | 'failed';
+  next_stage: PipelineStage | null;
+  progress: number;
+  data: Record<string, unknown>;
+  errors: string[];
+}
+
+export interface PipelineErrorEvent {
+  job_id: string;
+  status: 'failed' | 'cancelled';
+  message: string;
+  errors: string[];
+  error: ApiErrorInfo;
+}
+
+// Codes of the shared error catalog (shared/errors.js)
+export type ErrorCode = keyof typeof ERROR_CATALOG;
+
+// `error` of a failed response, job or stream
+export interface ApiErrorInfo {
+  code: ErrorCode;
+  message: string;
+  details: { errors?: string[] } & Record<string, unknown> | null;
+  retryable: boolean;
+}
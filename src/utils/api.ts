@@ -1,10 +1,33 @@
 import axios from 'axios';
-import { PredictionResponse, NFTCollection, AgentStatus, MarketData } from '../types';
+import { API_ROUTES } from '../../shared/api.js';
+import { ERROR_CATALOG } from '../../shared/errors.js';
+import { validate } from '../../shared/schema.js';
+import {
+  PredictionResponse,
+  NFTCollection,
+  AgentStatus,
+  CollectionHistory,
+  PredictionJob,
+  PipelineStageEvent,
+  PipelineErrorEvent,
+  Chain,
+  AccuracyReport,
+  CollectionComparison,
+  Prediction,
+  Watchlist,
+  WatchlistInput,
+  WatchlistAlert,
+  ApiErrorInfo,
+  ErrorCode,
+} from '../types';
 
 const API_URL = import.meta.env.VITE_API_URL || 'http://localhost:3001/api';
+// Required when the backend runs with REQUIRE_API_KEY enabled
+const API_KEY: string | undefined = import.meta.env.VITE_API_KEY;
 
 const apiClient = axios.create({
   baseURL: API_URL,
+  headers: API_KEY ? { 'X-API-Key': API_KEY } : undefined,
 });
 
 // Request interceptor for logging
@@ -13,53 +36,255 @@ apiClient.interceptors.request.use((config) => {
   return config;
 });
 
+// Error with a code from the shared error catalog; `message` is meant for the user
+export class ApiError extends Error implements ApiErrorInfo {
+  code: ErrorCode;
+  details: ApiErrorInfo['details'];
+  retryable: boolean;
+
+  constructor(code: ErrorCode, { message, details = null }: { message?: string; details?: ApiErrorInfo['details'] } = {}) {
+    super(message || ERROR_CATALOG[code].message);
+    this.name = 'ApiError';
+    this.code = code;
+    this.details = details;
+    this.retryable = ERROR_CATALOG[code].retryable;
+  }
+
+  static from(info: ApiErrorInfo): ApiError {
+    const code = info.code in ERROR_CATALOG ? info.code : 'INTERNAL_ERROR';
+    return new ApiError(code, { message: info.message, details: info.details });
+  }
+}
+
+// Convert a failed request (or anything thrown) to an ApiError
+export const toApiError = (error: unknown): ApiError => {
+  if (error instanceof ApiError) return error;
+  if (axios.isAxiosError(error)) {
+    const body = error.response?.data;
+    if (body?.error?.code) return ApiError.from(body.error);
+    if (!error.response) return new ApiError('NETWORK_ERROR');
+    return new ApiError(error.response.status >= 500 ? 'INTERNAL_ERROR' : 'VALIDATION_FAILED', { message: body?.message });
+  }
+  return new ApiError('INTERNAL_ERROR', { message: error instanceof Error ? error.message : undefined });
+};
+
+// Check a response body against the shared schema of its route
+const checkResponse = <T>(route: keyof typeof API_ROUTES, data: unknown): T => {
+  const schema = (API_ROUTES[route] as { response: object }).response;
+  const errors: string[] = validate(schema, data);
+  if (errors.length > 0) {
+    console.error(`Unexpected response from ${route}:`, errors);
+    throw new ApiError('INVALID_RESPONSE', { details: { errors } });
+  }
+  return data as T;
+};
+
 // Response interceptor for error handling
 apiClient.interceptors.response.use(
   (response) => response,
   (error) => {
     console.error('API Error:', error.response?.data || error.message);
-    throw error;
+    throw toApiError(error);
   }
 );
 
+export interface PredictionStreamHandlers {
+  onJob: (job: PredictionJob) => void;
+  onStage: (event: PipelineStageEvent) => void;
+  onResult: (response: PredictionResponse) => void;
+  onError: (error: ApiError) => void;
+  onDisconnect: () => void;
+}
+
 export const nftApi = {
-  predictPrice: async (collection_address: string): Promise<PredictionResponse> => {
-    const response = await apiClient.post('/predict', { collection_address });
-    return response.data;
+  // Served from the backend prediction cache unless `fresh` is set
+  predictPrice: async (
+    collection_address: string,
+    options: { fresh?: boolean; chain?: Chain } = {}
+  ): Promise<PredictionResponse> => {
+    const params = options.fresh ? { fresh: 1 } : undefined;
+    const response = await apiClient.post('/predict', { collection_address, chain: options.chain }, { params });
+    return checkResponse<PredictionResponse>('POST /predict', response.data);
+  },
+
+  // Asynchronous prediction jobs
+  createPredictionJob: async (collection_address: string, chain?: Chain): Promise<PredictionJob> => {
+    const response = await apiClient.post('/predictions', { collection_address, chain });
+    return checkResponse<{ job: PredictionJob }>('POST /predictions', response.data).job;
+  },
+
+  getPredictionJob: async (jobId: string): Promise<PredictionJob> => {
+    const response = await apiClient.get(`/predictions/${jobId}`);
+    return checkResponse<{ job: PredictionJob }>('GET /predictions/:id', response.data).job;
+  },
+
+  cancelPredictionJob: async (jobId: string): Promise<PredictionJob> => {
+    const response = await apiClient.delete(`/predictions/${jobId}`);
+    return checkResponse<{ job: PredictionJob }>('DELETE /predictions/:id', response.data).job;
+  },
+
+  // Live pipeline stages over Server-Sent Events; returns a function that closes the stream
+  streamPrediction: (
+    collection_address: string,
+    handlers: PredictionStreamHandlers,
+    chain?: Chain
+  ): (() => void) => {
+    let source: EventSource | null = null;
+    let finished = false;
+
+    const close = () => {
+      finished = true;
+      source?.close();
+    };
+
+    const open = (stream_token?: string) => {
+      if (finished) return;
+      const params = new URLSearchParams({
+        collection_address,
+        ...(chain && { chain }),
+        ...(stream_token && { stream_token }),
+      });
+      const stream = new EventSource(`${API_URL}/predict/stream?${params}`);
+      source = stream;
+
+      // Deliver an event's payload if it matches the shared schema of its type
+      const on = <T>(type: keyof typeof API_ROUTES['GET /predict/stream']['events'], handler: (data: T) => void) => {
+        stream.addEventListener(type, event => {
+          if (finished) return;
+          const data = JSON.parse((event as MessageEvent).data);
+          const errors: string[] = validate(API_ROUTES['GET /predict/stream'].events[type], data);
+          if (errors.length > 0) {
+            console.error(`Unexpected ${type} event:`, errors);
+            close();
+            handlers.onError(new ApiError('INVALID_RESPONSE', { details: { errors } }));
+            return;
+          }
+          handler(data);
+        });
+      };
+
+      on<PredictionJob>('job', handlers.onJob);
+      on<PipelineStageEvent>('stage', handlers.onStage);
+      on<PredictionResponse>('result', response => {
+        close();
+        handlers.onResult(response);
+      });
+      stream.addEventListener('error', event => {
+        // Named `error` events come from the server; plain ones mean the connection dropped
+        if ((event as MessageEvent).data) {
+          close();
+          handlers.onError(ApiError.from((JSON.parse((event as MessageEvent).data) as PipelineErrorEvent).error));
+        } else if (!finished) {
+          close();
+          handlers.onDisconnect();
+        }
+      });
+    };
+
+    if (API_KEY) {
+      // EventSource cannot send headers, so the key is traded for a single-use
+      // stream token instead of going into the URL
+      apiClient.post('/predict/stream-token')
+        .then(response => open(checkResponse<{ token: string }>('POST /predict/stream-token', response.data).token))
+        .catch(error => {
+          if (finished) return;
+          close();
+          handlers.onError(toApiError(error));
+        });
+    } else {
+      open();
+    }
+
+    return close;
+  },
+
+  // Side-by-side predictions of 2-5 collections on one chain
+  compareCollections: async (
+    collection_addresses: string[],
+    options: { fresh?: boolean; chain?: Chain } = {}
+  ): Promise<CollectionComparison> => {
+    const params = options.fresh ? { fresh: 1 } : undefined;
+    const response = await apiClient.post('/compare', { collection_addresses, chain: options.chain }, { params });
+    return checkResponse<{ data: CollectionComparison }>('POST /compare', response.data).data;
+  },
+
+  // Server-side watchlists, re-predicted on a schedule
+  getWatchlists: async (): Promise<Watchlist[]> => {
+    const response = await apiClient.get('/watchlists');
+    return checkResponse<{ data: Watchlist[] }>('GET /watchlists', response.data).data;
+  },
+
+  createWatchlist: async (input: WatchlistInput & Required<Pick<WatchlistInput, 'name' | 'collections'>>): Promise<Watchlist> => {
+    const response = await apiClient.post('/watchlists', input);
+    return checkResponse<{ data: Watchlist }>('POST /watchlists', response.data).data;
+  },
+
+  updateWatchlist: async (id: string, changes: WatchlistInput): Promise<Watchlist> => {
+    const response = await apiClient.patch(`/watchlists/${id}`, changes);
+    return checkResponse<{ data: Watchlist }>('PATCH /watchlists/:id', response.data).data;
   },
 
-  searchCollections: async (query: string): Promise<NFTCollection[]> => {
-    const response = await apiClient.get<NFTCollection[]>('/search', { params: { q: query } });
-    return response.data;
+  deleteWatchlist: async (id: string): Promise<Watchlist> => {
+    const response = await apiClient.delete(`/watchlists/${id}`);
+    return checkResponse<{ data: Watchlist }>('DELETE /watchlists/:id', response.data).data;
+  },
+
+  // Refresh now; the run continues in the background
+  runWatchlist: async (id: string): Promise<Watchlist> => {
+    const response = await apiClient.post(`/watchlists/${id}/run`);
+    return checkResponse<{ data: Watchlist }>('POST /watchlists/:id/run', response.data).data;
+  },
+
+  // In-app alert feed, newest first
+  getAlerts: async (options: { watchlist_id?: string; limit?: number } = {}): Promise<WatchlistAlert[]> => {
+    const response = await apiClient.get('/alerts', { params: options });
+    return checkResponse<{ data: WatchlistAlert[] }>('GET /alerts', response.data).data;
+  },
+
+  searchCollections: async (query: string, chain?: Chain): Promise<NFTCollection[]> => {
+    const response = await apiClient.get('/search', { params: { q: query, chain } });
+    return checkResponse<{ data: NFTCollection[] }>('GET /search', response.data).data;
+  },
+
+  // Floor price / volume series with predictions as forward points
+  getCollectionHistory: async (
+    address: string,
+    options: { chain?: Chain; interval?: string; range?: string } = {}
+  ): Promise<CollectionHistory> => {
+    const response = await apiClient.get(`/collections/${address}/history`, { params: options });
+    return checkResponse<{ data: CollectionHistory }>('GET /collections/:address/history', response.data).data;
+  },
+
+  // Backtested prediction accuracy
+  getAccuracy: async (
+    filters: { collection?: string; chain?: Chain; timeframe?: keyof Prediction; provider?: string } = {}
+  ): Promise<AccuracyReport> => {
+    const response = await apiClient.get('/accuracy', { params: filters });
+    return checkResponse<{ data: AccuracyReport }>('GET /accuracy', response.data).data;
   },
 
   // Agent health check
   async getAgentStatus(): Promise<AgentStatus[]> {
-    const response = await apiClient.get<AgentStatus[]>('/health');
-    return response.data;
+    const response = await apiClient.get('/health');
+    return checkResponse<{ data: AgentStatus[] }>('GET /health', response.data).data;
   },
 
   // Get API status and configuration
   async getApiStatus() {
     const response = await apiClient.get('/status');
-    return response.data;
+    return checkResponse<Record<string, unknown>>('GET /status', response.data);
   },
 
   // Get available providers
   async getProviders() {
     const response = await apiClient.get('/providers');
-    return response.data;
+    return checkResponse<Record<string, unknown>>('GET /providers', response.data);
   },
 
-  // Fetch OpenSea stats by slug
-  async getOpenSeaStats(slug: string) {
-    try {
-      const response = await apiClient.get(`/opensea-stats/${slug}`);
-      return response.data;
-    } catch (error) {
-      // Error is already logged by interceptor
-      throw error;
-    }
+  // Fetch OpenSea stats by slug (or contract address on `chain`)
+  async getOpenSeaStats(slug: string, chain?: Chain) {
+    const response = await apiClient.get(`/opensea-stats/${slug}`, { params: { chain } });
+    return checkResponse<{ slug: string; chain: Chain; stats: Record<string, unknown> }>('GET /opensea-stats/:slug', response.data);
   }
 };
 
@@ -0,0 +1,22 @@
+import { Chain } from '../types';
+
+export interface ChainOption {
+  id: Chain;
+  name: string;
+  currency: string;
+  addressPlaceholder: string;
+}
+
+// Mirrors backend/src/config/chains.js
+export const CHAINS: ChainOption[] = [
+  { id: 'ethereum', name: 'Ethereum', currency: 'ETH', addressPlaceholder: '0x...' },
+  { id: 'polygon', name: 'Polygon', currency: 'POL', addressPlaceholder: '0x...' },
+  { id: 'base', name: 'Base', currency: 'ETH', addressPlaceholder: '0x...' },
+  { id: 'arbitrum', name: 'Arbitrum', currency: 'ETH', addressPlaceholder: '0x...' },
+  { id: 'solana', name: 'Solana', currency: 'SOL', addressPlaceholder: 'base58 address' },
+];
+
+export const DEFAULT_CHAIN: Chain = 'ethereum';
+
+export const getChainOption = (chain: Chain = DEFAULT_CHAIN): ChainOption =>
+  CHAINS.find(option => option.id === chain) ?? CHAINS[0];
@@ -0,0 +1,8 @@
+// Ranges offered by the market history chart and the bucket interval used for each
+export const CHART_RANGES = [
+  { range: '7d', interval: '4h' },
+  { range: '30d', interval: '1d' },
+  { range: '90d', interval: '1d' },
+] as const;
+
+export type ChartRange = typeof CHART_RANGES[number]['range'];